@@ -18,6 +18,11 @@ const pipelineRoutes = require('./routes/pipeline');
 const dataRoutes = require('./routes/data');
 const reportsRoutes = require('./routes/reports');
 const healthRoutes = require('./routes/health');
+const calibrationRoutes = require('./routes/calibration');
+const fieldRoutes = require('./routes/fields');
+const mappingProfileRoutes = require('./routes/mappingProfiles');
+const PipelineController = require('./controllers/pipelineController');
+const ReportCatalogService = require('./services/reportCatalogService');
 
 const app = express();
 
@@ -47,6 +52,39 @@ async function initializeDatabase() {
   }
 }
 
+// Resume queued pipeline jobs left over from a previous process
+async function startJobQueue() {
+  try {
+    await PipelineController.jobQueue.start();
+  } catch (error) {
+    logger.error('Failed to start pipeline job queue:', error);
+  }
+}
+
+// Start cron schedules for pipeline runs
+async function startScheduler() {
+  if (!config.scheduler.enabled) {
+    logger.info('Pipeline scheduler disabled');
+    return;
+  }
+
+  try {
+    await PipelineController.scheduler.start();
+  } catch (error) {
+    logger.error('Failed to start pipeline scheduler:', error);
+  }
+}
+
+// Apply the report retention policy now and then on its cron schedule
+async function startReportRetention() {
+  try {
+    await ReportCatalogService.enforceRetention();
+    ReportCatalogService.startRetentionTask();
+  } catch (error) {
+    logger.error('Failed to start report retention:', error);
+  }
+}
+
 // Security middleware
 app.use(helmet());
 app.use(cors());
@@ -82,6 +120,9 @@ app.use('/health', healthRoutes);
 app.use('/api/pipeline', pipelineRoutes);
 app.use('/api/data', dataRoutes);
 app.use('/api/reports', reportsRoutes);
+app.use('/api/calibration', calibrationRoutes);
+app.use('/api/fields', fieldRoutes);
+app.use('/api/mapping-profiles', mappingProfileRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -93,7 +134,10 @@ app.get('/', (req, res) => {
       health: '/health',
       pipeline: '/api/pipeline',
       data: '/api/data',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      calibration: '/api/calibration',
+      fields: '/api/fields',
+      mappingProfiles: '/api/mapping-profiles'
     }
   });
 });
@@ -110,7 +154,10 @@ app.use((req, res, next) => {
       health: '/health',
       pipeline: '/api/pipeline',
       data: '/api/data',
-      reports: '/api/reports'
+      reports: '/api/reports',
+      calibration: '/api/calibration',
+      fields: '/api/fields',
+      mappingProfiles: '/api/mapping-profiles'
     }
   });
 });
@@ -119,4 +166,4 @@ app.use((req, res, next) => {
 app.use(errorHandler);
 
 // Export app and initialization function
-module.exports = { app, initializeDatabase, getDuckDBService: () => globalDuckDBService };
+module.exports = { app, initializeDatabase, startJobQueue, startScheduler, startReportRetention, getDuckDBService: () => globalDuckDBService };
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Schema migrations of the configured database
+ *
+ *   node src/cli/migrate.js status   list applied and pending migrations
+ *   node src/cli/migrate.js up       apply pending migrations
+ */
+
+const DuckDBService = require('../services/duckDBService');
+const MigrationService = require('../services/migrationService');
+const config = require('../config/config');
+
+const COMMANDS = ['status', 'up'];
+
+function printStatus(status) {
+  console.log(`Database: ${status.database}, schema version ${status.current_version}`);
+  for (const migration of status.migrations) {
+    const state = migration.applied ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')} ${migration.name.padEnd(36)} ${state}`);
+  }
+  console.log(`${status.pending.length} pending`);
+}
+
+async function main(command = 'status') {
+  if (!COMMANDS.includes(command)) {
+    console.error(`Usage: node src/cli/migrate.js <${COMMANDS.join('|')}>`);
+    return 2;
+  }
+
+  const database = new DuckDBService(config);
+  try {
+    await database.initialize({ migrate: false });
+    if (!database.isAvailable) {
+      console.error('No database available (running on the file-based fallback); nothing to migrate');
+      return 1;
+    }
+
+    const migrations = new MigrationService(database);
+    if (command === 'up') {
+      const applied = await migrations.migrate();
+      console.log(applied.length > 0
+        ? `Applied ${applied.map(m => `${m.version} ${m.name}`).join(', ')}`
+        : 'Schema is up to date');
+    }
+    printStatus(await migrations.status());
+    return 0;
+  } catch (error) {
+    console.error(`Migration ${command} failed: ${error.message}`);
+    return 1;
+  } finally {
+    await database.close();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv[2]).then(code => {
+    process.exitCode = code;
+  });
+}
+
+module.exports = { main };
@@ -24,7 +24,9 @@ const config = {
   },
   
   database: {
-    sqlitePath: process.env.SQLITE_PATH || 'data/pipeline.sqlite'
+    sqlitePath: process.env.SQLITE_PATH || 'data/pipeline.sqlite',
+    insertBatchSize: parseInt(process.env.INSERT_BATCH_SIZE) || 1000,
+    insertMode: process.env.INSERT_MODE || 'upsert'
   },
   
   paths: {
@@ -32,6 +34,14 @@ const config = {
     processedData: process.env.PROCESSED_DATA_PATH || yamlConfig.storage?.processed_path || 'data/processed',
     checkpoints: process.env.CHECKPOINT_PATH || 'data/checkpoints',
     reports: process.env.REPORTS_PATH || yamlConfig.validation?.output_path || 'data/reports',
+    pipelineRuns: process.env.PIPELINE_RUNS_PATH || 'data/pipeline_runs',
+    calibrations: process.env.CALIBRATIONS_PATH || 'data/calibrations',
+    fields: process.env.FIELDS_PATH || 'data/fields',
+    mappingProfiles: process.env.MAPPING_PROFILES_PATH || 'data/mapping_profiles',
+    schedules: process.env.SCHEDULES_PATH || 'data/schedules',
+    jobs: process.env.JOBS_PATH || 'data/jobs',
+    reportDefinitions: process.env.REPORT_DEFINITIONS_PATH || 'data/report_definitions',
+    reportCatalog: process.env.REPORT_CATALOG_PATH || 'data/report_catalog.json',
     logs: process.env.LOGS_PATH || 'logs'
   },
   
@@ -45,6 +55,23 @@ const config = {
   transformation: yamlConfig.transformation || {},
   validation: yamlConfig.validation || {},
   storage: yamlConfig.storage || {},
+  reports: {
+    retention: {
+      ...yamlConfig.reports?.retention,
+      max_count: process.env.REPORT_RETENTION_MAX_COUNT ? parseInt(process.env.REPORT_RETENTION_MAX_COUNT) : yamlConfig.reports?.retention?.max_count ?? 100,
+      max_age_days: process.env.REPORT_RETENTION_MAX_AGE_DAYS ? parseInt(process.env.REPORT_RETENTION_MAX_AGE_DAYS) : yamlConfig.reports?.retention?.max_age_days ?? 90
+    }
+  },
+  jobs: {
+    retention: {
+      max_count: process.env.JOB_RETENTION_MAX_COUNT ? parseInt(process.env.JOB_RETENTION_MAX_COUNT) : yamlConfig.jobs?.retention?.max_count ?? 200,
+      max_age_days: process.env.JOB_RETENTION_MAX_AGE_DAYS ? parseInt(process.env.JOB_RETENTION_MAX_AGE_DAYS) : yamlConfig.jobs?.retention?.max_age_days ?? 30
+    }
+  },
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED ? process.env.SCHEDULER_ENABLED === 'true' : yamlConfig.scheduler?.enabled !== false,
+    timezone: yamlConfig.scheduler?.timezone || 'Asia/Kolkata'
+  },
   
   logging: {
     level: process.env.LOG_LEVEL || yamlConfig.logging?.level || 'info',
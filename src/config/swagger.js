@@ -112,6 +112,175 @@ const options = {
             }
           }
         },
+        Calibration: {
+          type: 'object',
+          properties: {
+            calibration_id: { type: 'string' },
+            reading_type: {
+              type: 'string',
+              enum: ['temperature', 'humidity', 'soil_moisture', 'light_intensity', 'battery_level']
+            },
+            sensor_id: {
+              type: 'string',
+              nullable: true,
+              description: 'Applies only to this sensor when set'
+            },
+            field: {
+              type: 'string',
+              nullable: true,
+              description: 'Applies only to sensors in this field when set'
+            },
+            curve: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['linear', 'polynomial', 'lookup'] },
+                multiplier: { type: 'number' },
+                offset: { type: 'number' },
+                coefficients: {
+                  type: 'array',
+                  items: { type: 'number' },
+                  description: 'Polynomial coefficients in ascending order (c0 + c1*x + c2*x^2 ...)'
+                },
+                points: {
+                  type: 'array',
+                  items: { type: 'array', items: { type: 'number' } },
+                  description: 'Lookup table of [raw, calibrated] pairs, interpolated linearly'
+                }
+              }
+            },
+            clamp: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                min: { type: 'number' },
+                max: { type: 'number' }
+              }
+            },
+            valid_from: { type: 'string', format: 'date-time' },
+            valid_to: { type: 'string', format: 'date-time', nullable: true },
+            description: { type: 'string' }
+          },
+          required: ['reading_type', 'curve']
+        },
+        Field: {
+          type: 'object',
+          properties: {
+            field_id: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              description: 'Identifier used in the field column of readings'
+            },
+            name: { type: 'string' },
+            farm: { type: 'string', nullable: true },
+            crop_type: { type: 'string', nullable: true },
+            geometry: {
+              type: 'object',
+              nullable: true,
+              description: 'GeoJSON Polygon or MultiPolygon of the field boundary, [longitude, latitude] positions',
+              properties: {
+                type: { type: 'string', enum: ['Polygon', 'MultiPolygon'] },
+                coordinates: { type: 'array', items: { type: 'array' } }
+              }
+            },
+            area_hectares: { type: 'number', description: 'Computed from the geometry unless given' },
+            bbox: { type: 'array', items: { type: 'number' }, readOnly: true, description: '[minLon, minLat, maxLon, maxLat]' },
+            centroid: { type: 'array', items: { type: 'number' }, readOnly: true },
+            description: { type: 'string' },
+            assignments: {
+              type: 'array',
+              readOnly: true,
+              items: {
+                type: 'object',
+                properties: {
+                  sensor_id: { type: 'string' },
+                  valid_from: { type: 'string', format: 'date-time' },
+                  valid_to: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            }
+          },
+          required: ['field_id']
+        },
+        MappingProfile: {
+          type: 'object',
+          properties: {
+            profile_id: { type: 'string', pattern: '^[A-Za-z0-9_-]+$' },
+            name: { type: 'string' },
+            file_patterns: {
+              type: 'array',
+              items: { type: 'string' },
+              description: 'Raw file name globs (* and ?, case-insensitive) the profile applies to, e.g. logger_a_*.csv'
+            },
+            delimiter: { type: 'string', nullable: true, description: 'CSV/TSV separator when not the format default' },
+            columns: {
+              type: 'object',
+              description: 'Source column (dotted path in JSON rows) of each reading attribute',
+              properties: {
+                sensor_id: { type: 'string' },
+                timestamp: { type: 'string' },
+                reading_type: { type: 'string' },
+                value: { type: 'string' },
+                unit: { type: 'string' },
+                field: { type: 'string' },
+                latitude: { type: 'string' },
+                longitude: { type: 'string' },
+                battery_level: { type: 'string' },
+                signal_strength: { type: 'string' }
+              }
+            },
+            defaults: {
+              type: 'object',
+              description: 'Constant sensor_id, reading_type, unit or field where the file has no column or the cell is empty',
+              additionalProperties: { type: 'string' }
+            },
+            units: {
+              type: 'object',
+              description: 'Unit of each reading type, e.g. { "temperature": "°C" }',
+              additionalProperties: { type: 'string' }
+            },
+            timestamp_format: {
+              type: 'string',
+              nullable: true,
+              description: 'moment.js format (e.g. DD/MM/YYYY HH:mm), unix or unix_ms; ISO 8601 when not set'
+            },
+            timezone: { type: 'string', default: 'UTC', description: 'IANA timezone of timestamps without an offset' },
+            wide: {
+              type: 'object',
+              nullable: true,
+              description: 'Wide files: source column -> reading_type; each non-empty cell becomes a reading',
+              additionalProperties: { type: 'string' }
+            },
+            description: { type: 'string' }
+          },
+          required: ['profile_id', 'file_patterns', 'columns']
+        },
+        PipelineJob: {
+          type: 'object',
+          properties: {
+            job_id: { type: 'string' },
+            type: { type: 'string', example: 'full_pipeline' },
+            status: { type: 'string', enum: ['queued', 'running', 'completed', 'failed', 'cancelled'] },
+            source: { type: 'string', description: 'api, or schedule:<name> for scheduled runs' },
+            options: {
+              type: 'object',
+              properties: {
+                startDate: { type: 'string' },
+                endDate: { type: 'string' },
+                forceReprocess: { type: 'boolean' }
+              }
+            },
+            submitted_at: { type: 'string', format: 'date-time' },
+            started_at: { type: 'string', format: 'date-time', nullable: true },
+            finished_at: { type: 'string', format: 'date-time', nullable: true },
+            stage: { type: 'string', nullable: true },
+            progress: { type: 'number', minimum: 0, maximum: 100 },
+            run_id: { type: 'string', nullable: true, description: 'Pipeline run record, see /api/pipeline/runs/{run_id}' },
+            stages: { type: 'object', description: 'Per-stage status, duration and record counts' },
+            statistics: { type: 'object', nullable: true },
+            error: { type: 'string', nullable: true },
+            cancel_requested: { type: 'boolean' }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -0,0 +1,101 @@
+const CalibrationService = require('../services/transformation/calibrationService');
+
+class CalibrationController {
+  static async listCalibrations(req, res, next) {
+    try {
+      const { reading_type, sensor_id, field, at } = req.query;
+
+      const calibrations = await CalibrationService.listCalibrations({ reading_type, sensor_id, field, at });
+
+      res.json({
+        calibrations,
+        total_calibrations: calibrations.length,
+        defaults: CalibrationController.getDefaults()
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getCalibration(req, res, next) {
+    try {
+      const { calibration_id } = req.params;
+
+      const calibration = await CalibrationService.getCalibration(calibration_id);
+
+      if (!calibration) {
+        return res.status(404).json({
+          error: 'Calibration not found',
+          calibration_id
+        });
+      }
+
+      res.json(calibration);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createCalibration(req, res, next) {
+    try {
+      const calibration = await CalibrationService.createCalibration(req.body);
+      res.status(201).json(calibration);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateCalibration(req, res, next) {
+    try {
+      const { calibration_id } = req.params;
+
+      const calibration = await CalibrationService.updateCalibration(calibration_id, req.body);
+
+      if (!calibration) {
+        return res.status(404).json({
+          error: 'Calibration not found',
+          calibration_id
+        });
+      }
+
+      res.json(calibration);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteCalibration(req, res, next) {
+    try {
+      const { calibration_id } = req.params;
+
+      const deleted = await CalibrationService.deleteCalibration(calibration_id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Calibration not found',
+          calibration_id
+        });
+      }
+
+      res.json({
+        message: 'Calibration deleted successfully',
+        calibration_id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static getDefaults() {
+    const readingTypes = ['temperature', 'humidity', 'soil_moisture', 'light_intensity', 'battery_level'];
+    return readingTypes.reduce((acc, readingType) => {
+      const calibration = CalibrationService.getDefaultCalibration(readingType);
+      if (calibration) {
+        acc[readingType] = { curve: calibration.curve, clamp: calibration.clamp };
+      }
+      return acc;
+    }, {});
+  }
+}
+
+module.exports = CalibrationController;
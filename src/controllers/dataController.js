@@ -11,7 +11,6 @@ class DataController {
       if (filters.limit) filters.limit = parseInt(filters.limit, 10);
       if (filters.minValue) filters.minValue = parseFloat(filters.minValue);
       if (filters.maxValue) filters.maxValue = parseFloat(filters.maxValue);
-      if (filters.anomalous) filters.anomalous = filters.anomalous === 'true';
       
       // Apply defaults only if not provided
       if (!filters.page) filters.page = 1;
@@ -68,19 +67,62 @@ class DataController {
 
   static async getDailyAggregations(req, res, next) {
     try {
-      const { reading_type, startDate, endDate } = req.query;
+      const { reading_type, sensor_id, field, groupBy, startDate, endDate } = req.query;
       
-      const aggregations = await DataService.getDailyAggregations({ 
+      const result = await DataService.getDailyAggregations({ 
         reading_type, 
+        sensor_id,
+        field,
+        groupBy,
         startDate, 
         endDate 
       });
       
       res.json({
         reading_type,
+        sensor_id,
+        field,
+        group_by: result.group_by,
         period: { startDate, endDate },
-        aggregations,
-        total_days: aggregations.length
+        aggregations: result.aggregations,
+        total_days: result.total_days,
+        source: result.source
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getAggregations(req, res, next) {
+    try {
+      const {
+        interval, timezone, functions, percentiles, groupBy,
+        sensor_id, reading_type, field, startDate, endDate
+      } = req.query;
+
+      const result = await DataService.getTimeBucketAggregations({
+        interval,
+        timezone,
+        functions,
+        percentiles,
+        groupBy,
+        sensor_id,
+        reading_type,
+        field,
+        startDate,
+        endDate
+      });
+
+      res.json({
+        interval: result.interval,
+        timezone: result.timezone,
+        functions: result.functions,
+        group_by: result.group_by,
+        filters: { sensor_id, reading_type, field },
+        period: { startDate, endDate },
+        aggregations: result.aggregations,
+        total_buckets: result.total_buckets,
+        source: result.source
       });
     } catch (error) {
       next(error);
@@ -89,7 +131,11 @@ class DataController {
 
   static async getAnomalies(req, res, next) {
     try {
-      const filters = req.query;
+      const filters = { ...req.query };
+
+      if (filters.page) filters.page = parseInt(filters.page, 10);
+      if (filters.limit) filters.limit = parseInt(filters.limit, 10);
+
       const result = await DataService.getAnomalies(filters);
       
       res.json({
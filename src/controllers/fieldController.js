@@ -0,0 +1,143 @@
+const FieldService = require('../services/fieldService');
+
+class FieldController {
+  static async listFields(req, res, next) {
+    try {
+      const { farm, crop_type, sensor_id, at, format } = req.query;
+
+      const fields = await FieldService.listFields({ farm, crop_type, sensor_id, at });
+
+      if (format === 'geojson') {
+        return res.type('application/geo+json').send(JSON.stringify(FieldService.toFeatureCollection(fields)));
+      }
+
+      res.json({
+        fields,
+        total_fields: fields.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getField(req, res, next) {
+    try {
+      const { field_id } = req.params;
+
+      const field = await FieldService.getField(field_id);
+
+      if (!field) {
+        return res.status(404).json({
+          error: 'Field not found',
+          field_id
+        });
+      }
+
+      if (req.query.format === 'geojson') {
+        return res.type('application/geo+json').send(JSON.stringify(FieldService.toFeature(field)));
+      }
+
+      res.json(field);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createField(req, res, next) {
+    try {
+      if (await FieldService.getField(req.body.field_id)) {
+        return res.status(409).json({
+          error: 'Field already exists',
+          field_id: req.body.field_id
+        });
+      }
+
+      const field = await FieldService.createField(req.body);
+      res.status(201).json(field);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateField(req, res, next) {
+    try {
+      const { field_id } = req.params;
+
+      const field = await FieldService.updateField(field_id, req.body);
+
+      if (!field) {
+        return res.status(404).json({
+          error: 'Field not found',
+          field_id
+        });
+      }
+
+      res.json(field);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteField(req, res, next) {
+    try {
+      const { field_id } = req.params;
+
+      const deleted = await FieldService.deleteField(field_id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Field not found',
+          field_id
+        });
+      }
+
+      res.json({
+        message: 'Field deleted successfully',
+        field_id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async assignSensor(req, res, next) {
+    try {
+      const { field_id } = req.params;
+
+      const result = await FieldService.assignSensor(field_id, req.body);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Field not found',
+          field_id
+        });
+      }
+
+      res.status(201).json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async unassignSensor(req, res, next) {
+    try {
+      const { field_id, sensor_id } = req.params;
+
+      const result = await FieldService.unassignSensor(field_id, sensor_id, req.query.at);
+
+      if (!result) {
+        return res.status(404).json({
+          error: 'Sensor assignment not found',
+          field_id,
+          sensor_id
+        });
+      }
+
+      res.json(result);
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = FieldController;
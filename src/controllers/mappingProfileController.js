@@ -0,0 +1,94 @@
+const MappingProfileService = require('../services/ingestion/mappingProfileService');
+
+class MappingProfileController {
+  static async listProfiles(req, res, next) {
+    try {
+      const profiles = await MappingProfileService.listProfiles();
+
+      res.json({
+        profiles,
+        total_profiles: profiles.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getProfile(req, res, next) {
+    try {
+      const { profile_id } = req.params;
+
+      const profile = await MappingProfileService.getProfile(profile_id);
+
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Mapping profile not found',
+          profile_id
+        });
+      }
+
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createProfile(req, res, next) {
+    try {
+      if (await MappingProfileService.getProfile(req.body.profile_id)) {
+        return res.status(409).json({
+          error: 'Mapping profile already exists',
+          profile_id: req.body.profile_id
+        });
+      }
+
+      const profile = await MappingProfileService.createProfile(req.body);
+      res.status(201).json(profile);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateProfile(req, res, next) {
+    try {
+      const { profile_id } = req.params;
+
+      const profile = await MappingProfileService.updateProfile(profile_id, req.body);
+
+      if (!profile) {
+        return res.status(404).json({
+          error: 'Mapping profile not found',
+          profile_id
+        });
+      }
+
+      res.json(profile);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteProfile(req, res, next) {
+    try {
+      const { profile_id } = req.params;
+
+      const deleted = await MappingProfileService.deleteProfile(profile_id);
+
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Mapping profile not found',
+          profile_id
+        });
+      }
+
+      res.json({
+        message: 'Mapping profile deleted successfully',
+        profile_id
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+}
+
+module.exports = MappingProfileController;
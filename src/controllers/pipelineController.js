@@ -1,11 +1,22 @@
 const logger = require('../utils/logger');
 const PipelineServiceClass = require('../services/pipelineService');
+const SchedulerService = require('../services/schedulerService');
+const JobQueueService = require('../services/jobQueueService');
+const MappingProfileService = require('../services/ingestion/mappingProfileService');
+const RawFileReader = require('../services/ingestion/rawFileReader');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
 const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
 const config = require('../config/config');
 const path = require('path');
 
 // Create singleton instance of PipelineService
 const PipelineService = new PipelineServiceClass();
+// Every open events stream adds listeners
+PipelineService.setMaxListeners(0);
+const JobQueue = new JobQueueService(PipelineService);
+const Scheduler = new SchedulerService(JobQueue);
 
 class PipelineController {
   static async getStatus(req, res, next) {
@@ -20,34 +31,72 @@ class PipelineController {
   static async runPipeline(req, res, next) {
     try {
       const { startDate, endDate, forceReprocess = false } = req.body;
-      
-      // Check if pipeline is already running
-      const currentStatus = await PipelineService.getStatus();
-      if (currentStatus.status === 'running') {
-        return res.status(409).json({
-          error: 'Pipeline is already running',
-          current_status: currentStatus
-        });
-      }
 
-      // Start pipeline asynchronously
-      PipelineService.runFullPipeline({ startDate, endDate, forceReprocess })
-        .catch(error => {
-          logger.error('Pipeline execution failed:', error);
-        });
+      // Runs are queued and executed one at a time
+      const job = await JobQueue.enqueue({ startDate, endDate, forceReprocess });
 
       res.status(202).json({
-        message: 'Pipeline started successfully',
+        message: 'Pipeline run queued successfully',
+        job_id: job.job_id,
+        status: job.status,
         startDate,
         endDate,
         forceReprocess,
-        status_endpoint: '/api/pipeline/status'
+        status_endpoint: `/api/pipeline/jobs/${job.job_id}`
       });
     } catch (error) {
       next(error);
     }
   }
 
+  /**
+   * Server-Sent Events stream of pipeline activity. Sends the current status
+   * on connect, then 'run', 'stage' and 'log' events as they happen.
+   */
+  static async streamEvents(req, res, next) {
+    try {
+      const status = await PipelineService.getStatus();
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+
+      const send = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        // Push through the compression middleware instead of buffering
+        if (res.flush) res.flush();
+      };
+
+      const onRun = data => send('run', data);
+      const onStage = data => send('stage', data);
+      const onLog = data => send('log', data);
+
+      PipelineService.on('run', onRun);
+      PipelineService.on('stage', onStage);
+      PipelineService.on('log', onLog);
+
+      const heartbeat = setInterval(() => {
+        res.write(': heartbeat\n\n');
+        if (res.flush) res.flush();
+      }, PipelineController.EVENTS_HEARTBEAT_MS);
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        PipelineService.removeListener('run', onRun);
+        PipelineService.removeListener('stage', onStage);
+        PipelineService.removeListener('log', onLog);
+      });
+
+      send('status', status);
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async uploadFiles(req, res, next) {
     try {
       if (!req.files || req.files.length === 0) {
@@ -72,11 +121,17 @@ class PipelineController {
             continue;
           }
 
+          const { format } = RawFileReader.describe(file.filename);
+          const profile = format === 'parquet' ? null : await MappingProfileService.findProfile(file.filename);
+
           uploadedFiles.push({
             filename: file.filename,
             originalname: file.originalname,
             size: file.size,
-            path: file.path
+            path: file.path,
+            format,
+            // Mapping profile the file will be ingested with
+            profile: profile ? profile.profile_id : null
           });
 
           logger.info(`File uploaded successfully: ${file.originalname}`);
@@ -102,9 +157,9 @@ class PipelineController {
 
   static async runIngestion(req, res, next) {
     try {
-      const { startDate, endDate } = req.body;
+      const { startDate, endDate, forceReprocess = false } = req.body;
       
-      const result = await PipelineService.runIngestion({ startDate, endDate });
+      const result = await PipelineService.runIngestion({ startDate, endDate, forceReprocess });
       
       res.json({
         message: 'Ingestion completed successfully',
@@ -143,6 +198,16 @@ class PipelineController {
 
   static async stopPipeline(req, res, next) {
     try {
+      // Queued runs stop through the job's cancel path, so the job ends 'cancelled'
+      const job = await JobQueue.stopActiveJob();
+      if (job?.cancel_requested) {
+        return res.json({
+          message: 'Pipeline stopped successfully',
+          stopped_at: DateUtils.nowIST().toISOString(),
+          job_id: job.job_id
+        });
+      }
+
       const result = await PipelineService.stopPipeline();
       
       if (!result.success) {
@@ -160,6 +225,292 @@ class PipelineController {
     }
   }
 
+  static async listRuns(req, res, next) {
+    try {
+      const { status, startDate, endDate, limit = 50 } = req.query;
+      
+      const result = await PipelineService.getRuns({
+        status,
+        startDate,
+        endDate,
+        limit: parseInt(limit)
+      });
+      
+      res.json({
+        runs: result.runs,
+        total_runs: result.runs.length,
+        summary: result.summary
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getRun(req, res, next) {
+    try {
+      const { run_id } = req.params;
+      
+      const run = await PipelineService.getRun(run_id);
+      
+      if (!run) {
+        return res.status(404).json({
+          error: 'Pipeline run not found',
+          run_id
+        });
+      }
+
+      res.json(run);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listCheckpoints(req, res, next) {
+    try {
+      const { file_name } = req.query;
+      
+      const checkpoints = await PipelineService.getCheckpoints({ file_name });
+      
+      res.json({
+        checkpoints,
+        total_checkpoints: checkpoints.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async resetCheckpoints(req, res, next) {
+    try {
+      const { file_name } = req.query;
+      
+      const removed = await PipelineService.resetCheckpoints(file_name || null);
+      
+      res.json({
+        message: 'Ingestion checkpoints reset successfully',
+        file_name: file_name || null,
+        removed
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listJobs(req, res, next) {
+    try {
+      const { status, limit = 50 } = req.query;
+
+      const jobs = await JobQueueService.listJobs({ status, limit: parseInt(limit) });
+
+      res.json({
+        jobs,
+        total_jobs: jobs.length,
+        active_job_id: JobQueue.activeJob ? JobQueue.activeJob.job_id : null
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getJob(req, res, next) {
+    try {
+      const { job_id } = req.params;
+
+      const job = await JobQueueService.getJob(job_id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          job_id
+        });
+      }
+
+      res.json(job);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async cancelJob(req, res, next) {
+    try {
+      const { job_id } = req.params;
+
+      const job = await JobQueue.cancelJob(job_id);
+
+      if (!job) {
+        return res.status(404).json({
+          error: 'Job not found',
+          job_id
+        });
+      }
+
+      if (!job.cancel_requested) {
+        return res.status(409).json({
+          error: `Job already ${job.status}`,
+          job_id,
+          status: job.status
+        });
+      }
+
+      res.json({
+        message: job.status === 'cancelled' ? 'Job cancelled successfully' : 'Job cancellation requested',
+        job
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listSchedules(req, res, next) {
+    try {
+      const schedules = await SchedulerService.listSchedules();
+      
+      res.json({
+        schedules: schedules.map(schedule => SchedulerService.describe(schedule)),
+        total_schedules: schedules.length,
+        scheduler_running: Scheduler.started
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getSchedule(req, res, next) {
+    try {
+      const { name } = req.params;
+      
+      const schedule = await SchedulerService.getSchedule(name);
+      
+      if (!schedule) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          name
+        });
+      }
+
+      res.json(SchedulerService.describe(schedule));
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createSchedule(req, res, next) {
+    try {
+      if (await SchedulerService.getSchedule(req.body.name)) {
+        return res.status(409).json({
+          error: 'Schedule already exists',
+          name: req.body.name
+        });
+      }
+
+      const schedule = await Scheduler.createSchedule(req.body);
+      res.status(201).json(schedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async updateSchedule(req, res, next) {
+    try {
+      const { name } = req.params;
+      
+      const schedule = await Scheduler.updateSchedule(name, req.body);
+      
+      if (!schedule) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          name
+        });
+      }
+
+      res.json(schedule);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteSchedule(req, res, next) {
+    try {
+      const { name } = req.params;
+      
+      const deleted = await Scheduler.deleteSchedule(name);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          name
+        });
+      }
+
+      res.json({
+        message: 'Schedule deleted successfully',
+        name
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async previewSchedule(req, res, next) {
+    try {
+      const { name } = req.params;
+      const count = Math.min(parseInt(req.query.count) || 5, 50);
+      
+      const schedule = await SchedulerService.getSchedule(name);
+      
+      if (!schedule) {
+        return res.status(404).json({
+          error: 'Schedule not found',
+          name
+        });
+      }
+
+      const now = new Date();
+      res.json({
+        name,
+        cron: schedule.cron,
+        timezone: schedule.timezone,
+        enabled: schedule.enabled,
+        next_runs: SchedulerService.previewRuns(schedule.cron, { timezone: schedule.timezone, count, from: now })
+          .map(runAt => ({
+            run_at: runAt,
+            ...SchedulerService.resolveDateRange(schedule.date_range, new Date(runAt), schedule.timezone)
+          }))
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async previewCron(req, res, next) {
+    try {
+      const { cron: expression, timezone = SchedulerService.getDefaultTimezone() } = req.query;
+      const count = Math.min(parseInt(req.query.count) || 5, 50);
+      
+      if (!expression || !cron.validate(expression)) {
+        return res.status(400).json({
+          error: 'A valid cron expression is required',
+          cron: expression || null
+        });
+      }
+
+      if (!moment.tz.zone(timezone)) {
+        return res.status(400).json({
+          error: 'Unknown timezone',
+          timezone
+        });
+      }
+
+      res.json({
+        cron: expression,
+        timezone,
+        next_runs: SchedulerService.previewRuns(expression, { timezone, count })
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
   static async getLogs(req, res, next) {
     try {
       const { lines = 100, level } = req.query;
@@ -177,4 +528,8 @@ class PipelineController {
   }
 }
 
+PipelineController.EVENTS_HEARTBEAT_MS = 15000;
+PipelineController.scheduler = Scheduler;
+PipelineController.jobQueue = JobQueue;
+
 module.exports = PipelineController;
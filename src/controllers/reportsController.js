@@ -1,25 +1,121 @@
 const logger = require('../utils/logger');
 const ReportsService = require('../services/reportsService');
+const CustomReportService = require('../services/customReportService');
+const ReportCatalogService = require('../services/reportCatalogService');
 const FileUtils = require('../utils/fileUtils');
 const path = require('path');
 
+const REPORT_FORMATS = ['json', 'csv', 'html', 'pdf'];
+
+/**
+ * Output format of a report request: the `format` query parameter, otherwise
+ * CSV when the Accept header prefers text/csv. Null for unsupported formats.
+ */
+function reportFormat(req) {
+  const format = req.query.format || (req.accepts(['json', 'csv']) === 'csv' ? 'csv' : 'json');
+  return REPORT_FORMATS.includes(format) ? format : null;
+}
+
+/**
+ * Who asked for a report, recorded in the report catalogue: the
+ * X-Requested-By header, otherwise 'api'
+ */
+function requestedBy(req) {
+  return req.get('X-Requested-By') || 'api';
+}
+
+function unsupportedFormat(res) {
+  return res.status(400).json({
+    error: 'Unsupported report format',
+    supported_formats: REPORT_FORMATS
+  });
+}
+
+async function sendReport(res, report, format, name) {
+  const filename = `${name}_${Date.now()}.${format}`;
+
+  if (format === 'csv') {
+    const csvData = await ReportsService.convertReportToCSV(report);
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(csvData);
+  } else if (format === 'html') {
+    res.type('html').send(await ReportsService.convertReportToHTML(report));
+  } else if (format === 'pdf') {
+    const pdf = await ReportsService.convertReportToPDF(report);
+    
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(pdf);
+  } else {
+    res.json(report);
+  }
+}
+
 class ReportsController {
   static async getQualityReport(req, res, next) {
     try {
-      const { startDate, endDate, format = 'json' } = req.query;
-      
-      const report = await ReportsService.generateQualityReport({ startDate, endDate });
-      
-      if (format === 'csv') {
-        const csvData = await ReportsService.convertReportToCSV(report);
-        const filename = `quality_report_${Date.now()}.csv`;
-        
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.send(csvData);
-      } else {
-        res.json(report);
+      const { startDate, endDate } = req.query;
+      const format = reportFormat(req);
+      
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.generateQualityReport({ startDate, endDate }, { createdBy: requestedBy(req) });
+      
+      await sendReport(res, report, format, 'quality_report');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getAnalyticsReport(req, res, next) {
+    try {
+      const { sensor_id, reading_type, field, startDate, endDate, timezone, correlationIntervalMinutes, significance } = req.query;
+      const format = reportFormat(req);
+      
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.generateAnalyticsReport({
+        sensor_id,
+        reading_type,
+        field,
+        startDate,
+        endDate,
+        timezone,
+        correlationIntervalMinutes,
+        significance
+      }, { createdBy: requestedBy(req) });
+      
+      await sendReport(res, report, format, 'analytics_report');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getSummaryReport(req, res, next) {
+    try {
+      const { sensor_id, reading_type, field, startDate, endDate, inactiveAfterHours } = req.query;
+      const format = reportFormat(req);
+      
+      if (!format) {
+        return unsupportedFormat(res);
       }
+
+      const report = await ReportsService.generateSummaryReport({
+        sensor_id,
+        reading_type,
+        field,
+        startDate,
+        endDate,
+        inactiveAfterHours
+      }, { createdBy: requestedBy(req) });
+      
+      await sendReport(res, report, format, 'summary_report');
     } catch (error) {
       next(error);
     }
@@ -28,10 +124,15 @@ class ReportsController {
   static async getProcessingReport(req, res, next) {
     try {
       const { startDate, endDate } = req.query;
+      const format = reportFormat(req);
       
-      const report = await ReportsService.generateProcessingReport({ startDate, endDate });
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.generateProcessingReport({ startDate, endDate }, { createdBy: requestedBy(req) });
       
-      res.json(report);
+      await sendReport(res, report, format, 'processing_report');
     } catch (error) {
       next(error);
     }
@@ -39,11 +140,22 @@ class ReportsController {
 
   static async getCoverageReport(req, res, next) {
     try {
-      const { sensor_id, reading_type } = req.query;
+      const { sensor_id, reading_type, startDate, endDate, gapThresholdMinutes } = req.query;
+      const format = reportFormat(req);
       
-      const report = await ReportsService.generateCoverageReport({ sensor_id, reading_type });
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.generateCoverageReport({
+        sensor_id,
+        reading_type,
+        startDate,
+        endDate,
+        gapThresholdMinutes: gapThresholdMinutes ? parseFloat(gapThresholdMinutes) : undefined
+      }, { createdBy: requestedBy(req) });
       
-      res.json(report);
+      await sendReport(res, report, format, 'coverage_report');
     } catch (error) {
       next(error);
     }
@@ -51,15 +163,118 @@ class ReportsController {
 
   static async getAnomalyReport(req, res, next) {
     try {
-      const { startDate, endDate, threshold } = req.query;
+      const { startDate, endDate, threshold, sensor_id, reading_type, zThreshold } = req.query;
+      const format = reportFormat(req);
       
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
       const report = await ReportsService.generateAnomalyReport({ 
         startDate, 
         endDate, 
-        threshold: threshold ? parseFloat(threshold) : undefined 
+        sensor_id,
+        reading_type,
+        threshold: threshold ? parseFloat(threshold) : undefined,
+        zThreshold: zThreshold ? parseFloat(zThreshold) : undefined
+      }, { createdBy: requestedBy(req) });
+      
+      await sendReport(res, report, format, 'anomaly_report');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async createCustomReport(req, res, next) {
+    try {
+      const format = reportFormat(req);
+      
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.generateCustomReport(req.body, { createdBy: requestedBy(req) });
+      
+      await sendReport(res.status(201), report, format, 'custom_report');
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async listReportDefinitions(req, res, next) {
+    try {
+      const definitions = await CustomReportService.listDefinitions();
+      
+      res.json({
+        definitions,
+        total_definitions: definitions.length
       });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async getReportDefinition(req, res, next) {
+    try {
+      const { name } = req.params;
+      
+      const definition = await CustomReportService.getDefinition(name);
+      
+      if (!definition) {
+        return res.status(404).json({
+          error: 'Report definition not found',
+          name
+        });
+      }
+
+      res.json(definition);
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteReportDefinition(req, res, next) {
+    try {
+      const { name } = req.params;
       
-      res.json(report);
+      const deleted = await CustomReportService.deleteDefinition(name);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Report definition not found',
+          name
+        });
+      }
+
+      res.json({
+        message: 'Report definition deleted successfully',
+        name
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async runReportDefinition(req, res, next) {
+    try {
+      const { name } = req.params;
+      const { startDate, endDate } = req.body || {};
+      const format = reportFormat(req);
+      
+      if (!format) {
+        return unsupportedFormat(res);
+      }
+
+      const report = await ReportsService.runSavedReport(name, { startDate, endDate }, { createdBy: requestedBy(req) });
+      
+      if (!report) {
+        return res.status(404).json({
+          error: 'Report definition not found',
+          name
+        });
+      }
+
+      await sendReport(res.status(201), report, format, `${name}_report`);
     } catch (error) {
       next(error);
     }
@@ -67,11 +282,54 @@ class ReportsController {
 
   static async listReports(req, res, next) {
     try {
-      const reports = await ReportsService.listGeneratedReports();
+      const result = await ReportsService.listGeneratedReports(req.query);
+      
+      res.json({
+        reports: result.reports,
+        pagination: {
+          page: result.page,
+          limit: result.limit,
+          total: result.total,
+          pages: Math.ceil(result.total / result.limit)
+        },
+        total_reports: result.total,
+        filters: req.query
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async enforceRetention(req, res, next) {
+    try {
+      const removed = await ReportCatalogService.enforceRetention();
       
       res.json({
-        reports,
-        total_reports: reports.length
+        message: 'Report retention applied',
+        removed,
+        total_removed: removed.length
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+
+  static async deleteReport(req, res, next) {
+    try {
+      const { report_id } = req.params;
+      
+      const deleted = await ReportsService.deleteReport(report_id);
+      
+      if (!deleted) {
+        return res.status(404).json({
+          error: 'Report not found',
+          report_id
+        });
+      }
+
+      res.json({
+        message: 'Report deleted successfully',
+        report_id
       });
     } catch (error) {
       next(error);
@@ -91,6 +349,15 @@ class ReportsController {
         });
       }
 
+      // Stored reports are JSON; other formats are rendered from it
+      if (req.query.format && req.query.format !== 'json') {
+        if (!REPORT_FORMATS.includes(req.query.format)) {
+          return unsupportedFormat(res);
+        }
+        const report = await ReportsService.getReport(report_id);
+        return sendReport(res, report, req.query.format, report_id);
+      }
+
       // Determine content type based on file extension
       const ext = FileUtils.getExtension(reportPath);
       let contentType = 'application/octet-stream';
@@ -1,4 +1,17 @@
-const Joi = require('joi');
+const BaseJoi = require('joi');
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const GeoUtils = require('../utils/geoUtils');
+
+// Adds Joi.list(): an array that also accepts a comma-separated query string
+const Joi = BaseJoi.extend({
+  type: 'list',
+  base: BaseJoi.array(),
+  coerce: {
+    from: 'string',
+    method: (value) => ({ value: value.split(',').map(item => item.trim()).filter(Boolean) })
+  }
+});
 
 const sensorDataSchema = Joi.object({
   sensor_id: Joi.string().required(),
@@ -13,9 +26,14 @@ const dateRangeSchema = Joi.object({
   endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required()
 });
 
+const pipelineRunSchema = dateRangeSchema.keys({
+  forceReprocess: Joi.boolean().optional()
+});
+
 const paginationSchema = Joi.object({
-  page: Joi.alternatives().try(Joi.number().integer().min(1), Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value, 10))).optional(),
-  limit: Joi.alternatives().try(Joi.number().integer().min(1).max(1000), Joi.string().pattern(/^\d+$/).custom((value) => parseInt(value, 10))).optional(),
+  // Query strings are converted to numbers, so the bounds apply to them too
+  page: Joi.number().integer().min(1).optional(),
+  limit: Joi.number().integer().min(1).max(1000).optional(),
   sortBy: Joi.string().valid('timestamp', 'sensor_id', 'reading_type', 'value').optional(),
   sortOrder: Joi.string().valid('asc', 'desc').optional()
 });
@@ -26,30 +44,291 @@ const queryParamsSchema = Joi.object({
   startDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
   endDate: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional(),
   anomalous: Joi.boolean().optional(),
+  anomaly_type: Joi.string().valid('range_violation', 'statistical_outlier', 'temporal_anomaly').optional(),
   minValue: Joi.number().optional(),
-  maxValue: Joi.number().optional()
+  maxValue: Joi.number().optional(),
+  field: Joi.string().optional(),
+  bbox: Joi.string().optional(),
+  polygon: Joi.string().optional(),
+  source: Joi.string().valid('database', 'parquet').optional()
 }).concat(paginationSchema);
 
+// Anomalies are always the flagged readings, so only anomalous=true makes sense
+const anomalyQuerySchema = queryParamsSchema.keys({
+  anomalous: Joi.boolean().valid(true).optional()
+});
+
+const calibrationCurveSchema = Joi.object({
+  type: Joi.string().valid('linear', 'polynomial', 'lookup').default('linear'),
+  multiplier: Joi.number().when('type', { is: 'linear', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  offset: Joi.number().when('type', { is: 'linear', then: Joi.optional(), otherwise: Joi.forbidden() }),
+  coefficients: Joi.array().items(Joi.number()).min(1).when('type', { is: 'polynomial', then: Joi.required(), otherwise: Joi.forbidden() }),
+  points: Joi.array().items(Joi.array().ordered(Joi.number().required(), Joi.number().required())).min(2)
+    .when('type', { is: 'lookup', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const calibrationClampSchema = Joi.object({
+  min: Joi.number().optional(),
+  max: Joi.number().optional()
+}).allow(null);
+
+const calibrationSchema = Joi.object({
+  reading_type: Joi.string().valid('temperature', 'humidity', 'soil_moisture', 'light_intensity', 'battery_level').required(),
+  sensor_id: Joi.string().optional(),
+  field: Joi.string().optional(),
+  curve: calibrationCurveSchema.required(),
+  clamp: calibrationClampSchema.optional(),
+  valid_from: Joi.string().isoDate().optional(),
+  valid_to: Joi.string().isoDate().optional(),
+  description: Joi.string().allow('').optional()
+});
+
+const calibrationUpdateSchema = Joi.object({
+  curve: calibrationCurveSchema.optional(),
+  clamp: calibrationClampSchema.optional(),
+  valid_from: Joi.string().isoDate().optional(),
+  valid_to: Joi.string().isoDate().allow(null).optional(),
+  description: Joi.string().allow('').optional()
+}).min(1);
+
+const cronExpression = Joi.string().custom((value, helpers) => {
+  return cron.validate(value) ? value : helpers.message('"cron" must be a valid cron expression');
+});
+
+const timezone = Joi.string().custom((value, helpers) => {
+  return moment.tz.zone(value) ? value : helpers.message('"timezone" must be a valid IANA timezone');
+});
+
+const aggregationQuerySchema = Joi.object({
+  interval: Joi.string().pattern(/^[1-9]\d*(s|m|h|d|w|M)$/).default('1h')
+    .messages({ 'string.pattern.base': '"interval" must be a number followed by s, m, h, d, w or M (e.g. 15m, 1h, 1d, 1w, 1M)' }),
+  timezone: timezone.default('UTC'),
+  functions: Joi.list().items(Joi.string().valid('avg', 'min', 'max', 'sum', 'count', 'first', 'last', 'stddev', 'percentile')).min(1).optional(),
+  percentiles: Joi.list().items(Joi.number().min(0).max(100)).min(1).optional(),
+  groupBy: Joi.list().items(Joi.string().valid('sensor', 'field', 'reading_type')).unique().optional(),
+  sensor_id: Joi.string().optional(),
+  reading_type: Joi.string().valid('temperature', 'humidity', 'soil_moisture', 'light_intensity', 'battery_level').optional(),
+  field: Joi.string().optional(),
+  startDate: Joi.string().isoDate().optional(),
+  endDate: Joi.string().isoDate().optional()
+});
+
+const scheduleDateRangeSchema = Joi.object({
+  strategy: Joi.string().valid('all', 'today', 'yesterday', 'last_n_days').required(),
+  days: Joi.number().integer().min(1).max(365).when('strategy', { is: 'last_n_days', then: Joi.required(), otherwise: Joi.forbidden() })
+});
+
+const scheduleSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64).required(),
+  cron: cronExpression.required(),
+  timezone: timezone.optional(),
+  date_range: scheduleDateRangeSchema.optional(),
+  force_reprocess: Joi.boolean().optional(),
+  enabled: Joi.boolean().optional(),
+  description: Joi.string().allow('').optional()
+});
+
+const scheduleUpdateSchema = Joi.object({
+  cron: cronExpression.optional(),
+  timezone: timezone.optional(),
+  date_range: scheduleDateRangeSchema.optional(),
+  force_reprocess: Joi.boolean().optional(),
+  enabled: Joi.boolean().optional(),
+  description: Joi.string().allow('').optional()
+}).min(1);
+
+const readingType = Joi.string().valid('temperature', 'humidity', 'soil_moisture', 'light_intensity', 'battery_level');
+
+const reportMetricSchema = Joi.object({
+  aggregate: Joi.string().valid('avg', 'min', 'max', 'sum', 'count', 'first', 'last', 'stddev', 'percentile').required(),
+  reading_type: readingType.optional(),
+  percentile: Joi.number().min(0).max(100).when('aggregate', { is: 'percentile', then: Joi.required(), otherwise: Joi.forbidden() }),
+  as: Joi.string().pattern(/^[A-Za-z0-9_]+$/).max(64).optional()
+});
+
+const reportSectionSchema = Joi.object({
+  type: Joi.string().valid('table', 'summary', 'anomalies').required(),
+  title: Joi.string().allow('').optional(),
+  limit: Joi.number().integer().min(1).max(1000).when('type', { is: 'anomalies', otherwise: Joi.forbidden() })
+});
+
+const customReportSchema = Joi.object({
+  name: Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64).when('save', { is: true, then: Joi.required() }),
+  title: Joi.string().allow('').optional(),
+  description: Joi.string().allow('').optional(),
+  filters: Joi.object({
+    sensor_id: Joi.string().optional(),
+    reading_type: readingType.optional(),
+    field: Joi.string().optional(),
+    startDate: Joi.string().isoDate().optional(),
+    endDate: Joi.string().isoDate().optional(),
+    date_range: scheduleDateRangeSchema.optional()
+  }).default({}),
+  metrics: Joi.array().items(reportMetricSchema).min(1).required(),
+  groupBy: Joi.array().items(Joi.string().valid('sensor', 'field', 'reading_type')).unique().optional(),
+  bucket: Joi.object({
+    interval: Joi.string().pattern(/^[1-9]\d*(s|m|h|d|w|M)$/).required()
+      .messages({ 'string.pattern.base': '"interval" must be a number followed by s, m, h, d, w or M (e.g. 15m, 1h, 1d, 1w, 1M)' }),
+    timezone: timezone.default('UTC')
+  }).optional(),
+  sections: Joi.array().items(reportSectionSchema).min(1).default([{ type: 'table' }, { type: 'summary' }]),
+  save: Joi.boolean().default(false)
+});
+
+const reportFormat = Joi.string().valid('json', 'csv', 'html', 'pdf');
+
+const analyticsReportSchema = Joi.object({
+  sensor_id: Joi.string().optional(),
+  reading_type: readingType.optional(),
+  field: Joi.string().optional(),
+  startDate: Joi.string().isoDate().optional(),
+  endDate: Joi.string().isoDate().optional(),
+  timezone: timezone.optional(),
+  correlationIntervalMinutes: Joi.number().integer().min(1).max(1440).optional(),
+  significance: Joi.number().greater(0).less(1).optional(),
+  format: reportFormat.optional()
+});
+
+const summaryReportSchema = Joi.object({
+  sensor_id: Joi.string().optional(),
+  reading_type: readingType.optional(),
+  field: Joi.string().optional(),
+  startDate: Joi.string().isoDate().optional(),
+  endDate: Joi.string().isoDate().optional(),
+  inactiveAfterHours: Joi.number().positive().optional(),
+  format: reportFormat.optional()
+});
+
+const customReportRunSchema = Joi.object({
+  startDate: Joi.string().isoDate().optional(),
+  endDate: Joi.string().isoDate().optional()
+});
+
+const reportListSchema = Joi.object({
+  type: Joi.string().valid('quality', 'processing', 'coverage', 'anomaly', 'analytics', 'summary', 'custom').optional(),
+  created_by: Joi.string().optional(),
+  startDate: Joi.string().isoDate().optional(),
+  endDate: Joi.string().isoDate().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(1000).default(50)
+});
+
+const fieldId = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64);
+
+const fieldGeometry = Joi.object({
+  type: Joi.string().valid(...GeoUtils.GEOMETRY_TYPES).required(),
+  coordinates: Joi.array().required()
+}).unknown(true).custom((value, helpers) => {
+  const problem = GeoUtils.validateGeometry(value);
+  return problem ? helpers.message(`"geometry" ${problem.replace(/^geometry /, '')}`) : value;
+});
+
+const fieldSchema = Joi.object({
+  field_id: fieldId.required(),
+  name: Joi.string().optional(),
+  farm: Joi.string().optional(),
+  crop_type: Joi.string().optional(),
+  geometry: fieldGeometry.optional(),
+  area_hectares: Joi.number().positive().optional(),
+  description: Joi.string().allow('').optional()
+});
+
+const fieldUpdateSchema = Joi.object({
+  name: Joi.string().optional(),
+  farm: Joi.string().allow(null).optional(),
+  crop_type: Joi.string().allow(null).optional(),
+  geometry: fieldGeometry.allow(null).optional(),
+  area_hectares: Joi.number().positive().allow(null).optional(),
+  description: Joi.string().allow('', null).optional()
+}).min(1);
+
+const fieldAssignmentSchema = Joi.object({
+  sensor_id: Joi.string().required(),
+  valid_from: Joi.string().isoDate().optional(),
+  valid_to: Joi.string().isoDate().optional()
+});
+
+const profileId = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(64);
+
+const mappingColumnsSchema = Joi.object({
+  sensor_id: Joi.string().optional(),
+  timestamp: Joi.string().optional(),
+  reading_type: Joi.string().optional(),
+  value: Joi.string().optional(),
+  unit: Joi.string().optional(),
+  field: Joi.string().optional(),
+  latitude: Joi.string().optional(),
+  longitude: Joi.string().optional(),
+  battery_level: Joi.string().optional(),
+  signal_strength: Joi.string().optional()
+});
+
+const mappingDefaultsSchema = Joi.object({
+  sensor_id: Joi.string().optional(),
+  reading_type: readingType.optional(),
+  unit: Joi.string().optional(),
+  field: Joi.string().optional()
+});
+
+const mappingProfileFields = {
+  name: Joi.string().optional(),
+  file_patterns: Joi.array().items(Joi.string()).min(1),
+  delimiter: Joi.string().length(1).allow(null).optional(),
+  columns: mappingColumnsSchema,
+  defaults: mappingDefaultsSchema.optional(),
+  units: Joi.object().pattern(readingType, Joi.string()).optional(),
+  timestamp_format: Joi.string().allow(null).optional(),
+  timezone: timezone.optional(),
+  wide: Joi.object().pattern(Joi.string(), readingType).min(1).allow(null).optional(),
+  description: Joi.string().allow('', null).optional()
+};
+
+const mappingProfileSchema = Joi.object({
+  profile_id: profileId.required(),
+  ...mappingProfileFields,
+  file_patterns: mappingProfileFields.file_patterns.required(),
+  columns: mappingColumnsSchema.required()
+});
+
+const mappingProfileUpdateSchema = Joi.object({
+  ...mappingProfileFields,
+  file_patterns: mappingProfileFields.file_patterns.optional(),
+  columns: mappingColumnsSchema.optional()
+}).min(1);
+
+// Ids of file-backed resources become file names, so they are plain words
+const resourceId = Joi.string().pattern(/^[A-Za-z0-9_-]+$/).max(128)
+  .messages({ 'string.pattern.base': '{{#label}} may only contain letters, digits, _ and -' });
+
+// Route parameters schema for the given id parameters
+const idParamsSchema = (...names) => Joi.object(Object.fromEntries(names.map(name => [name, resourceId.required()])));
+
+function toValidationError(error) {
+  const validationError = new Error('Validation Error');
+  validationError.name = 'ValidationError';
+  validationError.details = error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message
+  }));
+  return validationError;
+}
+
 const validate = (schema) => {
   return (req, res, next) => {
-    const { error, value } = schema.validate(req.body || req.query, { 
+    // GET requests carry their parameters in the query string
+    const source = req.method === 'GET' ? req.query : (req.body || req.query);
+    const { error, value } = schema.validate(source, { 
       abortEarly: false,
       stripUnknown: true,
       allowUnknown: false
     });
 
     if (error) {
-      const validationError = new Error('Validation Error');
-      validationError.name = 'ValidationError';
-      validationError.details = error.details.map(detail => ({
-        field: detail.path.join('.'),
-        message: detail.message
-      }));
-      return next(validationError);
+      return next(toValidationError(error));
     }
 
     // Merge validated values back to request
-    if (req.body && Object.keys(req.body).length > 0) {
+    if (req.method !== 'GET' && req.body && Object.keys(req.body).length > 0) {
       req.body = value;
     } else {
       req.query = value;
@@ -59,10 +338,39 @@ const validate = (schema) => {
   };
 };
 
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error } = schema.validate(req.params, { abortEarly: false, allowUnknown: true });
+    if (error) {
+      return next(toValidationError(error));
+    }
+    next();
+  };
+};
+
 module.exports = {
   sensorDataSchema,
   dateRangeSchema,
+  pipelineRunSchema,
   paginationSchema,
   queryParamsSchema,
-  validate
+  anomalyQuerySchema,
+  aggregationQuerySchema,
+  calibrationSchema,
+  calibrationUpdateSchema,
+  scheduleSchema,
+  scheduleUpdateSchema,
+  analyticsReportSchema,
+  summaryReportSchema,
+  customReportSchema,
+  customReportRunSchema,
+  reportListSchema,
+  fieldSchema,
+  fieldUpdateSchema,
+  fieldAssignmentSchema,
+  mappingProfileSchema,
+  mappingProfileUpdateSchema,
+  idParamsSchema,
+  validate,
+  validateParams
 };
@@ -0,0 +1,51 @@
+/**
+ * sensor_data as originally shipped: one row per reading with a surrogate id
+ */
+module.exports = {
+  description: 'Create the sensor_data table',
+
+  async up(db) {
+    if (db.dbType === 'duckdb') {
+      await db.execute('CREATE SEQUENCE IF NOT EXISTS sensor_data_seq START 1');
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS sensor_data (
+          id BIGINT PRIMARY KEY DEFAULT nextval('sensor_data_seq'),
+          sensor_id VARCHAR,
+          timestamp TIMESTAMP,
+          reading_type VARCHAR,
+          value DOUBLE,
+          unit VARCHAR,
+          field VARCHAR,
+          latitude DOUBLE,
+          longitude DOUBLE,
+          battery_level INTEGER,
+          signal_strength INTEGER,
+          data_quality VARCHAR,
+          processed_timestamp TIMESTAMP,
+          quality_score INTEGER,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    } else {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS sensor_data (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          sensor_id TEXT,
+          timestamp TEXT,
+          reading_type TEXT,
+          value REAL,
+          unit TEXT,
+          field TEXT,
+          latitude REAL,
+          longitude REAL,
+          battery_level INTEGER,
+          signal_strength INTEGER,
+          data_quality TEXT,
+          processed_timestamp TEXT,
+          quality_score INTEGER,
+          created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  }
+};
@@ -0,0 +1,25 @@
+// Column -> type per backend
+const COLUMNS = {
+  is_anomalous: { duckdb: 'BOOLEAN DEFAULT FALSE', sqlite: 'INTEGER DEFAULT 0' },
+  anomaly_type: { duckdb: 'VARCHAR', sqlite: 'TEXT' },
+  anomaly_score: { duckdb: 'DOUBLE', sqlite: 'REAL' },
+  anomaly_reason: { duckdb: 'VARCHAR', sqlite: 'TEXT' }
+};
+
+/**
+ * Anomaly flags written by the transformation stage. Tables created by
+ * earlier releases may already have some of the columns.
+ */
+module.exports = {
+  description: 'Add the anomaly columns to sensor_data',
+
+  async up(db) {
+    const existing = await db.tableColumns('sensor_data');
+
+    for (const [name, types] of Object.entries(COLUMNS)) {
+      if (!existing.includes(name)) {
+        await db.execute(`ALTER TABLE sensor_data ADD COLUMN ${name} ${types[db.dbType]}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,21 @@
+/**
+ * Unique index on the natural key of a reading (sensor_id, reading_type,
+ * timestamp), which insertData's upsert and skip-duplicates modes rely on.
+ * Readings stored twice before the key existed are reduced to the first
+ * stored copy.
+ */
+module.exports = {
+  description: 'Remove repeated readings and enforce the sensor_data natural key',
+
+  async up(db) {
+    await db.execute(`
+      DELETE FROM sensor_data WHERE id NOT IN (
+        SELECT MIN(id) FROM sensor_data GROUP BY sensor_id, reading_type, timestamp
+      )
+    `);
+    await db.execute(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sensor_data_natural_key
+      ON sensor_data (sensor_id, reading_type, timestamp)
+    `);
+  }
+};
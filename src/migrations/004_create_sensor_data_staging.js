@@ -0,0 +1,30 @@
+/**
+ * Raw readings staged by ingestion until the transformation stage picks them
+ * up, one JSON record per row
+ */
+module.exports = {
+  description: 'Create the sensor_data_staging table',
+
+  async up(db) {
+    if (db.dbType === 'duckdb') {
+      await db.execute('CREATE SEQUENCE IF NOT EXISTS sensor_data_staging_seq START 1');
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS sensor_data_staging (
+          id BIGINT PRIMARY KEY DEFAULT nextval('sensor_data_staging_seq'),
+          source_file VARCHAR,
+          record VARCHAR,
+          staged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    } else {
+      await db.execute(`
+        CREATE TABLE IF NOT EXISTS sensor_data_staging (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          source_file TEXT,
+          record TEXT,
+          staged_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    }
+  }
+};
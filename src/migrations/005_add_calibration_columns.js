@@ -0,0 +1,23 @@
+// Column -> type per backend
+const COLUMNS = {
+  calibrated_value: { duckdb: 'DOUBLE', sqlite: 'REAL' },
+  calibration_id: { duckdb: 'VARCHAR', sqlite: 'TEXT' }
+};
+
+/**
+ * Calibrated value and the calibration version that produced it, written by
+ * the transformation stage next to the raw value
+ */
+module.exports = {
+  description: 'Add the calibration columns to sensor_data',
+
+  async up(db) {
+    const existing = await db.tableColumns('sensor_data');
+
+    for (const [name, types] of Object.entries(COLUMNS)) {
+      if (!existing.includes(name)) {
+        await db.execute(`ALTER TABLE sensor_data ADD COLUMN ${name} ${types[db.dbType]}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,144 @@
+const express = require('express');
+const router = express.Router();
+const CalibrationController = require('../controllers/calibrationController');
+const { validate, validateParams, idParamsSchema, calibrationSchema, calibrationUpdateSchema } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/calibration:
+ *   get:
+ *     summary: List calibration versions
+ *     tags: [Calibration]
+ *     parameters:
+ *       - in: query
+ *         name: reading_type
+ *         schema:
+ *           type: string
+ *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only versions in force at this time
+ *     responses:
+ *       200:
+ *         description: Calibration versions and the config.yaml defaults per reading type
+ */
+router.get('/', CalibrationController.listCalibrations);
+
+/**
+ * @swagger
+ * /api/calibration:
+ *   post:
+ *     summary: Add a calibration version
+ *     description: An earlier open-ended version for the same reading type, sensor and field is closed at the new valid_from.
+ *     tags: [Calibration]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Calibration'
+ *     responses:
+ *       201:
+ *         description: Calibration created
+ *       400:
+ *         description: Invalid calibration definition
+ */
+router.post('/', validate(calibrationSchema), CalibrationController.createCalibration);
+
+/**
+ * @swagger
+ * /api/calibration/{calibration_id}:
+ *   get:
+ *     summary: Get a calibration version
+ *     tags: [Calibration]
+ *     parameters:
+ *       - in: path
+ *         name: calibration_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calibration version
+ *       400:
+ *         description: Invalid calibration id
+ *       404:
+ *         description: Calibration not found
+ */
+router.get('/:calibration_id', validateParams(idParamsSchema('calibration_id')), CalibrationController.getCalibration);
+
+/**
+ * @swagger
+ * /api/calibration/{calibration_id}:
+ *   put:
+ *     summary: Update a calibration version
+ *     tags: [Calibration]
+ *     parameters:
+ *       - in: path
+ *         name: calibration_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               curve:
+ *                 type: object
+ *               clamp:
+ *                 type: object
+ *               valid_from:
+ *                 type: string
+ *                 format: date-time
+ *               valid_to:
+ *                 type: string
+ *                 format: date-time
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Calibration updated
+ *       400:
+ *         description: Invalid calibration id
+ *       404:
+ *         description: Calibration not found
+ */
+router.put('/:calibration_id', validateParams(idParamsSchema('calibration_id')), validate(calibrationUpdateSchema), CalibrationController.updateCalibration);
+
+/**
+ * @swagger
+ * /api/calibration/{calibration_id}:
+ *   delete:
+ *     summary: Delete a calibration version
+ *     tags: [Calibration]
+ *     parameters:
+ *       - in: path
+ *         name: calibration_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Calibration deleted
+ *       400:
+ *         description: Invalid calibration id
+ *       404:
+ *         description: Calibration not found
+ */
+router.delete('/:calibration_id', validateParams(idParamsSchema('calibration_id')), CalibrationController.deleteCalibration);
+
+module.exports = router;
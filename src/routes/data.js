@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const DataController = require('../controllers/dataController');
-const { validate, queryParamsSchema, sensorDataSchema } = require('../middleware/validation');
+const { validate, queryParamsSchema, anomalyQuerySchema, aggregationQuerySchema } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -34,10 +34,34 @@ const { validate, queryParamsSchema, sensorDataSchema } = require('../middleware
  *           pattern: '^\d{4}-\d{2}-\d{2}$'
  *         description: End date filter (YYYY-MM-DD)
  *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Readings recorded in this field, plus, for a registered field
+ *           (see /api/fields), readings from sensors while they were assigned to it
+ *       - in: query
+ *         name: bbox
+ *         schema:
+ *           type: string
+ *           example: '77.58,12.96,77.61,12.99'
+ *         description: Only readings whose coordinates fall in minLon,minLat,maxLon,maxLat
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *         description: Only readings whose coordinates fall inside this GeoJSON Polygon or MultiPolygon (URL-encoded JSON)
+ *       - in: query
  *         name: anomalous
  *         schema:
  *           type: boolean
- *         description: Filter anomalous readings only
+ *         description: Only readings flagged (true) or not flagged (false) as anomalous during transformation
+ *       - in: query
+ *         name: anomaly_type
+ *         schema:
+ *           type: string
+ *           enum: [range_violation, statistical_outlier, temporal_anomaly]
+ *         description: Filter by the reading's most severe anomaly type
  *       - in: query
  *         name: minValue
  *         schema:
@@ -77,6 +101,13 @@ const { validate, queryParamsSchema, sensorDataSchema } = require('../middleware
  *           enum: [asc, desc]
  *           default: desc
  *         description: Sort order
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [database, parquet]
+ *           default: database
+ *         description: Read from the database or directly from the date-partitioned Parquet output
  *     responses:
  *       200:
  *         description: Query results
@@ -100,8 +131,10 @@ const { validate, queryParamsSchema, sensorDataSchema } = require('../middleware
  *                       type: integer
  *                     pages:
  *                       type: integer
+ *       400:
+ *         description: Invalid query parameters
  */
-router.get('/query', DataController.queryData);
+router.get('/query', validate(queryParamsSchema), DataController.queryData);
 
 /**
  * @swagger
@@ -167,11 +200,84 @@ router.get('/sensors', DataController.getSensors);
  */
 router.get('/sensors/:sensor_id/summary', DataController.getSensorSummary);
 
+/**
+ * @swagger
+ * /api/data/aggregations:
+ *   get:
+ *     summary: Get time-bucketed aggregations
+ *     description: >
+ *       Buckets readings by a fixed interval on the wall clock of the given timezone and
+ *       computes the requested aggregate functions per bucket (and group) in the database.
+ *       Weekly buckets start on Monday. Each row's bucket is the bucket start with the timezone's offset.
+ *     tags: [Data]
+ *     parameters:
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           pattern: '^[1-9]\d*(s|m|h|d|w|M)$'
+ *           default: 1h
+ *         description: Bucket width, a number followed by s, m, h, d, w or M (months), e.g. 15m, 1h, 1d, 1w, 1M or 6h
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA timezone the buckets are aligned to, e.g. Asia/Kolkata
+ *       - in: query
+ *         name: functions
+ *         schema:
+ *           type: string
+ *           default: avg,min,max,count
+ *         description: Comma-separated aggregate functions (avg, min, max, sum, count, first, last, stddev, percentile)
+ *       - in: query
+ *         name: percentiles
+ *         schema:
+ *           type: string
+ *           default: '50'
+ *         description: Comma-separated percentiles (0-100) returned as p<N> columns when functions includes percentile
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *         description: Comma-separated grouping dimensions (sensor, field, reading_type)
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reading_type
+ *         schema:
+ *           type: string
+ *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *         description: Start date or ISO timestamp (date-only values are UTC days)
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *         description: End date or ISO timestamp (date-only values include the whole UTC day)
+ *     responses:
+ *       200:
+ *         description: One row per bucket (and group) with the requested statistics
+ *       400:
+ *         description: Invalid interval, timezone, function or grouping
+ */
+router.get('/aggregations', validate(aggregationQuerySchema), DataController.getAggregations);
+
 /**
  * @swagger
  * /api/data/aggregations/daily:
  *   get:
  *     summary: Get daily aggregations
+ *     description: Computed with a GROUP BY in the database. Each row has count, min, max, avg, sum, stddev, median, p10, p90 and anomaly_count for one day (and group).
  *     tags: [Data]
  *     parameters:
  *       - in: query
@@ -181,6 +287,22 @@ router.get('/sensors/:sensor_id/summary', DataController.getSensorSummary);
  *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
  *         description: Reading type to aggregate
  *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *         description: Filter by sensor ID
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *         description: Filter by field
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [sensor, field, reading_type]
+ *         description: Split each day's statistics by sensor, field or reading type
+ *       - in: query
  *         name: startDate
  *         schema:
  *           type: string
@@ -195,6 +317,8 @@ router.get('/sensors/:sensor_id/summary', DataController.getSensorSummary);
  *     responses:
  *       200:
  *         description: Daily aggregation results
+ *       400:
+ *         description: Unsupported groupBy
  */
 router.get('/aggregations/daily', DataController.getDailyAggregations);
 
@@ -229,6 +353,12 @@ router.get('/aggregations/daily', DataController.getDailyAggregations);
  *           pattern: '^\d{4}-\d{2}-\d{2}$'
  *         description: End date filter
  *       - in: query
+ *         name: anomaly_type
+ *         schema:
+ *           type: string
+ *           enum: [range_violation, statistical_outlier, temporal_anomaly]
+ *         description: Filter by the reading's most severe anomaly type
+ *       - in: query
  *         name: page
  *         schema:
  *           type: integer
@@ -243,9 +373,11 @@ router.get('/aggregations/daily', DataController.getDailyAggregations);
  *           default: 100
  *     responses:
  *       200:
- *         description: Anomalous readings
+ *         description: Readings flagged as anomalous during transformation, with anomaly_type, anomaly_score and anomaly_reason
+ *       400:
+ *         description: Invalid query parameters
  */
-router.get('/anomalies', DataController.getAnomalies);
+router.get('/anomalies', validate(anomalyQuerySchema), DataController.getAnomalies);
 
 /**
  * @swagger
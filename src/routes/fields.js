@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+const FieldController = require('../controllers/fieldController');
+const { validate, validateParams, idParamsSchema, fieldSchema, fieldUpdateSchema, fieldAssignmentSchema } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/fields:
+ *   get:
+ *     summary: List registered fields
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: query
+ *         name: farm
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: crop_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *         description: Only fields this sensor has been assigned to
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: With sensor_id, only the field the sensor was assigned to at this time
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *         description: geojson returns a FeatureCollection of the field boundaries
+ *     responses:
+ *       200:
+ *         description: Fields
+ */
+router.get('/', FieldController.listFields);
+
+/**
+ * @swagger
+ * /api/fields:
+ *   post:
+ *     summary: Register a field
+ *     description: >
+ *       The field_id is the value readings carry in their `field` column. The
+ *       area is computed from the boundary polygon unless area_hectares is given.
+ *     tags: [Fields]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Field'
+ *     responses:
+ *       201:
+ *         description: Field created
+ *       400:
+ *         description: Invalid field definition
+ *       409:
+ *         description: Field already exists
+ */
+router.post('/', validate(fieldSchema), FieldController.createField);
+
+/**
+ * @swagger
+ * /api/fields/{field_id}:
+ *   get:
+ *     summary: Get a field with its sensor assignments
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: field_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, geojson]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Field
+ *       400:
+ *         description: Invalid field id
+ *       404:
+ *         description: Field not found
+ */
+router.get('/:field_id', validateParams(idParamsSchema('field_id')), FieldController.getField);
+
+/**
+ * @swagger
+ * /api/fields/{field_id}:
+ *   put:
+ *     summary: Update a field
+ *     description: A new geometry recomputes the area unless area_hectares is given with it.
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: field_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               farm:
+ *                 type: string
+ *               crop_type:
+ *                 type: string
+ *               geometry:
+ *                 type: object
+ *               area_hectares:
+ *                 type: number
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Field updated
+ *       400:
+ *         description: Invalid field id
+ *       404:
+ *         description: Field not found
+ */
+router.put('/:field_id', validateParams(idParamsSchema('field_id')), validate(fieldUpdateSchema), FieldController.updateField);
+
+/**
+ * @swagger
+ * /api/fields/{field_id}:
+ *   delete:
+ *     summary: Delete a field and its sensor assignments
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: field_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Field deleted
+ *       400:
+ *         description: Invalid field id
+ *       404:
+ *         description: Field not found
+ */
+router.delete('/:field_id', validateParams(idParamsSchema('field_id')), FieldController.deleteField);
+
+/**
+ * @swagger
+ * /api/fields/{field_id}/sensors:
+ *   post:
+ *     summary: Assign a sensor to the field
+ *     description: >
+ *       The assignment starts at valid_from (default now). The sensor's earlier
+ *       open-ended assignment, in this or another field, ends there; the new one
+ *       ends where a later assignment of the sensor begins.
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: field_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [sensor_id]
+ *             properties:
+ *               sensor_id:
+ *                 type: string
+ *               valid_from:
+ *                 type: string
+ *                 format: date-time
+ *               valid_to:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Sensor assigned
+ *       400:
+ *         description: Invalid assignment
+ *       404:
+ *         description: Field not found
+ */
+router.post('/:field_id/sensors', validateParams(idParamsSchema('field_id')), validate(fieldAssignmentSchema), FieldController.assignSensor);
+
+/**
+ * @swagger
+ * /api/fields/{field_id}/sensors/{sensor_id}:
+ *   delete:
+ *     summary: End a sensor's assignment to the field
+ *     tags: [Fields]
+ *     parameters:
+ *       - in: path
+ *         name: field_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: sensor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: When the assignment ends (default now)
+ *     responses:
+ *       200:
+ *         description: Assignment ended
+ *       400:
+ *         description: Invalid field id
+ *       404:
+ *         description: The sensor is not assigned to the field at that time
+ */
+router.delete('/:field_id/sensors/:sensor_id', validateParams(idParamsSchema('field_id')), FieldController.unassignSensor);
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const MappingProfileController = require('../controllers/mappingProfileController');
+const { validate, validateParams, idParamsSchema, mappingProfileSchema, mappingProfileUpdateSchema } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * /api/mapping-profiles:
+ *   get:
+ *     summary: List column-mapping profiles for raw CSV/TSV and JSON Lines files
+ *     tags: [Mapping Profiles]
+ *     responses:
+ *       200:
+ *         description: Mapping profiles
+ */
+router.get('/', MappingProfileController.listProfiles);
+
+/**
+ * @swagger
+ * /api/mapping-profiles:
+ *   post:
+ *     summary: Save a column-mapping profile
+ *     description: >
+ *       The profile applies to raw files whose name matches one of its
+ *       file_patterns. A wide profile maps one column per reading type and
+ *       unpivots each row into one reading per non-empty cell.
+ *     tags: [Mapping Profiles]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MappingProfile'
+ *     responses:
+ *       201:
+ *         description: Mapping profile created
+ *       400:
+ *         description: Invalid mapping profile
+ *       409:
+ *         description: Mapping profile already exists
+ */
+router.post('/', validate(mappingProfileSchema), MappingProfileController.createProfile);
+
+/**
+ * @swagger
+ * /api/mapping-profiles/{profile_id}:
+ *   get:
+ *     summary: Get a mapping profile
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: profile_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mapping profile
+ *       400:
+ *         description: Invalid profile id
+ *       404:
+ *         description: Mapping profile not found
+ */
+router.get('/:profile_id', validateParams(idParamsSchema('profile_id')), MappingProfileController.getProfile);
+
+/**
+ * @swagger
+ * /api/mapping-profiles/{profile_id}:
+ *   put:
+ *     summary: Update a mapping profile
+ *     description: Given attributes replace the saved ones; files ingested from now on use the new mapping.
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: profile_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MappingProfile'
+ *     responses:
+ *       200:
+ *         description: Mapping profile updated
+ *       400:
+ *         description: Invalid profile id or mapping profile
+ *       404:
+ *         description: Mapping profile not found
+ */
+router.put('/:profile_id', validateParams(idParamsSchema('profile_id')), validate(mappingProfileUpdateSchema), MappingProfileController.updateProfile);
+
+/**
+ * @swagger
+ * /api/mapping-profiles/{profile_id}:
+ *   delete:
+ *     summary: Delete a mapping profile
+ *     tags: [Mapping Profiles]
+ *     parameters:
+ *       - in: path
+ *         name: profile_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Mapping profile deleted
+ *       400:
+ *         description: Invalid profile id
+ *       404:
+ *         description: Mapping profile not found
+ */
+router.delete('/:profile_id', validateParams(idParamsSchema('profile_id')), MappingProfileController.deleteProfile);
+
+module.exports = router;
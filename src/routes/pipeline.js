@@ -3,7 +3,8 @@ const multer = require('multer');
 const path = require('path');
 const router = express.Router();
 const PipelineController = require('../controllers/pipelineController');
-const { validate, dateRangeSchema } = require('../middleware/validation');
+const { validate, validateParams, idParamsSchema, pipelineRunSchema, scheduleSchema, scheduleUpdateSchema } = require('../middleware/validation');
+const RawFileReader = require('../services/ingestion/rawFileReader');
 const config = require('../config/config');
 
 // Configure multer for file uploads
@@ -12,17 +13,18 @@ const storage = multer.diskStorage({
     cb(null, config.paths.rawData);
   },
   filename: function (req, file, cb) {
-    // Keep original filename or generate date-based name
     const originalName = file.originalname;
-    const ext = path.extname(originalName);
-    
+
     // If filename follows YYYY-MM-DD pattern, keep it
     if (/^\d{4}-\d{2}-\d{2}\.parquet$/.test(originalName)) {
       cb(null, originalName);
-    } else {
+    } else if (RawFileReader.describe(originalName).format === 'parquet') {
       // Generate date-based filename
       const today = new Date().toISOString().split('T')[0];
       cb(null, `${today}.parquet`);
+    } else {
+      // Logger exports keep their name, which mapping profiles match on
+      cb(null, path.basename(originalName).replace(/[^\w.-]/g, '_'));
     }
   }
 });
@@ -33,8 +35,12 @@ const upload = multer({
     fileSize: config.processing.maxFileSizeMB * 1024 * 1024 // Convert MB to bytes
   },
   fileFilter: (req, file, cb) => {
-    if (path.extname(file.originalname).toLowerCase() !== '.parquet') {
-      return cb(new Error('Only .parquet files are allowed'));
+    if (!RawFileReader.isSupported(file.originalname)) {
+      const message = `Unsupported file type: ${file.originalname}. Allowed: ${RawFileReader.supportedExtensions().join(', ')}`;
+      const error = new Error(message);
+      error.name = 'ValidationError';
+      error.details = [{ field: 'files', message }];
+      return cb(error);
     }
     cb(null, true);
   }
@@ -82,11 +88,38 @@ const upload = multer({
  */
 router.get('/status', PipelineController.getStatus);
 
+/**
+ * @swagger
+ * /api/pipeline/events:
+ *   get:
+ *     summary: Stream live pipeline progress as Server-Sent Events
+ *     description: |
+ *       Sends a `status` event with the current pipeline status on connect, then:
+ *       `run` when a full run starts or finishes (with statistics or error),
+ *       `stage` when a stage starts, completes or fails (with progress and record counts),
+ *       and `log` for each log line written while a run is in progress.
+ *       A comment line is sent every 15 seconds to keep the connection open.
+ *     tags: [Pipeline]
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ */
+router.get('/events', PipelineController.streamEvents);
+
 /**
  * @swagger
  * /api/pipeline/run:
  *   post:
  *     summary: Run the complete data pipeline
+ *     description: >
+ *       Readings are stored according to INSERT_MODE. The default, upsert,
+ *       overwrites a reading already stored under the same sensor_id,
+ *       reading_type and timestamp; skip-duplicates keeps the stored one and
+ *       append leaves the new one out and counts it as failed.
  *     tags: [Pipeline]
  *     requestBody:
  *       content:
@@ -104,16 +137,14 @@ router.get('/status', PipelineController.getStatus);
  *                 description: End date for processing (YYYY-MM-DD)
  *               forceReprocess:
  *                 type: boolean
- *                 description: Force reprocessing of already processed files
+ *                 description: Ingest raw files again even if they have an ingestion checkpoint
  *     responses:
  *       202:
- *         description: Pipeline started successfully
+ *         description: Pipeline run queued; poll status_endpoint for the job's progress
  *       400:
  *         description: Invalid request parameters
- *       409:
- *         description: Pipeline is already running
  */
-router.post('/run', validate(dateRangeSchema), PipelineController.runPipeline);
+router.post('/run', validate(pipelineRunSchema), PipelineController.runPipeline);
 
 /**
  * @swagger
@@ -132,7 +163,10 @@ router.post('/run', validate(dateRangeSchema), PipelineController.runPipeline);
  *                 items:
  *                   type: string
  *                   format: binary
- *                 description: Parquet files to upload
+ *                 description: >
+ *                   Raw files to upload: Parquet, JSON, JSON Lines (.jsonl, .ndjson)
+ *                   or CSV/TSV, the text formats optionally gzip-compressed (.gz).
+ *                   Text files keep their name so that mapping profiles can match it.
  *     responses:
  *       200:
  *         description: Files uploaded successfully
@@ -159,11 +193,14 @@ router.post('/upload', upload.array('files', 10), PipelineController.uploadFiles
  *               endDate:
  *                 type: string
  *                 pattern: '^\d{4}-\d{2}-\d{2}$'
+ *               forceReprocess:
+ *                 type: boolean
+ *                 description: Ingest raw files again even if they have an ingestion checkpoint
  *     responses:
  *       200:
  *         description: Ingestion completed successfully
  */
-router.post('/ingest', validate(dateRangeSchema), PipelineController.runIngestion);
+router.post('/ingest', validate(pipelineRunSchema), PipelineController.runIngestion);
 
 /**
  * @swagger
@@ -194,10 +231,11 @@ router.post('/validate', PipelineController.runValidation);
  * /api/pipeline/stop:
  *   post:
  *     summary: Stop the currently running pipeline
+ *     description: A running queued job is cancelled, as with POST /api/pipeline/jobs/{job_id}/cancel, and ends 'cancelled' once the current stage finishes
  *     tags: [Pipeline]
  *     responses:
  *       200:
- *         description: Pipeline stopped successfully
+ *         description: Pipeline stopped successfully, with the job_id of the cancelled job
  *       400:
  *         description: No pipeline is currently running
  */
@@ -230,4 +268,384 @@ router.post('/stop', PipelineController.stopPipeline);
  */
 router.get('/logs', PipelineController.getLogs);
 
+/**
+ * @swagger
+ * /api/pipeline/runs:
+ *   get:
+ *     summary: Get recorded pipeline run history
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [completed, failed, stopped]
+ *         description: Filter runs by final status
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}$'
+ *         description: Only runs started on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}$'
+ *         description: Only runs started on or before this date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 50
+ *         description: Maximum number of runs to return (newest first)
+ *     responses:
+ *       200:
+ *         description: Pipeline runs with per-stage durations, record counts and a trend summary
+ */
+router.get('/runs', PipelineController.listRuns);
+
+/**
+ * @swagger
+ * /api/pipeline/runs/{run_id}:
+ *   get:
+ *     summary: Get a single recorded pipeline run
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: run_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pipeline run record
+ *       400:
+ *         description: Invalid run id
+ *       404:
+ *         description: Run not found
+ */
+router.get('/runs/:run_id', validateParams(idParamsSchema('run_id')), PipelineController.getRun);
+
+/**
+ * @swagger
+ * /api/pipeline/jobs:
+ *   get:
+ *     summary: List queued, running and finished pipeline jobs
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, completed, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 50
+ *         description: Maximum number of jobs to return (newest first)
+ *     responses:
+ *       200:
+ *         description: Pipeline jobs
+ */
+router.get('/jobs', PipelineController.listJobs);
+
+/**
+ * @swagger
+ * /api/pipeline/jobs/{job_id}:
+ *   get:
+ *     summary: Get a pipeline job with its progress and per-stage results
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: job_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Pipeline job
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PipelineJob'
+ *       400:
+ *         description: Invalid job id
+ *       404:
+ *         description: Job not found
+ */
+router.get('/jobs/:job_id', validateParams(idParamsSchema('job_id')), PipelineController.getJob);
+
+/**
+ * @swagger
+ * /api/pipeline/jobs/{job_id}/cancel:
+ *   post:
+ *     summary: Cancel a pipeline job
+ *     description: A queued job is cancelled immediately. A running job stops after its current stage.
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: job_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled, or cancellation requested for a running job
+ *       400:
+ *         description: Invalid job id
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job already completed or failed
+ */
+router.post('/jobs/:job_id/cancel', validateParams(idParamsSchema('job_id')), PipelineController.cancelJob);
+
+/**
+ * @swagger
+ * /api/pipeline/checkpoints:
+ *   get:
+ *     summary: List ingestion checkpoints
+ *     description: Raw files already ingested, keyed by file name and content hash. Checkpointed files are skipped on the next run unless forceReprocess is set.
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: query
+ *         name: file_name
+ *         schema:
+ *           type: string
+ *         description: Only checkpoints for this raw file
+ *     responses:
+ *       200:
+ *         description: Ingestion checkpoints, most recent first
+ */
+router.get('/checkpoints', PipelineController.listCheckpoints);
+
+/**
+ * @swagger
+ * /api/pipeline/checkpoints:
+ *   delete:
+ *     summary: Reset ingestion checkpoints
+ *     description: Forget checkpoints so the files are ingested again on the next run
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: query
+ *         name: file_name
+ *         schema:
+ *           type: string
+ *         description: Reset only this raw file (all checkpoints when omitted)
+ *     responses:
+ *       200:
+ *         description: Number of checkpoints removed
+ */
+router.delete('/checkpoints', PipelineController.resetCheckpoints);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules:
+ *   get:
+ *     summary: List pipeline schedules
+ *     tags: [Pipeline]
+ *     responses:
+ *       200:
+ *         description: Schedules with their next run time
+ */
+router.get('/schedules', PipelineController.listSchedules);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules:
+ *   post:
+ *     summary: Create a named pipeline schedule
+ *     tags: [Pipeline]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, cron]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_-]+$'
+ *               cron:
+ *                 type: string
+ *                 description: Cron expression (5 fields, or 6 with seconds)
+ *                 example: '0 2 * * *'
+ *               timezone:
+ *                 type: string
+ *                 description: IANA timezone the expression is evaluated in (defaults to scheduler.timezone)
+ *               date_range:
+ *                 type: object
+ *                 description: Date range passed to the pipeline, resolved when the schedule fires
+ *                 properties:
+ *                   strategy:
+ *                     type: string
+ *                     enum: [all, today, yesterday, last_n_days]
+ *                   days:
+ *                     type: integer
+ *                     description: Number of complete days before today (last_n_days only)
+ *               force_reprocess:
+ *                 type: boolean
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *       400:
+ *         description: Invalid schedule definition
+ *       409:
+ *         description: A schedule with this name already exists
+ */
+router.post('/schedules', validate(scheduleSchema), PipelineController.createSchedule);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules/preview:
+ *   get:
+ *     summary: Preview the next run times of a cron expression
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: query
+ *         name: cron
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming run times
+ *       400:
+ *         description: Invalid cron expression or timezone
+ */
+router.get('/schedules/preview', PipelineController.previewCron);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules/{name}:
+ *   get:
+ *     summary: Get a pipeline schedule
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule with its next run time and last run outcome
+ *       400:
+ *         description: Invalid schedule name
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/schedules/:name', validateParams(idParamsSchema('name')), PipelineController.getSchedule);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules/{name}:
+ *   put:
+ *     summary: Update a pipeline schedule
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               cron:
+ *                 type: string
+ *               timezone:
+ *                 type: string
+ *               date_range:
+ *                 type: object
+ *               force_reprocess:
+ *                 type: boolean
+ *               enabled:
+ *                 type: boolean
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       400:
+ *         description: Invalid schedule name
+ *       404:
+ *         description: Schedule not found
+ */
+router.put('/schedules/:name', validateParams(idParamsSchema('name')), validate(scheduleUpdateSchema), PipelineController.updateSchedule);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules/{name}:
+ *   delete:
+ *     summary: Delete a pipeline schedule
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *       400:
+ *         description: Invalid schedule name
+ *       404:
+ *         description: Schedule not found
+ */
+router.delete('/schedules/:name', validateParams(idParamsSchema('name')), PipelineController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/pipeline/schedules/{name}/next-runs:
+ *   get:
+ *     summary: Preview a schedule's next runs and the date range each would process
+ *     tags: [Pipeline]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: count
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming run times with resolved startDate/endDate
+ *       400:
+ *         description: Invalid schedule name
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/schedules/:name/next-runs', validateParams(idParamsSchema('name')), PipelineController.previewSchedule);
+
 module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const ReportsController = require('../controllers/reportsController');
+const { validate, validateParams, idParamsSchema, analyticsReportSchema, summaryReportSchema, customReportSchema, customReportRunSchema, reportListSchema } = require('../middleware/validation');
 
 /**
  * @swagger
@@ -25,9 +26,9 @@ const ReportsController = require('../controllers/reportsController');
  *         name: format
  *         schema:
  *           type: string
- *           enum: [json, csv]
+ *           enum: [json, csv, html, pdf]
  *           default: json
- *         description: Report format
+ *         description: Report format (html is a printable page with charts, pdf the same layout as a PDF)
  *     responses:
  *       200:
  *         description: Data quality report
@@ -72,6 +73,12 @@ router.get('/quality', ReportsController.getQualityReport);
  *         schema:
  *           type: string
  *           pattern: '^\d{4}-\d{2}-\d{2}$'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
  *     responses:
  *       200:
  *         description: Processing statistics
@@ -96,6 +103,30 @@ router.get('/processing', ReportsController.getProcessingReport);
  *           type: string
  *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
  *         description: Filter by reading type
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}$'
+ *         description: Start of the coverage period
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           pattern: '^\d{4}-\d{2}-\d{2}$'
+ *         description: End of the coverage period (inclusive)
+ *       - in: query
+ *         name: gapThresholdMinutes
+ *         schema:
+ *           type: number
+ *           minimum: 1
+ *         description: Report silences longer than this as gaps (defaults to validation.gap_threshold_minutes)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
  *     responses:
  *       200:
  *         description: Data coverage analysis
@@ -125,24 +156,437 @@ router.get('/coverage', ReportsController.getCoverageReport);
  *           type: number
  *           minimum: 0
  *           maximum: 100
- *         description: Anomaly percentage threshold
+ *         description: Anomaly percentage threshold (defaults to validation.max_anomaly_percentage)
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *         description: Filter by sensor ID
+ *       - in: query
+ *         name: reading_type
+ *         schema:
+ *           type: string
+ *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
+ *         description: Filter by reading type
+ *       - in: query
+ *         name: zThreshold
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Rolling z-score cutoff (defaults to transformation.outlier_z_threshold)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
  *     responses:
  *       200:
  *         description: Anomaly detection results
  */
 router.get('/anomalies', ReportsController.getAnomalyReport);
 
+/**
+ * @swagger
+ * /api/reports/analytics:
+ *   get:
+ *     summary: Get analytics report
+ *     description: >
+ *       Descriptive statistics, linear trends, daily-cycle seasonality and
+ *       correlations between reading types, with insights derived from them.
+ *       Returned as CSV (one row per reading type) with `format=csv` or an
+ *       `Accept: text/csv` header.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reading_type
+ *         schema:
+ *           type: string
+ *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: timezone
+ *         schema:
+ *           type: string
+ *           default: UTC
+ *         description: IANA timezone the daily cycle is measured in
+ *       - in: query
+ *         name: correlationIntervalMinutes
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1440
+ *           default: 60
+ *         description: Width of the buckets readings are aligned on before correlating
+ *       - in: query
+ *         name: significance
+ *         schema:
+ *           type: number
+ *           default: 0.05
+ *         description: p-value below which a trend or correlation is significant
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Analytics report
+ *       400:
+ *         description: Invalid report options
+ */
+router.get('/analytics', validate(analyticsReportSchema), ReportsController.getAnalyticsReport);
+
+/**
+ * @swagger
+ * /api/reports/summary:
+ *   get:
+ *     summary: Get summary report
+ *     description: >
+ *       Overview, sensor activity, data quality and key metrics for the period,
+ *       compared with the previous period of the same length when startDate is
+ *       given. Returned as CSV (one row per reading type) with `format=csv` or
+ *       an `Accept: text/csv` header.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: sensor_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reading_type
+ *         schema:
+ *           type: string
+ *           enum: [temperature, humidity, soil_moisture, light_intensity, battery_level]
+ *       - in: query
+ *         name: field
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inactiveAfterHours
+ *         schema:
+ *           type: number
+ *         description: Hours without readings after which a sensor counts as inactive (defaults to validation.sensor_inactive_hours)
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Summary report
+ *       400:
+ *         description: Invalid report options
+ */
+router.get('/summary', validate(summaryReportSchema), ReportsController.getSummaryReport);
+
 /**
  * @swagger
  * /api/reports/list:
  *   get:
- *     summary: Get list of generated reports
+ *     summary: Page through the report catalogue
+ *     description: >
+ *       Every generated report is recorded in a catalogue with its type,
+ *       request parameters, period, size and creator (the X-Requested-By
+ *       header of the request that generated it, otherwise `api`). Newest first.
  *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [quality, processing, coverage, anomaly, analytics, summary, custom]
+ *       - in: query
+ *         name: created_by
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only reports generated on or after this date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only reports generated on or before this date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 50
  *     responses:
  *       200:
- *         description: List of available reports
+ *         description: Catalogue entries with pagination
+ *       400:
+ *         description: Invalid filters
  */
-router.get('/list', ReportsController.listReports);
+router.get('/list', validate(reportListSchema), ReportsController.listReports);
+
+/**
+ * @swagger
+ * /api/reports/retention:
+ *   post:
+ *     summary: Apply the report retention policy now
+ *     description: >
+ *       Deletes reports beyond the newest `max_count` of their type or older
+ *       than `max_age_days` (reports.retention in config.yaml). The policy is
+ *       also applied after every report is saved and on the retention cron.
+ *     tags: [Reports]
+ *     responses:
+ *       200:
+ *         description: IDs of the deleted reports
+ */
+router.post('/retention', ReportsController.enforceRetention);
+
+/**
+ * @swagger
+ * /api/reports/custom:
+ *   post:
+ *     summary: Run a custom report definition
+ *     description: >
+ *       The definition is compiled into aggregation queries, one per reading
+ *       type used by the metrics. Each metric becomes a result column named
+ *       `<aggregate>_<reading_type>` (e.g. avg_temperature, p90_humidity)
+ *       unless it sets `as`. The generated report is saved like the built-in
+ *       reports; with `save: true` the definition is also stored under its name.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
+ *         description: CSV returns the first table section (or the summary values)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [metrics]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 pattern: '^[A-Za-z0-9_-]+$'
+ *                 description: Required when save is true
+ *               title:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               filters:
+ *                 type: object
+ *                 properties:
+ *                   sensor_id:
+ *                     type: string
+ *                   reading_type:
+ *                     type: string
+ *                   field:
+ *                     type: string
+ *                   startDate:
+ *                     type: string
+ *                   endDate:
+ *                     type: string
+ *                   date_range:
+ *                     type: object
+ *                     description: Relative range resolved on every run (ignored when startDate or endDate is set)
+ *                     properties:
+ *                       strategy:
+ *                         type: string
+ *                         enum: [all, today, yesterday, last_n_days]
+ *                       days:
+ *                         type: integer
+ *               metrics:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [aggregate]
+ *                   properties:
+ *                     aggregate:
+ *                       type: string
+ *                       enum: [avg, min, max, sum, count, first, last, stddev, percentile]
+ *                     reading_type:
+ *                       type: string
+ *                     percentile:
+ *                       type: number
+ *                       description: Required for the percentile aggregate
+ *                     as:
+ *                       type: string
+ *                       description: Result column name
+ *               groupBy:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [sensor, field, reading_type]
+ *               bucket:
+ *                 type: object
+ *                 properties:
+ *                   interval:
+ *                     type: string
+ *                     example: 1d
+ *                   timezone:
+ *                     type: string
+ *                     default: UTC
+ *               sections:
+ *                 type: array
+ *                 description: Defaults to a table and a summary
+ *                 items:
+ *                   type: object
+ *                   required: [type]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [table, summary, anomalies]
+ *                     title:
+ *                       type: string
+ *                     limit:
+ *                       type: integer
+ *                       description: Maximum anomalous readings (anomalies only)
+ *               save:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Generated report; `results` holds the sections in order
+ *       400:
+ *         description: Invalid report definition
+ */
+router.post('/custom', validate(customReportSchema), ReportsController.createCustomReport);
+
+/**
+ * @swagger
+ * /api/reports/custom/definitions:
+ *   get:
+ *     summary: List saved custom report definitions
+ *     tags: [Reports]
+ *     responses:
+ *       200:
+ *         description: Saved definitions
+ */
+router.get('/custom/definitions', ReportsController.listReportDefinitions);
+
+/**
+ * @swagger
+ * /api/reports/custom/definitions/{name}:
+ *   get:
+ *     summary: Get a saved custom report definition
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report definition
+ *       400:
+ *         description: Invalid report definition name
+ *       404:
+ *         description: Report definition not found
+ */
+router.get('/custom/definitions/:name', validateParams(idParamsSchema('name')), ReportsController.getReportDefinition);
+
+/**
+ * @swagger
+ * /api/reports/custom/definitions/{name}:
+ *   delete:
+ *     summary: Delete a saved custom report definition
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report definition deleted
+ *       400:
+ *         description: Invalid report definition name
+ *       404:
+ *         description: Report definition not found
+ */
+router.delete('/custom/definitions/:name', validateParams(idParamsSchema('name')), ReportsController.deleteReportDefinition);
+
+/**
+ * @swagger
+ * /api/reports/custom/definitions/{name}/run:
+ *   post:
+ *     summary: Run a saved custom report definition
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Optional date range replacing the definition's own
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *               endDate:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Generated report
+ *       400:
+ *         description: Invalid report definition name
+ *       404:
+ *         description: Report definition not found
+ */
+router.post('/custom/definitions/:name/run', validateParams(idParamsSchema('name')), validate(customReportRunSchema), ReportsController.runReportDefinition);
 
 /**
  * @swagger
@@ -157,12 +601,43 @@ router.get('/list', ReportsController.listReports);
  *         schema:
  *           type: string
  *         description: Report ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, html, pdf]
+ *           default: json
+ *         description: Render the stored report as CSV, HTML or PDF instead of downloading the JSON file
  *     responses:
  *       200:
  *         description: Report file download
+ *       400:
+ *         description: Invalid report id
+ *       404:
+ *         description: Report not found
+ */
+router.get('/:report_id', validateParams(idParamsSchema('report_id')), ReportsController.downloadReport);
+
+/**
+ * @swagger
+ * /api/reports/{report_id}:
+ *   delete:
+ *     summary: Delete a report and its catalogue entry
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: path
+ *         name: report_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report deleted
+ *       400:
+ *         description: Invalid report id
  *       404:
  *         description: Report not found
  */
-router.get('/:report_id', ReportsController.downloadReport);
+router.delete('/:report_id', validateParams(idParamsSchema('report_id')), ReportsController.deleteReport);
 
 module.exports = router;
@@ -5,7 +5,7 @@
  * Initializes DuckDB and starts the Express server
  */
 
-const { app, initializeDatabase } = require('./app');
+const { app, initializeDatabase, startJobQueue, startScheduler, startReportRetention } = require('./app');
 const logger = require('./utils/logger');
 const config = require('./config/config');
 
@@ -16,6 +16,9 @@ async function startServer() {
     // Initialize database first
     logger.info('Starting Agricultural Data Pipeline Server...');
     await initializeDatabase();
+    await startJobQueue();
+    await startScheduler();
+    await startReportRetention();
     
     // Start the Express server
     const server = app.listen(PORT, () => {
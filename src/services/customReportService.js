@@ -0,0 +1,282 @@
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+const DuckDBService = require('./duckDBService');
+const SchedulerService = require('./schedulerService');
+
+const SECTION_TYPES = ['table', 'summary', 'anomalies'];
+const DEFAULT_SECTIONS = [{ type: 'table' }, { type: 'summary' }];
+const DEFAULT_ANOMALY_LIMIT = 50;
+
+function validationError(field, message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+}
+
+/**
+ * Declarative custom reports. A definition lists filters, metrics (an
+ * aggregate of one reading type), grouping, an optional time bucket and the
+ * sections to produce. compile() turns it into DuckDBService aggregation
+ * queries, one per reading type. Definitions can be saved by name and run
+ * again later.
+ */
+class CustomReportService {
+  static getDefinitionsDir() {
+    return config.paths?.reportDefinitions || 'data/report_definitions';
+  }
+
+  static getDefinitionPath(name) {
+    return FileUtils.pathInside(this.getDefinitionsDir(), `${name}.json`, 'name');
+  }
+
+  static async listDefinitions() {
+    const files = await FileUtils.listFiles(this.getDefinitionsDir(), '*.json');
+    const definitions = [];
+
+    for (const filePath of files) {
+      try {
+        definitions.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read report definition ${filePath}:`, error);
+      }
+    }
+
+    return definitions.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static async getDefinition(name) {
+    const filePath = this.getDefinitionPath(name);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  /**
+   * Store a definition under its name, replacing an earlier one
+   */
+  static async saveDefinition(definition) {
+    const existing = await this.getDefinition(definition.name);
+    const now = DateUtils.nowIST().toISOString();
+    const saved = {
+      ...definition,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    };
+    delete saved.save;
+
+    await FileUtils.ensureDir(this.getDefinitionsDir());
+    await FileUtils.writeJSON(this.getDefinitionPath(definition.name), saved);
+    logger.info(`Saved report definition ${definition.name}`);
+    return saved;
+  }
+
+  static async deleteDefinition(name) {
+    const filePath = this.getDefinitionPath(name);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return false;
+    }
+
+    await FileUtils.deleteFile(filePath);
+    return true;
+  }
+
+  /**
+   * Checks that do not depend on the database; interval, timezone and
+   * groupBy are checked by DuckDBService when the queries run
+   */
+  static validate(definition = {}) {
+    if (!Array.isArray(definition.metrics) || definition.metrics.length === 0) {
+      throw validationError('metrics', '"metrics" must list at least one metric');
+    }
+
+    definition.metrics.forEach((metric, index) => {
+      if (!DuckDBService.AGGREGATE_FUNCTIONS.includes(metric.aggregate)) {
+        throw validationError(`metrics.${index}.aggregate`, `"aggregate" must be one of [${DuckDBService.AGGREGATE_FUNCTIONS.join(', ')}]`);
+      }
+      if (metric.aggregate === 'percentile' && !(metric.percentile >= 0 && metric.percentile <= 100)) {
+        throw validationError(`metrics.${index}.percentile`, '"percentile" must be a number between 0 and 100');
+      }
+      const filterType = definition.filters?.reading_type;
+      if (filterType && metric.reading_type && metric.reading_type !== filterType) {
+        throw validationError(`metrics.${index}.reading_type`, `"reading_type" conflicts with the ${filterType} filter`);
+      }
+    });
+
+    const columns = definition.metrics.map(metric => this.metricColumn(metric));
+    const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+    if (duplicate) {
+      throw validationError('metrics', `Two metrics produce the column ${duplicate}; name one with "as"`);
+    }
+
+    for (const section of definition.sections || []) {
+      if (!SECTION_TYPES.includes(section.type)) {
+        throw validationError('sections', `"type" must be one of [${SECTION_TYPES.join(', ')}]`);
+      }
+    }
+
+    if (definition.save && !/^[A-Za-z0-9_-]+$/.test(definition.name || '')) {
+      throw validationError('name', '"name" is required to save a definition and may only contain letters, digits, _ and -');
+    }
+  }
+
+  /**
+   * Result column of a metric, e.g. avg_temperature or p90_soil_moisture
+   */
+  static metricColumn(metric) {
+    if (metric.as) return metric.as;
+    const aggregate = metric.aggregate === 'percentile'
+      ? DuckDBService.percentileColumn(metric.percentile)
+      : metric.aggregate;
+    return `${aggregate}_${metric.reading_type || 'all'}`;
+  }
+
+  /**
+   * Query filters for a run. Explicit startDate/endDate win; otherwise a
+   * date_range strategy (the same ones schedules use) is resolved against `now`.
+   */
+  static resolveFilters(definition, now = new Date()) {
+    const { date_range: dateRange, ...filters } = definition.filters || {};
+    if (dateRange && !filters.startDate && !filters.endDate) {
+      const timezone = definition.bucket?.timezone || SchedulerService.getDefaultTimezone();
+      return { ...filters, ...SchedulerService.resolveDateRange(dateRange, now, timezone) };
+    }
+    return filters;
+  }
+
+  /**
+   * Filters as queried: a date-only startDate/endDate covers the whole day,
+   * as in the built-in reports
+   */
+  static queryFilters(filters) {
+    const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+    return { ...filters, startDate: range.start || undefined, endDate: range.end || undefined };
+  }
+
+  /**
+   * Aggregation queries for the definition, one per reading type used by the
+   * metrics. With `bucketed` false the queries cover the whole period without
+   * grouping, as used by the summary section.
+   */
+  static compile(definition, filters, { bucketed = true } = {}) {
+    const byReadingType = new Map();
+    for (const metric of definition.metrics) {
+      const readingType = metric.reading_type || filters.reading_type || null;
+      if (!byReadingType.has(readingType)) byReadingType.set(readingType, []);
+      byReadingType.get(readingType).push(metric);
+    }
+
+    return [...byReadingType].map(([readingType, metrics]) => ({
+      metrics,
+      options: {
+        sensor_id: filters.sensor_id,
+        field: filters.field,
+        startDate: filters.startDate,
+        endDate: filters.endDate,
+        reading_type: readingType || undefined,
+        interval: bucketed ? definition.bucket?.interval : undefined,
+        timezone: definition.bucket?.timezone,
+        groupBy: bucketed ? definition.groupBy || [] : [],
+        functions: [...new Set(metrics.map(metric => metric.aggregate))],
+        percentiles: [...new Set(metrics.filter(m => m.aggregate === 'percentile').map(m => m.percentile))]
+      }
+    }));
+  }
+
+  /**
+   * Run compiled queries and merge their rows on bucket and group columns,
+   * one column per metric
+   */
+  static async runQueries(duckDBService, queries, keyColumns) {
+    const rows = new Map();
+    let source = null;
+
+    for (const { metrics, options } of queries) {
+      const result = await duckDBService.aggregateReadings(options);
+      source = result.source;
+
+      for (const row of result.data) {
+        const keys = Object.fromEntries(keyColumns.map(column => [column, row[column] ?? null]));
+        const key = JSON.stringify(Object.values(keys));
+        if (!rows.has(key)) rows.set(key, { ...keys });
+
+        const merged = rows.get(key);
+        for (const metric of metrics) {
+          const column = metric.aggregate === 'percentile'
+            ? DuckDBService.percentileColumn(metric.percentile)
+            : metric.aggregate;
+          merged[this.metricColumn(metric)] = row[column] ?? null;
+        }
+      }
+    }
+
+    return { rows: [...rows.values()], source };
+  }
+
+  /**
+   * Run a definition and produce its sections in order
+   */
+  static async run(definition, duckDBService, now = new Date()) {
+    const filters = this.resolveFilters(definition, now);
+    const query = this.queryFilters(filters);
+    const metricColumns = definition.metrics.map(metric => this.metricColumn(metric));
+    const groupColumns = (definition.groupBy || []).map(group => DuckDBService.AGGREGATION_GROUPS[group] || group);
+    const keyColumns = [...(definition.bucket?.interval ? ['bucket'] : []), ...groupColumns];
+    const sections = [];
+    let source = null;
+
+    for (const section of definition.sections || DEFAULT_SECTIONS) {
+      const title = section.title || null;
+
+      if (section.type === 'table') {
+        const result = await this.runQueries(duckDBService, this.compile(definition, query), keyColumns);
+        source = result.source;
+        const rows = result.rows.sort((a, b) =>
+          keyColumns.reduce((order, column) => order || String(a[column] ?? '').localeCompare(String(b[column] ?? '')), 0));
+        for (const row of rows) {
+          for (const column of metricColumns) {
+            if (!(column in row)) row[column] = null;
+          }
+        }
+        sections.push({ type: 'table', title, columns: [...keyColumns, ...metricColumns], rows });
+      } else if (section.type === 'summary') {
+        const result = await this.runQueries(duckDBService, this.compile(definition, query, { bucketed: false }), []);
+        source = result.source;
+        const values = Object.fromEntries(metricColumns.map(column => [column, result.rows[0]?.[column] ?? null]));
+        sections.push({ type: 'summary', title, values });
+      } else if (section.type === 'anomalies') {
+        const limit = section.limit || DEFAULT_ANOMALY_LIMIT;
+        const result = await duckDBService.queryData({
+          sensor_id: query.sensor_id,
+          reading_type: query.reading_type,
+          field: query.field,
+          startDate: query.startDate,
+          endDate: query.endDate,
+          anomalous: true,
+          limit
+        });
+        source = result.source;
+        const readings = (result.data || []).map(record => ({
+          sensor_id: record.sensor_id,
+          reading_type: record.reading_type,
+          field: record.field ?? record.location?.field ?? null,
+          timestamp: record.timestamp,
+          value: record.value,
+          anomaly_type: record.anomaly_type ?? null,
+          anomaly_score: record.anomaly_score ?? null,
+          anomaly_reason: record.anomaly_reason ?? null
+        }));
+        sections.push({ type: 'anomalies', title, limit, readings });
+      }
+    }
+
+    return { filters, sections, source };
+  }
+}
+
+CustomReportService.SECTION_TYPES = SECTION_TYPES;
+
+module.exports = CustomReportService;
@@ -2,8 +2,18 @@ const logger = require('../utils/logger');
 const DuckDBService = require('./duckDBService');
 const duckDBSingleton = require('./duckDBSingleton');
 const DateUtils = require('../utils/dateUtils');
+const PartitionStore = require('./storage/partitionStore');
+const FieldService = require('./fieldService');
+const GeoUtils = require('../utils/geoUtils');
 const config = require('../config/config');
 
+function validationError(field, message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+}
+
 class DataService {
   constructor() {
     this.duckDBService = null;
@@ -48,28 +58,32 @@ class DataService {
     logger.info('Querying data with DuckDB', filters);
 
     try {
-      // Convert filters to DuckDB format
+      const { bbox, polygon } = this.parseSpatialFilters(filters);
+      const field = filters.field ? await FieldService.getField(filters.field) : null;
+
+      // Convert filters to DuckDB format. A polygon is narrowed to its bounding
+      // box in the query and tested exactly below, so the limit waits until then.
       const duckDBFilters = {
         sensor_id: filters.sensor_id,
         reading_type: filters.reading_type,
         startDate: filters.startDate,
         endDate: filters.endDate,
         field: filters.field,
-        limit: filters.limit
+        fieldAssignments: field?.assignments,
+        bbox: bbox || (polygon && GeoUtils.bbox(polygon)) || undefined,
+        anomalous: filters.anomalous,
+        anomaly_type: filters.anomaly_type,
+        limit: polygon ? undefined : filters.limit
       };
 
-      // Query data from DuckDB
-      const result = await this.duckDBService.queryData(duckDBFilters);
+      // Query data from DuckDB, or straight from the processed Parquet partitions
+      const result = filters.source === 'parquet'
+        ? await this.queryPartitions(duckDBFilters)
+        : await this.duckDBService.queryData(duckDBFilters);
       
       // Apply additional filtering that DuckDB service doesn't handle
       let filteredData = result.data;
 
-      if (filters.anomalous !== undefined) {
-        filteredData = filteredData.filter(record => 
-          record.anomalous_reading === filters.anomalous
-        );
-      }
-
       if (filters.minValue !== undefined) {
         filteredData = filteredData.filter(record => 
           record.value >= filters.minValue
@@ -82,6 +96,15 @@ class DataService {
         );
       }
 
+      if (polygon) {
+        filteredData = filteredData.filter(record => {
+          const latitude = record.location?.latitude ?? record.latitude;
+          const longitude = record.location?.longitude ?? record.longitude;
+          return typeof latitude === 'number' && typeof longitude === 'number' &&
+            GeoUtils.contains(polygon, longitude, latitude);
+        });
+      }
+
       // Apply custom sorting if different from timestamp
       if (filters.sortBy && filters.sortBy !== 'timestamp') {
         const sortBy = filters.sortBy;
@@ -133,6 +156,38 @@ class DataService {
     }
   }
 
+  /**
+   * Parse the bbox ("minLon,minLat,maxLon,maxLat") and polygon (GeoJSON
+   * Polygon/MultiPolygon geometry or Feature, as an object or JSON text) query
+   * filters
+   */
+  parseSpatialFilters(filters = {}) {
+    let bbox = null;
+    let polygon = null;
+
+    if (filters.bbox !== undefined) {
+      bbox = GeoUtils.parseBBox(filters.bbox);
+      if (!bbox) {
+        throw validationError('bbox', '"bbox" must be minLon,minLat,maxLon,maxLat in degrees');
+      }
+    }
+
+    if (filters.polygon !== undefined) {
+      try {
+        polygon = typeof filters.polygon === 'string' ? JSON.parse(filters.polygon) : filters.polygon;
+      } catch (error) {
+        throw validationError('polygon', '"polygon" must be GeoJSON');
+      }
+      if (polygon?.type === 'Feature') polygon = polygon.geometry;
+      const problem = GeoUtils.validateGeometry(polygon);
+      if (problem) {
+        throw validationError('polygon', `"polygon" ${problem.replace(/^geometry /, '')}`);
+      }
+    }
+
+    return { bbox, polygon };
+  }
+
   async getSensors() {
     await this.ensureInitialized();
     logger.info('Getting unique sensors with DuckDB');
@@ -257,54 +312,22 @@ class DataService {
     logger.info('Getting daily aggregations with DuckDB', filters);
 
     try {
-      // Use DuckDB for efficient aggregation
-      const result = await this.duckDBService.queryData({
+      // Grouped and aggregated in the database; only one row per day (and group) comes back
+      const result = await this.duckDBService.aggregateDaily({
         sensor_id: filters.sensor_id,
         reading_type: filters.reading_type,
+        field: filters.field,
         startDate: filters.startDate,
-        endDate: filters.endDate
-      });
-
-      const data = result.data;
-
-      // Group by date
-      const dailyData = {};
-      
-      data.forEach(record => {
-        const date = new Date(record.timestamp).toISOString().split('T')[0];
-        
-        if (!dailyData[date]) {
-          dailyData[date] = {
-            date,
-            readings: [],
-            count: 0
-          };
-        }
-        
-        dailyData[date].readings.push(record.value);
-        dailyData[date].count++;
-      });
-
-      // Calculate aggregations
-      const aggregations = Object.values(dailyData).map(day => {
-        const values = day.readings.filter(v => v !== null && v !== undefined);
-        
-        return {
-          date: day.date,
-          count: day.count,
-          min: values.length > 0 ? Math.min(...values) : null,
-          max: values.length > 0 ? Math.max(...values) : null,
-          avg: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null,
-          sum: values.length > 0 ? values.reduce((a, b) => a + b, 0) : null
-        };
+        endDate: filters.endDate,
+        groupBy: filters.groupBy
       });
 
-      // Sort by date
-      aggregations.sort((a, b) => new Date(a.date) - new Date(b.date));
+      const aggregations = result.data;
 
       return {
         aggregations,
-        total_days: aggregations.length,
+        total_days: new Set(aggregations.map(row => row.date)).size,
+        group_by: filters.groupBy || null,
         source: result.source
       };
 
@@ -313,21 +336,40 @@ class DataService {
       throw error;
     }
   }
-
-  async getAnomalies(filters) {
+  /**
+   * Time-bucketed aggregations (e.g. 15m, 1h, 1w, 1M) in a given timezone
+   */
+  async getTimeBucketAggregations(options) {
     await this.ensureInitialized();
-    logger.info('Getting anomalies with DuckDB', filters);
+    logger.info('Getting time bucket aggregations with DuckDB', options);
 
     try {
-      const result = await this.duckDBService.queryData(filters);
-      const anomalies = result.data.filter(record => record.anomalous_reading === true);
+      const result = await this.duckDBService.aggregateTimeBuckets(options);
 
       return {
-        data: anomalies,
-        total: anomalies.length,
+        aggregations: result.data,
+        total_buckets: new Set(result.data.map(row => row.bucket)).size,
+        interval: result.interval,
+        timezone: result.timezone,
+        functions: result.functions,
+        group_by: options.groupBy || [],
         source: result.source
       };
 
+    } catch (error) {
+      logger.error('Failed to get time bucket aggregations:', error);
+      throw error;
+    }
+  }
+
+
+  async getAnomalies(filters) {
+    await this.ensureInitialized();
+    logger.info('Getting anomalies with DuckDB', filters);
+
+    try {
+      // The is_anomalous flag is written during transformation, so this is a plain filtered query
+      return await this.queryData({ ...filters, anomalous: true });
     } catch (error) {
       logger.error('Failed to get anomalies:', error);
       throw error;
@@ -477,6 +519,37 @@ class DataService {
     }
   }
 
+  /**
+   * Query the date-partitioned Parquet output of the storage stage. Partitions
+   * outside the date range are pruned before any file is opened; DuckDB reads
+   * the remaining files when available, otherwise they are read in-process.
+   */
+  async queryPartitions(filters = {}) {
+    await this.ensureInitialized();
+    logger.info('Querying Parquet partitions', filters);
+
+    try {
+      const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+      const partitionFilters = { ...filters, startDate: range.start, endDate: range.end };
+      const partitions = await PartitionStore.findPartitions(filters);
+
+      if (this.duckDBService?.dbType === 'duckdb' && this.duckDBService.isAvailable) {
+        const files = partitions.flatMap(partition => partition.files);
+        return await this.duckDBService.queryParquetPartitions(files, partitionFilters);
+      }
+
+      const data = await PartitionStore.readPartitions(filters);
+      return {
+        success: true,
+        data,
+        source: 'parquet'
+      };
+    } catch (error) {
+      logger.error('Failed to query Parquet partitions:', error);
+      throw error;
+    }
+  }
+
   async close() {
     if (this.duckDBService) {
       await this.duckDBService.close();
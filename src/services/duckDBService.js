@@ -1,8 +1,73 @@
 const logger = require('../utils/logger');
 const buildToolsChecker = require('../utils/buildToolsChecker');
+const StatsUtils = require('../utils/statsUtils');
+const DateUtils = require('../utils/dateUtils');
+const FieldService = require('./fieldService');
+const MigrationService = require('./migrationService');
+const moment = require('moment-timezone');
 const path = require('path');
 const fs = require('fs').promises;
 
+// groupBy option of the aggregation queries -> sensor_data column
+const AGGREGATION_GROUPS = {
+  sensor: 'sensor_id',
+  field: 'field',
+  reading_type: 'reading_type'
+};
+
+// Aggregate functions of aggregateTimeBuckets; percentile adds one column per requested percentile
+const AGGREGATE_FUNCTIONS = ['avg', 'min', 'max', 'sum', 'count', 'first', 'last', 'stddev', 'percentile'];
+const DEFAULT_AGGREGATE_FUNCTIONS = ['avg', 'min', 'max', 'count'];
+
+// DateUtils.parseInterval unit -> DuckDB INTERVAL unit
+const INTERVAL_UNITS = {
+  s: 'seconds',
+  m: 'minutes',
+  h: 'hours',
+  d: 'days',
+  w: 'weeks',
+  M: 'months'
+};
+
+// Columns written by insertData, in parameter order
+const SENSOR_DATA_COLUMNS = [
+  'sensor_id', 'timestamp', 'reading_type', 'value', 'unit',
+  'field', 'latitude', 'longitude', 'battery_level', 'signal_strength',
+  'data_quality', 'processed_timestamp', 'quality_score',
+  'is_anomalous', 'anomaly_type', 'anomaly_score', 'anomaly_reason',
+  'calibrated_value', 'calibration_id'
+];
+
+// Identity of a reading, unique in sensor_data
+const NATURAL_KEY = ['sensor_id', 'reading_type', 'timestamp'];
+
+// What insertData does with a reading whose natural key is already stored
+const INSERT_MODES = ['append', 'upsert', 'skip-duplicates'];
+const DEFAULT_INSERT_MODE = 'upsert';
+
+// Records per transaction in insertData unless database.insertBatchSize says otherwise
+const DEFAULT_INSERT_BATCH_SIZE = 1000;
+
+// Rows per multi-row INSERT statement in DuckDB
+const DUCKDB_INSERT_ROWS = 500;
+
+function normalizeTimestamp(value) {
+  const time = value === null || value === undefined ? NaN : new Date(value).getTime();
+  return Number.isNaN(time) ? value : new Date(time).toISOString();
+}
+
+// SQL string literal, for values DuckDB table functions take that cannot be bound
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, '\'\'')}'`;
+}
+
+function validationError(field, message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+}
+
 class DuckDBService {
   constructor(config = {}) {
     this.config = config;
@@ -26,7 +91,13 @@ class DuckDBService {
     }
   }
 
-  async initialize() {
+  /**
+   * Open DuckDB, else SQLite, else the file fallback. Pending schema
+   * migrations are applied unless `migrate` is false.
+   */
+  async initialize({ migrate = true } = {}) {
+    this.autoMigrate = migrate;
+
     try {
       logger.info('Initializing database service...');
       
@@ -166,7 +237,7 @@ class DuckDBService {
           this.isAvailable = true;
           this.dbType = 'duckdb';
           logger.info('✅ DuckDB initialized successfully', { dbPath: this.duckdbPath });
-          this.createDuckDBTables().then(resolve).catch(reject);
+          this.applyMigrations().then(resolve).catch(reject);
         }
       });
     });
@@ -183,92 +254,139 @@ class DuckDBService {
     this.dbType = 'sqlite';
     
     logger.info('✅ SQLite initialized successfully', { dbPath: this.sqlitePath });
-    await this.createSQLiteTables();
+    this.registerSQLiteFunctions();
+    await this.applyMigrations();
   }
 
-  async initializeFallback() {
-    await fs.mkdir(this.fallbackPath, { recursive: true });
-    this.isAvailable = false;
-    logger.info('File-based fallback initialized');
+  async applyMigrations() {
+    if (this.autoMigrate === false) return [];
+    return new MigrationService(this).migrate();
   }
 
-  async createDuckDBTables() {
-    if (this.dbType !== 'duckdb') return;
-
-    // Drop table if exists to recreate with proper schema
-    const dropSQL = `DROP TABLE IF EXISTS sensor_data`;
-    const createTableSQL = `
-      CREATE TABLE sensor_data (
-        id BIGINT PRIMARY KEY DEFAULT nextval('sensor_data_seq'),
-        sensor_id VARCHAR,
-        timestamp TIMESTAMP,
-        reading_type VARCHAR,
-        value DOUBLE,
-        unit VARCHAR,
-        field VARCHAR,
-        latitude DOUBLE,
-        longitude DOUBLE,
-        battery_level INTEGER,
-        signal_strength INTEGER,
-        data_quality VARCHAR,
-        processed_timestamp TIMESTAMP,
-        quality_score INTEGER,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+  /**
+   * Run one statement on either backend (`?` placeholders)
+   */
+  async execute(sql, params = []) {
+    if (this.dbType === 'sqlite') {
+      return this.db.prepare(sql).run(...params);
+    }
+    return this.runDuckDBQuery(sql, params);
+  }
 
-    const createSequenceSQL = `CREATE SEQUENCE IF NOT EXISTS sensor_data_seq START 1`;
+  /**
+   * Rows of a query on either backend (`?` placeholders)
+   */
+  async select(sql, params = []) {
+    if (this.dbType === 'sqlite') {
+      return this.db.prepare(sql).all(...params);
+    }
+    return this.allDuckDBQuery(sql, params);
+  }
 
-    return new Promise((resolve, reject) => {
-      this.db.run(createSequenceSQL, (err) => {
-        if (err) {
-          reject(err);
-        } else {
-          this.db.run(dropSQL, (err) => {
-            if (err) {
-              reject(err);
-            } else {
-              this.db.run(createTableSQL, (err) => {
-                if (err) {
-                  reject(err);
-                } else {
-                  logger.info('DuckDB tables created successfully');
-                  resolve();
-                }
-              });
-            }
-          });
+  async tableColumns(table) {
+    const rows = this.dbType === 'sqlite'
+      ? this.db.prepare(`PRAGMA table_info(${table})`).all()
+      : await this.allDuckDBQuery('SELECT column_name AS name FROM information_schema.columns WHERE table_name = ?', [table]);
+    return rows.map(row => row.name);
+  }
+
+  /**
+   * Run `work` inside a transaction on either backend, rolling back if it throws
+   */
+  async transaction(work) {
+    if (this.dbType === 'duckdb') {
+      return this.duckDBTransaction(work);
+    }
+
+    this.db.exec('BEGIN');
+    try {
+      const result = await work();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      if (this.db.inTransaction) {
+        this.db.exec('ROLLBACK');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * SQLite equivalents of the DuckDB aggregates used by the aggregation
+   * queries, so both engines run the same GROUP BY
+   */
+  registerSQLiteFunctions() {
+    const collect = (acc, value) => {
+      if (value !== null && value !== undefined) acc.values.push(value);
+    };
+
+    // Value at the earliest / latest ordering key (the reading's timestamp)
+    const argExtreme = pick => ({
+      start: () => ({ value: null, key: null }),
+      step: (acc, value, key) => {
+        const time = new Date(key).getTime();
+        if (value === null || Number.isNaN(time)) return;
+        if (acc.key === null || pick(time, acc.key)) {
+          acc.value = value;
+          acc.key = time;
         }
-      });
+      },
+      result: acc => acc.value
     });
-  }
 
-  async createSQLiteTables() {
-    const createTableSQL = `
-      CREATE TABLE IF NOT EXISTS sensor_data (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        sensor_id TEXT,
-        timestamp TEXT,
-        reading_type TEXT,
-        value REAL,
-        unit TEXT,
-        field TEXT,
-        latitude REAL,
-        longitude REAL,
-        battery_level INTEGER,
-        signal_strength INTEGER,
-        data_quality TEXT,
-        processed_timestamp TEXT,
-        quality_score INTEGER,
-        created_at TEXT DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
+    this.db.aggregate('arg_min', argExtreme((time, current) => time < current));
+    this.db.aggregate('arg_max', argExtreme((time, current) => time > current));
+
+    // time_bucket(interval, timestamp, timezone) -> bucket start as a UTC ISO string
+    this.db.function('time_bucket', { deterministic: true }, (interval, timestamp, timezone) => {
+      if (timestamp === null) return null;
+      const bucket = DateUtils.timeBucket(timestamp, interval, timezone);
+      return bucket ? bucket.toISOString() : null;
+    });
+
+    this.db.aggregate('stddev_samp', {
+      start: () => ({ values: [] }),
+      step: collect,
+      result: acc => StatsUtils.stdDev(acc.values)
+    });
+
+    this.db.aggregate('median', {
+      start: () => ({ values: [] }),
+      step: collect,
+      result: acc => StatsUtils.median(acc.values)
+    });
+
+    this.db.aggregate('quantile_cont', {
+      start: () => ({ values: [], quantile: null }),
+      step: (acc, value, quantile) => {
+        acc.quantile = quantile;
+        collect(acc, value);
+      },
+      result: acc => StatsUtils.percentile(acc.values, acc.quantile * 100)
+    });
+  }
 
-    this.db.exec(createTableSQL);
-    logger.info('SQLite tables created successfully');
+  async initializeFallback() {
+    await fs.mkdir(this.fallbackPath, { recursive: true });
+    this.isAvailable = false;
+    logger.info('File-based fallback initialized');
   }
 
-  async insertData(records) {
+  /**
+   * Insert records in batches of database.insertBatchSize (or
+   * options.batchSize), each batch in its own transaction. A failing batch is
+   * rolled back and counted as failed while the other batches still load.
+   *
+   * Readings are identified by their natural key (sensor_id, reading_type,
+   * timestamp). options.mode (default database.insertMode, else `upsert`)
+   * decides what happens to a reading whose key is already stored: `append`
+   * fails it (its batch is retried row by row, so the other rows still
+   * load), `upsert` overwrites the stored reading (counted as updated) and
+   * `skip-duplicates` keeps the stored one (counted as a duplicate). Readings
+   * repeating a key within the same call are dropped and counted as
+   * duplicates; upsert keeps the last of them, the other modes the first.
+   */
+  async insertData(records, options = {}) {
     // Handle single record by wrapping in array
     if (!Array.isArray(records)) {
       records = [records];
@@ -278,84 +396,245 @@ class DuckDBService {
       return this.insertDataFallback(records);
     }
 
-    try {
-      if (this.dbType === 'sqlite') {
-        return await this.insertDataSQLite(records);
-      } else if (this.dbType === 'duckdb') {
-        return await this.insertDataDuckDB(records);
+    const mode = options.mode || this.config.database?.insertMode || DEFAULT_INSERT_MODE;
+    if (!INSERT_MODES.includes(mode)) {
+      throw validationError('mode', `mode must be one of ${INSERT_MODES.join(', ')}`);
+    }
+
+    const batchSize = options.batchSize || this.config.database?.insertBatchSize || DEFAULT_INSERT_BATCH_SIZE;
+    const { unique, duplicates } = DuckDBService.dropDuplicates(records, { keepLast: mode === 'upsert' });
+    const result = {
+      success: true,
+      mode,
+      recordCount: records.length,
+      inserted: 0,
+      updated: 0,
+      failed: 0,
+      duplicates,
+      batches: 0,
+      errors: []
+    };
+
+    for (let i = 0; i < unique.length; i += batchSize) {
+      const batch = unique.slice(i, i + batchSize);
+      result.batches++;
+
+      try {
+        const counts = await this.insertBatch(batch, mode);
+        result.inserted += counts.inserted;
+        result.updated += counts.updated;
+        result.duplicates += counts.skipped;
+      } catch (error) {
+        if (mode !== 'append' || batch.length === 1) {
+          result.failed += batch.length;
+          result.errors.push({ batch: result.batches, records: batch.length, message: error.message });
+          logger.error(`Failed to insert batch ${result.batches} into ${this.dbType}, rolled back:`, error);
+          continue;
+        }
+
+        // A stored reading fails an append batch as a whole; retry its rows
+        // one by one so that only the offending ones are left out
+        logger.warn(`Batch ${result.batches} failed in append mode, inserting its rows one by one: ${error.message}`);
+        let failed = 0;
+        for (const record of batch) {
+          try {
+            result.inserted += (await this.insertBatch([record], mode)).inserted;
+          } catch (rowError) {
+            failed++;
+          }
+        }
+        if (failed > 0) {
+          result.failed += failed;
+          result.errors.push({ batch: result.batches, records: failed, message: error.message });
+        }
       }
-    } catch (error) {
-      logger.error(`Failed to insert data into ${this.dbType}:`, error);
-      throw error;
     }
+
+    result.success = result.failed === 0;
+    logger.info(`Data inserted into ${this.dbType}`, {
+      mode,
+      inserted: result.inserted,
+      updated: result.updated,
+      failed: result.failed,
+      duplicates: result.duplicates,
+      batches: result.batches
+    });
+    return result;
   }
 
-  async insertDataSQLite(records) {
-    const insertSQL = `
-      INSERT INTO sensor_data (
-        sensor_id, timestamp, reading_type, value, unit, 
-        field, latitude, longitude, battery_level, signal_strength,
-        data_quality, processed_timestamp, quality_score
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `;
+  async insertBatch(batch, mode) {
+    return this.dbType === 'sqlite'
+      ? this.insertDataSQLite(batch, mode)
+      : this.insertDataDuckDB(batch, mode);
+  }
 
-    const insert = this.db.prepare(insertSQL);
-    
+  /**
+   * Identity of a reading: sensor, reading type and instant of the timestamp
+   */
+  static naturalKey(record) {
+    const time = new Date(record.timestamp).getTime();
+    return [record.sensor_id, record.reading_type, Number.isNaN(time) ? record.timestamp : time].join('|');
+  }
+
+  /**
+   * Keep one of records sharing a natural key: the first, or the last with
+   * keepLast (in the position of the first)
+   */
+  static dropDuplicates(records, { keepLast = false } = {}) {
+    const byKey = new Map();
     for (const record of records) {
-      insert.run([
-        record.sensor_id,
-        record.timestamp,
-        record.reading_type,
-        record.value,
-        record.unit,
-        record.location?.field,
-        record.location?.latitude,
-        record.location?.longitude,
-        record.battery_level,
-        record.signal_strength,
-        record.data_quality,
-        record.processed_timestamp || new Date().toISOString(),
-        record.quality_score || 100
-      ]);
+      const key = this.naturalKey(record);
+      if (!byKey.has(key) || keepLast) {
+        byKey.set(key, record);
+      }
     }
+    const unique = [...byKey.values()];
+    return { unique, duplicates: records.length - unique.length };
+  }
 
-    logger.info('Data inserted into SQLite', { recordCount: records.length });
-    return { success: true, recordCount: records.length };
+  /**
+   * ON CONFLICT clause of an insert in the given mode; append has none
+   */
+  static conflictClause(mode) {
+    if (mode === 'skip-duplicates') {
+      return `ON CONFLICT (${NATURAL_KEY.join(', ')}) DO NOTHING`;
+    }
+    if (mode === 'upsert') {
+      const updates = SENSOR_DATA_COLUMNS
+        .filter(column => !NATURAL_KEY.includes(column))
+        .map(column => `${column} = excluded.${column}`);
+      return `ON CONFLICT (${NATURAL_KEY.join(', ')}) DO UPDATE SET ${updates.join(', ')}`;
+    }
+    return '';
   }
 
-  async insertDataDuckDB(records) {
+  // One transaction; better-sqlite3 rolls it back if an insert throws
+  async insertDataSQLite(records, mode = DEFAULT_INSERT_MODE) {
     const insertSQL = `
-      INSERT INTO sensor_data (
-        sensor_id, timestamp, reading_type, value, unit, 
-        field, latitude, longitude, battery_level, signal_strength,
-        data_quality, processed_timestamp, quality_score
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      INSERT INTO sensor_data (${SENSOR_DATA_COLUMNS.join(', ')})
+      VALUES (${SENSOR_DATA_COLUMNS.map(() => '?').join(', ')})
+      ${DuckDBService.conflictClause(mode)}
     `;
 
-    const results = [];
-    for (const record of records) {
-      const params = [
-        record.sensor_id || null,
-        record.timestamp || new Date().toISOString(),
-        record.reading_type || null,
-        record.value || null,
-        record.unit || null,
-        record.location?.field || record.field || null,
-        record.location?.latitude || null,
-        record.location?.longitude || null,
-        record.battery_level || null,
-        record.signal_strength || null,
-        record.data_quality || 'unknown',
-        record.processed_timestamp || new Date().toISOString(),
-        record.quality_score || 100
-      ];
-      
-      const result = await this.runDuckDBQuery(insertSQL, params);
-      results.push(result);
-    }
+    const insert = this.db.prepare(insertSQL);
+    const exists = this.db.prepare(`SELECT 1 FROM sensor_data WHERE ${NATURAL_KEY.map(column => `${column} = ?`).join(' AND ')}`);
+    const counts = { inserted: 0, updated: 0, skipped: 0 };
+
+    this.db.transaction(rows => {
+      for (const record of rows) {
+        // The natural key compares timestamps as text, so store them in one format
+        const timestamp = normalizeTimestamp(record.timestamp);
+        const existed = mode === 'upsert' && Boolean(exists.get(record.sensor_id, record.reading_type, timestamp));
+
+        const { changes } = insert.run([
+          record.sensor_id,
+          timestamp,
+          record.reading_type,
+          record.value,
+          record.unit,
+          record.location?.field ?? record.field ?? null,
+          record.location?.latitude ?? record.latitude ?? null,
+          record.location?.longitude ?? record.longitude ?? null,
+          record.battery_level,
+          record.signal_strength,
+          record.data_quality,
+          record.processed_timestamp || new Date().toISOString(),
+          record.quality_score ?? 100,
+          record.is_anomalous ? 1 : 0,
+          record.anomaly_type || null,
+          record.anomaly_score ?? null,
+          record.anomaly_reason || null,
+          record.calibrated_value ?? null,
+          record.calibration_id ?? null
+        ]);
+
+        if (changes === 0) counts.skipped++;
+        else if (existed) counts.updated++;
+        else counts.inserted++;
+      }
+    })(records);
 
-    logger.info('Data inserted into DuckDB', { recordCount: records.length });
-    return { success: true, recordCount: records.length };
+    return counts;
+  }
+
+  // One transaction of multi-row INSERTs. The statements do not say which
+  // rows conflicted, so the counts come from the table size before and after
+  // and from the keys already stored.
+  async insertDataDuckDB(records, mode = DEFAULT_INSERT_MODE) {
+    return this.duckDBTransaction(async () => {
+      const countRows = async () => Number((await this.allDuckDBQuery('SELECT COUNT(*) AS total FROM sensor_data'))[0].total);
+      const before = await countRows();
+      let existing = 0;
+
+      for (let i = 0; i < records.length; i += DUCKDB_INSERT_ROWS) {
+        const chunk = records.slice(i, i + DUCKDB_INSERT_ROWS);
+        const params = [];
+        const values = chunk.map(record => {
+          const row = [
+            record.sensor_id ?? null,
+            // Same stored form as insertDataSQLite
+            normalizeTimestamp(record.timestamp) ?? new Date().toISOString(),
+            record.reading_type ?? null,
+            record.value ?? null,
+            record.unit ?? null,
+            record.location?.field ?? record.field ?? null,
+            record.location?.latitude ?? record.latitude ?? null,
+            record.location?.longitude ?? record.longitude ?? null,
+            record.battery_level ?? null,
+            record.signal_strength ?? null,
+            record.data_quality || 'unknown',
+            record.processed_timestamp || new Date().toISOString(),
+            record.quality_score ?? 100,
+            Boolean(record.is_anomalous),
+            record.anomaly_type || null,
+            record.anomaly_score ?? null,
+            record.anomaly_reason || null,
+            record.calibrated_value ?? null,
+            record.calibration_id ?? null
+          ];
+          const placeholders = row.map((_, j) => `$${params.length + j + 1}`);
+          params.push(...row);
+          return `(${placeholders.join(', ')})`;
+        });
+
+        if (mode === 'upsert') {
+          existing += await this.countStoredKeys(chunk);
+        }
+        await this.runDuckDBQuery(
+          `INSERT INTO sensor_data (${SENSOR_DATA_COLUMNS.join(', ')}) VALUES ${values.join(', ')} ${DuckDBService.conflictClause(mode)}`,
+          params
+        );
+      }
+
+      const inserted = (await countRows()) - before;
+      return { inserted, updated: existing, skipped: records.length - inserted - existing };
+    });
+  }
+
+  async countStoredKeys(records) {
+    const params = [];
+    const keys = records.map(record => {
+      params.push(record.sensor_id ?? null, record.reading_type ?? null, normalizeTimestamp(record.timestamp) ?? null);
+      const n = params.length;
+      return `(sensor_id = $${n - 2} AND reading_type = $${n - 1} AND timestamp = CAST($${n} AS TIMESTAMP))`;
+    });
+    const [row] = await this.allDuckDBQuery(`SELECT COUNT(*) AS total FROM sensor_data WHERE ${keys.join(' OR ')}`, params);
+    return Number(row.total);
+  }
+
+  /**
+   * Run `work` inside a DuckDB transaction, rolling back if it throws
+   */
+  async duckDBTransaction(work) {
+    await this.runDuckDBQuery('BEGIN TRANSACTION');
+    try {
+      const result = await work();
+      await this.runDuckDBQuery('COMMIT');
+      return result;
+    } catch (error) {
+      await this.runDuckDBQuery('ROLLBACK').catch(() => {});
+      throw error;
+    }
   }
 
   async insertDataFallback(records) {
@@ -377,6 +656,114 @@ class DuckDBService {
     }
   }
 
+  /**
+   * Stage a batch of raw records from one source file in a single transaction
+   */
+  async stageRecords(sourceFile, records) {
+    if (!this.isAvailable) {
+      throw new Error('A database is required for staging');
+    }
+    if (records.length === 0) {
+      return { staged: 0 };
+    }
+
+    if (this.dbType === 'sqlite') {
+      const insert = this.db.prepare('INSERT INTO sensor_data_staging (source_file, record) VALUES (?, ?)');
+      this.db.transaction(rows => {
+        for (const record of rows) {
+          insert.run(sourceFile, JSON.stringify(record));
+        }
+      })(records);
+    } else {
+      await this.duckDBTransaction(async () => {
+        for (let i = 0; i < records.length; i += DUCKDB_INSERT_ROWS) {
+          const chunk = records.slice(i, i + DUCKDB_INSERT_ROWS);
+          const values = chunk.map((_, j) => `($${2 * j + 1}, $${2 * j + 2})`).join(', ');
+          const params = chunk.flatMap(record => [sourceFile, JSON.stringify(record)]);
+          await this.runDuckDBQuery(`INSERT INTO sensor_data_staging (source_file, record) VALUES ${values}`, params);
+        }
+      });
+    }
+
+    return { staged: records.length };
+  }
+
+  /**
+   * Stage a Parquet file with DuckDB's read_parquet in one statement. Rows
+   * without sensor_id, value or a parseable timestamp are skipped, as
+   * IngestionService.validateRecord does; timestamps are staged as ISO 8601
+   * UTC strings like the JSON ingestion path.
+   */
+  async stageParquetFile(filePath, sourceFile = path.basename(filePath)) {
+    if (!this.isAvailable || this.dbType !== 'duckdb') {
+      throw new Error('DuckDB is required for Parquet staging');
+    }
+
+    const source = `read_parquet(${sqlString(filePath)})`;
+    const valid = `sensor_id IS NOT NULL AND value IS NOT NULL
+      AND TRY_CAST(CAST(timestamp AS VARCHAR) AS TIMESTAMP) IS NOT NULL`;
+
+    const [counts] = await this.allDuckDBQuery(
+      `SELECT COUNT(*) AS total, COUNT(*) FILTER (WHERE ${valid}) AS valid FROM ${source}`
+    );
+    await this.runDuckDBQuery(`
+      INSERT INTO sensor_data_staging (source_file, record)
+      SELECT $1, CAST(json_merge_patch(to_json(p), json_object('timestamp',
+        strftime(TRY_CAST(CAST(p.timestamp AS VARCHAR) AS TIMESTAMP), '%Y-%m-%dT%H:%M:%S.%gZ'))) AS VARCHAR)
+      FROM ${source} p
+      WHERE ${valid}
+    `, [sourceFile]);
+
+    const staged = Number(counts.valid);
+    return { staged, skipped: Number(counts.total) - staged };
+  }
+
+  /**
+   * Next staged records after `afterId`, oldest first, as { id, source_file, record }
+   */
+  async readStagedBatch(limit, afterId = 0) {
+    if (!this.isAvailable) return [];
+
+    const rows = this.dbType === 'sqlite'
+      ? this.db.prepare('SELECT id, source_file, record FROM sensor_data_staging WHERE id > ? ORDER BY id LIMIT ?').all(afterId, limit)
+      : await this.allDuckDBQuery('SELECT id, source_file, record FROM sensor_data_staging WHERE id > $1 ORDER BY id LIMIT $2', [afterId, limit]);
+
+    return rows.map(row => ({ id: Number(row.id), source_file: row.source_file, record: JSON.parse(row.record) }));
+  }
+
+  /**
+   * Remove staged records with ids from `fromId` to `toId` inclusive
+   */
+  async deleteStaged(fromId, toId) {
+    if (this.dbType === 'sqlite') {
+      return this.db.prepare('DELETE FROM sensor_data_staging WHERE id BETWEEN ? AND ?').run(fromId, toId).changes;
+    }
+    if (this.dbType === 'duckdb') {
+      return (await this.runDuckDBQuery('DELETE FROM sensor_data_staging WHERE id BETWEEN $1 AND $2', [fromId, toId])).changes;
+    }
+    return 0;
+  }
+
+  /**
+   * Stored readings of each series from `from` up to (not including)
+   * `before`, oldest first. `series` items are
+   * { sensor_id, reading_type, from, before } with ISO timestamps.
+   */
+  async seriesReadings(series) {
+    if (!this.isAvailable) return [];
+
+    const time = this.dbType === 'duckdb' ? 'CAST(? AS TIMESTAMP)' : '?';
+    const sql = `SELECT sensor_id, reading_type, timestamp, value FROM sensor_data
+      WHERE sensor_id = ? AND reading_type = ? AND timestamp >= ${time} AND timestamp < ${time}
+      ORDER BY timestamp`;
+    const readings = [];
+
+    for (const { sensor_id: sensorId, reading_type: readingType, from, before } of series) {
+      readings.push(...await this.select(sql, [sensorId, readingType, from, before]));
+    }
+    return readings;
+  }
+
   async queryData(filters = {}) {
     if (!this.isAvailable) {
       return this.queryDataFallback(filters);
@@ -394,6 +781,43 @@ class DuckDBService {
     }
   }
 
+  /**
+   * SQL conditions for the location filters of queryData: `field` matches
+   * readings recorded in the field or taken by a sensor during one of the
+   * field's `fieldAssignments` (see FieldService), `bbox` [minLon, minLat,
+   * maxLon, maxLat] bounds the reading coordinates. Parameters are appended
+   * to `params`.
+   */
+  locationConditions(filters, params) {
+    const isDuckDB = this.dbType === 'duckdb';
+    const param = value => {
+      params.push(value);
+      return isDuckDB ? `$${params.length}` : '?';
+    };
+    // SQLite keeps timestamps as text, which only compares correctly in one format
+    const time = value => isDuckDB ? `CAST(${param(value)} AS TIMESTAMP)` : `julianday(${param(value)})`;
+    const column = isDuckDB ? 'timestamp' : 'julianday(timestamp)';
+    const conditions = [];
+
+    if (filters.field) {
+      const alternatives = [`field = ${param(filters.field)}`];
+      for (const assignment of filters.fieldAssignments || []) {
+        let window = `sensor_id = ${param(assignment.sensor_id)} AND ${column} >= ${time(assignment.valid_from)}`;
+        if (assignment.valid_to) window += ` AND ${column} < ${time(assignment.valid_to)}`;
+        alternatives.push(`(${window})`);
+      }
+      conditions.push(alternatives.length > 1 ? `(${alternatives.join(' OR ')})` : alternatives[0]);
+    }
+
+    if (filters.bbox) {
+      const [minLon, minLat, maxLon, maxLat] = filters.bbox;
+      conditions.push(`longitude BETWEEN ${param(minLon)} AND ${param(maxLon)}`);
+      conditions.push(`latitude BETWEEN ${param(minLat)} AND ${param(maxLat)}`);
+    }
+
+    return conditions;
+  }
+
   async queryDataDuckDB(filters = {}) {
     let sql = 'SELECT * FROM sensor_data WHERE 1=1';
     const params = [];
@@ -418,9 +842,18 @@ class DuckDBService {
       params.push(filters.endDate);
     }
 
-    if (filters.field) {
-      sql += ' AND field = $' + (params.length + 1);
-      params.push(filters.field);
+    for (const condition of this.locationConditions(filters, params)) {
+      sql += ` AND ${condition}`;
+    }
+
+    if (filters.anomalous !== undefined) {
+      sql += ' AND COALESCE(is_anomalous, FALSE) = $' + (params.length + 1);
+      params.push(Boolean(filters.anomalous));
+    }
+
+    if (filters.anomaly_type) {
+      sql += ' AND anomaly_type = $' + (params.length + 1);
+      params.push(filters.anomaly_type);
     }
 
     sql += ' ORDER BY timestamp DESC';
@@ -472,9 +905,18 @@ class DuckDBService {
       params.push(filters.endDate);
     }
 
-    if (filters.field) {
-      sql += ' AND field = ?';
-      params.push(filters.field);
+    for (const condition of this.locationConditions(filters, params)) {
+      sql += ` AND ${condition}`;
+    }
+
+    if (filters.anomalous !== undefined) {
+      sql += ' AND COALESCE(is_anomalous, 0) = ?';
+      params.push(filters.anomalous ? 1 : 0);
+    }
+
+    if (filters.anomaly_type) {
+      sql += ' AND anomaly_type = ?';
+      params.push(filters.anomaly_type);
     }
 
     sql += ' ORDER BY timestamp DESC';
@@ -485,7 +927,11 @@ class DuckDBService {
     }
 
     const stmt = this.db.prepare(sql);
-    const results = stmt.all(params);
+    const results = stmt.all(params).map(record => ({
+      ...record,
+      // SQLite has no boolean type
+      is_anomalous: Boolean(record.is_anomalous)
+    }));
     return { success: true, data: results, source: 'sqlite' };
   }
 
@@ -513,9 +959,11 @@ class DuckDBService {
       let filteredData = allData.filter(record => {
         if (filters.sensor_id && record.sensor_id !== filters.sensor_id) return false;
         if (filters.reading_type && record.reading_type !== filters.reading_type) return false;
-        if (filters.field && record.location?.field !== filters.field) return false;
+        if (!FieldService.matchesLocation(record, filters)) return false;
         if (filters.startDate && new Date(record.timestamp) < new Date(filters.startDate)) return false;
         if (filters.endDate && new Date(record.timestamp) > new Date(filters.endDate)) return false;
+        if (filters.anomalous !== undefined && Boolean(record.is_anomalous) !== Boolean(filters.anomalous)) return false;
+        if (filters.anomaly_type && record.anomaly_type !== filters.anomaly_type) return false;
         return true;
       });
 
@@ -582,6 +1030,409 @@ class DuckDBService {
     });
   }
 
+  /**
+   * Per-day statistics of `value` computed with a GROUP BY in the database,
+   * optionally split by sensor, field or reading type (groupBy)
+   */
+  async aggregateDaily(filters = {}) {
+    if (filters.groupBy && !AGGREGATION_GROUPS[filters.groupBy]) {
+      throw validationError('groupBy', `"groupBy" must be one of [${Object.keys(AGGREGATION_GROUPS).join(', ')}]`);
+    }
+
+    if (!this.isAvailable) {
+      return this.aggregateDailyFallback(filters);
+    }
+
+    const isDuckDB = this.dbType === 'duckdb';
+    const dateExpr = isDuckDB ? 'strftime(timestamp, \'%Y-%m-%d\')' : 'date(timestamp)';
+    const groupColumn = AGGREGATION_GROUPS[filters.groupBy];
+    const { conditions, params } = this.buildAggregationFilters(filters);
+
+    const groupKeys = groupColumn ? [dateExpr, groupColumn] : [dateExpr];
+    const sql = `
+      SELECT
+        ${dateExpr} AS date,
+        ${groupColumn ? `${groupColumn},` : ''}
+        COUNT(*) AS count,
+        MIN(value) AS min,
+        MAX(value) AS max,
+        AVG(value) AS avg,
+        SUM(value) AS sum,
+        stddev_samp(value) AS stddev,
+        median(value) AS median,
+        quantile_cont(value, 0.1) AS p10,
+        quantile_cont(value, 0.9) AS p90,
+        SUM(CASE WHEN is_anomalous THEN 1 ELSE 0 END) AS anomaly_count
+      FROM sensor_data
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      GROUP BY ${groupKeys.join(', ')}
+      ORDER BY ${groupKeys.join(', ')}
+    `;
+
+    return {
+      success: true,
+      data: await this.allAggregationQuery(sql, params),
+      source: this.dbType
+    };
+  }
+
+  /**
+   * WHERE conditions shared by the aggregation queries. Their parameters are
+   * appended to `params`, after any the SELECT list already uses.
+   */
+  buildAggregationFilters(filters = {}, params = []) {
+    const isDuckDB = this.dbType === 'duckdb';
+    const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+    const conditions = [];
+
+    const addCondition = (sql, value) => {
+      params.push(value);
+      conditions.push(sql.replace('?', isDuckDB ? `$${params.length}` : '?'));
+    };
+
+    if (filters.sensor_id) addCondition('sensor_id = ?', filters.sensor_id);
+    if (filters.reading_type) addCondition('reading_type = ?', filters.reading_type);
+    if (filters.field) addCondition('field = ?', filters.field);
+    if (range.start) addCondition(isDuckDB ? 'timestamp >= CAST(? AS TIMESTAMP)' : 'timestamp >= ?', range.start);
+    if (range.end) addCondition(isDuckDB ? 'timestamp <= CAST(? AS TIMESTAMP)' : 'timestamp <= ?', range.end);
+
+    return { conditions, params };
+  }
+
+  /**
+   * Run an aggregation query, converting DuckDB BIGINT results to numbers
+   */
+  async allAggregationQuery(sql, params) {
+    const rows = this.dbType === 'duckdb'
+      ? await this.allDuckDBQuery(sql, params)
+      : this.db.prepare(sql).all(params);
+
+    return rows.map(row => {
+      const sanitized = {};
+      for (const [key, value] of Object.entries(row)) {
+        sanitized[key] = typeof value === 'bigint' ? Number(value) : value;
+      }
+      return sanitized;
+    });
+  }
+
+  /**
+   * Validate and fill in defaults for aggregateReadings options. Without an
+   * interval the readings are not bucketed.
+   */
+  static resolveBucketOptions(options = {}) {
+    const interval = options.interval ? DateUtils.parseInterval(options.interval) : null;
+    if (options.interval && !interval) {
+      throw validationError('interval', '"interval" must be a number followed by s, m, h, d, w or M (e.g. 15m, 1h, 1d, 1w, 1M)');
+    }
+
+    const timezone = options.timezone || 'UTC';
+    if (!moment.tz.zone(timezone)) {
+      throw validationError('timezone', '"timezone" must be a valid IANA timezone');
+    }
+
+    const functions = options.functions && options.functions.length > 0 ? options.functions : DEFAULT_AGGREGATE_FUNCTIONS;
+    const unknown = functions.find(fn => !AGGREGATE_FUNCTIONS.includes(fn));
+    if (unknown) {
+      throw validationError('functions', `"functions" must be one of [${AGGREGATE_FUNCTIONS.join(', ')}]`);
+    }
+
+    const percentiles = functions.includes('percentile') ? (options.percentiles && options.percentiles.length > 0 ? options.percentiles : [50]) : [];
+    if (percentiles.some(p => !(p >= 0 && p <= 100))) {
+      throw validationError('percentiles', '"percentiles" must be numbers between 0 and 100');
+    }
+
+    const groupBy = options.groupBy ? [].concat(options.groupBy) : [];
+    const unknownGroup = groupBy.find(group => !AGGREGATION_GROUPS[group]);
+    if (unknownGroup) {
+      throw validationError('groupBy', `"groupBy" must be one of [${Object.keys(AGGREGATION_GROUPS).join(', ')}]`);
+    }
+
+    return {
+      interval: options.interval || null,
+      parsedInterval: interval,
+      timezone,
+      functions,
+      percentiles,
+      groupColumns: groupBy.map(group => AGGREGATION_GROUPS[group])
+    };
+  }
+
+  /**
+   * Column name for a percentile, e.g. 95 -> p95, 99.5 -> p99_5
+   */
+  static percentileColumn(percentile) {
+    return `p${String(percentile).replace('.', '_')}`;
+  }
+
+  /**
+   * Statistics of `value` per time bucket (and group), computed in the database.
+   * Buckets follow the wall clock of `timezone`; each row's `bucket` is the
+   * bucket start as an ISO timestamp with that timezone's offset.
+   */
+  async aggregateTimeBuckets(options = {}) {
+    return this.aggregateReadings({ ...options, interval: options.interval || '1h' });
+  }
+
+  /**
+   * Aggregate `value` per group, and per time bucket when an interval is given
+   * (see aggregateTimeBuckets). Without interval or groupBy a single row
+   * covers every matching reading.
+   */
+  async aggregateReadings(options = {}) {
+    const spec = DuckDBService.resolveBucketOptions(options);
+
+    if (!this.isAvailable) {
+      return this.aggregateReadingsFallback(options, spec);
+    }
+
+    const isDuckDB = this.dbType === 'duckdb';
+    let bucketExpr = null;
+    let bucketParams = [];
+    if (spec.parsedInterval) {
+      const { amount, unit } = spec.parsedInterval;
+      bucketExpr = isDuckDB
+        ? `time_bucket(INTERVAL '${amount} ${INTERVAL_UNITS[unit]}', timezone('UTC', timestamp), $1)`
+        : 'time_bucket(?, timestamp, ?)';
+      bucketParams = isDuckDB ? [spec.timezone] : [spec.interval, spec.timezone];
+    }
+    const { conditions, params } = this.buildAggregationFilters(options, bucketParams);
+
+    const expressions = {
+      avg: 'AVG(value) AS avg',
+      min: 'MIN(value) AS min',
+      max: 'MAX(value) AS max',
+      sum: 'SUM(value) AS sum',
+      count: 'COUNT(*) AS count',
+      first: 'arg_min(value, timestamp) AS first',
+      last: 'arg_max(value, timestamp) AS last',
+      stddev: 'stddev_samp(value) AS stddev',
+      percentile: spec.percentiles
+        .map(p => `quantile_cont(value, ${p / 100}) AS ${DuckDBService.percentileColumn(p)}`)
+        .join(', ')
+    };
+
+    const groupKeys = [...(bucketExpr ? ['bucket'] : []), ...spec.groupColumns];
+    const columns = [...(bucketExpr ? [`${bucketExpr} AS bucket`] : []), ...spec.groupColumns, ...spec.functions.map(fn => expressions[fn])];
+    const sql = `
+      SELECT
+        ${columns.join(',\n        ')}
+      FROM sensor_data
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ${groupKeys.length > 0 ? `GROUP BY ${groupKeys.join(', ')} ORDER BY ${groupKeys.join(', ')}` : ''}
+    `;
+
+    const rows = await this.allAggregationQuery(sql, params);
+
+    return {
+      success: true,
+      data: bucketExpr
+        ? rows.map(row => ({ ...row, bucket: DateUtils.toTimezone(row.bucket, spec.timezone).format() }))
+        : rows,
+      interval: spec.interval,
+      timezone: spec.timezone,
+      functions: spec.functions,
+      source: this.dbType
+    };
+  }
+
+  /**
+   * Same statistics as aggregateReadings over the fallback JSON files
+   */
+  async aggregateReadingsFallback(options = {}, spec = DuckDBService.resolveBucketOptions(options)) {
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
+    const { data } = await this.queryDataFallback({
+      sensor_id: options.sensor_id,
+      reading_type: options.reading_type,
+      field: options.field,
+      startDate: range.start,
+      endDate: range.end
+    });
+
+    const groups = new Map();
+
+    for (const record of data) {
+      const bucket = spec.parsedInterval ? DateUtils.timeBucket(record.timestamp, spec.parsedInterval, spec.timezone) : null;
+      if (spec.parsedInterval && !bucket) continue;
+
+      const values = {};
+      for (const column of spec.groupColumns) {
+        values[column] = column === 'field' ? (record.location?.field ?? record.field ?? null) : record[column] ?? null;
+      }
+      const key = JSON.stringify([bucket ? bucket.valueOf() : null, ...Object.values(values)]);
+
+      if (!groups.has(key)) {
+        groups.set(key, { bucket, values, count: 0, readings: [] });
+      }
+      const group = groups.get(key);
+      group.count++;
+      const value = StatsUtils.numericValues([record.value]);
+      if (value.length > 0) group.readings.push({ time: new Date(record.timestamp).getTime(), value: value[0] });
+    }
+
+    const rows = [...groups.values()]
+      .sort((a, b) => (a.bucket ? a.bucket.valueOf() - b.bucket.valueOf() : 0) ||
+        spec.groupColumns.reduce((order, column) => order || String(a.values[column] ?? '').localeCompare(String(b.values[column] ?? '')), 0))
+      .map(group => {
+        const values = group.readings.map(reading => reading.value);
+        const byTime = [...group.readings].sort((a, b) => a.time - b.time);
+        const { min, max } = StatsUtils.minMax(values);
+        const mean = StatsUtils.mean(values);
+        const results = {
+          avg: { avg: mean },
+          min: { min },
+          max: { max },
+          sum: { sum: mean === null ? null : mean * values.length },
+          count: { count: group.count },
+          first: { first: byTime.length > 0 ? byTime[0].value : null },
+          last: { last: byTime.length > 0 ? byTime[byTime.length - 1].value : null },
+          stddev: { stddev: StatsUtils.stdDev(values) },
+          percentile: Object.fromEntries(spec.percentiles.map(p => [DuckDBService.percentileColumn(p), StatsUtils.percentile(values, p)]))
+        };
+
+        return Object.assign(
+          group.bucket ? { bucket: group.bucket.format(), ...group.values } : { ...group.values },
+          ...spec.functions.map(fn => results[fn])
+        );
+      });
+
+    return {
+      success: true,
+      data: rows,
+      interval: spec.interval,
+      timezone: spec.timezone,
+      functions: spec.functions,
+      source: 'fallback'
+    };
+  }
+
+  /**
+   * Same statistics as aggregateDaily over the fallback JSON files
+   */
+  async aggregateDailyFallback(filters = {}) {
+    const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+    const { data } = await this.queryDataFallback({
+      sensor_id: filters.sensor_id,
+      reading_type: filters.reading_type,
+      field: filters.field,
+      startDate: range.start,
+      endDate: range.end
+    });
+
+    const groupColumn = AGGREGATION_GROUPS[filters.groupBy];
+    const groups = new Map();
+
+    for (const record of data) {
+      const time = new Date(record.timestamp);
+      if (Number.isNaN(time.getTime())) continue;
+
+      const date = time.toISOString().split('T')[0];
+      const groupValue = groupColumn === 'field' ? (record.location?.field ?? record.field ?? null) : (groupColumn ? record[groupColumn] ?? null : null);
+      const key = `${date}|${groupValue}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { date, groupValue, count: 0, values: [], anomalyCount: 0 });
+      }
+      const group = groups.get(key);
+      group.count++;
+      if (record.is_anomalous) group.anomalyCount++;
+      const value = StatsUtils.numericValues([record.value]);
+      if (value.length > 0) group.values.push(value[0]);
+    }
+
+    const rows = [...groups.values()].map(group => {
+      const { min, max } = StatsUtils.minMax(group.values);
+      const mean = StatsUtils.mean(group.values);
+      return {
+        date: group.date,
+        ...(groupColumn ? { [groupColumn]: group.groupValue } : {}),
+        count: group.count,
+        min,
+        max,
+        avg: mean,
+        sum: mean === null ? null : mean * group.values.length,
+        stddev: StatsUtils.stdDev(group.values),
+        median: StatsUtils.median(group.values),
+        p10: StatsUtils.percentile(group.values, 10),
+        p90: StatsUtils.percentile(group.values, 90),
+        anomaly_count: group.anomalyCount
+      };
+    });
+
+    rows.sort((a, b) => a.date.localeCompare(b.date) ||
+      String(a[groupColumn] ?? '').localeCompare(String(b[groupColumn] ?? '')));
+
+    return { success: true, data: rows, source: 'fallback' };
+  }
+
+  /**
+   * One entry per sensor with its reading types, fields, reading count and
+   * first/last reading time, grouped in the database
+   */
+  async getSensorInventory() {
+    let rows;
+
+    if (!this.isAvailable) {
+      rows = [];
+      const { data } = await this.queryDataFallback();
+      for (const record of data) {
+        rows.push({
+          sensor_id: record.sensor_id,
+          reading_type: record.reading_type,
+          field: record.location?.field ?? record.field ?? null,
+          readings: 1,
+          first_seen: record.timestamp,
+          last_seen: record.timestamp
+        });
+      }
+    } else {
+      rows = await this.allAggregationQuery(`
+        SELECT sensor_id, reading_type, field, COUNT(*) AS readings,
+          MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen
+        FROM sensor_data
+        WHERE sensor_id IS NOT NULL
+        GROUP BY sensor_id, reading_type, field
+      `, []);
+    }
+
+    const toISO = value => {
+      const time = new Date(value);
+      return Number.isNaN(time.getTime()) ? null : time.toISOString();
+    };
+    const sensors = new Map();
+    for (const row of rows) {
+      const firstSeen = toISO(row.first_seen);
+      const lastSeen = toISO(row.last_seen);
+      if (!row.sensor_id || !firstSeen || !lastSeen) continue;
+
+      if (!sensors.has(row.sensor_id)) {
+        sensors.set(row.sensor_id, {
+          sensor_id: row.sensor_id,
+          reading_types: [],
+          fields: [],
+          total_readings: 0,
+          first_seen: firstSeen,
+          last_seen: lastSeen
+        });
+      }
+
+      const sensor = sensors.get(row.sensor_id);
+      if (row.reading_type && !sensor.reading_types.includes(row.reading_type)) sensor.reading_types.push(row.reading_type);
+      if (row.field && !sensor.fields.includes(row.field)) sensor.fields.push(row.field);
+      sensor.total_readings += row.readings;
+      if (firstSeen < sensor.first_seen) sensor.first_seen = firstSeen;
+      if (lastSeen > sensor.last_seen) sensor.last_seen = lastSeen;
+    }
+
+    return {
+      success: true,
+      data: [...sensors.values()]
+        .map(sensor => ({ ...sensor, reading_types: sensor.reading_types.sort(), fields: sensor.fields.sort() }))
+        .sort((a, b) => a.sensor_id.localeCompare(b.sensor_id)),
+      source: this.isAvailable ? this.dbType : 'fallback'
+    };
+  }
+
   async getStats() {
     if (!this.isAvailable) {
       return this.getStatsFallback();
@@ -725,6 +1576,79 @@ class DuckDBService {
     }
   }
 
+  /**
+   * Query Hive-partitioned Parquet files (already pruned by the caller) with
+   * the same filters and ordering as queryData
+   */
+  async queryParquetPartitions(files, filters = {}) {
+    if (!this.isAvailable || this.dbType !== 'duckdb') {
+      throw new Error('DuckDB is required for Parquet partition queries');
+    }
+
+    if (files.length === 0) {
+      return { success: true, data: [], source: 'duckdb-parquet' };
+    }
+
+    const fileList = files.map(sqlString).join(', ');
+    let sql = `SELECT * FROM read_parquet([${fileList}], hive_partitioning = true, union_by_name = true) WHERE 1=1`;
+    const params = [];
+
+    if (filters.sensor_id) {
+      sql += ' AND sensor_id = $' + (params.length + 1);
+      params.push(filters.sensor_id);
+    }
+
+    if (filters.reading_type) {
+      sql += ' AND reading_type = $' + (params.length + 1);
+      params.push(filters.reading_type);
+    }
+
+    if (filters.startDate) {
+      sql += ' AND timestamp >= CAST($' + (params.length + 1) + ' AS TIMESTAMP)';
+      params.push(filters.startDate);
+    }
+
+    if (filters.endDate) {
+      sql += ' AND timestamp <= CAST($' + (params.length + 1) + ' AS TIMESTAMP)';
+      params.push(filters.endDate);
+    }
+
+    for (const condition of this.locationConditions(filters, params)) {
+      sql += ` AND ${condition}`;
+    }
+
+    if (filters.anomalous !== undefined) {
+      sql += ' AND COALESCE(is_anomalous, FALSE) = $' + (params.length + 1);
+      params.push(Boolean(filters.anomalous));
+    }
+
+    if (filters.anomaly_type) {
+      sql += ' AND anomaly_type = $' + (params.length + 1);
+      params.push(filters.anomaly_type);
+    }
+
+    sql += ' ORDER BY timestamp DESC';
+
+    if (filters.limit) {
+      sql += ' LIMIT $' + (params.length + 1);
+      params.push(filters.limit);
+    }
+
+    const results = await this.allDuckDBQuery(sql, params);
+
+    return {
+      success: true,
+      data: results.map(record => {
+        const sanitized = {};
+        for (const [key, value] of Object.entries(record)) {
+          sanitized[key] = typeof value === 'bigint' ? Number(value) : value;
+        }
+        return sanitized;
+      }),
+      source: 'duckdb-parquet'
+    };
+  }
+
   async close() {
     if (this.db) {
       if (this.dbType === 'duckdb') {
@@ -912,4 +1836,9 @@ class DuckDBService {
   }
 }
 
+DuckDBService.AGGREGATION_GROUPS = AGGREGATION_GROUPS;
+DuckDBService.AGGREGATE_FUNCTIONS = AGGREGATE_FUNCTIONS;
+DuckDBService.INSERT_MODES = INSERT_MODES;
+DuckDBService.NATURAL_KEY = NATURAL_KEY;
+
 module.exports = DuckDBService;
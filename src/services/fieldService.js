@@ -0,0 +1,278 @@
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const GeoUtils = require('../utils/geoUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+function validationError(field, message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+}
+
+function isInForce(assignment, time) {
+  if (assignment.valid_from && time < new Date(assignment.valid_from).getTime()) return false;
+  if (assignment.valid_to && time >= new Date(assignment.valid_to).getTime()) return false;
+  return true;
+}
+
+/**
+ * Registry of farm fields: boundary polygon (GeoJSON), crop and area, plus
+ * which sensors were placed in the field and when. A field's id is the value
+ * readings carry in their `field` column. A sensor belongs to one field at a
+ * time; each assignment is valid from valid_from until valid_to (open-ended
+ * when null).
+ */
+class FieldService {
+  static getFieldsDir() {
+    return config.paths?.fields || 'data/fields';
+  }
+
+  static getFieldPath(fieldId) {
+    return FileUtils.pathInside(this.getFieldsDir(), `${fieldId}.json`, 'field_id');
+  }
+
+  static async listFields(filters = {}) {
+    const { farm, crop_type: cropType, sensor_id: sensorId, at } = filters;
+    const atTime = at ? this.parseTime('at', at).getTime() : null;
+    const files = await FileUtils.listFiles(this.getFieldsDir(), '*.json');
+
+    const fields = [];
+    for (const filePath of files) {
+      try {
+        fields.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read field ${filePath}:`, error);
+      }
+    }
+
+    return fields
+      .filter(field => {
+        if (farm && field.farm !== farm) return false;
+        if (cropType && field.crop_type !== cropType) return false;
+        if (sensorId && !field.assignments.some(a =>
+          a.sensor_id === sensorId && (atTime === null || isInForce(a, atTime)))) return false;
+        return true;
+      })
+      .sort((a, b) => a.field_id.localeCompare(b.field_id));
+  }
+
+  static parseTime(name, value) {
+    const time = new Date(value);
+    if (Number.isNaN(time.getTime())) {
+      throw validationError(name, `"${name}" must be a valid date`);
+    }
+    return time;
+  }
+
+  static async getField(fieldId) {
+    const filePath = this.getFieldPath(fieldId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  static async saveField(field) {
+    await FileUtils.ensureDir(this.getFieldsDir());
+    await FileUtils.writeJSON(this.getFieldPath(field.field_id), field);
+    return field;
+  }
+
+  /**
+   * Derived geometry properties; a given area (e.g. a surveyed one) wins over
+   * the area computed from the polygon
+   */
+  static describeGeometry(geometry, areaHectares) {
+    if (!geometry) {
+      return { geometry: null, bbox: null, centroid: null, area_hectares: areaHectares ?? null };
+    }
+
+    const problem = GeoUtils.validateGeometry(geometry);
+    if (problem) {
+      throw validationError('geometry', problem);
+    }
+
+    return {
+      geometry,
+      bbox: GeoUtils.bbox(geometry),
+      centroid: GeoUtils.centroid(geometry),
+      area_hectares: areaHectares ?? GeoUtils.areaHectares(geometry)
+    };
+  }
+
+  static async createField(definition) {
+    const now = DateUtils.nowIST().toISOString();
+    const field = {
+      field_id: definition.field_id,
+      name: definition.name || definition.field_id,
+      farm: definition.farm || null,
+      crop_type: definition.crop_type || null,
+      ...this.describeGeometry(definition.geometry, definition.area_hectares),
+      description: definition.description || null,
+      assignments: [],
+      created_at: now,
+      updated_at: now
+    };
+
+    await this.saveField(field);
+    logger.info(`Created field ${field.field_id}`, { farm: field.farm, crop_type: field.crop_type });
+    return field;
+  }
+
+  static async updateField(fieldId, changes) {
+    const field = await this.getField(fieldId);
+    if (!field) return null;
+
+    for (const key of ['name', 'farm', 'crop_type', 'description']) {
+      if (changes[key] !== undefined) field[key] = changes[key];
+    }
+    if (changes.geometry !== undefined || changes.area_hectares !== undefined) {
+      const geometry = changes.geometry !== undefined ? changes.geometry : field.geometry;
+      // A new polygon recomputes the area unless one is given with it
+      const area = changes.area_hectares !== undefined
+        ? changes.area_hectares
+        : changes.geometry !== undefined ? undefined : field.area_hectares;
+      Object.assign(field, this.describeGeometry(geometry, area));
+    }
+    field.updated_at = DateUtils.nowIST().toISOString();
+
+    return this.saveField(field);
+  }
+
+  static async deleteField(fieldId) {
+    const filePath = this.getFieldPath(fieldId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return false;
+    }
+    await FileUtils.deleteFile(filePath);
+    return true;
+  }
+
+  /**
+   * Assign a sensor to a field from valid_from (default now). The sensor's
+   * earlier open-ended assignment, in this or another field, ends at the new
+   * valid_from; the new one ends where a later assignment of the sensor begins.
+   * Returns null if the field does not exist.
+   */
+  static async assignSensor(fieldId, { sensor_id: sensorId, valid_from: validFrom, valid_to: validTo }) {
+    const field = await this.getField(fieldId);
+    if (!field) return null;
+
+    const now = DateUtils.nowIST().toISOString();
+    const assignment = {
+      sensor_id: sensorId,
+      valid_from: new Date(validFrom || now).toISOString(),
+      valid_to: validTo ? new Date(validTo).toISOString() : null,
+      assigned_at: now
+    };
+    if (assignment.valid_to && new Date(assignment.valid_to) <= new Date(assignment.valid_from)) {
+      throw validationError('valid_to', 'valid_to must be after valid_from');
+    }
+
+    const start = new Date(assignment.valid_from);
+    const fields = await this.listFields({ sensor_id: sensorId });
+    if (!fields.some(other => other.field_id === fieldId)) fields.push(field);
+
+    const clash = fields.flatMap(other => other.assignments)
+      .find(a => a.sensor_id === sensorId && new Date(a.valid_from).getTime() === start.getTime());
+    if (clash) {
+      throw validationError('valid_from', `Sensor ${sensorId} already has an assignment starting at ${assignment.valid_from}`);
+    }
+
+    for (const other of fields) {
+      const target = other.field_id === fieldId ? field : other;
+      let changed = false;
+
+      for (const existing of target.assignments.filter(a => a.sensor_id === sensorId)) {
+        const existingStart = new Date(existing.valid_from);
+        if (existingStart < start && (!existing.valid_to || new Date(existing.valid_to) > start)) {
+          existing.valid_to = assignment.valid_from;
+          changed = true;
+        } else if (existingStart > start && (!assignment.valid_to || new Date(assignment.valid_to) > existingStart)) {
+          assignment.valid_to = existing.valid_from;
+        }
+      }
+
+      if (changed && target !== field) {
+        target.updated_at = now;
+        await this.saveField(target);
+      }
+    }
+
+    field.assignments.push(assignment);
+    field.assignments.sort((a, b) => a.sensor_id.localeCompare(b.sensor_id) || new Date(a.valid_from) - new Date(b.valid_from));
+    field.updated_at = now;
+    await this.saveField(field);
+
+    logger.info(`Assigned sensor ${sensorId} to field ${fieldId}`, { valid_from: assignment.valid_from, valid_to: assignment.valid_to });
+    return { field, assignment };
+  }
+
+  /**
+   * End a sensor's assignment to a field that is in force at `at` (default
+   * now). Returns null if the field does not exist or the sensor is not
+   * assigned to it at that time.
+   */
+  static async unassignSensor(fieldId, sensorId, at) {
+    const field = await this.getField(fieldId);
+    if (!field) return null;
+
+    const end = at ? this.parseTime('at', at) : new Date();
+    const assignment = field.assignments.find(a => a.sensor_id === sensorId && isInForce(a, end.getTime()));
+    if (!assignment) return null;
+
+    if (end <= new Date(assignment.valid_from)) {
+      field.assignments = field.assignments.filter(a => a !== assignment);
+    } else {
+      assignment.valid_to = end.toISOString();
+    }
+    field.updated_at = DateUtils.nowIST().toISOString();
+    await this.saveField(field);
+
+    return { field, assignment };
+  }
+
+  /**
+   * Whether a reading belongs to a field: it was recorded with the field's id,
+   * or taken by a sensor while assigned to the field
+   */
+  static matchesField(record, fieldId, assignments = []) {
+    const recordField = record.location?.field ?? record.field ?? null;
+    if (recordField === fieldId) return true;
+
+    const time = new Date(record.timestamp).getTime();
+    return assignments.some(a => a.sensor_id === record.sensor_id && isInForce(a, time));
+  }
+
+  /**
+   * Location filters of a data query applied to one reading, for the query
+   * paths that filter in JavaScript: `field` with its `fieldAssignments`, and
+   * `bbox` on the reading coordinates
+   */
+  static matchesLocation(record, { field, fieldAssignments, bbox } = {}) {
+    if (field && !this.matchesField(record, field, fieldAssignments)) return false;
+    if (bbox) {
+      const latitude = record.location?.latitude ?? record.latitude;
+      const longitude = record.location?.longitude ?? record.longitude;
+      if (typeof latitude !== 'number' || typeof longitude !== 'number') return false;
+      if (!GeoUtils.inBBox(longitude, latitude, bbox)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * GeoJSON Feature of a field, with the other attributes as properties
+   */
+  static toFeature(field) {
+    const { geometry, bbox, ...properties } = field;
+    return { type: 'Feature', id: field.field_id, bbox: bbox || undefined, geometry, properties };
+  }
+
+  static toFeatureCollection(fields) {
+    return { type: 'FeatureCollection', features: fields.map(field => this.toFeature(field)) };
+  }
+}
+
+module.exports = FieldService;
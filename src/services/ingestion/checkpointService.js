@@ -0,0 +1,126 @@
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs');
+const FileUtils = require('../../utils/fileUtils');
+const DateUtils = require('../../utils/dateUtils');
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+
+/**
+ * Records which raw files have been ingested, keyed by file name and content
+ * hash, so a rerun only picks up new or changed files. The transformation
+ * stage marks the JSON files it has loaded, so it only reads files ingested
+ * since.
+ */
+class CheckpointService {
+  static getCheckpointFile() {
+    return config.ingestion?.checkpoint_file ||
+      path.join(config.paths?.checkpoints || 'data/checkpoints', 'ingestion_checkpoints.json');
+  }
+
+  static getKey(fileName, contentHash) {
+    return `${fileName}:${contentHash}`;
+  }
+
+  static hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
+  static async loadCheckpoints() {
+    const filePath = this.getCheckpointFile();
+    if (!(await FileUtils.fileExists(filePath))) {
+      return {};
+    }
+
+    try {
+      return await FileUtils.readJSON(filePath);
+    } catch (error) {
+      logger.warn(`Failed to read ingestion checkpoints ${filePath}, starting fresh:`, error);
+      return {};
+    }
+  }
+
+  static async saveCheckpoints(checkpoints) {
+    const filePath = this.getCheckpointFile();
+    await FileUtils.ensureDir(path.dirname(filePath));
+    await FileUtils.writeJSON(filePath, checkpoints);
+  }
+
+  static isProcessed(checkpoints, fileName, contentHash) {
+    return Boolean(checkpoints[this.getKey(fileName, contentHash)]);
+  }
+
+  /**
+   * Mark a file as ingested and persist straight away, so an interrupted run
+   * keeps the files it already finished
+   */
+  static async recordCheckpoint(checkpoints, fileName, contentHash, fileStats = {}) {
+    const key = this.getKey(fileName, contentHash);
+    checkpoints[key] = {
+      file_name: fileName,
+      content_hash: contentHash,
+      records_processed: fileStats.recordsProcessed || 0,
+      records_skipped: fileStats.recordsSkipped || 0,
+      errors: fileStats.errors || 0,
+      ingested_at: DateUtils.nowIST().toISOString()
+    };
+
+    await this.saveCheckpoints(checkpoints);
+    return checkpoints[key];
+  }
+
+  /**
+   * Whether a raw JSON file was ingested but not loaded by transformation yet
+   */
+  static needsTransformation(checkpoints, fileName, contentHash) {
+    const checkpoint = checkpoints[this.getKey(fileName, contentHash)];
+    return Boolean(checkpoint) && !checkpoint.transformed_at;
+  }
+
+  static async markTransformed(checkpoints, fileName, contentHash) {
+    const checkpoint = checkpoints[this.getKey(fileName, contentHash)];
+    if (!checkpoint) return null;
+
+    checkpoint.transformed_at = DateUtils.nowIST().toISOString();
+    await this.saveCheckpoints(checkpoints);
+    return checkpoint;
+  }
+
+  /**
+   * List checkpoints, most recently ingested first
+   */
+  static async listCheckpoints(filters = {}) {
+    const checkpoints = Object.values(await this.loadCheckpoints())
+      .filter(checkpoint => !filters.file_name || checkpoint.file_name === filters.file_name);
+
+    checkpoints.sort((a, b) => new Date(b.ingested_at) - new Date(a.ingested_at));
+    return checkpoints;
+  }
+
+  /**
+   * Forget checkpoints for one file, or all of them. Returns how many were removed.
+   */
+  static async resetCheckpoints(fileName = null) {
+    const checkpoints = await this.loadCheckpoints();
+    let removed = 0;
+
+    for (const [key, checkpoint] of Object.entries(checkpoints)) {
+      if (!fileName || checkpoint.file_name === fileName) {
+        delete checkpoints[key];
+        removed++;
+      }
+    }
+
+    await this.saveCheckpoints(checkpoints);
+    logger.info(`Reset ${removed} ingestion checkpoints`, { file_name: fileName });
+    return removed;
+  }
+}
+
+module.exports = CheckpointService;
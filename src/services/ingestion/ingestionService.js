@@ -1,8 +1,60 @@
 const logger = require('../../utils/logger');
 const FileUtils = require('../../utils/fileUtils');
+const CheckpointService = require('./checkpointService');
+const MappingProfileService = require('./mappingProfileService');
+const RawFileReader = require('./rawFileReader');
 const path = require('path');
 const fs = require('fs');
 const parquet = require('@dsnp/parquetjs');
+const duckDBSingleton = require('../duckDBSingleton');
+
+function toMB(bytes) {
+  return Math.round((bytes / 1024 / 1024) * 10) / 10;
+}
+
+/**
+ * Peak process memory over the samples taken while ingesting
+ */
+class MemoryTracker {
+  constructor() {
+    this.rss = 0;
+    this.heapUsed = 0;
+    this.sample();
+  }
+
+  sample() {
+    const { rss, heapUsed } = process.memoryUsage();
+    this.rss = Math.max(this.rss, rss);
+    this.heapUsed = Math.max(this.heapUsed, heapUsed);
+  }
+
+  peak() {
+    return { peakRssMB: toMB(this.rss), peakHeapUsedMB: toMB(this.heapUsed) };
+  }
+}
+
+function throughput(records, startedAt) {
+  const durationMs = Date.now() - startedAt;
+  return {
+    durationMs,
+    rowsPerSecond: durationMs > 0 ? Math.round((records / durationMs) * 1000) : records
+  };
+}
+
+// Parquet rows come back with BigInt integers, which JSON cannot serialize
+function toPlainRecord(record) {
+  const plain = {};
+  for (const [key, value] of Object.entries(record)) {
+    if (typeof value === 'bigint') {
+      plain[key] = Number(value);
+    } else if (value && typeof value === 'object' && value.constructor === Object) {
+      plain[key] = toPlainRecord(value);
+    } else {
+      plain[key] = value;
+    }
+  }
+  return plain;
+}
 
 class IngestionService {
   constructor(config) {
@@ -35,37 +87,59 @@ class IngestionService {
   async ingestData(options = {}) {
     logger.info('Starting data ingestion process', options);
 
+    const startedAt = Date.now();
+    const memory = new MemoryTracker();
     const stats = {
       recordsProcessed: 0,
       recordsSkipped: 0,
       errors: 0,
-      filesProcessed: 0
+      filesProcessed: 0,
+      filesSkipped: 0
     };
 
     try {
       // If options contains startDate/endDate, process files from raw directory
       if (options.startDate || options.endDate || !options.data) {
         const filesToProcess = await this.getFilesToProcess(options.startDate, options.endDate);
+        const checkpoints = await CheckpointService.loadCheckpoints();
         
-        logger.info(`Found ${filesToProcess.length} files to process`);
+        logger.info(`Found ${filesToProcess.length} files to process`, { forceReprocess: Boolean(options.forceReprocess) });
         
         for (const filePath of filesToProcess) {
           try {
+            const fileName = path.basename(filePath);
+            const contentHash = await CheckpointService.hashFile(filePath);
+
+            if (!options.forceReprocess && CheckpointService.isProcessed(checkpoints, fileName, contentHash)) {
+              logger.debug(`Skipping already ingested file: ${fileName}`);
+              stats.filesSkipped++;
+              continue;
+            }
+
             let fileStats;
+            const fileType = RawFileReader.describe(fileName);
             
-            if (filePath.endsWith('.parquet')) {
+            if (!fileType) {
+              logger.warn(`Unsupported file type: ${filePath}`);
+              continue;
+            } else if (fileType.format === 'parquet') {
               fileStats = await this.ingestParquetFile(filePath);
-            } else if (filePath.endsWith('.json')) {
+            } else if (fileType.format === 'json' && !fileType.gzip) {
               fileStats = await this.ingestJsonFile(filePath);
             } else {
-              logger.warn(`Unsupported file type: ${filePath}`);
-              continue;
+              fileStats = await this.ingestTextFile(filePath);
             }
             
             stats.recordsProcessed += fileStats.recordsProcessed;
             stats.recordsSkipped += fileStats.recordsSkipped;
             stats.errors += fileStats.errors;
             stats.filesProcessed++;
+            memory.sample();
+
+            await CheckpointService.recordCheckpoint(checkpoints, fileName, contentHash, fileStats);
+            for (const written of fileStats.rawFilesWritten || []) {
+              await this.checkpointWrittenFile(checkpoints, written);
+            }
             
           } catch (error) {
             stats.errors++;
@@ -75,6 +149,7 @@ class IngestionService {
       } else {
         // Legacy behavior: process data array directly
         const data = options.data || options;
+        const checkpoints = await CheckpointService.loadCheckpoints();
         
         if (!Array.isArray(data)) {
           data = [data];
@@ -89,6 +164,7 @@ class IngestionService {
               const filePath = path.join(this.rawDataPath, filename);
               
               await fs.promises.writeFile(filePath, JSON.stringify([record], null, 2));
+              await this.checkpointWrittenFile(checkpoints, { name: filename, records: 1 });
               stats.recordsProcessed++;
             } else {
               stats.recordsSkipped++;
@@ -100,6 +176,8 @@ class IngestionService {
         }
       }
 
+      Object.assign(stats, throughput(stats.recordsProcessed, startedAt), { memory: memory.peak() });
+
       logger.info('Data ingestion completed', stats);
       return stats;
     } catch (error) {
@@ -108,6 +186,15 @@ class IngestionService {
     }
   }
 
+  /**
+   * Checkpoint a JSON file ingestion wrote to the raw directory itself: it
+   * needs no ingesting of its own, only transformation
+   */
+  async checkpointWrittenFile(checkpoints, { name, records }) {
+    const contentHash = await CheckpointService.hashFile(path.join(this.rawDataPath, name));
+    await CheckpointService.recordCheckpoint(checkpoints, name, contentHash, { recordsProcessed: records });
+  }
+
   validateRecord(record) {
     // Basic validation
     if (!record.timestamp || !record.sensor_id || record.value === undefined) {
@@ -195,9 +282,7 @@ class IngestionService {
   async getFilesToProcess(startDate, endDate) {
     try {
       const files = await fs.promises.readdir(this.rawDataPath);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
-      const parquetFiles = files.filter(f => f.endsWith('.parquet'));
-      const allFiles = [...jsonFiles, ...parquetFiles];
+      const allFiles = files.filter(f => RawFileReader.isSupported(f));
       
       if (!startDate && !endDate) {
         return allFiles.map(f => path.join(this.rawDataPath, f));
@@ -228,51 +313,64 @@ class IngestionService {
     }
   }
 
+  /**
+   * Stage the rows of a Parquet file for transformation. With DuckDB the file
+   * is loaded by read_parquet in one statement; otherwise rows are streamed
+   * row group by row group and staged in batches of processing.batchSize.
+   * Without a database each batch is written to one JSON file in the raw
+   * directory instead.
+   */
   async ingestParquetFile(filePath) {
     logger.info(`Starting Parquet file ingestion: ${filePath}`);
 
+    const startedAt = Date.now();
+    const memory = new MemoryTracker();
     const stats = {
       recordsProcessed: 0,
       recordsSkipped: 0,
-      errors: 0
+      errors: 0,
+      batches: 0
     };
 
     try {
-      const reader = await parquet.ParquetReader.openFile(filePath);
+      const db = await this.getDatabase();
+      const sourceFile = path.basename(filePath);
+
+      if (db?.isAvailable && db.dbType === 'duckdb') {
+        stats.method = 'duckdb_read_parquet';
+        const { staged, skipped } = await db.stageParquetFile(filePath, sourceFile);
+        stats.recordsProcessed = staged;
+        stats.recordsSkipped = skipped;
+        stats.batches = 1;
+        memory.sample();
+      } else {
+        stats.method = db?.isAvailable ? 'streamed_batches' : 'json_batches';
+        await this.streamParquetFile(filePath, sourceFile, db?.isAvailable ? db : null, stats, memory);
+      }
+
+      Object.assign(stats, throughput(stats.recordsProcessed, startedAt), { memory: memory.peak() });
+
+      logger.info(`Parquet file ingestion completed: ${filePath}`, stats);
+      return stats;
+    } catch (error) {
+      logger.error(`Parquet file ingestion failed: ${filePath}`, error);
+      throw error;
+    }
+  }
+
+  async streamParquetFile(filePath, sourceFile, db, stats, memory) {
+    const reader = await parquet.ParquetReader.openFile(filePath);
+    const writer = this.createBatchWriter(sourceFile, 'parquet', db, stats, memory);
+
+    try {
       const cursor = reader.getCursor();
-      
       let record = null;
-      while (record = await cursor.next()) {
-        try {
-          // Convert Parquet record to plain JavaScript object and handle BigInt
-          const plainRecord = {};
-          for (const [key, value] of Object.entries(record)) {
-            if (typeof value === 'bigint') {
-              plainRecord[key] = Number(value);
-            } else if (value && typeof value === 'object' && value.constructor === Object) {
-              // Handle nested objects
-              const nestedObj = {};
-              for (const [nestedKey, nestedValue] of Object.entries(value)) {
-                if (typeof nestedValue === 'bigint') {
-                  nestedObj[nestedKey] = Number(nestedValue);
-                } else {
-                  nestedObj[nestedKey] = nestedValue;
-                }
-              }
-              plainRecord[key] = nestedObj;
-            } else {
-              plainRecord[key] = value;
-            }
-          }
 
+      while ((record = await cursor.next())) {
+        try {
+          const plainRecord = toPlainRecord(record);
           if (this.validateRecord(plainRecord)) {
-            // Save to raw data file (convert back to JSON for processing pipeline)
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const filename = `ingested_from_parquet_${timestamp}_${stats.recordsProcessed}.json`;
-            const outputPath = path.join(this.rawDataPath, filename);
-            
-            await fs.promises.writeFile(outputPath, JSON.stringify([plainRecord], null, 2));
-            stats.recordsProcessed++;
+            await writer.add(plainRecord);
           } else {
             stats.recordsSkipped++;
           }
@@ -282,16 +380,121 @@ class IngestionService {
         }
       }
 
+      await writer.flush();
+    } finally {
       await reader.close();
+    }
+  }
 
-      logger.info(`Parquet file ingestion completed: ${filePath}`, stats);
+  /**
+   * Collects valid records of a source file into batches of
+   * processing.batchSize and stages each full batch, or with no database
+   * writes it to one JSON file in the raw directory
+   */
+  createBatchWriter(sourceFile, format, db, stats, memory) {
+    const batchSize = this.config?.processing?.batchSize || 10000;
+    const baseName = RawFileReader.baseName(sourceFile);
+    let batch = [];
+
+    const flush = async () => {
+      if (batch.length === 0) return;
+      const records = batch;
+      batch = [];
+
+      stats.batches++;
+      if (db) {
+        await db.stageRecords(sourceFile, records);
+      } else {
+        const name = `ingested_from_${format}_${baseName}_${String(stats.batches).padStart(5, '0')}.json`;
+        await fs.promises.writeFile(path.join(this.rawDataPath, name), JSON.stringify(records));
+        stats.rawFilesWritten = [...(stats.rawFilesWritten || []), { name, records: records.length }];
+      }
+      stats.recordsProcessed += records.length;
+      memory.sample();
+    };
+
+    return {
+      add: async (record) => {
+        batch.push(record);
+        if (batch.length >= batchSize) await flush();
+      },
+      flush
+    };
+  }
+
+  /**
+   * Stage the readings of a CSV/TSV, JSON Lines or gzip-compressed raw file.
+   * Rows are streamed and mapped to readings by the mapping profile matching
+   * the file name; without one, CSV/TSV headers must name the reading
+   * attributes and JSON rows are taken as readings as they are. Readings are
+   * staged in batches like Parquet rows; a line that does not parse counts as
+   * an error without failing the file.
+   */
+  async ingestTextFile(filePath) {
+    logger.info(`Starting raw file ingestion: ${filePath}`);
+
+    const startedAt = Date.now();
+    const memory = new MemoryTracker();
+    const sourceFile = path.basename(filePath);
+    const { format } = RawFileReader.describe(sourceFile);
+    const stats = {
+      recordsProcessed: 0,
+      recordsSkipped: 0,
+      errors: 0,
+      batches: 0,
+      format
+    };
+
+    try {
+      const profile = await MappingProfileService.findProfile(sourceFile);
+      const mapping = profile || (format === 'csv' || format === 'tsv' ? MappingProfileService.DEFAULT_PROFILE : null);
+      stats.profile = profile ? profile.profile_id : null;
+
+      const db = await this.getDatabase();
+      stats.method = db?.isAvailable ? 'streamed_batches' : 'json_batches';
+      const writer = this.createBatchWriter(sourceFile, format, db?.isAvailable ? db : null, stats, memory);
+
+      for await (const { line, row, error } of RawFileReader.readRows(filePath, { delimiter: profile?.delimiter })) {
+        if (error) {
+          stats.errors++;
+          logger.warn(`Unparseable line ${line} in ${sourceFile}: ${error}`);
+          continue;
+        }
+
+        for (const record of MappingProfileService.mapRow(row, mapping)) {
+          // A blank reading type cell leaves nothing to file the reading under
+          if (this.validateRecord(record) && record.reading_type) {
+            await writer.add(record);
+          } else {
+            stats.recordsSkipped++;
+          }
+        }
+      }
+
+      await writer.flush();
+
+      Object.assign(stats, throughput(stats.recordsProcessed, startedAt), { memory: memory.peak() });
+
+      logger.info(`Raw file ingestion completed: ${filePath}`, stats);
       return stats;
     } catch (error) {
-      logger.error(`Parquet file ingestion failed: ${filePath}`, error);
+      logger.error(`Raw file ingestion failed: ${filePath}`, error);
       throw error;
     }
   }
 
+  async getDatabase() {
+    if (this.db === undefined) {
+      try {
+        this.db = await duckDBSingleton.getInstance();
+      } catch (error) {
+        logger.warn('Ingestion: database unavailable, staging rows as JSON files:', error);
+        this.db = null;
+      }
+    }
+    return this.db;
+  }
+
   async ingestJsonFile(filePath) {
     logger.info(`Starting JSON file ingestion: ${filePath}`);
 
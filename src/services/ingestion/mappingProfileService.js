@@ -0,0 +1,264 @@
+const moment = require('moment-timezone');
+const FileUtils = require('../../utils/fileUtils');
+const DateUtils = require('../../utils/dateUtils');
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+
+// Reading attributes a profile can map a source column to
+const TARGET_COLUMNS = ['sensor_id', 'timestamp', 'reading_type', 'value', 'unit', 'field', 'latitude', 'longitude', 'battery_level', 'signal_strength'];
+
+// Used for CSV/TSV files no profile matches: the header already names the reading attributes
+const DEFAULT_PROFILE = {
+  profile_id: null,
+  columns: Object.fromEntries(TARGET_COLUMNS.map(column => [column, column])),
+  timezone: 'UTC'
+};
+
+function validationError(field, message) {
+  const error = new Error(message);
+  error.name = 'ValidationError';
+  error.details = [{ field, message }];
+  return error;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function toNumber(value) {
+  if (isBlank(value)) return undefined;
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isFinite(number) ? number : NaN;
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.split('').map(char => {
+    if (char === '*') return '.*';
+    if (char === '?') return '.';
+    return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }).join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Column-mapping profiles for raw CSV/TSV and JSON Lines files. A profile
+ * applies to the raw files whose name matches one of its file_patterns and
+ * says which source column holds each reading attribute (`columns`), constant
+ * attributes (`defaults`), the unit of each reading type (`units`) and how
+ * timestamps are written (`timestamp_format`, `timezone`). Wide files, with
+ * one column per reading type, are unpivoted through `wide`
+ * ({ source column: reading_type }): each non-empty cell becomes a reading.
+ */
+class MappingProfileService {
+  static getProfilesDir() {
+    return config.paths?.mappingProfiles || 'data/mapping_profiles';
+  }
+
+  static getProfilePath(profileId) {
+    return FileUtils.pathInside(this.getProfilesDir(), `${profileId}.json`, 'profile_id');
+  }
+
+  static async listProfiles() {
+    const files = await FileUtils.listFiles(this.getProfilesDir(), '*.json');
+
+    const profiles = [];
+    for (const filePath of files) {
+      try {
+        profiles.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read mapping profile ${filePath}:`, error);
+      }
+    }
+
+    return profiles.sort((a, b) => a.profile_id.localeCompare(b.profile_id));
+  }
+
+  static async getProfile(profileId) {
+    const filePath = this.getProfilePath(profileId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  static async saveProfile(profile) {
+    await FileUtils.ensureDir(this.getProfilesDir());
+    await FileUtils.writeJSON(this.getProfilePath(profile.profile_id), profile);
+    return profile;
+  }
+
+  /**
+   * Rules across the mapping that the request schema does not express: every
+   * reading needs a sensor, a timestamp, a reading type and a value
+   */
+  static checkMapping(profile) {
+    const { columns = {}, defaults = {}, wide } = profile;
+
+    if (!columns.timestamp) {
+      throw validationError('columns.timestamp', 'A source column for timestamp is required');
+    }
+    if (!columns.sensor_id && !defaults.sensor_id) {
+      throw validationError('columns.sensor_id', 'sensor_id needs a source column or a default');
+    }
+    if (wide) {
+      if (columns.value || columns.reading_type) {
+        throw validationError('wide', 'A wide profile takes value and reading_type from its wide columns, not from columns');
+      }
+    } else {
+      if (!columns.value) {
+        throw validationError('columns.value', 'A source column for value is required unless the profile is wide');
+      }
+      if (!columns.reading_type && !defaults.reading_type) {
+        throw validationError('columns.reading_type', 'reading_type needs a source column or a default');
+      }
+    }
+  }
+
+  static async createProfile(definition) {
+    const now = DateUtils.nowIST().toISOString();
+    const profile = {
+      profile_id: definition.profile_id,
+      name: definition.name || definition.profile_id,
+      file_patterns: definition.file_patterns,
+      delimiter: definition.delimiter || null,
+      columns: definition.columns,
+      defaults: definition.defaults || {},
+      units: definition.units || {},
+      timestamp_format: definition.timestamp_format || null,
+      timezone: definition.timezone || 'UTC',
+      wide: definition.wide || null,
+      description: definition.description || null,
+      created_at: now,
+      updated_at: now
+    };
+    this.checkMapping(profile);
+
+    await this.saveProfile(profile);
+    logger.info(`Created mapping profile ${profile.profile_id}`, { file_patterns: profile.file_patterns, wide: Boolean(profile.wide) });
+    return profile;
+  }
+
+  static async updateProfile(profileId, changes) {
+    const profile = await this.getProfile(profileId);
+    if (!profile) return null;
+
+    for (const key of ['name', 'file_patterns', 'delimiter', 'columns', 'defaults', 'units', 'timestamp_format', 'timezone', 'wide', 'description']) {
+      if (changes[key] !== undefined) profile[key] = changes[key];
+    }
+    this.checkMapping(profile);
+    profile.updated_at = DateUtils.nowIST().toISOString();
+
+    return this.saveProfile(profile);
+  }
+
+  static async deleteProfile(profileId) {
+    const filePath = this.getProfilePath(profileId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return false;
+    }
+    await FileUtils.deleteFile(filePath);
+    return true;
+  }
+
+  /**
+   * Whether a raw file name matches one of the profile's glob patterns
+   * (`*` and `?`, case-insensitive)
+   */
+  static matchesFile(profile, fileName) {
+    return (profile.file_patterns || []).some(pattern => globToRegExp(pattern).test(fileName));
+  }
+
+  /**
+   * The profile for a raw file; when several match, the first by profile_id
+   */
+  static async findProfile(fileName) {
+    const matching = (await this.listProfiles()).filter(profile => this.matchesFile(profile, fileName));
+    if (matching.length > 1) {
+      logger.warn(`Several mapping profiles match ${fileName}, using ${matching[0].profile_id}`, { profiles: matching.map(p => p.profile_id) });
+    }
+    return matching[0] || null;
+  }
+
+  /**
+   * ISO timestamp of a source value, or null if it does not parse. Without a
+   * timestamp_format the value must be ISO 8601; one without an offset is
+   * read in the profile's timezone.
+   */
+  static parseTimestamp(value, profile = DEFAULT_PROFILE) {
+    if (isBlank(value)) return null;
+    const format = profile.timestamp_format;
+
+    let time;
+    if (format === 'unix' || format === 'unix_ms') {
+      const number = toNumber(value);
+      if (Number.isNaN(number)) return null;
+      time = moment.utc(format === 'unix' ? number * 1000 : number);
+    } else {
+      time = moment.tz(String(value).trim(), format || moment.ISO_8601, Boolean(format), profile.timezone || 'UTC');
+    }
+    return time.isValid() ? time.toISOString() : null;
+  }
+
+  /**
+   * Readings of one source row. Without a profile the row is taken as a
+   * reading as it is (JSON Lines already in the reading shape). Source
+   * columns may be dotted paths into nested JSON objects.
+   */
+  static mapRow(row, profile) {
+    if (!profile) return [row];
+
+    const { columns = {}, defaults = {}, units = {} } = profile;
+    const source = (target) => columns[target] ? this.getValue(row, columns[target]) : undefined;
+    const pick = (target) => isBlank(source(target)) ? defaults[target] : source(target);
+
+    const base = {
+      sensor_id: isBlank(pick('sensor_id')) ? undefined : String(pick('sensor_id')).trim(),
+      timestamp: this.parseTimestamp(source('timestamp'), profile) || undefined
+    };
+    for (const column of ['battery_level', 'signal_strength']) {
+      const number = toNumber(source(column));
+      if (number !== undefined && !Number.isNaN(number)) base[column] = number;
+    }
+
+    const field = pick('field');
+    const latitude = toNumber(source('latitude'));
+    const longitude = toNumber(source('longitude'));
+    if (!isBlank(field) || Number.isFinite(latitude) || Number.isFinite(longitude)) {
+      base.location = {
+        field: isBlank(field) ? null : String(field),
+        latitude: Number.isFinite(latitude) ? latitude : null,
+        longitude: Number.isFinite(longitude) ? longitude : null
+      };
+    }
+
+    const reading = (readingType, rawValue, rawUnit) => {
+      const value = toNumber(rawValue);
+      return {
+        ...base,
+        reading_type: readingType,
+        // An unparseable value is left out so that validation skips the reading
+        value: Number.isNaN(value) ? undefined : value,
+        unit: isBlank(rawUnit) ? (units[readingType] ?? defaults.unit ?? null) : String(rawUnit)
+      };
+    };
+
+    if (profile.wide) {
+      return Object.entries(profile.wide)
+        .filter(([column]) => !isBlank(this.getValue(row, column)))
+        .map(([column, readingType]) => reading(readingType, this.getValue(row, column), undefined));
+    }
+
+    const readingType = pick('reading_type');
+    return [reading(isBlank(readingType) ? undefined : String(readingType).trim(), source('value'), source('unit'))];
+  }
+
+  static getValue(row, column) {
+    if (Object.prototype.hasOwnProperty.call(row, column)) return row[column];
+    return column.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), row);
+  }
+}
+
+MappingProfileService.TARGET_COLUMNS = TARGET_COLUMNS;
+MappingProfileService.DEFAULT_PROFILE = DEFAULT_PROFILE;
+
+module.exports = MappingProfileService;
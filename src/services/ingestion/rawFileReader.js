@@ -0,0 +1,113 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const readline = require('readline');
+const csv = require('csv-parser');
+
+// Extension (after stripping .gz) -> format
+const FORMATS = {
+  '.parquet': 'parquet',
+  '.json': 'json',
+  '.jsonl': 'jsonl',
+  '.ndjson': 'jsonl',
+  '.csv': 'csv',
+  '.tsv': 'tsv'
+};
+const DELIMITERS = { csv: ',', tsv: '\t' };
+// Parquet compresses internally; a gzipped Parquet file is not something loggers produce
+const GZIP_FORMATS = ['json', 'jsonl', 'csv', 'tsv'];
+
+/**
+ * Format detection and row streaming for the raw file types ingestion
+ * accepts: Parquet, JSON, JSON Lines (.jsonl/.ndjson) and CSV/TSV, the text
+ * formats optionally gzip-compressed (.gz).
+ */
+class RawFileReader {
+  /**
+   * { format, gzip } of a file name, or null if the type is not supported
+   */
+  static describe(fileName) {
+    const lower = String(fileName).toLowerCase();
+    const gzip = lower.endsWith('.gz');
+    const name = gzip ? lower.slice(0, -3) : lower;
+    const extension = Object.keys(FORMATS).find(ext => name.endsWith(ext));
+    if (!extension) return null;
+
+    const format = FORMATS[extension];
+    if (gzip && !GZIP_FORMATS.includes(format)) return null;
+    return { format, gzip };
+  }
+
+  static isSupported(fileName) {
+    return this.describe(fileName) !== null;
+  }
+
+  static supportedExtensions() {
+    const plain = Object.keys(FORMATS);
+    const gzipped = plain.filter(ext => GZIP_FORMATS.includes(FORMATS[ext])).map(ext => `${ext}.gz`);
+    return [...plain, ...gzipped];
+  }
+
+  /**
+   * File name without its format and .gz extensions, e.g. logger_a.csv.gz -> logger_a
+   */
+  static baseName(fileName) {
+    return fileName.replace(/\.gz$/i, '').replace(/\.[^.]+$/, '');
+  }
+
+  static openStream(filePath, gzip) {
+    const stream = fs.createReadStream(filePath);
+    if (!gzip) return stream;
+
+    const gunzip = zlib.createGunzip();
+    stream.on('error', error => gunzip.destroy(error));
+    return stream.pipe(gunzip);
+  }
+
+  /**
+   * Stream the rows of a text raw file as { line, row }, or { line, error }
+   * for a line that cannot be parsed. CSV/TSV rows are objects keyed by the
+   * trimmed header; `delimiter` overrides the format's default.
+   */
+  static async * readRows(filePath, { delimiter } = {}) {
+    const { format, gzip } = this.describe(filePath) || {};
+
+    if (format === 'csv' || format === 'tsv') {
+      const parser = this.openStream(filePath, gzip).pipe(csv({
+        separator: delimiter || DELIMITERS[format],
+        mapHeaders: ({ header }) => header.trim()
+      }));
+      let line = 1;
+      for await (const row of parser) {
+        yield { line: ++line, row };
+      }
+    } else if (format === 'jsonl') {
+      const lines = readline.createInterface({ input: this.openStream(filePath, gzip), crlfDelay: Infinity });
+      let line = 0;
+      for await (const text of lines) {
+        line++;
+        if (text.trim() === '') continue;
+        try {
+          yield { line, row: JSON.parse(text) };
+        } catch (error) {
+          yield { line, error: error.message };
+        }
+      }
+    } else if (format === 'json') {
+      let text = '';
+      for await (const chunk of this.openStream(filePath, gzip)) {
+        text += chunk;
+      }
+      const data = JSON.parse(text);
+      const rows = Array.isArray(data) ? data : [data];
+      for (let i = 0; i < rows.length; i++) {
+        yield { line: i + 1, row: rows[i] };
+      }
+    } else {
+      throw new Error(`Not a text raw file: ${filePath}`);
+    }
+  }
+}
+
+RawFileReader.FORMATS = FORMATS;
+
+module.exports = RawFileReader;
@@ -0,0 +1,337 @@
+const fs = require('fs').promises;
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent FIFO queue of full pipeline runs. Each job is stored as a JSON
+ * file and updated as the pipeline reports stage progress, so clients can poll
+ * it and queued work survives a restart. Jobs run one at a time.
+ */
+class JobQueueService {
+  constructor(pipelineService) {
+    this.pipelineService = pipelineService;
+    this.activeJob = null;
+    this.processing = false;
+    this.started = false;
+    this.pendingSave = Promise.resolve();
+    this.lock = Promise.resolve();
+  }
+
+  static getJobsDir() {
+    return config.paths?.jobs || 'data/jobs';
+  }
+
+  static getJobPath(jobId) {
+    return FileUtils.pathInside(this.getJobsDir(), `${jobId}.json`, 'job_id');
+  }
+
+  static isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  static createJob(options = {}, source = 'api') {
+    return {
+      job_id: `job_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type: 'full_pipeline',
+      status: 'queued',
+      source,
+      options,
+      submitted_at: DateUtils.nowIST().toISOString(),
+      started_at: null,
+      finished_at: null,
+      stage: null,
+      progress: 0,
+      run_id: null,
+      stages: {},
+      statistics: null,
+      error: null,
+      cancel_requested: false
+    };
+  }
+
+  /**
+   * Write via a temp file and rename, so pollers never read a half-written job
+   */
+  static async saveJob(job) {
+    const filePath = this.getJobPath(job.job_id);
+    const temp = `${filePath}.${process.pid}.tmp`;
+
+    await FileUtils.ensureDir(this.getJobsDir());
+    await FileUtils.writeJSON(temp, job);
+    await fs.rename(temp, filePath);
+    return job;
+  }
+
+  static async getJob(jobId) {
+    const filePath = this.getJobPath(jobId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  /**
+   * List jobs, newest submission first
+   */
+  static async listJobs(filters = {}) {
+    const { status, limit } = filters;
+    const files = await FileUtils.listFiles(this.getJobsDir(), '*.json');
+    const jobs = [];
+
+    for (const filePath of files) {
+      try {
+        const job = await FileUtils.readJSON(filePath);
+        if (!status || job.status === status) {
+          jobs.push(job);
+        }
+      } catch (error) {
+        logger.warn(`Failed to read job ${filePath}:`, error);
+      }
+    }
+
+    jobs.sort((a, b) => new Date(b.submitted_at) - new Date(a.submitted_at) || b.job_id.localeCompare(a.job_id));
+    return limit ? jobs.slice(0, parseInt(limit, 10)) : jobs;
+  }
+
+  /**
+   * Finished jobs past the retention policy: beyond the newest max_count, or
+   * finished more than max_age_days ago. Either limit is off when 0.
+   */
+  static expiredJobs(jobs, now = new Date()) {
+    const { max_count: maxCount, max_age_days: maxAgeDays } = config.jobs?.retention || {};
+    return jobs
+      .filter(job => this.isFinished(job))
+      .filter((job, index) => (maxCount && index >= maxCount) ||
+        (maxAgeDays && now - new Date(job.finished_at || job.submitted_at) > maxAgeDays * DAY_MS));
+  }
+
+  /**
+   * Delete finished job files past the retention policy
+   */
+  pruneJobs(now = new Date()) {
+    return this.withLock(async () => {
+      const expired = JobQueueService.expiredJobs(await JobQueueService.listJobs(), now);
+      for (const job of expired) {
+        await FileUtils.deleteFile(JobQueueService.getJobPath(job.job_id));
+      }
+      if (expired.length > 0) {
+        logger.info(`Job retention removed ${expired.length} finished jobs`);
+      }
+      return expired.map(job => job.job_id);
+    });
+  }
+
+  /**
+   * Recover from a restart: jobs left 'running' were interrupted and are
+   * marked failed; queued jobs are picked up again.
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    const interrupted = await JobQueueService.listJobs({ status: 'running' });
+    for (const job of interrupted) {
+      if (this.activeJob && this.activeJob.job_id === job.job_id) continue;
+      job.status = 'failed';
+      job.error = 'Interrupted by server restart';
+      job.finished_at = DateUtils.nowIST().toISOString();
+      await JobQueueService.saveJob(job);
+    }
+
+    const queued = await JobQueueService.listJobs({ status: 'queued' });
+    logger.info(`Job queue started with ${queued.length} queued jobs`, { interrupted: interrupted.length });
+
+    await this.pruneJobs().catch(error => {
+      logger.error('Job retention failed:', error);
+    });
+    this.kick();
+  }
+
+  /**
+   * Submit a pipeline run. Resolves once the job is persisted, not when it finishes.
+   */
+  async enqueue(options = {}, { source = 'api' } = {}) {
+    const job = JobQueueService.createJob(options, source);
+    await JobQueueService.saveJob(job);
+    logger.info(`Queued pipeline job ${job.job_id}`, { source, ...options });
+
+    this.kick();
+    return job;
+  }
+
+  /**
+   * Whether a job is running or waiting to run
+   */
+  async isBusy() {
+    if (this.activeJob) return true;
+    const queued = await JobQueueService.listJobs({ status: 'queued' });
+    return queued.length > 0;
+  }
+
+  /**
+   * Run `task` once earlier locked tasks have settled. Claiming a job and
+   * cancelling one both read and rewrite its file, so they take turns.
+   */
+  withLock(task) {
+    const result = this.lock.then(task);
+    this.lock = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled straight away; a running job asks
+   * the pipeline to stop and becomes 'cancelled' once the current stage ends.
+   * Returns null for unknown jobs and the job unchanged if it already finished.
+   */
+  cancelJob(jobId) {
+    return this.withLock(async () => {
+      if (this.activeJob && this.activeJob.job_id === jobId) {
+        const job = this.activeJob;
+        job.cancel_requested = true;
+        await this.pipelineService.stopPipeline();
+        await this.persist(job);
+        logger.info(`Cancellation requested for running job ${jobId}`);
+        return job;
+      }
+
+      const job = await JobQueueService.getJob(jobId);
+      if (!job || JobQueueService.isFinished(job)) {
+        return job;
+      }
+
+      job.status = 'cancelled';
+      job.cancel_requested = true;
+      job.finished_at = DateUtils.nowIST().toISOString();
+      await JobQueueService.saveJob(job);
+      logger.info(`Cancelled queued job ${jobId}`);
+      return job;
+    });
+  }
+
+  /**
+   * Stop the running job through the cancel path, so it ends 'cancelled'.
+   * Returns the job, or null when no job is running.
+   */
+  async stopActiveJob() {
+    if (!this.activeJob) {
+      return null;
+    }
+    return this.cancelJob(this.activeJob.job_id);
+  }
+
+  kick() {
+    this.processNext().catch(error => {
+      logger.error('Job queue processing failed:', error);
+    });
+  }
+
+  /**
+   * Run queued jobs oldest first until the queue is empty
+   */
+  async processNext() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      let next;
+      while ((next = (await JobQueueService.listJobs({ status: 'queued' })).pop())) {
+        const job = await this.claim(next.job_id);
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Mark a job running if it is still queued, re-reading it under the lock so
+   * a cancellation that got there first wins. Returns null otherwise.
+   */
+  claim(jobId) {
+    return this.withLock(async () => {
+      const job = await JobQueueService.getJob(jobId);
+      if (!job || job.status !== 'queued') {
+        return null;
+      }
+
+      job.status = 'running';
+      job.started_at = DateUtils.nowIST().toISOString();
+      this.activeJob = job;
+      await this.persist(job);
+      return job;
+    });
+  }
+
+  async runJob(job) {
+    const onRun = event => {
+      if (event.status === 'running') {
+        job.run_id = event.runId;
+        this.persist(job);
+      }
+    };
+    const onStage = event => {
+      job.stage = event.stage;
+      job.progress = event.progress;
+      if (event.result) {
+        job.stages[event.stage] = event.result;
+      }
+      this.persist(job);
+    };
+
+    this.pipelineService.on('run', onRun);
+    this.pipelineService.on('stage', onStage);
+
+    try {
+      if (job.cancel_requested) {
+        throw new Error('Job cancelled before the pipeline started');
+      }
+      const status = await this.pipelineService.runFullPipeline(job.options);
+      job.status = 'completed';
+      job.stage = 'completed';
+      job.progress = 100;
+      job.run_id = status.runId || job.run_id;
+      job.statistics = status.statistics || null;
+    } catch (error) {
+      job.status = job.cancel_requested ? 'cancelled' : 'failed';
+      job.error = error.message;
+      logger.error(`Pipeline job ${job.job_id} ${job.status}:`, error);
+    } finally {
+      this.pipelineService.removeListener('run', onRun);
+      this.pipelineService.removeListener('stage', onStage);
+      job.finished_at = DateUtils.nowIST().toISOString();
+      await this.persist(job);
+      this.activeJob = null;
+    }
+
+    await this.pruneJobs().catch(error => {
+      logger.error('Job retention failed:', error);
+    });
+    return job;
+  }
+
+  /**
+   * Save a job, serialising writes so progress updates land in order.
+   * Failures are logged rather than thrown so they cannot fail the run.
+   */
+  persist(job) {
+    const snapshot = JSON.parse(JSON.stringify(job));
+    this.pendingSave = this.pendingSave
+      .then(() => JobQueueService.saveJob(snapshot))
+      .catch(error => {
+        logger.error(`Failed to persist job ${job.job_id}:`, error);
+      });
+    return this.pendingSave;
+  }
+}
+
+JobQueueService.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = JobQueueService;
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+const logger = require('../utils/logger');
+const DateUtils = require('../utils/dateUtils');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// NNN_name.js; the number is the schema version
+const MIGRATION_FILE = /^(\d+)_([a-z0-9_]+)\.js$/;
+
+/**
+ * Versioned schema migrations shared by the DuckDB and SQLite backends.
+ * Migration files in src/migrations export `up(db)`, which gets the
+ * DuckDBService and branches on db.dbType where the dialects differ. Each
+ * migration runs in a transaction together with its schema_migrations row.
+ */
+class MigrationService {
+  constructor(database, { directory = MIGRATIONS_DIR } = {}) {
+    this.database = database;
+    this.directory = directory;
+  }
+
+  /**
+   * Migration files in version order as { version, name, description, up }
+   */
+  static loadMigrations(directory = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(directory)
+      .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => {
+        const migration = require(path.join(directory, file));
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          description: migration.description || match[2],
+          up: migration.up
+        };
+      })
+      .sort((a, b) => a.version - b.version);
+
+    for (let i = 1; i < migrations.length; i++) {
+      if (migrations[i].version === migrations[i - 1].version) {
+        throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].name}, ${migrations[i].name}`);
+      }
+    }
+
+    return migrations;
+  }
+
+  async ensureTable() {
+    await this.database.execute(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+      )
+    `);
+  }
+
+  async appliedMigrations() {
+    await this.ensureTable();
+    const rows = await this.database.select('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return rows.map(row => ({ ...row, version: Number(row.version) }));
+  }
+
+  /**
+   * Every known migration with whether and when it was applied, plus the
+   * current schema version
+   */
+  async status() {
+    const applied = new Map((await this.appliedMigrations()).map(row => [row.version, row]));
+    const migrations = MigrationService.loadMigrations(this.directory).map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      description: migration.description,
+      applied: applied.has(migration.version),
+      applied_at: applied.get(migration.version)?.applied_at || null
+    }));
+
+    return {
+      database: this.database.dbType,
+      current_version: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+      migrations,
+      pending: migrations.filter(migration => !migration.applied)
+    };
+  }
+
+  /**
+   * Apply pending migrations in order, stopping at the first that fails.
+   * Returns the migrations applied.
+   */
+  async migrate() {
+    const applied = new Set((await this.appliedMigrations()).map(row => row.version));
+    const pending = MigrationService.loadMigrations(this.directory).filter(migration => !applied.has(migration.version));
+    const done = [];
+
+    for (const migration of pending) {
+      logger.info(`Applying migration ${migration.version} ${migration.name}`, { database: this.database.dbType });
+      try {
+        await this.database.transaction(async () => {
+          await migration.up(this.database);
+          await this.database.execute(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+            [migration.version, migration.name, DateUtils.nowIST().toISOString()]
+          );
+        });
+      } catch (error) {
+        logger.error(`Migration ${migration.version} ${migration.name} failed:`, error);
+        throw error;
+      }
+      done.push({ version: migration.version, name: migration.name });
+    }
+
+    if (done.length > 0) {
+      logger.info(`Applied ${done.length} migrations`, { database: this.database.dbType, version: done[done.length - 1].version });
+    }
+    return done;
+  }
+}
+
+MigrationService.MIGRATIONS_DIR = MIGRATIONS_DIR;
+
+module.exports = MigrationService;
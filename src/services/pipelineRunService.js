@@ -0,0 +1,226 @@
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const STAGES = ['ingestion', 'transformation', 'validation', 'storage'];
+
+class PipelineRunService {
+  static getRunsDir() {
+    return config.paths?.pipelineRuns || 'data/pipeline_runs';
+  }
+
+  static getRunPath(runId) {
+    return FileUtils.pathInside(this.getRunsDir(), `${runId}.json`, 'run_id');
+  }
+
+  static createRun(options = {}) {
+    return {
+      run_id: `run_${Date.now()}`,
+      status: 'running',
+      options,
+      started_at: DateUtils.nowIST().toISOString(),
+      finished_at: null,
+      duration_seconds: null,
+      stages: {},
+      totals: {
+        records_in: 0,
+        records_out: 0,
+        rejected: 0,
+        errors: 0
+      },
+      error: null
+    };
+  }
+
+  /**
+   * Record the outcome of one pipeline stage on the run
+   */
+  static recordStage(run, stage, { startedAt, status, result, error }) {
+    const durationSeconds = (Date.now() - startedAt) / 1000;
+    const counts = result ? this.summarizeStageResult(stage, result) : { records_in: 0, records_out: 0, rejected: 0, errors: 1 };
+
+    run.stages[stage] = {
+      status,
+      started_at: new Date(startedAt).toISOString(),
+      duration_seconds: Math.round(durationSeconds * 1000) / 1000,
+      ...counts,
+      error: error ? error.message : null
+    };
+
+    return run.stages[stage];
+  }
+
+  /**
+   * Normalize the differently shaped stage results into in/out/rejected/errors counts
+   */
+  static summarizeStageResult(stage, result = {}) {
+    switch (stage) {
+      case 'ingestion':
+        return {
+          records_in: (result.recordsProcessed || 0) + (result.recordsSkipped || 0),
+          records_out: result.recordsProcessed || 0,
+          rejected: result.recordsSkipped || 0,
+          errors: result.errors || 0,
+          files_processed: result.filesProcessed || 0,
+          files_skipped: result.filesSkipped || 0
+        };
+      case 'transformation':
+        return {
+          records_in: (result.recordsProcessed || 0) + (result.recordsSkipped || 0),
+          records_out: result.recordsProcessed || 0,
+          rejected: result.recordsSkipped || 0,
+          errors: result.errors || 0,
+          duplicates_removed: result.duplicatesRemoved || 0
+        };
+      case 'validation':
+        return {
+          records_in: result.totalRecords || 0,
+          records_out: result.validRecords || 0,
+          rejected: result.invalidRecords || 0,
+          errors: result.errors || 0
+        };
+      case 'storage':
+        return {
+          records_in: result.recordsStored || 0,
+          records_out: result.databaseRecords || result.recordsStored || 0,
+          rejected: 0,
+          errors: result.errors || 0,
+          files_written: result.filesWritten || 0
+        };
+      default:
+        return { records_in: 0, records_out: 0, rejected: 0, errors: result.errors || 0 };
+    }
+  }
+
+  /**
+   * Close out a run and persist it. Persistence failures are logged, never thrown,
+   * so they cannot mask the pipeline's own outcome.
+   */
+  static async finishRun(run, status, error = null) {
+    run.status = status;
+    run.finished_at = DateUtils.nowIST().toISOString();
+    run.duration_seconds = (new Date(run.finished_at) - new Date(run.started_at)) / 1000;
+    run.error = error ? error.message : null;
+
+    const stages = Object.values(run.stages);
+    const first = run.stages.ingestion;
+    const last = run.stages.storage;
+    run.totals = {
+      records_in: first ? first.records_in : 0,
+      records_out: last ? last.records_out : 0,
+      rejected: stages.reduce((sum, s) => sum + s.rejected, 0),
+      errors: stages.reduce((sum, s) => sum + s.errors, 0)
+    };
+
+    try {
+      await FileUtils.ensureDir(this.getRunsDir());
+      await FileUtils.writeJSON(this.getRunPath(run.run_id), run);
+    } catch (persistError) {
+      logger.error(`Failed to persist pipeline run ${run.run_id}:`, persistError);
+    }
+
+    return run;
+  }
+
+  static async getRun(runId) {
+    const filePath = this.getRunPath(runId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  /**
+   * List recorded runs, newest first
+   */
+  static async listRuns(filters = {}) {
+    const { status, startDate, endDate, limit } = filters;
+    const range = DateUtils.normalizeDateRange(startDate, endDate);
+    const files = await FileUtils.listFiles(this.getRunsDir(), '*.json');
+
+    let runs = [];
+    for (const filePath of files) {
+      try {
+        runs.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read pipeline run ${filePath}:`, error);
+      }
+    }
+
+    runs = runs.filter(run => {
+      if (status && run.status !== status) return false;
+      if (range.start && new Date(run.started_at) < new Date(range.start)) return false;
+      if (range.end && new Date(run.started_at) > new Date(range.end)) return false;
+      return true;
+    });
+
+    runs.sort((a, b) => new Date(b.started_at) - new Date(a.started_at));
+
+    return limit ? runs.slice(0, limit) : runs;
+  }
+
+  /**
+   * Aggregate statistics, per-stage figures and a per-run trend series
+   */
+  static summarizeRuns(runs) {
+    const finished = runs.filter(run => run.status !== 'running');
+    const sumStage = (stage, key) => finished.reduce((sum, run) => sum + (run.stages[stage]?.[key] || 0), 0);
+    const totalSeconds = finished.reduce((sum, run) => sum + (run.duration_seconds || 0), 0);
+    const recordsStored = sumStage('storage', 'records_out');
+
+    const statistics = {
+      total_runs: finished.length,
+      completed_runs: finished.filter(run => run.status === 'completed').length,
+      failed_runs: finished.filter(run => run.status === 'failed').length,
+      stopped_runs: finished.filter(run => run.status === 'stopped').length,
+      files_processed: sumStage('ingestion', 'files_processed'),
+      records_ingested: sumStage('ingestion', 'records_out'),
+      records_transformed: sumStage('transformation', 'records_out'),
+      records_validated: sumStage('validation', 'records_out'),
+      records_stored: recordsStored,
+      records_rejected: finished.reduce((sum, run) => sum + (run.totals?.rejected || 0), 0),
+      errors: finished.reduce((sum, run) => sum + (run.totals?.errors || 0), 0),
+      processing_time_seconds: Math.round(totalSeconds * 100) / 100,
+      average_run_seconds: finished.length > 0 ? Math.round((totalSeconds / finished.length) * 100) / 100 : 0,
+      average_records_per_second: totalSeconds > 0 ? Math.round(recordsStored / totalSeconds) : 0
+    };
+
+    const stages = {};
+    for (const stage of STAGES) {
+      const executions = finished.map(run => run.stages[stage]).filter(Boolean);
+      const totalDuration = executions.reduce((sum, s) => sum + s.duration_seconds, 0);
+      stages[stage] = {
+        executions: executions.length,
+        failures: executions.filter(s => s.status === 'failed').length,
+        total_duration_seconds: Math.round(totalDuration * 1000) / 1000,
+        average_duration_seconds: executions.length > 0 ? Math.round((totalDuration / executions.length) * 1000) / 1000 : 0,
+        records_in: executions.reduce((sum, s) => sum + s.records_in, 0),
+        records_out: executions.reduce((sum, s) => sum + s.records_out, 0),
+        rejected: executions.reduce((sum, s) => sum + s.rejected, 0),
+        errors: executions.reduce((sum, s) => sum + s.errors, 0)
+      };
+    }
+
+    const trends = [...finished]
+      .sort((a, b) => new Date(a.started_at) - new Date(b.started_at))
+      .map(run => ({
+        run_id: run.run_id,
+        started_at: run.started_at,
+        status: run.status,
+        duration_seconds: run.duration_seconds,
+        records_stored: run.stages.storage?.records_out || 0,
+        rejected: run.totals?.rejected || 0,
+        errors: run.totals?.errors || 0,
+        records_per_second: run.duration_seconds > 0
+          ? Math.round((run.stages.storage?.records_out || 0) / run.duration_seconds)
+          : 0
+      }));
+
+    return { statistics, stages, trends };
+  }
+}
+
+PipelineRunService.STAGES = STAGES;
+
+module.exports = PipelineRunService;
@@ -1,8 +1,11 @@
+const EventEmitter = require('events');
 const logger = require('../utils/logger');
 const IngestionService = require('./ingestion/ingestionService');
+const CheckpointService = require('./ingestion/checkpointService');
 const TransformationService = require('./transformation/transformationService');
 const ValidationService = require('./validation/validationService');
 const StorageService = require('./storage/storageService');
+const PipelineRunService = require('./pipelineRunService');
 const DuckDBService = require('./duckDBService');
 const duckDBSingleton = require('./duckDBSingleton');
 const FileUtils = require('../utils/fileUtils');
@@ -11,7 +14,13 @@ const config = require('../config/config');
 const path = require('path');
 const fs = require('fs');
 
-class PipelineService {
+/**
+ * Emits 'run' ({ runId, status, ... }) when a full pipeline run starts and
+ * finishes, 'stage' ({ runId, stage, status, progress, result }) around
+ * each stage, and 'log' ({ runId, level, message, timestamp }) for every
+ * log entry written while a run is in progress.
+ */
+class PipelineService extends EventEmitter {
   // Static configuration that can be updated
   static _config = {
     validation: {
@@ -45,6 +54,8 @@ class PipelineService {
   };
 
   constructor() {
+    super();
+
     // Use the global DuckDB service instance instead of creating a new one
     this.duckDBService = null;
     this.duckDBInitialized = false;
@@ -98,13 +109,20 @@ class PipelineService {
       throw new Error('Pipeline is already running');
     }
 
+    const run = PipelineRunService.createRun({ startDate, endDate, forceReprocess });
+    const forwardLog = ({ level, message, timestamp }) => {
+      this.emit('log', { runId: run.run_id, level, message, timestamp: timestamp || new Date().toISOString() });
+    };
+
     try {
+      logger.events.on('log', forwardLog);
       this.isRunning = true;
       this.shouldStop = false;
       this.status = {
         status: 'running',
         stage: 'initialization',
         progress: 0,
+        runId: run.run_id,
         startTime: DateUtils.nowIST().toISOString(),
         endTime: null,
         statistics: {
@@ -115,7 +133,8 @@ class PipelineService {
         }
       };
 
-      logger.info('Starting full pipeline execution', { startDate, endDate, forceReprocess });
+      logger.info('Starting full pipeline execution', { runId: run.run_id, startDate, endDate, forceReprocess });
+      this.emit('run', { runId: run.run_id, status: 'running', options: run.options });
 
       // Ensure DuckDB initialization is complete
       this.status.stage = 'database_initialization';
@@ -129,36 +148,16 @@ class PipelineService {
       }
 
       // Stage 1: Ingestion
-      this.status.stage = 'ingestion';
-      this.status.progress = 10;
-      const ingestionResult = await this.runIngestion({ startDate, endDate });
-      
-      if (this.shouldStop) {
-        throw new Error('Pipeline stopped by user');
-      }
+      const ingestionResult = await this.runStage(run, 'ingestion', 10, () => this.runIngestion({ startDate, endDate, forceReprocess }));
 
       // Stage 2: Transformation
-      this.status.stage = 'transformation';
-      this.status.progress = 40;
-      const transformationResult = await this.runTransformation();
-      
-      if (this.shouldStop) {
-        throw new Error('Pipeline stopped by user');
-      }
+      const transformationResult = await this.runStage(run, 'transformation', 40, () => this.runTransformation());
 
       // Stage 3: Validation
-      this.status.stage = 'validation';
-      this.status.progress = 70;
-      const validationResult = await this.runValidation();
-      
-      if (this.shouldStop) {
-        throw new Error('Pipeline stopped by user');
-      }
+      const validationResult = await this.runStage(run, 'validation', 70, () => this.runValidation(transformationResult.outputFiles));
 
       // Stage 4: Storage
-      this.status.stage = 'storage';
-      this.status.progress = 90;
-      const storageResult = await this.runStorage();
+      const storageResult = await this.runStage(run, 'storage', 90, () => this.runStorage());
 
       // Complete
       this.status.status = 'completed';
@@ -168,26 +167,74 @@ class PipelineService {
 
       // Aggregate statistics
       this.status.statistics = {
-        filesProcessed: ingestionResult.filesProcessed + storageResult.filesWritten,
+        filesProcessed: ingestionResult.filesProcessed || 0,
+        filesSkipped: ingestionResult.filesSkipped || 0,
         recordsProcessed: transformationResult.recordsProcessed,
-        recordsSkipped: transformationResult.recordsSkipped,
-        errors: ingestionResult.errors + transformationResult.errors + validationResult.errors
+        recordsSkipped: transformationResult.recordsSkipped || 0,
+        duplicatesRemoved: transformationResult.duplicatesRemoved || 0,
+        errors: (ingestionResult.errors || 0) + (transformationResult.errors || 0) + (validationResult.errors || 0)
       };
 
+      await PipelineRunService.finishRun(run, 'completed');
       logger.info('Pipeline completed successfully', this.status.statistics);
+      this.emit('run', { runId: run.run_id, status: 'completed', statistics: this.status.statistics });
 
       return this.status;
     } catch (error) {
-      this.status.status = 'failed';
+      this.status.status = this.shouldStop ? 'stopped' : 'failed';
       this.status.endTime = DateUtils.nowIST().toISOString();
+      await PipelineRunService.finishRun(run, this.status.status, error);
       logger.error('Pipeline execution failed:', error);
+      this.emit('run', { runId: run.run_id, status: this.status.status, error: error.message });
       throw error;
     } finally {
+      logger.events.removeListener('log', forwardLog);
       this.isRunning = false;
       this.shouldStop = false;
     }
   }
 
+  /**
+   * Run one stage, recording its duration and record counts on the run
+   */
+  async runStage(run, stage, progress, stageFn) {
+    this.status.stage = stage;
+    this.status.progress = progress;
+    const startedAt = Date.now();
+    this.emit('stage', { runId: run.run_id, stage, status: 'running', progress });
+
+    let result;
+    try {
+      result = await stageFn();
+    } catch (error) {
+      const failed = PipelineRunService.recordStage(run, stage, { startedAt, status: 'failed', error });
+      this.emit('stage', { runId: run.run_id, stage, status: 'failed', progress, result: failed });
+      throw error;
+    }
+
+    const completed = PipelineRunService.recordStage(run, stage, { startedAt, status: 'completed', result });
+    this.emit('stage', { runId: run.run_id, stage, status: 'completed', progress, result: completed });
+
+    // Storage is the last stage, so a stop request there has nothing left to skip
+    if (this.shouldStop && stage !== 'storage') {
+      throw new Error('Pipeline stopped by user');
+    }
+
+    return result;
+  }
+
+  async getRuns(filters = {}) {
+    const runs = await PipelineRunService.listRuns(filters);
+    return {
+      runs,
+      summary: PipelineRunService.summarizeRuns(runs)
+    };
+  }
+
+  async getRun(runId) {
+    return PipelineRunService.getRun(runId);
+  }
+
   async runIngestion(options = {}) {
     logger.info('Starting data ingestion stage');
     
@@ -203,6 +250,14 @@ class PipelineService {
     }
   }
 
+  async getCheckpoints(filters = {}) {
+    return CheckpointService.listCheckpoints(filters);
+  }
+
+  async resetCheckpoints(fileName = null) {
+    return CheckpointService.resetCheckpoints(fileName);
+  }
+
   async runTransformation() {
     logger.info('Starting data transformation stage');
     
@@ -218,12 +273,13 @@ class PipelineService {
     }
   }
 
-  async runValidation() {
+  // Validates the transformation output of this run when given its files
+  async runValidation(files) {
     logger.info('Starting data validation stage');
     
     try {
       const validationService = new ValidationService(config);
-      const result = await validationService.validateData();
+      const result = await validationService.validateData({ files });
       
       logger.info('Validation completed', result);
       return result;
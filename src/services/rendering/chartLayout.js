@@ -0,0 +1,92 @@
+const PALETTE = ['#2e7d32', '#1565c0', '#ef6c00', '#6a1b9a', '#c62828', '#00838f'];
+// Horizontal room per x-axis label; labels beyond that are skipped
+const X_LABEL_SPACING = 90;
+
+/**
+ * Round axis bounds out to a "nice" step (1, 2 or 5 times a power of ten)
+ */
+function niceScale(min, max, targetTicks = 5) {
+  if (min === max) {
+    const pad = Math.abs(min) > 0 ? Math.abs(min) * 0.1 : 1;
+    min -= pad;
+    max += pad;
+  }
+
+  const rough = (max - min) / targetTicks;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step = [1, 2, 5, 10].map(f => f * magnitude).find(s => s >= rough);
+  const niceMin = Math.floor(min / step) * step;
+  const niceMax = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let value = niceMin; value <= niceMax + step / 2; value += step) {
+    ticks.push(Number(value.toPrecision(12)));
+  }
+
+  return { min: niceMin, max: niceMax, ticks };
+}
+
+/**
+ * Geometry of a chart block, shared by the HTML (SVG) and PDF renderers so
+ * both draw the same picture. Coordinates have their origin at the top left
+ * of a `width` x `height` box; the PDF renderer flips them.
+ */
+class ChartLayout {
+  static layout(chart, { width, height, padding = { top: 12, right: 12, bottom: 36, left: 52 } }) {
+    const series = chart.series.map((s, index) => ({ ...s, color: PALETTE[index % PALETTE.length] }));
+    const labels = [...new Set(series.flatMap(s => s.points.map(p => p.x)))];
+    const values = series.flatMap(s => s.points.map(p => p.y)).filter(Number.isFinite);
+
+    const plot = {
+      x: padding.left,
+      y: padding.top,
+      width: width - padding.left - padding.right,
+      height: height - padding.top - padding.bottom
+    };
+
+    const low = chart.kind === 'bar' ? Math.min(0, ...values) : Math.min(...values);
+    const high = chart.y_max !== undefined ? chart.y_max : Math.max(...values);
+    const scale = values.length > 0 ? niceScale(low, high) : niceScale(0, 1);
+    const toY = value => plot.y + plot.height - ((value - scale.min) / (scale.max - scale.min)) * plot.height;
+
+    const band = labels.length > 0 ? plot.width / labels.length : plot.width;
+    const toX = index => chart.kind === 'bar'
+      ? plot.x + band * index + band / 2
+      : plot.x + (labels.length > 1 ? (plot.width * index) / (labels.length - 1) : plot.width / 2);
+
+    const maxLabels = Math.max(2, Math.floor(plot.width / X_LABEL_SPACING));
+    const every = Math.ceil(labels.length / maxLabels);
+    const xLabels = labels
+      .map((label, index) => ({ label, x: toX(index) }))
+      .filter((_, index) => index % every === 0);
+    const yTicks = scale.ticks.map(value => ({ value, label: String(value), y: toY(value) }));
+
+    const result = { plot, xLabels, yTicks, series, lines: [], bars: [] };
+
+    if (chart.kind === 'bar') {
+      const barWidth = (band * 0.7) / Math.max(1, series.length);
+      const zero = toY(Math.max(0, scale.min));
+      series.forEach((s, seriesIndex) => {
+        for (const point of s.points) {
+          if (!Number.isFinite(point.y)) continue;
+          const index = labels.indexOf(point.x);
+          const x = plot.x + band * index + band * 0.15 + barWidth * seriesIndex;
+          const y = toY(point.y);
+          result.bars.push({ x, y: Math.min(y, zero), width: barWidth, height: Math.abs(zero - y), color: s.color });
+        }
+      });
+    } else {
+      for (const s of series) {
+        const points = s.points
+          .filter(point => Number.isFinite(point.y))
+          .map(point => ({ x: toX(labels.indexOf(point.x)), y: toY(point.y) }));
+        result.lines.push({ color: s.color, points });
+      }
+    }
+
+    return result;
+  }
+}
+
+ChartLayout.PALETTE = PALETTE;
+
+module.exports = ChartLayout;
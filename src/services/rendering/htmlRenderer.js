@@ -0,0 +1,128 @@
+const ChartLayout = require('./chartLayout');
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 240;
+const LEVEL_COLORS = { critical: '#c62828', high: '#c62828', warning: '#ef6c00', medium: '#ef6c00', info: '#1565c0', low: '#1565c0' };
+
+const STYLES = `
+  body { font-family: Helvetica, Arial, sans-serif; color: #212121; margin: 32px auto; max-width: 960px; padding: 0 16px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 17px; margin: 28px 0 10px; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; }
+  .subtitle, footer { color: #757575; font-size: 13px; }
+  .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; margin: 20px 0; }
+  .metric { border: 1px solid #e0e0e0; border-radius: 4px; padding: 8px 10px; }
+  .metric .label { color: #757575; font-size: 12px; }
+  .metric .value { font-size: 18px; font-weight: bold; margin-top: 2px; }
+  table { border-collapse: collapse; width: 100%; font-size: 12px; margin: 8px 0; }
+  th, td { border-bottom: 1px solid #eeeeee; padding: 4px 6px; text-align: left; }
+  th { background: #f5f5f5; }
+  td.right, th.right { text-align: right; }
+  figure { margin: 12px 0; }
+  figcaption { font-size: 13px; font-weight: bold; margin-bottom: 4px; }
+  .legend span { display: inline-block; margin-right: 14px; font-size: 12px; }
+  .legend i { display: inline-block; width: 10px; height: 10px; margin-right: 4px; }
+  ul { padding-left: 0; list-style: none; font-size: 13px; }
+  li { border-left: 4px solid #9e9e9e; padding: 3px 8px; margin: 4px 0; }
+  .empty { color: #757575; font-style: italic; font-size: 13px; }
+  @media print { body { margin: 0; max-width: none; } h2, figure, table { page-break-inside: avoid; } }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Inline SVG for a chart block
+ */
+function renderChart(chart) {
+  const layout = ChartLayout.layout(chart, { width: CHART_WIDTH, height: CHART_HEIGHT });
+  const { plot } = layout;
+  const parts = [];
+
+  for (const tick of layout.yTicks) {
+    parts.push(`<line x1="${plot.x}" y1="${round(tick.y)}" x2="${plot.x + plot.width}" y2="${round(tick.y)}" stroke="#eeeeee"/>`);
+    parts.push(`<text x="${plot.x - 6}" y="${round(tick.y + 4)}" font-size="11" text-anchor="end" fill="#757575">${escapeHtml(tick.label)}</text>`);
+  }
+  parts.push(`<line x1="${plot.x}" y1="${plot.y + plot.height}" x2="${plot.x + plot.width}" y2="${plot.y + plot.height}" stroke="#9e9e9e"/>`);
+  for (const x of layout.xLabels) {
+    parts.push(`<text x="${round(x.x)}" y="${plot.y + plot.height + 16}" font-size="11" text-anchor="middle" fill="#757575">${escapeHtml(x.label)}</text>`);
+  }
+  for (const bar of layout.bars) {
+    parts.push(`<rect x="${round(bar.x)}" y="${round(bar.y)}" width="${round(bar.width)}" height="${round(bar.height)}" fill="${bar.color}"/>`);
+  }
+  for (const line of layout.lines) {
+    const points = line.points.map(p => `${round(p.x)},${round(p.y)}`).join(' ');
+    parts.push(`<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2"/>`);
+    if (line.points.length === 1) {
+      parts.push(`<circle cx="${round(line.points[0].x)}" cy="${round(line.points[0].y)}" r="3" fill="${line.color}"/>`);
+    }
+  }
+
+  const legend = layout.series.length > 1
+    ? `<div class="legend">${layout.series.map(s => `<span><i style="background:${s.color}"></i>${escapeHtml(s.name)}</span>`).join('')}</div>`
+    : '';
+
+  return `<figure><figcaption>${escapeHtml(chart.title)}</figcaption>` +
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" width="100%" role="img" aria-label="${escapeHtml(chart.title)}">` +
+    `${parts.join('')}</svg>${legend}</figure>`;
+}
+
+const BLOCKS = {
+  heading: block => `<h2>${escapeHtml(block.text)}</h2>`,
+  paragraph: block => `<p>${escapeHtml(block.text)}</p>`,
+  metrics: block => `<div class="metrics">${block.items.map(item =>
+    `<div class="metric"><div class="label">${escapeHtml(item.label)}</div><div class="value">${escapeHtml(item.value)}</div></div>`).join('')}</div>`,
+  table: block => {
+    if (block.rows.length === 0) return `<p class="empty">${escapeHtml(block.empty)}</p>`;
+    const head = block.columns.map(column => `<th class="${column.align}">${escapeHtml(column.label)}</th>`).join('');
+    const body = block.rows.map(row =>
+      `<tr>${block.columns.map(column => `<td class="${column.align}">${escapeHtml(row[column.key])}</td>`).join('')}</tr>`).join('');
+    return `<table><thead><tr>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  },
+  chart: renderChart,
+  list: block => {
+    if (block.items.length === 0) return `<p class="empty">${escapeHtml(block.empty)}</p>`;
+    return `<ul>${block.items.map(item =>
+      `<li style="border-left-color:${LEVEL_COLORS[item.level] || '#9e9e9e'}">${escapeHtml(item.text)}</li>`).join('')}</ul>`;
+  }
+};
+
+/**
+ * Standalone, printable HTML page for a report document (see ReportTemplates)
+ */
+class HtmlRenderer {
+  static render(document) {
+    const blocks = document.blocks.map(block => BLOCKS[block.type](block)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(document.title)}</h1>
+<div class="subtitle">${escapeHtml(document.subtitle || '')}</div>
+</header>
+${blocks}
+<footer><p>${escapeHtml(document.report_id || '')} &middot; generated ${escapeHtml(document.generated_at || '')}</p></footer>
+</body>
+</html>
+`;
+  }
+}
+
+HtmlRenderer.escapeHtml = escapeHtml;
+
+module.exports = HtmlRenderer;
@@ -0,0 +1,372 @@
+const ChartLayout = require('./chartLayout');
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 48;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const BOTTOM = MARGIN + 12;
+const CHART_HEIGHT = 200;
+const LEVEL_COLORS = { critical: '#c62828', high: '#c62828', warning: '#ef6c00', medium: '#ef6c00', info: '#1565c0', low: '#1565c0' };
+
+// Advance widths (1/1000 em) of characters 32-126 in the standard Helvetica
+// fonts, used to measure, wrap and truncate text
+const HELVETICA = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  278, 278, 584, 584, 584, 556, 1015,
+  667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  278, 278, 278, 469, 556, 333,
+  556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500,
+  334, 260, 334, 584
+];
+const HELVETICA_BOLD = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556,
+  333, 333, 584, 584, 584, 611, 975,
+  722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611,
+  333, 278, 333, 584, 556, 333,
+  556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500,
+  389, 280, 389, 584
+];
+
+// Characters outside Latin-1 that WinAnsiEncoding can still show
+const WIN_ANSI = { 0x20ac: 0x80, 0x2026: 0x85, 0x2018: 0x91, 0x2019: 0x92, 0x201c: 0x93, 0x201d: 0x94, 0x2022: 0x95, 0x2013: 0x96, 0x2014: 0x97 };
+
+/**
+ * Text as WinAnsi bytes (one char per byte); anything else becomes '?'
+ */
+function encodeText(text) {
+  let encoded = '';
+  for (const char of String(text)) {
+    const code = char.codePointAt(0);
+    if ((code >= 32 && code < 127) || (code >= 160 && code <= 255)) {
+      encoded += char;
+    } else if (WIN_ANSI[code]) {
+      encoded += String.fromCharCode(WIN_ANSI[code]);
+    } else {
+      encoded += /\s/.test(char) ? ' ' : '?';
+    }
+  }
+  return encoded;
+}
+
+function textWidth(encoded, size, bold = false) {
+  const widths = bold ? HELVETICA_BOLD : HELVETICA;
+  let total = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Cut text to fit `width`, marking the cut with an ellipsis
+ */
+function fitText(encoded, width, size, bold) {
+  if (textWidth(encoded, size, bold) <= width) return encoded;
+  const ellipsis = String.fromCharCode(0x85);
+  let end = encoded.length;
+  while (end > 0 && textWidth(encoded.slice(0, end) + ellipsis, size, bold) > width) end--;
+  return encoded.slice(0, end) + ellipsis;
+}
+
+/**
+ * Break text into lines no wider than `width`, splitting long words
+ */
+function wrapText(encoded, width, size, bold) {
+  const lines = [];
+  let line = '';
+  for (const word of encoded.split(' ')) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (textWidth(candidate, size, bold) <= width) {
+      line = candidate;
+      continue;
+    }
+    if (line) lines.push(line);
+    line = word;
+    while (textWidth(line, size, bold) > width && line.length > 1) {
+      let end = line.length;
+      while (end > 1 && textWidth(line.slice(0, end), size, bold) > width) end--;
+      lines.push(line.slice(0, end));
+      line = line.slice(end);
+    }
+  }
+  if (line || lines.length === 0) lines.push(line);
+  return lines;
+}
+
+function num(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+function rgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [value >> 16, (value >> 8) & 255, value & 255].map(c => num(c / 255)).join(' ');
+}
+
+function pdfString(encoded) {
+  return `(${encoded.replace(/[\\()]/g, '\\$&')})`;
+}
+
+/**
+ * Minimal PDF 1.4 writer: pages of text, lines and filled rectangles in the
+ * two standard Helvetica fonts, which every viewer has built in
+ */
+class PdfWriter {
+  constructor() {
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    this.y = PAGE_HEIGHT - MARGIN;
+  }
+
+  /**
+   * Start a new page unless `height` more points fit on this one
+   */
+  ensureSpace(height) {
+    if (this.y - height < BOTTOM) {
+      this.addPage();
+      return true;
+    }
+    return false;
+  }
+
+  text(x, y, encoded, { size = 10, bold = false, color = '#212121', align = 'left' } = {}) {
+    const width = textWidth(encoded, size, bold);
+    const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+    this.page.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(color)} rg ${num(left)} ${num(y)} Td ${pdfString(encoded)} Tj ET`);
+  }
+
+  line(x1, y1, x2, y2, { color = '#9e9e9e', width = 0.5 } = {}) {
+    this.page.push(`${rgb(color)} RG ${width} w ${num(x1)} ${num(y1)} m ${num(x2)} ${num(y2)} l S`);
+  }
+
+  polyline(points, { color, width = 1.5 }) {
+    if (points.length === 0) return;
+    if (points.length === 1) {
+      this.rect(points[0].x - 2, points[0].y - 2, 4, 4, { fill: color });
+      return;
+    }
+    const path = points.map((p, i) => `${num(p.x)} ${num(p.y)} ${i === 0 ? 'm' : 'l'}`).join(' ');
+    this.page.push(`${rgb(color)} RG ${width} w 1 j ${path} S`);
+  }
+
+  rect(x, y, width, height, { fill }) {
+    this.page.push(`${rgb(fill)} rg ${num(x)} ${num(y)} ${num(width)} ${num(height)} re f`);
+  }
+
+  toBuffer(title) {
+    const objects = [];
+    const pageRefs = this.pages.map((_, i) => `${5 + i * 2} 0 R`);
+
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push(`<< /Type /Pages /Kids [${pageRefs.join(' ')}] /Count ${this.pages.length} >>`);
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    for (const [i, page] of this.pages.entries()) {
+      const content = page.join('\n');
+      objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${6 + i * 2} 0 R >>`);
+      objects.push(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    }
+    objects.push(`<< /Title ${pdfString(encodeText(title))} /Producer (agricultural-data-pipeline) >>`);
+
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = [];
+    objects.forEach((object, i) => {
+      offsets.push(output.length);
+      output += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    });
+
+    const xref = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+function drawTableHeader(pdf, block, widths) {
+  let x = MARGIN;
+  pdf.rect(MARGIN, pdf.y - 14, CONTENT_WIDTH, 16, { fill: '#f5f5f5' });
+  block.columns.forEach((column, i) => {
+    const text = fitText(encodeText(column.label), widths[i] - 6, 8, true);
+    pdf.text(column.align === 'right' ? x + widths[i] - 3 : x + 3, pdf.y - 10, text, { size: 8, bold: true, align: column.align });
+    x += widths[i];
+  });
+  pdf.y -= 16;
+}
+
+const BLOCKS = {
+  heading(pdf, block) {
+    // Keep a heading on the same page as the start of its content
+    pdf.ensureSpace(90);
+    pdf.y -= 22;
+    pdf.text(MARGIN, pdf.y, encodeText(block.text), { size: 13, bold: true });
+    pdf.y -= 6;
+    pdf.line(MARGIN, pdf.y, MARGIN + CONTENT_WIDTH, pdf.y, { color: '#e0e0e0' });
+    pdf.y -= 8;
+  },
+
+  paragraph(pdf, block, { size = 10, color = '#212121' } = {}) {
+    for (const line of wrapText(encodeText(block.text), CONTENT_WIDTH, size)) {
+      pdf.ensureSpace(14);
+      pdf.y -= 12;
+      pdf.text(MARGIN, pdf.y, line, { size, color });
+      pdf.y -= 2;
+    }
+    pdf.y -= 6;
+  },
+
+  metrics(pdf, block) {
+    const columns = 4;
+    const cellWidth = CONTENT_WIDTH / columns;
+    for (let i = 0; i < block.items.length; i += columns) {
+      pdf.ensureSpace(40);
+      block.items.slice(i, i + columns).forEach((item, j) => {
+        const x = MARGIN + j * cellWidth;
+        pdf.rect(x + 2, pdf.y - 36, cellWidth - 4, 36, { fill: '#f7f7f7' });
+        pdf.text(x + 8, pdf.y - 12, fitText(encodeText(item.label), cellWidth - 16, 8), { size: 8, color: '#757575' });
+        pdf.text(x + 8, pdf.y - 28, fitText(encodeText(item.value), cellWidth - 16, 12, true), { size: 12, bold: true });
+      });
+      pdf.y -= 40;
+    }
+    pdf.y -= 4;
+  },
+
+  table(pdf, block) {
+    if (block.rows.length === 0) {
+      BLOCKS.paragraph(pdf, { text: block.empty }, { size: 9, color: '#757575' });
+      return;
+    }
+
+    const natural = block.columns.map(column => Math.max(
+      textWidth(encodeText(column.label), 8, true),
+      ...block.rows.map(row => textWidth(encodeText(row[column.key]), 8))
+    ) + 8);
+    const total = natural.reduce((sum, width) => sum + width, 0);
+    const widths = natural.map(width => (width / total) * CONTENT_WIDTH);
+
+    pdf.ensureSpace(30);
+    drawTableHeader(pdf, block, widths);
+
+    for (const row of block.rows) {
+      if (pdf.ensureSpace(14)) drawTableHeader(pdf, block, widths);
+      let x = MARGIN;
+      block.columns.forEach((column, i) => {
+        const text = fitText(encodeText(row[column.key]), widths[i] - 6, 8);
+        pdf.text(column.align === 'right' ? x + widths[i] - 3 : x + 3, pdf.y - 10, text, { size: 8, align: column.align });
+        x += widths[i];
+      });
+      pdf.y -= 14;
+      pdf.line(MARGIN, pdf.y, MARGIN + CONTENT_WIDTH, pdf.y, { color: '#eeeeee' });
+    }
+    pdf.y -= 8;
+  },
+
+  chart(pdf, block) {
+    const legendHeight = block.series.length > 1 ? 14 : 0;
+    pdf.ensureSpace(CHART_HEIGHT + 20 + legendHeight);
+
+    pdf.y -= 12;
+    pdf.text(MARGIN, pdf.y, encodeText(block.title), { size: 10, bold: true });
+    pdf.y -= 4;
+
+    const top = pdf.y;
+    const layout = ChartLayout.layout(block, { width: CONTENT_WIDTH, height: CHART_HEIGHT });
+    const at = point => ({ x: MARGIN + point.x, y: top - point.y });
+    const { plot } = layout;
+
+    for (const tick of layout.yTicks) {
+      const left = at({ x: plot.x, y: tick.y });
+      pdf.line(left.x, left.y, left.x + plot.width, left.y, { color: '#eeeeee' });
+      pdf.text(left.x - 4, left.y - 2.5, encodeText(tick.label), { size: 7, color: '#757575', align: 'right' });
+    }
+    const axis = at({ x: plot.x, y: plot.y + plot.height });
+    pdf.line(axis.x, axis.y, axis.x + plot.width, axis.y);
+    for (const label of layout.xLabels) {
+      const position = at({ x: label.x, y: plot.y + plot.height + 12 });
+      pdf.text(position.x, position.y, fitText(encodeText(label.label), 70, 7), { size: 7, color: '#757575', align: 'center' });
+    }
+    for (const bar of layout.bars) {
+      const corner = at({ x: bar.x, y: bar.y + bar.height });
+      pdf.rect(corner.x, corner.y, bar.width, bar.height, { fill: bar.color });
+    }
+    for (const line of layout.lines) {
+      pdf.polyline(line.points.map(at), { color: line.color });
+    }
+
+    pdf.y = top - CHART_HEIGHT;
+    if (legendHeight) {
+      let x = MARGIN;
+      for (const series of layout.series) {
+        const name = encodeText(series.name);
+        pdf.rect(x, pdf.y - 9, 8, 8, { fill: series.color });
+        pdf.text(x + 11, pdf.y - 8, name, { size: 8 });
+        x += textWidth(name, 8) + 26;
+      }
+      pdf.y -= legendHeight;
+    }
+    pdf.y -= 8;
+  },
+
+  list(pdf, block) {
+    if (block.items.length === 0) {
+      BLOCKS.paragraph(pdf, { text: block.empty }, { size: 9, color: '#757575' });
+      return;
+    }
+
+    for (const item of block.items) {
+      const lines = wrapText(encodeText(item.text), CONTENT_WIDTH - 14, 9);
+      lines.forEach((line, i) => {
+        pdf.ensureSpace(13);
+        pdf.y -= 11;
+        if (i === 0) pdf.rect(MARGIN, pdf.y - 1, 6, 8, { fill: LEVEL_COLORS[item.level] || '#9e9e9e' });
+        pdf.text(MARGIN + 14, pdf.y, line, { size: 9 });
+        pdf.y -= 2;
+      });
+      pdf.y -= 3;
+    }
+    pdf.y -= 4;
+  }
+};
+
+/**
+ * PDF for a report document (see ReportTemplates), laid out from the same
+ * blocks as the HTML page without a browser
+ */
+class PdfRenderer {
+  static render(document) {
+    const pdf = new PdfWriter();
+
+    pdf.y -= 20;
+    pdf.text(MARGIN, pdf.y, encodeText(document.title), { size: 20, bold: true });
+    if (document.subtitle) {
+      pdf.y -= 16;
+      pdf.text(MARGIN, pdf.y, encodeText(document.subtitle), { size: 10, color: '#757575' });
+    }
+    pdf.y -= 10;
+
+    for (const block of document.blocks) {
+      BLOCKS[block.type](pdf, block);
+    }
+
+    const footer = encodeText(`${document.report_id || ''}  ·  generated ${document.generated_at || ''}`);
+    pdf.pages.forEach((page, i) => {
+      pdf.page = page;
+      pdf.text(MARGIN, 28, footer, { size: 8, color: '#757575' });
+      pdf.text(PAGE_WIDTH - MARGIN, 28, encodeText(`Page ${i + 1} of ${pdf.pages.length}`), { size: 8, color: '#757575', align: 'right' });
+    });
+
+    return pdf.toBuffer(document.title);
+  }
+}
+
+module.exports = PdfRenderer;
@@ -0,0 +1,378 @@
+const StatsUtils = require('../../utils/statsUtils');
+
+/**
+ * Display text for a report value: numbers rounded to 3 decimals,
+ * booleans as yes/no, missing values as '-'
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '-';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(StatsUtils.round(value, 3)) : '-';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (Array.isArray(value)) return value.map(formatValue).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function percent(fraction) {
+  return Number.isFinite(fraction) ? `${StatsUtils.round(fraction * 100, 1)}%` : '-';
+}
+
+function label(key) {
+  const text = String(key).replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * ISO timestamps as 'YYYY-MM-DD HH:mm' for axis labels and table cells
+ */
+function shortTime(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value)
+    ? value.slice(0, 16).replace('T', ' ')
+    : value;
+}
+
+function metrics(items) {
+  return { type: 'metrics', items: items.map(([name, value]) => ({ label: name, value: formatValue(value) })) };
+}
+
+/**
+ * Table block; `columns` are [key, label] pairs or keys
+ */
+function table(columns, rows, empty = 'No data') {
+  const cols = columns.map(column => (Array.isArray(column) ? { key: column[0], label: column[1] } : { key: column, label: label(column) }));
+  return {
+    type: 'table',
+    columns: cols.map(column => ({
+      ...column,
+      align: rows.length > 0 && rows.every(row => row[column.key] === null || row[column.key] === undefined || typeof row[column.key] === 'number') ? 'right' : 'left'
+    })),
+    rows: rows.map(row => Object.fromEntries(cols.map(column => [column.key, formatValue(shortTime(row[column.key]))]))),
+    empty
+  };
+}
+
+function chart(kind, title, series, options = {}) {
+  return {
+    type: 'chart',
+    kind,
+    title,
+    series: series.map(s => ({ name: s.name, points: s.points.map(p => ({ x: String(shortTime(p.x)), y: Number(p.y) })) })),
+    ...options
+  };
+}
+
+function list(items, empty = 'None') {
+  return { type: 'list', items, empty };
+}
+
+function heading(text) {
+  return { type: 'heading', text };
+}
+
+function periodText(start, end) {
+  if (!start && !end) return 'All data';
+  return `${shortTime(start) || 'start'} to ${shortTime(end) || 'now'}`;
+}
+
+const TEMPLATES = {
+  quality(report) {
+    const quality = report.quality_metrics || {};
+    const summary = report.summary || {};
+    const bySensor = Object.entries(report.details?.by_sensor || {}).map(([sensorId, m]) => ({ sensor_id: sensorId, ...m }));
+
+    return {
+      title: 'Data Quality Report',
+      subtitle: periodText(report.period?.startDate, report.period?.endDate),
+      blocks: [
+        metrics([
+          ['Quality score', summary.overall_quality_score],
+          ['Readings', summary.total_readings],
+          ['Sensors', summary.total_sensors],
+          ['Issues', summary.quality_issues],
+          ['Completeness', percent(quality.completeness)],
+          ['Accuracy', percent(quality.accuracy_rate)],
+          ['Timeliness', percent(quality.timeliness)],
+          ['Duplicate rate', percent(quality.duplicate_rate)]
+        ]),
+        heading('Quality by sensor'),
+        ...(bySensor.length > 0
+          ? [chart('bar', 'Quality score by sensor', [{ name: 'Quality score', points: bySensor.map(s => ({ x: s.sensor_id, y: s.quality_score })) }], { y_max: 100 })]
+          : []),
+        table([
+          'sensor_id',
+          ['total_records', 'Readings'],
+          ['missing_percentage', 'Missing %'],
+          ['anomaly_percentage', 'Out of range %'],
+          ['duplicate_percentage', 'Duplicate %'],
+          ['timeliness_percentage', 'On time %'],
+          'quality_score'
+        ], bySensor),
+        heading('Issues'),
+        list((report.details?.issues || []).map(issue => ({ text: issue.message, level: issue.severity })), 'No quality issues found'),
+        heading('Recommendations'),
+        list((report.recommendations || []).map(r => ({ text: `${r.description}. ${r.action}`, level: r.priority })), 'No recommendations')
+      ]
+    };
+  },
+
+  processing(report) {
+    const statistics = report.statistics || {};
+    const trends = report.trends || [];
+
+    return {
+      title: 'Processing Report',
+      subtitle: periodText(report.period?.startDate, report.period?.endDate),
+      blocks: [
+        metrics([
+          ['Runs', statistics.total_runs],
+          ['Completed', statistics.completed_runs],
+          ['Failed', statistics.failed_runs],
+          ['Records stored', statistics.records_stored],
+          ['Records rejected', statistics.records_rejected],
+          ['Average run (s)', statistics.average_run_seconds],
+          ['Records per second', statistics.average_records_per_second],
+          ['Errors', statistics.errors]
+        ]),
+        heading('Run trend'),
+        ...(trends.length > 0
+          ? [chart('line', 'Records stored per run', [
+            { name: 'Stored', points: trends.map(t => ({ x: t.started_at, y: t.records_stored })) },
+            { name: 'Rejected', points: trends.map(t => ({ x: t.started_at, y: t.rejected })) }
+          ])]
+          : []),
+        heading('Stages'),
+        table(['stage', 'executions', 'failures', ['average_duration_seconds', 'Avg duration (s)'], 'records_in', 'records_out', 'rejected', 'errors'],
+          Object.entries(report.stages || {}).map(([stage, s]) => ({ stage, ...s }))),
+        heading('Runs'),
+        table(['run_id', 'started_at', 'status', ['duration_seconds', 'Duration (s)'], 'records_stored', 'rejected', 'errors'], trends, 'No pipeline runs recorded')
+      ]
+    };
+  },
+
+  coverage(report) {
+    const summary = report.summary || {};
+    const series = report.coverage_analysis || [];
+    const gaps = series.flatMap(s => s.gaps.map(gap => ({ sensor_id: s.sensor_id, reading_type: s.reading_type, ...gap })));
+
+    return {
+      title: 'Coverage Report',
+      subtitle: periodText(report.parameters?.period_start, report.parameters?.period_end),
+      blocks: [
+        metrics([
+          ['Overall coverage', `${formatValue(summary.overall_coverage)}%`],
+          ['Series', summary.series_analyzed],
+          ['Gaps', summary.total_gaps],
+          ['Longest gap (h)', summary.longest_gap_hours],
+          ['Sensors with gaps', summary.sensors_with_gaps],
+          ['Gap threshold (min)', report.parameters?.gap_threshold_minutes]
+        ]),
+        heading('Coverage by series'),
+        ...(series.length > 0
+          ? [chart('bar', 'Coverage %', [{ name: 'Coverage', points: series.map(s => ({ x: `${s.sensor_id} ${s.reading_type}`, y: s.coverage_percentage })) }], { y_max: 100 })]
+          : []),
+        table(['sensor_id', 'reading_type', ['sampling_interval_minutes', 'Interval (min)'], 'expected_readings', 'actual_readings', ['coverage_percentage', 'Coverage %'], 'first_reading', 'last_reading'],
+          series.map(s => ({ ...s, gaps: undefined }))),
+        heading('Gaps'),
+        table(['sensor_id', 'reading_type', 'start', 'end', ['duration_hours', 'Hours'], 'missing_readings'], gaps, 'No gaps found')
+      ]
+    };
+  },
+
+  anomaly(report) {
+    const analysis = report.anomaly_analysis || {};
+    const byType = analysis.anomalies_by_type || {};
+
+    return {
+      title: 'Anomaly Report',
+      subtitle: periodText(report.period?.startDate, report.period?.endDate),
+      blocks: [
+        metrics([
+          ['Readings', analysis.total_readings],
+          ['Anomalous readings', analysis.total_anomalies],
+          ['Anomaly rate', `${formatValue(analysis.anomaly_percentage)}%`],
+          ['Exceeds threshold', analysis.exceeds_threshold],
+          ['Sensors affected', (analysis.sensors_affected || []).length],
+          ['z-score threshold', report.parameters?.z_threshold]
+        ]),
+        heading('Anomalies by type and severity'),
+        chart('bar', 'Findings', [
+          { name: 'By type', points: Object.entries(byType).map(([type, count]) => ({ x: label(type), y: count })) }
+        ]),
+        table(['severity', 'count'], Object.entries(analysis.severity_distribution || {}).map(([severity, count]) => ({ severity, count }))),
+        heading('By sensor'),
+        table(['sensor_id', 'total_readings', 'anomalous_readings', ['anomaly_percentage', 'Anomaly %'], 'exceeds_threshold'],
+          Object.entries(analysis.by_sensor || {}).map(([sensorId, s]) => ({ sensor_id: sensorId, ...s }))),
+        heading('Top anomalies'),
+        table(['timestamp', 'sensor_id', 'reading_type', 'value', 'type', 'severity', 'reason'], report.top_anomalies || [], 'No anomalies detected')
+      ]
+    };
+  },
+
+  analytics(report) {
+    const statistics = report.statistics?.by_reading_type || {};
+    const trends = report.trends?.by_reading_type || {};
+    const cycles = Object.entries(report.seasonality?.by_reading_type || {})
+      .filter(([, cycle]) => Object.keys(cycle.hourly_means || {}).length > 0);
+
+    return {
+      title: 'Analytics Report',
+      subtitle: periodText(report.metadata?.period?.start_date, report.metadata?.period?.end_date),
+      blocks: [
+        metrics([
+          ['Readings', report.statistics?.count],
+          ['Mean', report.statistics?.mean],
+          ['Std dev', report.statistics?.std_dev],
+          ['Overall trend', report.trends?.direction],
+          ['Significance level', report.parameters?.significance_level],
+          ['Timezone', report.parameters?.timezone]
+        ]),
+        heading('Statistics by reading type'),
+        table(['reading_type', 'count', 'mean', 'median', 'p25', 'p75', 'min', 'max', ['std_dev', 'Std dev']],
+          Object.entries(statistics).map(([readingType, s]) => ({ reading_type: readingType, ...s }))),
+        heading('Trends'),
+        table(['reading_type', 'direction', 'strength', ['slope', 'Slope per day'], ['r_squared', 'R²'], ['p_value', 'p-value'], 'significant'],
+          Object.entries(trends).map(([readingType, t]) => ({ reading_type: readingType, ...t }))),
+        heading('Daily cycle'),
+        ...cycles.map(([readingType, cycle]) => chart('line', `${label(readingType)}: mean by hour (${report.seasonality.timezone})`, [
+          { name: label(readingType), points: Object.entries(cycle.hourly_means).map(([hour, value]) => ({ x: `${String(hour).padStart(2, '0')}:00`, y: value })) }
+        ])),
+        table(['reading_type', 'strength', 'peak_hour', 'trough_hour', 'amplitude'],
+          Object.entries(report.seasonality?.by_reading_type || {}).map(([readingType, c]) => ({ reading_type: readingType, ...c, hourly_means: undefined }))),
+        heading('Correlations'),
+        table([['reading_types', 'Reading types'], 'r', ['p_value', 'p-value'], 'samples'], report.correlations?.pairs || [], 'Not enough overlapping readings'),
+        heading('Insights'),
+        list((report.insights || []).map(insight => ({ text: insight.description, level: insight.impact === 'negative' ? 'medium' : 'low' })), 'No notable findings')
+      ]
+    };
+  },
+
+  summary(report) {
+    const overview = report.overview || {};
+    const sensors = report.sensor_summary || {};
+    const byReadingType = report.key_metrics?.by_reading_type || {};
+    const comparison = report.comparison;
+
+    return {
+      title: 'Summary Report',
+      subtitle: periodText(overview.period?.start, overview.period?.end),
+      blocks: [
+        metrics([
+          ['Readings', overview.data_points],
+          ['Quality score', overview.quality_score],
+          ['Sensors', sensors.total_sensors],
+          ['Active', sensors.active_sensors],
+          ['Inactive', sensors.inactive_sensors],
+          ['With issues', sensors.sensors_with_issues],
+          ['Anomaly rate', percent(report.key_metrics?.anomaly_rate)],
+          ['Latest reading', shortTime(overview.latest_reading)]
+        ]),
+        heading('Key metrics by reading type'),
+        table(['reading_type', 'count', 'avg', 'min', 'max'],
+          Object.entries(byReadingType).map(([readingType, m]) => ({ reading_type: readingType, ...m }))),
+        ...(comparison
+          ? [
+            heading(`Compared with ${periodText(comparison.previous_period.start, comparison.previous_period.end)}`),
+            table(['metric', 'current', 'previous', 'change', ['change_percentage', 'Change %']], [
+              ...['data_points', 'reporting_sensors', 'anomalous_readings', 'quality_score']
+                .map(key => ({ metric: label(key), ...comparison[key] })),
+              ...Object.entries(comparison.by_reading_type).map(([readingType, c]) => ({ metric: `${label(readingType)} average`, ...c.avg }))
+            ])
+          ]
+          : []),
+        heading('Sensors by reading type'),
+        table(['reading_type', 'total', 'active', 'inactive'],
+          Object.entries(sensors.by_type || {}).map(([readingType, counts]) => ({ reading_type: readingType, ...counts }))),
+        heading(`Inactive sensors (no readings for ${formatValue(sensors.inactive_after_hours)} h)`),
+        table(['sensor_id', 'last_seen', ['hours_since_last_seen', 'Hours silent']], sensors.inactive || [], 'All sensors are reporting'),
+        heading('Alerts'),
+        list((report.alerts || []).map(alert => ({ text: alert.message, level: alert.severity })), 'No alerts')
+      ]
+    };
+  },
+
+  custom(report) {
+    const definition = report.parameters || {};
+    const blocks = [];
+    if (definition.description) blocks.push({ type: 'paragraph', text: definition.description });
+
+    for (const section of report.results || []) {
+      if (section.type === 'table') {
+        blocks.push(heading(section.title || 'Results'));
+        // Table columns are the bucket/group keys followed by one column per metric
+        const metricCount = (definition.metrics || []).length;
+        const keyColumns = section.columns.slice(0, section.columns.length - metricCount);
+        const metricColumns = section.columns.slice(keyColumns.length);
+        if (keyColumns[0] === 'bucket' && section.rows.length > 1) {
+          const groupColumns = keyColumns.slice(1);
+          for (const column of metricColumns) {
+            const series = new Map();
+            for (const row of section.rows) {
+              const name = groupColumns.map(group => row[group]).join(' / ') || label(column);
+              if (!series.has(name)) series.set(name, []);
+              series.get(name).push({ x: row.bucket, y: row[column] });
+            }
+            blocks.push(chart('line', label(column), [...series].map(([name, points]) => ({ name, points }))));
+          }
+        }
+        blocks.push(table(section.columns, section.rows));
+      } else if (section.type === 'summary') {
+        blocks.push(heading(section.title || 'Summary'));
+        blocks.push(metrics(Object.entries(section.values).map(([column, value]) => [label(column), value])));
+      } else if (section.type === 'anomalies') {
+        blocks.push(heading(section.title || 'Anomalies'));
+        blocks.push(table(['timestamp', 'sensor_id', 'reading_type', 'value', 'anomaly_type', 'anomaly_reason'], section.readings, 'No anomalous readings'));
+      }
+    }
+
+    return {
+      title: definition.title || (report.metadata?.name ? label(report.metadata.name) : 'Custom Report'),
+      subtitle: periodText(report.filters?.startDate, report.filters?.endDate),
+      blocks
+    };
+  },
+
+  generic(report) {
+    const scalars = Object.entries(report).filter(([, value]) => value === null || typeof value !== 'object');
+    return {
+      title: 'Report',
+      subtitle: report.report_id,
+      blocks: [metrics(scalars.map(([key, value]) => [label(key), value]))]
+    };
+  }
+};
+
+const PREFIXES = {
+  quality_: 'quality',
+  processing_: 'processing',
+  coverage_: 'coverage',
+  anomaly_: 'anomaly',
+  analytics_: 'analytics',
+  summary_: 'summary',
+  custom_: 'custom'
+};
+
+/**
+ * Turns a generated report into a renderer-neutral document: a title,
+ * subtitle and a list of blocks (heading, paragraph, metrics, table, chart,
+ * list). The HTML and PDF renderers both draw from this, so each report type
+ * has one template.
+ */
+class ReportTemplates {
+  static templateFor(reportId = '') {
+    const prefix = Object.keys(PREFIXES).find(p => reportId.startsWith(p));
+    return prefix ? PREFIXES[prefix] : 'generic';
+  }
+
+  static build(report) {
+    const document = TEMPLATES[this.templateFor(report.report_id)](report);
+    return {
+      ...document,
+      report_id: report.report_id,
+      generated_at: report.generated_at
+    };
+  }
+}
+
+ReportTemplates.formatValue = formatValue;
+
+module.exports = ReportTemplates;
@@ -0,0 +1,273 @@
+const path = require('path');
+const cron = require('node-cron');
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const REPORT_TYPES = ['quality', 'processing', 'coverage', 'anomaly', 'analytics', 'summary', 'custom'];
+const TYPE_TITLES = {
+  quality: 'Quality Report',
+  processing: 'Processing Report',
+  coverage: 'Coverage Report',
+  anomaly: 'Anomaly Report',
+  analytics: 'Analytics Report',
+  summary: 'Summary Report',
+  custom: 'Custom Report'
+};
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Catalogue updates are read-modify-write on one file, so they run one at a time
+let pending = Promise.resolve();
+
+function serialize(task) {
+  const run = pending.then(task);
+  pending = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Index of generated reports: type, parameters, period, size and creator of
+ * every report file, kept in one JSON file next to the reports so listing does
+ * not have to open each report. Also applies the retention policy.
+ */
+class ReportCatalogService {
+  static getReportsDir() {
+    return config.paths?.reports || 'data/reports';
+  }
+
+  static getReportPath(reportId) {
+    return FileUtils.pathInside(this.getReportsDir(), `${reportId}.json`, 'report_id');
+  }
+
+  static getCatalogPath() {
+    return config.paths?.reportCatalog || 'data/report_catalog.json';
+  }
+
+  /**
+   * Report type from an ID such as quality_1752739518864
+   */
+  static typeOf(reportId) {
+    const type = String(reportId).split('_')[0];
+    return REPORT_TYPES.includes(type) ? type : 'unknown';
+  }
+
+  static titleOf(type) {
+    return TYPE_TITLES[type] || 'Unknown';
+  }
+
+  /**
+   * Catalogue entries, newest first. A missing catalogue is rebuilt from the
+   * report files, so reports written before it existed are picked up.
+   */
+  static async load() {
+    return serialize(() => this.readCatalog());
+  }
+
+  // Only called from serialized tasks
+  static async readCatalog() {
+    const catalogPath = this.getCatalogPath();
+    if (!(await FileUtils.fileExists(catalogPath))) {
+      return this.rebuild();
+    }
+
+    const catalog = await FileUtils.readJSON(catalogPath);
+    return catalog.reports || [];
+  }
+
+  static async write(entries) {
+    entries.sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at) || b.report_id.localeCompare(a.report_id));
+    await FileUtils.ensureDir(path.dirname(this.getCatalogPath()));
+    await FileUtils.writeJSON(this.getCatalogPath(), { updated_at: DateUtils.nowIST().toISOString(), reports: entries });
+    return entries;
+  }
+
+  static async rebuild() {
+    const files = await FileUtils.listFiles(this.getReportsDir(), '*.json');
+    const entries = [];
+
+    for (const filePath of files) {
+      try {
+        const report = await FileUtils.readJSON(filePath);
+        const reportId = report.report_id || path.basename(filePath, '.json');
+        const parameters = report.metadata?.filters || report.filters || report.period || {};
+        entries.push(await this.describe(reportId, report, { parameters, filePath }));
+      } catch (error) {
+        logger.warn(`Failed to index report file ${filePath}:`, error);
+      }
+    }
+
+    logger.info(`Rebuilt report catalogue with ${entries.length} reports`);
+    return this.write(entries);
+  }
+
+  /**
+   * Catalogue entry for a report file. The period comes from the requested
+   * startDate/endDate unless given.
+   */
+  static async describe(reportId, report, { parameters = {}, period, createdBy = null, filePath }) {
+    const type = this.typeOf(reportId);
+    const storedPeriod = report.metadata?.period;
+
+    return {
+      report_id: reportId,
+      type,
+      title: report.metadata?.title || this.titleOf(type),
+      generated_at: report.generated_at || report.metadata?.generated_at || null,
+      created_by: createdBy,
+      parameters,
+      period: period || {
+        start: parameters.startDate || storedPeriod?.start_date || null,
+        end: parameters.endDate || storedPeriod?.end_date || null
+      },
+      size_bytes: Math.round((await FileUtils.getFileSizeMB(filePath)) * 1024 * 1024),
+      file_path: filePath
+    };
+  }
+
+  /**
+   * Add a freshly saved report and apply the retention policy of its type
+   */
+  static async record(reportId, report, options = {}) {
+    return serialize(async () => {
+      const filePath = this.getReportPath(reportId);
+      const entry = await this.describe(reportId, report, { ...options, filePath });
+      const entries = (await this.readCatalog()).filter(e => e.report_id !== reportId);
+      await this.write([...entries, entry]);
+      await this.prune(entry.type);
+      return entry;
+    });
+  }
+
+  static async get(reportId) {
+    const entries = await this.load();
+    return entries.find(entry => entry.report_id === reportId) || null;
+  }
+
+  /**
+   * Filter and page the catalogue. Dates filter on generation time.
+   */
+  static async list(filters = {}) {
+    const { type, created_by: createdBy, startDate, endDate } = filters;
+    const page = filters.page || 1;
+    const limit = filters.limit || DEFAULT_PAGE_SIZE;
+    const range = DateUtils.normalizeDateRange(startDate, endDate);
+
+    const matching = (await this.load()).filter(entry => {
+      if (type && entry.type !== type) return false;
+      if (createdBy && entry.created_by !== createdBy) return false;
+      if (range.start && new Date(entry.generated_at) < new Date(range.start)) return false;
+      if (range.end && new Date(entry.generated_at) > new Date(range.end)) return false;
+      return true;
+    });
+
+    return {
+      reports: matching.slice((page - 1) * limit, page * limit),
+      total: matching.length,
+      page,
+      limit
+    };
+  }
+
+  /**
+   * Delete a report file and its catalogue entry. Returns false if neither exists.
+   */
+  static async remove(reportId) {
+    return serialize(async () => {
+      const entries = await this.readCatalog();
+      const removed = await this.removeEntries(entries, [reportId]);
+      return removed.length > 0;
+    });
+  }
+
+  static async removeEntries(entries, reportIds) {
+    const removed = [];
+
+    for (const reportId of reportIds) {
+      const filePath = this.getReportPath(reportId);
+      const indexed = entries.some(entry => entry.report_id === reportId);
+      if (await FileUtils.fileExists(filePath)) {
+        await FileUtils.deleteFile(filePath);
+      } else if (!indexed) {
+        continue;
+      }
+      removed.push(reportId);
+    }
+
+    if (removed.length > 0) {
+      await this.write(entries.filter(entry => !removed.includes(entry.report_id)));
+    }
+    return removed;
+  }
+
+  /**
+   * Retention for a report type: `max_count` reports and reports younger than
+   * `max_age_days`, from reports.retention with per-type overrides under
+   * reports.retention.by_type. A limit of 0 or null disables it.
+   */
+  static retentionPolicy(type) {
+    const retention = config.reports?.retention || {};
+    const override = retention.by_type?.[type] || {};
+    return {
+      max_count: override.max_count !== undefined ? override.max_count : retention.max_count ?? null,
+      max_age_days: override.max_age_days !== undefined ? override.max_age_days : retention.max_age_days ?? null
+    };
+  }
+
+  /**
+   * Reports of one type (or all types) that the retention policy drops at `now`
+   */
+  static expiredReports(entries, type, now = new Date()) {
+    const types = type ? [type] : [...new Set(entries.map(entry => entry.type))];
+    const expired = [];
+
+    for (const reportType of types) {
+      const { max_count: maxCount, max_age_days: maxAgeDays } = this.retentionPolicy(reportType);
+      const ofType = entries.filter(entry => entry.type === reportType);
+
+      ofType.forEach((entry, index) => {
+        const ageMs = now - new Date(entry.generated_at);
+        if ((maxCount && index >= maxCount) || (maxAgeDays && ageMs > maxAgeDays * DAY_MS)) {
+          expired.push(entry.report_id);
+        }
+      });
+    }
+
+    return expired;
+  }
+
+  // Only called from serialized tasks
+  static async prune(type, now = new Date()) {
+    const entries = await this.readCatalog();
+    const removed = await this.removeEntries(entries, this.expiredReports(entries, type, now));
+    if (removed.length > 0) {
+      logger.info(`Report retention removed ${removed.length} reports`, { type: type || 'all' });
+    }
+    return removed;
+  }
+
+  /**
+   * Apply the retention policy to every report type now
+   */
+  static async enforceRetention(now = new Date()) {
+    return serialize(() => this.prune(null, now));
+  }
+
+  /**
+   * Enforce retention on a cron schedule (hourly unless
+   * reports.retention.cron says otherwise). Returns the node-cron task.
+   */
+  static startRetentionTask() {
+    const expression = config.reports?.retention?.cron || '0 * * * *';
+    return cron.schedule(expression, () => {
+      this.enforceRetention().catch(error => {
+        logger.error('Report retention failed:', error);
+      });
+    }, { name: 'report_retention' });
+  }
+}
+
+ReportCatalogService.REPORT_TYPES = REPORT_TYPES;
+
+module.exports = ReportCatalogService;
@@ -1,21 +1,42 @@
-const path = require('path');
 const FileUtils = require('../utils/fileUtils');
 const DateUtils = require('../utils/dateUtils');
+const StatsUtils = require('../utils/statsUtils');
 const logger = require('../utils/logger');
 const config = require('../config/config');
 const DuckDBService = require('./duckDBService');
+const AnomalyDetectionService = require('./transformation/anomalyDetectionService');
+const PipelineRunService = require('./pipelineRunService');
+const CustomReportService = require('./customReportService');
+const ReportCatalogService = require('./reportCatalogService');
+const ReportTemplates = require('./rendering/reportTemplates');
+const HtmlRenderer = require('./rendering/htmlRenderer');
+const PdfRenderer = require('./rendering/pdfRenderer');
+
+/**
+ * CSV text from a header row and rows of values; values containing commas,
+ * quotes or line breaks are quoted, null/undefined become empty cells
+ */
+function toCSV(headers, rows) {
+  const cell = value => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows].map(row => row.map(cell).join(',')).join('\n');
+}
 
 class ReportsService {
-  static async generateQualityReport(options = {}) {
+  static async generateQualityReport(options = {}, { createdBy } = {}) {
     logger.info('Generating quality report', options);
 
     const reportId = `quality_${Date.now()}`;
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
 
     try {
       // Initialize DuckDB service and query data
       const duckDBService = new DuckDBService(config);
       await duckDBService.initialize();
-      const queryResult = await duckDBService.queryData(options);
+      const queryResult = await duckDBService.queryData({ ...options, startDate: range.start, endDate: range.end });
 
       // Handle empty datasets
       if (!queryResult.data || queryResult.data.length === 0) {
@@ -32,9 +53,12 @@ class ReportsService {
           quality_metrics: {
             completeness: 0,
             accuracy_rate: 0,
+            timeliness: 0,
+            duplicate_rate: 0,
             total_records: 0,
             missing_values: 0,
             outliers: 0,
+            duplicates: 0,
             completeness_rate: 0,
             accuracy_score: 0
           },
@@ -45,15 +69,45 @@ class ReportsService {
             quality_issues: 0,
             total_records: 0
           },
-          details: { issues: [] },
+          details: { issues: [], by_sensor: {}, by_reading_type: {} },
           recommendations: [],
           metrics: []
         };
-        await this.saveReport(reportId, emptyReport);
+        await this.saveReport(reportId, emptyReport, { parameters: options, createdBy });
         return emptyReport;
       }
 
-      // Generate comprehensive quality report with expected structure
+      const records = queryResult.data;
+      const limits = this.qualityLimits();
+
+      const overall = this.computeQualityMetrics(records);
+      const bySensor = {};
+      const byReadingType = {};
+
+      for (const [sensorId, group] of this.groupRecords(records, r => r.sensor_id || null)) {
+        if (sensorId !== null) bySensor[sensorId] = this.computeQualityMetrics(group);
+      }
+      for (const [readingType, group] of this.groupRecords(records, r => r.reading_type || null)) {
+        if (readingType !== null) byReadingType[readingType] = this.computeQualityMetrics(group);
+      }
+
+      const issues = this.findQualityIssues(overall, bySensor, byReadingType, limits);
+      const recommendations = this.buildQualityRecommendations(issues);
+      const timestamp = DateUtils.nowIST().toISOString();
+
+      const metrics = [];
+      const pushMetrics = (sensorId, readingType, m) => {
+        metrics.push(
+          { metric: 'missing_percentage', reading_type: readingType, sensor_id: sensorId, value: m.missing_percentage, timestamp },
+          { metric: 'anomaly_percentage', reading_type: readingType, sensor_id: sensorId, value: m.anomaly_percentage, timestamp },
+          { metric: 'duplicate_percentage', reading_type: readingType, sensor_id: sensorId, value: m.duplicate_percentage, timestamp },
+          { metric: 'timeliness_percentage', reading_type: readingType, sensor_id: sensorId, value: m.timeliness_percentage, timestamp }
+        );
+      };
+      for (const [sensorId, m] of Object.entries(bySensor)) pushMetrics(sensorId, 'all', m);
+      for (const [readingType, m] of Object.entries(byReadingType)) pushMetrics('ALL_SENSORS', readingType, m);
+      metrics.push({ metric: 'quality_score', reading_type: 'overall', sensor_id: 'ALL_SENSORS', value: overall.quality_score, timestamp });
+
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
@@ -64,86 +118,40 @@ class ReportsService {
           file_path: `/reports/${reportId}.json`
         },
         period: options,
+        limits: {
+          max_missing_percentage: limits.maxMissingPercentage,
+          max_anomaly_percentage: limits.maxAnomalyPercentage,
+          min_timeliness_percentage: limits.minTimelinessPercentage
+        },
         quality_metrics: {
-          completeness: 0.95,
-          accuracy_rate: 0.95,
-          total_records: queryResult.data.length,
-          missing_values: queryResult.data.filter(d => d.value == null).length,
-          outliers: queryResult.data.filter(d => d.value > 100).length,
-          completeness_rate: 0.75,
-          accuracy_score: 0.85
+          completeness: overall.completeness,
+          accuracy_rate: overall.validity,
+          timeliness: overall.timeliness,
+          duplicate_rate: overall.duplicate_rate,
+          total_records: overall.total_records,
+          missing_values: overall.missing_values,
+          outliers: overall.invalid_values,
+          duplicates: overall.duplicates,
+          completeness_rate: overall.completeness,
+          accuracy_score: overall.validity
         },
         summary: {
-          overall_quality_score: 87.5,
-          total_sensors: 3,
-          total_readings: queryResult.data.length,
-          quality_issues: 12,
-          total_records: queryResult.data.length
+          overall_quality_score: overall.quality_score,
+          total_sensors: Object.keys(bySensor).length,
+          total_readings: overall.total_records,
+          quality_issues: issues.length,
+          total_records: overall.total_records
         },
         details: {
-          issues: [
-            {
-              type: 'missing_value',
-              sensor_id: 'SENSOR_001',
-              field: 'temperature',
-              timestamp: DateUtils.nowIST().toISOString()
-            },
-            {
-              type: 'outlier',
-              sensor_id: 'SENSOR_002',
-              field: 'humidity',
-              value: 150,
-              expected_range: '0-100',
-              timestamp: DateUtils.nowIST().toISOString()
-            }
-          ]
+          issues,
+          by_sensor: bySensor,
+          by_reading_type: byReadingType
         },
-        recommendations: [
-          {
-            category: 'connectivity',
-            priority: 'high',
-            description: 'Check sensor SENSOR_001 for connectivity issues',
-            action: 'Inspect physical connections and network status'
-          },
-          {
-            category: 'calibration',
-            priority: 'medium',
-            description: 'Calibrate humidity sensor SENSOR_002',
-            action: 'Perform calibration procedure according to manual'
-          },
-          {
-            category: 'validation',
-            priority: 'low',
-            description: 'Implement data validation rules for outlier detection',
-            action: 'Update validation service configuration'
-          }
-        ],
-        metrics: [
-          {
-            metric: 'missing_percentage',
-            reading_type: 'temperature',
-            sensor_id: 'SENSOR_001',
-            value: 2.3,
-            timestamp: DateUtils.nowIST().toISOString()
-          },
-          {
-            metric: 'anomaly_percentage',
-            reading_type: 'humidity',
-            sensor_id: 'SENSOR_002',
-            value: 0.8,
-            timestamp: DateUtils.nowIST().toISOString()
-          },
-          {
-            metric: 'gap_hours',
-            reading_type: 'soil_moisture',
-            sensor_id: 'SENSOR_003',
-            value: 4,
-            timestamp: DateUtils.nowIST().toISOString()
-          }
-        ]
+        recommendations,
+        metrics
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate quality report:', error);
@@ -151,35 +159,271 @@ class ReportsService {
     }
   }
 
-  static async generateProcessingReport(options = {}) {
+  static qualityLimits() {
+    return {
+      maxMissingPercentage: config.validation?.max_missing_percentage ?? 20,
+      maxAnomalyPercentage: config.validation?.max_anomaly_percentage ?? 10,
+      minTimelinessPercentage: config.validation?.min_timeliness_percentage ?? 90
+    };
+  }
+
+  static groupRecords(records, keyFn) {
+    const groups = new Map();
+    for (const record of records) {
+      const key = keyFn(record);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(record);
+    }
+    return groups;
+  }
+
+  /**
+   * Completeness, validity, timeliness and duplicate rates for a set of readings.
+   * Rates are fractions (0-1); the *_percentage fields carry the same figures for the CSV metrics.
+   */
+  static computeQualityMetrics(records) {
+    const thresholds = config.transformation?.anomaly_thresholds || {};
+    const total = records.length;
+    let missing = 0;
+    let checked = 0;
+    let invalid = 0;
+    let duplicates = 0;
+    let missingIdentifiers = 0;
+    const seen = new Set();
+
+    for (const record of records) {
+      if (!record.sensor_id) missingIdentifiers++;
+
+      const key = `${record.sensor_id}|${record.reading_type}|${new Date(record.timestamp).getTime()}`;
+      if (record.timestamp && seen.has(key)) {
+        duplicates++;
+      } else {
+        seen.add(key);
+      }
+
+      const value = Number(record.value);
+      if (record.value === null || record.value === undefined || record.value === '' || !Number.isFinite(value)) {
+        missing++;
+        continue;
+      }
+
+      const range = thresholds[record.reading_type];
+      if (range) {
+        checked++;
+        if (value < range.min || value > range.max) invalid++;
+      }
+    }
+
+    // Timeliness: share of intervals that arrive within 1.5x the series' median sampling interval
+    let onTime = 0;
+    let intervals = 0;
+    for (const readings of this.groupBySeries(records).values()) {
+      const deltas = [];
+      for (let i = 1; i < readings.length; i++) {
+        const delta = readings[i].time - readings[i - 1].time;
+        if (delta > 0) deltas.push(delta);
+      }
+      const expected = StatsUtils.median(deltas);
+      if (!expected) continue;
+      intervals += deltas.length;
+      onTime += deltas.filter(delta => delta <= expected * 1.5).length;
+    }
+
+    const present = total - missing;
+    const completeness = total > 0 ? present / total : 0;
+    const validity = checked > 0 ? (checked - invalid) / checked : (present > 0 ? 1 : 0);
+    const timeliness = intervals > 0 ? onTime / intervals : 1;
+    const duplicateRate = total > 0 ? duplicates / total : 0;
+    const qualityScore = total > 0
+      ? (completeness * 0.4 + validity * 0.3 + timeliness * 0.2 + (1 - duplicateRate) * 0.1) * 100
+      : 0;
+
+    return {
+      total_records: total,
+      missing_values: missing,
+      invalid_values: invalid,
+      duplicates,
+      missing_identifiers: missingIdentifiers,
+      completeness: StatsUtils.round(completeness, 4),
+      validity: StatsUtils.round(validity, 4),
+      timeliness: StatsUtils.round(timeliness, 4),
+      duplicate_rate: StatsUtils.round(duplicateRate, 4),
+      missing_percentage: StatsUtils.round((1 - completeness) * 100),
+      anomaly_percentage: checked > 0 ? StatsUtils.round((invalid / checked) * 100) : 0,
+      duplicate_percentage: StatsUtils.round(duplicateRate * 100),
+      timeliness_percentage: StatsUtils.round(timeliness * 100),
+      quality_score: StatsUtils.round(qualityScore, 1)
+    };
+  }
+
+  /**
+   * Compare per-sensor and per-reading-type metrics against the configured limits
+   */
+  static findQualityIssues(overall, bySensor, byReadingType, limits) {
+    const issues = [];
+    const scopes = [
+      ...Object.entries(bySensor).map(([id, m]) => ({ scope: 'sensor', sensor_id: id, reading_type: null, metrics: m })),
+      ...Object.entries(byReadingType).map(([type, m]) => ({ scope: 'reading_type', sensor_id: null, reading_type: type, metrics: m }))
+    ];
+
+    for (const { scope, sensor_id: sensorId, reading_type: readingType, metrics: m } of scopes) {
+      const target = scope === 'sensor' ? `sensor ${sensorId}` : `${readingType} readings`;
+      const base = { scope, sensor_id: sensorId, reading_type: readingType };
+
+      if (m.missing_percentage > limits.maxMissingPercentage) {
+        issues.push({
+          ...base,
+          type: 'missing_value',
+          value: m.missing_percentage,
+          limit: limits.maxMissingPercentage,
+          severity: m.missing_percentage > limits.maxMissingPercentage * 2 ? 'high' : 'medium',
+          message: `${m.missing_percentage}% of ${target} have no value (limit ${limits.maxMissingPercentage}%)`
+        });
+      }
+
+      if (m.anomaly_percentage > limits.maxAnomalyPercentage) {
+        issues.push({
+          ...base,
+          type: 'outlier',
+          value: m.anomaly_percentage,
+          limit: limits.maxAnomalyPercentage,
+          severity: m.anomaly_percentage > limits.maxAnomalyPercentage * 2 ? 'high' : 'medium',
+          message: `${m.anomaly_percentage}% of ${target} fall outside anomaly_thresholds (limit ${limits.maxAnomalyPercentage}%)`
+        });
+      }
+
+      if (m.timeliness_percentage < limits.minTimelinessPercentage) {
+        issues.push({
+          ...base,
+          type: 'late_readings',
+          value: m.timeliness_percentage,
+          limit: limits.minTimelinessPercentage,
+          severity: 'medium',
+          message: `Only ${m.timeliness_percentage}% of ${target} arrived on their usual schedule`
+        });
+      }
+
+      if (scope === 'sensor' && m.duplicates > 0) {
+        issues.push({
+          ...base,
+          type: 'duplicate',
+          value: m.duplicate_percentage,
+          limit: 0,
+          severity: 'low',
+          message: `${m.duplicates} duplicate readings from ${target}`
+        });
+      }
+    }
+
+    if (overall.missing_identifiers > 0) {
+      issues.push({
+        scope: 'dataset',
+        sensor_id: null,
+        reading_type: null,
+        type: 'missing_sensor_id',
+        value: overall.missing_identifiers,
+        limit: 0,
+        severity: 'high',
+        message: `${overall.missing_identifiers} readings have no sensor_id`
+      });
+    }
+
+    return issues;
+  }
+
+  static buildQualityRecommendations(issues) {
+    const recommendations = [];
+    for (const issue of issues) {
+      const target = issue.sensor_id ? `sensor ${issue.sensor_id}` : issue.reading_type ? `${issue.reading_type} sensors` : 'the ingestion source';
+
+      switch (issue.type) {
+        case 'missing_value':
+          recommendations.push({
+            category: 'connectivity',
+            priority: issue.severity,
+            description: `Check ${target} for connectivity or power issues: ${issue.value}% of readings are missing values`,
+            action: 'Inspect physical connections, battery and network status'
+          });
+          break;
+        case 'outlier':
+          recommendations.push({
+            category: 'calibration',
+            priority: issue.severity,
+            description: `Calibrate ${target}: ${issue.value}% of readings are outside the configured range`,
+            action: 'Verify calibration settings and perform the calibration procedure'
+          });
+          break;
+        case 'late_readings':
+          recommendations.push({
+            category: 'connectivity',
+            priority: 'medium',
+            description: `Investigate irregular reporting from ${target}: ${issue.value}% of readings on schedule`,
+            action: 'Check logger schedule, signal strength and upload backlog'
+          });
+          break;
+        case 'duplicate':
+          recommendations.push({
+            category: 'ingestion',
+            priority: 'low',
+            description: `Remove duplicate readings from ${target}`,
+            action: 'Check whether the same raw file was ingested more than once'
+          });
+          break;
+        case 'missing_sensor_id':
+          recommendations.push({
+            category: 'validation',
+            priority: 'high',
+            description: `${issue.value} readings cannot be attributed to a sensor`,
+            action: 'Reject records without sensor_id at ingestion and fix the source export'
+          });
+          break;
+        default:
+          break;
+      }
+    }
+
+    if (recommendations.length === 0) {
+      recommendations.push({
+        category: 'monitoring',
+        priority: 'low',
+        description: 'All quality metrics are within the configured limits',
+        action: 'Continue routine monitoring'
+      });
+    }
+
+    return recommendations;
+  }
+
+  static async generateProcessingReport(options = {}, { createdBy } = {}) {
     logger.info('Generating processing report', options);
 
     const reportId = `processing_${Date.now()}`;
 
     try {
+      const runs = await PipelineRunService.listRuns({
+        startDate: options.startDate,
+        endDate: options.endDate,
+        status: options.status
+      });
+      const { statistics, stages, trends } = PipelineRunService.summarizeRuns(runs);
+
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
-        period: options,
-        statistics: {
-          files_processed: 15,
-          records_ingested: 150000,
-          records_transformed: 148500,
-          records_stored: 148500,
-          duplicates_removed: 1200,
-          outliers_detected: 300,
-          processing_time_seconds: 45.6,
-          average_records_per_second: 3254
+        metadata: {
+          source: 'pipeline_runs',
+          report_id: reportId,
+          generated_at: DateUtils.nowIST().toISOString(),
+          file_path: `/reports/${reportId}.json`
         },
-        stages: {
-          ingestion: { duration_seconds: 12.3, status: 'completed' },
-          transformation: { duration_seconds: 18.7, status: 'completed' },
-          validation: { duration_seconds: 8.2, status: 'completed' },
-          storage: { duration_seconds: 6.4, status: 'completed' }
-        }
+        period: options,
+        statistics,
+        stages,
+        trends,
+        last_run: runs[0] || null
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate processing report:', error);
@@ -187,48 +431,68 @@ class ReportsService {
     }
   }
 
-  static async generateCoverageReport(options = {}) {
+  static async generateCoverageReport(options = {}, { createdBy } = {}) {
     logger.info('Generating coverage report', options);
 
     const reportId = `coverage_${Date.now()}`;
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
+    const gapThresholdMinutes = Number(options.gapThresholdMinutes) ||
+      config.validation?.gap_threshold_minutes || 60;
 
     try {
+      const duckDBService = new DuckDBService(config);
+      await duckDBService.initialize();
+      const queryResult = await duckDBService.queryData({
+        sensor_id: options.sensor_id,
+        reading_type: options.reading_type,
+        startDate: range.start,
+        endDate: range.end
+      });
+
+      const series = this.groupBySeries(queryResult.data || []);
+      const coverageAnalysis = [];
+
+      for (const [, readings] of series) {
+        coverageAnalysis.push(this.analyzeSeriesCoverage(readings, {
+          periodStart: range.start,
+          periodEnd: range.end,
+          gapThresholdMs: gapThresholdMinutes * 60 * 1000
+        }));
+      }
+
+      coverageAnalysis.sort((a, b) =>
+        a.sensor_id.localeCompare(b.sensor_id) || String(a.reading_type).localeCompare(String(b.reading_type)));
+
+      const totalExpected = coverageAnalysis.reduce((sum, s) => sum + s.expected_readings, 0);
+      const totalActual = coverageAnalysis.reduce((sum, s) => sum + Math.min(s.actual_readings, s.expected_readings), 0);
+      const allGaps = coverageAnalysis.flatMap(s => s.gaps);
+
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
+        metadata: {
+          source: queryResult.source,
+          report_id: reportId,
+          generated_at: DateUtils.nowIST().toISOString(),
+          file_path: `/reports/${reportId}.json`
+        },
         filters: options,
-        coverage_analysis: [
-          {
-            sensor_id: 'SENSOR_001',
-            reading_type: 'temperature',
-            expected_readings: 720,
-            actual_readings: 698,
-            coverage_percentage: 96.9,
-            gaps: [
-              { start: '2023-06-01T14:00:00Z', end: '2023-06-01T16:00:00Z', duration_hours: 2 },
-              { start: '2023-06-15T22:00:00Z', end: '2023-06-16T02:00:00Z', duration_hours: 4 }
-            ]
-          },
-          {
-            sensor_id: 'SENSOR_002',
-            reading_type: 'humidity',
-            expected_readings: 720,
-            actual_readings: 715,
-            coverage_percentage: 99.3,
-            gaps: [
-              { start: '2023-06-10T08:00:00Z', end: '2023-06-10T13:00:00Z', duration_hours: 5 }
-            ]
-          }
-        ],
+        parameters: {
+          period_start: range.start,
+          period_end: range.end,
+          gap_threshold_minutes: gapThresholdMinutes
+        },
+        coverage_analysis: coverageAnalysis,
         summary: {
-          overall_coverage: 97.8,
-          total_gaps: 3,
-          longest_gap_hours: 5,
-          sensors_with_gaps: 2
+          series_analyzed: coverageAnalysis.length,
+          overall_coverage: totalExpected > 0 ? StatsUtils.round((totalActual / totalExpected) * 100, 1) : 0,
+          total_gaps: allGaps.length,
+          longest_gap_hours: allGaps.reduce((max, g) => Math.max(max, g.duration_hours), 0),
+          sensors_with_gaps: new Set(coverageAnalysis.filter(s => s.gaps.length > 0).map(s => s.sensor_id)).size
         }
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate coverage report:', error);
@@ -236,54 +500,184 @@ class ReportsService {
     }
   }
 
-  static async generateAnomalyReport(options = {}) {
+  /**
+   * Group readings by sensor_id and reading_type, sorted by timestamp ascending
+   */
+  static groupBySeries(records) {
+    const series = new Map();
+
+    for (const record of records) {
+      const time = new Date(record.timestamp).getTime();
+      if (!record.sensor_id || Number.isNaN(time)) continue;
+
+      const key = `${record.sensor_id}|${record.reading_type}`;
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      series.get(key).push({ ...record, time });
+    }
+
+    for (const readings of series.values()) {
+      readings.sort((a, b) => a.time - b.time);
+    }
+
+    return series;
+  }
+
+  /**
+   * Compare expected and actual readings for one sensor/reading type series.
+   * The sampling interval is the median spacing between consecutive readings,
+   * and any silence longer than the gap threshold is reported as a gap.
+   */
+  static analyzeSeriesCoverage(readings, { periodStart, periodEnd, gapThresholdMs }) {
+    const first = readings[0];
+    const last = readings[readings.length - 1];
+
+    const deltas = [];
+    for (let i = 1; i < readings.length; i++) {
+      const delta = readings[i].time - readings[i - 1].time;
+      if (delta > 0) deltas.push(delta);
+    }
+    const intervalMs = StatsUtils.median(deltas);
+
+    const startMs = periodStart ? Math.min(new Date(periodStart).getTime(), first.time) : first.time;
+    const endMs = periodEnd ? Math.max(new Date(periodEnd).getTime(), last.time) : last.time;
+    const uniqueTimes = new Set(readings.map(r => r.time)).size;
+    const expectedReadings = intervalMs
+      ? Math.floor((endMs - startMs) / intervalMs) + 1
+      : uniqueTimes;
+
+    const gaps = [];
+    const pushGap = (fromMs, toMs) => {
+      const duration = toMs - fromMs;
+      if (duration > gapThresholdMs && (!intervalMs || duration > intervalMs)) {
+        gaps.push({
+          start: new Date(fromMs).toISOString(),
+          end: new Date(toMs).toISOString(),
+          duration_hours: StatsUtils.round(duration / 3600000),
+          missing_readings: intervalMs ? Math.max(0, Math.round(duration / intervalMs) - 1) : null
+        });
+      }
+    };
+
+    pushGap(startMs, first.time);
+    for (let i = 1; i < readings.length; i++) {
+      pushGap(readings[i - 1].time, readings[i].time);
+    }
+    pushGap(last.time, endMs);
+
+    return {
+      sensor_id: first.sensor_id,
+      reading_type: first.reading_type,
+      sampling_interval_minutes: intervalMs ? StatsUtils.round(intervalMs / 60000) : null,
+      first_reading: new Date(first.time).toISOString(),
+      last_reading: new Date(last.time).toISOString(),
+      expected_readings: expectedReadings,
+      actual_readings: uniqueTimes,
+      coverage_percentage: expectedReadings > 0
+        ? StatsUtils.round(Math.min(100, (uniqueTimes / expectedReadings) * 100), 1)
+        : 0,
+      gaps
+    };
+  }
+
+  static async generateAnomalyReport(options = {}, { createdBy } = {}) {
     logger.info('Generating anomaly report', options);
 
     const reportId = `anomaly_${Date.now()}`;
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
+    const threshold = options.threshold !== undefined
+      ? options.threshold
+      : (config.validation?.max_anomaly_percentage ?? 10);
+    const topLimit = options.limit || 20;
 
     try {
+      const duckDBService = new DuckDBService(config);
+      await duckDBService.initialize();
+      const queryResult = await duckDBService.queryData({
+        sensor_id: options.sensor_id,
+        reading_type: options.reading_type,
+        startDate: range.start,
+        endDate: range.end
+      });
+
+      const records = queryResult.data || [];
+      const detector = new AnomalyDetectionService(config);
+      const findings = detector.detect(records, {
+        zThreshold: options.zThreshold,
+        windowDays: options.windowDays
+      });
+
+      const anomalousRecords = new Set(findings.map(f => f.record));
+      const anomaliesByType = { statistical_outliers: 0, range_violations: 0, temporal_anomalies: 0 };
+      const typeKeys = {
+        statistical_outlier: 'statistical_outliers',
+        range_violation: 'range_violations',
+        temporal_anomaly: 'temporal_anomalies'
+      };
+      const severityDistribution = { low: 0, medium: 0, high: 0 };
+
+      for (const finding of findings) {
+        anomaliesByType[typeKeys[finding.type]]++;
+        severityDistribution[finding.severity]++;
+      }
+
+      const bySensor = {};
+      for (const record of records) {
+        if (!record.sensor_id) continue;
+        const entry = bySensor[record.sensor_id] || (bySensor[record.sensor_id] = { total_readings: 0, anomalous_readings: 0 });
+        entry.total_readings++;
+        if (anomalousRecords.has(record)) entry.anomalous_readings++;
+      }
+      for (const entry of Object.values(bySensor)) {
+        entry.anomaly_percentage = StatsUtils.round((entry.anomalous_readings / entry.total_readings) * 100);
+        entry.exceeds_threshold = entry.anomaly_percentage > threshold;
+      }
+
+      const anomalyPercentage = records.length > 0
+        ? StatsUtils.round((anomalousRecords.size / records.length) * 100)
+        : 0;
+
+      const topAnomalies = findings
+        .sort((a, b) =>
+          AnomalyDetectionService.severityRank(b.severity) - AnomalyDetectionService.severityRank(a.severity) ||
+          Math.abs(b.zscore ?? 0) - Math.abs(a.zscore ?? 0))
+        .slice(0, topLimit)
+        .map(finding => {
+          const summary = { ...finding };
+          delete summary.record;
+          return summary;
+        });
+
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
+        metadata: {
+          source: queryResult.source,
+          report_id: reportId,
+          generated_at: DateUtils.nowIST().toISOString(),
+          file_path: `/reports/${reportId}.json`
+        },
         period: options,
+        parameters: {
+          z_threshold: Number(options.zThreshold) || detector.zThreshold,
+          rolling_window_days: Number(options.windowDays) || detector.windowDays,
+          anomaly_percentage_threshold: threshold
+        },
         anomaly_analysis: {
-          total_anomalies: 156,
-          anomaly_percentage: 1.2,
-          anomalies_by_type: {
-            statistical_outliers: 89,
-            range_violations: 45,
-            temporal_anomalies: 22
-          },
-          sensors_affected: ['SENSOR_001', 'SENSOR_003'],
-          severity_distribution: {
-            low: 98,
-            medium: 41,
-            high: 17
-          }
+          total_readings: records.length,
+          total_anomalies: anomalousRecords.size,
+          anomaly_percentage: anomalyPercentage,
+          exceeds_threshold: anomalyPercentage > threshold,
+          anomalies_by_type: anomaliesByType,
+          sensors_affected: Object.keys(bySensor).filter(id => bySensor[id].anomalous_readings > 0).sort(),
+          severity_distribution: severityDistribution,
+          by_sensor: bySensor
         },
-        top_anomalies: [
-          {
-            sensor_id: 'SENSOR_001',
-            reading_type: 'temperature',
-            timestamp: '2023-06-01T15:30:00Z',
-            value: 65.2,
-            expected_range: '15-45',
-            severity: 'high',
-            zscore: 4.2
-          },
-          {
-            sensor_id: 'SENSOR_003',
-            reading_type: 'soil_moisture',
-            timestamp: '2023-06-02T09:15:00Z',
-            value: -5.1,
-            expected_range: '0-100',
-            severity: 'high',
-            zscore: -3.8
-          }
-        ]
+        top_anomalies: topAnomalies
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate anomaly report:', error);
@@ -291,69 +685,73 @@ class ReportsService {
     }
   }
 
-  static async generateAnalyticsReport(options = {}) {
+  /**
+   * Descriptive statistics, linear trend, daily-cycle seasonality and the
+   * correlation between reading types measured in the same field. The
+   * top-level statistics and trends cover every reading matched by the
+   * filters; by_reading_type splits them per reading type.
+   */
+  static async generateAnalyticsReport(options = {}, { createdBy } = {}) {
     logger.info('Generating analytics report', options);
 
     const reportId = `analytics_${Date.now()}`;
-    const { startDate, endDate, sensorId } = options;
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
+    const timezone = options.timezone || 'UTC';
+    const correlationIntervalMinutes = Number(options.correlationIntervalMinutes) || 60;
+    const significance = Number(options.significance) || 0.05;
 
     try {
-      // Initialize DuckDB service and query data
       const duckDBService = new DuckDBService(config);
       await duckDBService.initialize();
-      const queryResult = await duckDBService.queryData(options);
+      const queryResult = await duckDBService.queryData({
+        sensor_id: options.sensor_id,
+        reading_type: options.reading_type,
+        field: options.field,
+        startDate: range.start,
+        endDate: range.end
+      });
+
+      const records = queryResult.data || [];
+      const byReadingType = this.groupRecords(records, r => r.reading_type || 'unknown');
+
+      const statistics = { ...this.describeReadings(records), by_reading_type: {} };
+      const trends = { ...this.analyzeTrend(records, significance), by_reading_type: {} };
+      const seasonality = { timezone, by_reading_type: {} };
+
+      for (const [readingType, group] of byReadingType) {
+        statistics.by_reading_type[readingType] = this.describeReadings(group);
+        trends.by_reading_type[readingType] = this.analyzeTrend(group, significance);
+        seasonality.by_reading_type[readingType] = this.analyzeDailyCycle(group, timezone);
+      }
+
+      const correlations = this.correlateReadingTypes(records, correlationIntervalMinutes * 60 * 1000);
+      const insights = this.buildAnalyticsInsights({ trends, seasonality, correlations }, significance);
 
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
         metadata: {
-          source: 'duckdb',
+          source: queryResult.source,
           report_id: reportId,
           generated_at: DateUtils.nowIST().toISOString(),
-          period: { start_date: startDate, end_date: endDate },
-          sensor_id: sensorId
-        },
-        statistics: {
-          count: queryResult.data?.length || 5,
-          mean: 25.0,
-          median: 25.0,
-          std_dev: 2.1,
-          min: 20.0,
-          max: 30.0
-        },
-        trends: {
-          direction: 'increasing',
-          strength: 'moderate',
-          slope: 0.05,
-          correlation: 0.85
+          period: { start_date: range.start, end_date: range.end },
+          sensor_id: options.sensor_id,
+          reading_type: options.reading_type,
+          field: options.field
         },
-        correlations: {
-          temperature_humidity: 0.65,
-          humidity_pressure: -0.23
+        parameters: {
+          timezone,
+          correlation_interval_minutes: correlationIntervalMinutes,
+          significance_level: significance
         },
-        insights: [
-          {
-            type: 'trend',
-            confidence: 0.95,
-            description: 'Temperature shows steady increase over time period',
-            impact: 'positive'
-          },
-          {
-            type: 'pattern',
-            confidence: 0.87,
-            description: 'Sensor readings are within normal operating range',
-            impact: 'neutral'
-          },
-          {
-            type: 'anomaly',
-            confidence: 0.99,
-            description: 'No significant anomalies detected',
-            impact: 'positive'
-          }
-        ]
+        statistics,
+        trends,
+        seasonality,
+        correlations,
+        insights
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate analytics report:', error);
@@ -361,85 +759,357 @@ class ReportsService {
     }
   }
 
-  static async generateSummaryReport(options = {}) {
+  /**
+   * Count, mean, median, quartiles, min, max and standard deviation of reading values
+   */
+  static describeReadings(records) {
+    const values = StatsUtils.numericValues(records.map(r => r.value));
+    const { min, max } = StatsUtils.minMax(values);
+
+    return {
+      count: values.length,
+      mean: StatsUtils.round(StatsUtils.mean(values), 4),
+      median: StatsUtils.round(StatsUtils.median(values), 4),
+      p25: StatsUtils.round(StatsUtils.percentile(values, 25), 4),
+      p75: StatsUtils.round(StatsUtils.percentile(values, 75), 4),
+      min,
+      max,
+      std_dev: StatsUtils.round(StatsUtils.stdDev(values), 4)
+    };
+  }
+
+  /**
+   * Timestamped numeric readings, oldest first
+   */
+  static timedValues(records) {
+    const points = [];
+    for (const record of records) {
+      const time = new Date(record.timestamp).getTime();
+      const [value] = StatsUtils.numericValues([record.value]);
+      if (!Number.isNaN(time) && value !== undefined) points.push({ time, value, record });
+    }
+    return points.sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Least-squares trend of value over time. The slope is in value units per
+   * day; a trend whose slope is not significant at `significance` is 'stable'.
+   */
+  static analyzeTrend(records, significance = 0.05) {
+    const points = this.timedValues(records);
+    const fit = points.length > 0
+      ? StatsUtils.linearRegression(points.map(p => (p.time - points[0].time) / 86400000), points.map(p => p.value))
+      : null;
+
+    if (!fit) {
+      return { direction: 'insufficient_data', strength: 'none', slope: null, r_squared: null, p_value: null, significant: false, points: points.length };
+    }
+
+    const absR = Math.abs(fit.r);
+    const significant = fit.p_value !== null && fit.p_value < significance;
+
+    return {
+      direction: !significant || fit.slope === 0 ? 'stable' : (fit.slope > 0 ? 'increasing' : 'decreasing'),
+      strength: absR >= 0.7 ? 'strong' : absR >= 0.3 ? 'moderate' : 'weak',
+      slope: StatsUtils.round(fit.slope, 6),
+      r_squared: StatsUtils.round(fit.r_squared, 4),
+      p_value: StatsUtils.round(fit.p_value, 6),
+      significant,
+      points: fit.n
+    };
+  }
+
+  /**
+   * Strength of the daily cycle: the share of the detrended variance explained
+   * by the hour of day in `timezone` (0 = none, 1 = all), with the hourly means.
+   * Needs readings from at least two days and several hours of the day.
+   */
+  static analyzeDailyCycle(records, timezone = 'UTC') {
+    const points = this.timedValues(records);
+    const days = new Set(points.map(p => DateUtils.toTimezone(p.time, timezone).format('YYYY-MM-DD')));
+    const empty = { strength: null, peak_hour: null, trough_hour: null, amplitude: null, hourly_means: {} };
+    if (points.length < 3 || days.size < 2) return empty;
+
+    const origin = points[0].time;
+    const fit = StatsUtils.linearRegression(points.map(p => p.time - origin), points.map(p => p.value));
+    const residuals = points.map(p => ({
+      hour: DateUtils.toTimezone(p.time, timezone).hour(),
+      value: p.value,
+      residual: fit ? p.value - (fit.intercept + fit.slope * (p.time - origin)) : p.value
+    }));
+
+    const byHour = this.groupRecords(residuals, r => r.hour);
+    if (byHour.size < 3) return empty;
+
+    const overallMean = StatsUtils.mean(residuals.map(r => r.residual));
+    let totalVariance = 0;
+    let betweenVariance = 0;
+    for (const r of residuals) totalVariance += (r.residual - overallMean) ** 2;
+
+    const hourlyMeans = {};
+    for (const [hour, group] of [...byHour].sort((a, b) => a[0] - b[0])) {
+      const mean = StatsUtils.mean(group.map(r => r.residual));
+      betweenVariance += group.length * (mean - overallMean) ** 2;
+      hourlyMeans[hour] = StatsUtils.mean(group.map(r => r.value));
+    }
+
+    const hours = Object.keys(hourlyMeans).map(Number);
+    const peak = hours.reduce((best, hour) => (hourlyMeans[hour] > hourlyMeans[best] ? hour : best), hours[0]);
+    const trough = hours.reduce((best, hour) => (hourlyMeans[hour] < hourlyMeans[best] ? hour : best), hours[0]);
+
+    return {
+      strength: totalVariance > 0 ? StatsUtils.round(betweenVariance / totalVariance, 4) : 0,
+      peak_hour: peak,
+      trough_hour: trough,
+      amplitude: StatsUtils.round(hourlyMeans[peak] - hourlyMeans[trough], 4),
+      hourly_means: Object.fromEntries(hours.map(hour => [hour, StatsUtils.round(hourlyMeans[hour], 4)]))
+    };
+  }
+
+  /**
+   * Pearson correlation matrix between reading types. Readings are averaged
+   * per field and time interval, and two reading types are compared over the
+   * intervals in which both were measured in the same field.
+   */
+  static correlateReadingTypes(records, intervalMs = 3600000) {
+    const buckets = new Map();
+    const readingTypes = new Set();
+
+    for (const { time, value, record } of this.timedValues(records)) {
+      const field = record.field ?? record.location?.field;
+      if (!field || !record.reading_type) continue;
+
+      readingTypes.add(record.reading_type);
+      const key = `${field}|${Math.floor(time / intervalMs)}`;
+      if (!buckets.has(key)) buckets.set(key, {});
+      const bucket = buckets.get(key);
+      (bucket[record.reading_type] || (bucket[record.reading_type] = [])).push(value);
+    }
+
+    const types = [...readingTypes].sort();
+    const matrix = {};
+    const pairs = [];
+    for (const type of types) {
+      matrix[type] = { [type]: 1 };
+    }
+
+    for (let i = 0; i < types.length; i++) {
+      for (let j = i + 1; j < types.length; j++) {
+        const xs = [];
+        const ys = [];
+        for (const bucket of buckets.values()) {
+          if (bucket[types[i]] && bucket[types[j]]) {
+            xs.push(StatsUtils.mean(bucket[types[i]]));
+            ys.push(StatsUtils.mean(bucket[types[j]]));
+          }
+        }
+
+        const r = xs.length >= 3 ? StatsUtils.pearson(xs, ys) : null;
+        matrix[types[i]][types[j]] = matrix[types[j]][types[i]] = StatsUtils.round(r, 4);
+        pairs.push({
+          reading_types: [types[i], types[j]],
+          r: StatsUtils.round(r, 4),
+          p_value: StatsUtils.round(StatsUtils.correlationPValue(r, xs.length), 6),
+          samples: xs.length
+        });
+      }
+    }
+
+    return {
+      method: 'pearson',
+      alignment: { by: 'field', interval_minutes: intervalMs / 60000 },
+      reading_types: types,
+      matrix,
+      pairs
+    };
+  }
+
+  /**
+   * Insights from significant trends, pronounced daily cycles and strong
+   * correlations, most confident first
+   */
+  static buildAnalyticsInsights({ trends, seasonality, correlations }, significance = 0.05) {
+    const insights = [];
+    const label = readingType => readingType.replace(/_/g, ' ');
+    const sentence = text => text.charAt(0).toUpperCase() + text.slice(1);
+    const clock = hour => `${String(hour).padStart(2, '0')}:00`;
+    // Falling battery or soil moisture needs action (battery swap, irrigation)
+    const fallingIsNegative = ['battery_level', 'soil_moisture'];
+
+    for (const [readingType, trend] of Object.entries(trends.by_reading_type)) {
+      if (!trend.significant || trend.direction === 'stable') continue;
+      insights.push({
+        type: 'trend',
+        reading_type: readingType,
+        confidence: StatsUtils.round(1 - trend.p_value, 3),
+        description: sentence(`${label(readingType)} is ${trend.direction} by ${StatsUtils.round(Math.abs(trend.slope), 3)} per day (${trend.strength}, R² ${trend.r_squared})`),
+        impact: trend.direction === 'decreasing' && fallingIsNegative.includes(readingType) ? 'negative' : 'neutral'
+      });
+    }
+
+    for (const [readingType, cycle] of Object.entries(seasonality.by_reading_type)) {
+      if (cycle.strength === null || cycle.strength < 0.5) continue;
+      insights.push({
+        type: 'seasonality',
+        reading_type: readingType,
+        confidence: cycle.strength,
+        description: sentence(`${label(readingType)} follows a daily cycle peaking around ${clock(cycle.peak_hour)} and lowest around ${clock(cycle.trough_hour)} (${seasonality.timezone}), amplitude ${cycle.amplitude}`),
+        impact: 'neutral'
+      });
+    }
+
+    for (const pair of correlations.pairs) {
+      if (pair.r === null || Math.abs(pair.r) < 0.7 || pair.p_value >= significance) continue;
+      insights.push({
+        type: 'correlation',
+        reading_types: pair.reading_types,
+        confidence: StatsUtils.round(1 - pair.p_value, 3),
+        description: sentence(`${label(pair.reading_types[0])} and ${label(pair.reading_types[1])} are strongly ${pair.r > 0 ? 'positively' : 'negatively'} correlated (r = ${pair.r}, ${pair.samples} intervals)`),
+        impact: 'neutral'
+      });
+    }
+
+    return insights.sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Overview of the store and the requested period: the sensor inventory with
+   * each sensor marked active or inactive from its last reading, data quality,
+   * per reading type metrics and a comparison with the previous period of the
+   * same length (when the period has a start).
+   */
+  static async generateSummaryReport(options = {}, { createdBy } = {}) {
     logger.info('Generating summary report', options);
 
     const reportId = `summary_${Date.now()}`;
-    const { startDate, endDate } = options;
+    const range = DateUtils.normalizeDateRange(options.startDate, options.endDate);
+    const inactiveAfterHours = Number(options.inactiveAfterHours) || config.validation?.sensor_inactive_hours || 24;
+    const now = new Date();
+    // Sensors are judged at the end of the period, or now for open-ended periods
+    const asOf = range.end && new Date(range.end) < now ? new Date(range.end) : now;
+    const filters = { sensor_id: options.sensor_id, reading_type: options.reading_type, field: options.field };
 
     try {
-      // Initialize DuckDB service and get stats
       const duckDBService = new DuckDBService(config);
       await duckDBService.initialize();
       const stats = await duckDBService.getStats();
+      const inventory = await duckDBService.getSensorInventory();
+      const queryResult = await duckDBService.queryData({ ...filters, startDate: range.start, endDate: range.end });
+      const records = queryResult.data || [];
+
+      let previousPeriod = null;
+      let previousRecords = null;
+      if (range.start) {
+        const start = new Date(range.start).getTime();
+        const end = range.end ? new Date(range.end).getTime() : now.getTime();
+        const length = end - start + 1;
+        previousPeriod = {
+          start: new Date(start - length).toISOString(),
+          end: new Date(start - 1).toISOString()
+        };
+        const previousResult = await duckDBService.queryData({ ...filters, startDate: previousPeriod.start, endDate: previousPeriod.end });
+        previousRecords = previousResult.data || [];
+      }
+
+      const current = this.summarizePeriod(records);
+      const previous = previousRecords ? this.summarizePeriod(previousRecords) : null;
+
+      const sensors = this.sensorStatuses(inventory.data || [], records, filters, { asOf, inactiveAfterHours });
+      const active = sensors.filter(sensor => sensor.status === 'active');
+      const inactive = sensors.filter(sensor => sensor.status === 'inactive');
+
+      const bySensor = {};
+      for (const [sensorId, group] of this.groupRecords(records, r => r.sensor_id || null)) {
+        if (sensorId !== null) bySensor[sensorId] = this.computeQualityMetrics(group);
+      }
+      const issues = this.findQualityIssues(current.quality, bySensor, {}, this.qualityLimits());
+      const sensorsWithIssues = new Set(issues.filter(issue => issue.sensor_id).map(issue => issue.sensor_id));
+
+      const countSensors = keysOf => {
+        const counts = {};
+        for (const sensor of sensors) {
+          for (const key of keysOf(sensor)) {
+            const entry = counts[key] || (counts[key] = { total: 0, active: 0, inactive: 0 });
+            entry.total++;
+            entry[sensor.status]++;
+          }
+        }
+        return counts;
+      };
+
+      const timestamp = DateUtils.nowIST().toISOString();
+      const comparison = previous ? {
+        previous_period: previousPeriod,
+        data_points: this.compareValues(current.data_points, previous.data_points),
+        reporting_sensors: this.compareValues(current.reporting_sensors, previous.reporting_sensors),
+        anomalous_readings: this.compareValues(current.anomalous_readings, previous.anomalous_readings),
+        quality_score: this.compareValues(current.quality.quality_score, previous.quality.quality_score),
+        by_reading_type: Object.fromEntries(Object.entries(current.by_reading_type).map(([type, metrics]) => [type, {
+          count: this.compareValues(metrics.count, previous.by_reading_type[type]?.count ?? 0),
+          avg: this.compareValues(metrics.avg, previous.by_reading_type[type]?.avg ?? null)
+        }]))
+      } : null;
 
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
         metadata: {
-          source: 'duckdb',
+          source: queryResult.source,
           report_id: reportId,
           generated_at: DateUtils.nowIST().toISOString(),
-          period: { start_date: startDate, end_date: endDate }
+          period: { start_date: range.start, end_date: range.end },
+          filters
         },
         overview: {
-          period: `${startDate || 'all'} to ${endDate || 'now'}`,
-          total_sensors: 3,
-          data_points: 1250,
-          quality_score: 87.5
+          period: { start: range.start, end: range.end },
+          total_sensors: sensors.length,
+          active_sensors: active.length,
+          reporting_sensors: current.reporting_sensors,
+          data_points: current.data_points,
+          total_records: stats.total || 0,
+          latest_reading: stats.latestTimestamp ? DateUtils.toISOString(stats.latestTimestamp) : null,
+          quality_score: current.quality.quality_score
         },
         sensor_summary: {
-          total_sensors: 3,
-          active_sensors: 3,
-          inactive_sensors: 0,
-          sensors_with_issues: 0,
-          by_type: {
-            temperature: 1,
-            humidity: 1,
-            soil_moisture: 1
-          },
-          by_field: {
-            field_1: 2,
-            field_2: 1
-          }
+          total_sensors: sensors.length,
+          active_sensors: active.length,
+          inactive_sensors: inactive.length,
+          reporting_sensors: current.reporting_sensors,
+          sensors_with_issues: sensorsWithIssues.size,
+          inactive_after_hours: inactiveAfterHours,
+          as_of: asOf.toISOString(),
+          by_type: countSensors(sensor => sensor.reading_types),
+          by_field: countSensors(sensor => sensor.fields),
+          inactive: inactive.map(({ sensor_id: sensorId, last_seen: lastSeen, hours_since_last_seen: hours }) => ({
+            sensor_id: sensorId,
+            last_seen: lastSeen,
+            hours_since_last_seen: hours
+          }))
         },
         data_quality: {
-          completeness: 0.95,
-          accuracy: 0.98,
-          timeliness: 0.92
+          completeness: current.quality.completeness,
+          accuracy: current.quality.validity,
+          timeliness: current.quality.timeliness,
+          duplicate_rate: current.quality.duplicate_rate,
+          quality_score: current.quality.quality_score,
+          issues: issues.length
         },
         key_metrics: {
-          avg_temperature: 25.5,
-          avg_humidity: 65.2,
-          avg_soil_moisture: 45.8
+          total_readings: current.data_points,
+          anomalous_readings: current.anomalous_readings,
+          anomaly_rate: current.data_points > 0 ? StatsUtils.round(current.anomalous_readings / current.data_points, 4) : 0,
+          by_reading_type: current.by_reading_type
         },
         data_summary: {
-          total_readings: 1250,
-          readings_by_type: {
-            temperature: 450,
-            humidity: 420,
-            soil_moisture: 380
-          }
+          total_readings: current.data_points,
+          readings_by_type: Object.fromEntries(Object.entries(current.by_reading_type).map(([type, m]) => [type, m.count])),
+          all_time_by_type: this.countsByType(stats.byType)
         },
-        alerts: [
-          {
-            level: 'info',
-            severity: 'low',
-            type: 'status',
-            message: 'All sensors operating normally',
-            timestamp: DateUtils.nowIST().toISOString()
-          }
-        ],
-        system_alerts: [
-          {
-            level: 'info',
-            message: 'All sensors operating normally',
-            timestamp: DateUtils.nowIST().toISOString()
-          }
-        ]
+        comparison,
+        alerts: this.buildSummaryAlerts({ current, previous, inactive, issues, inactiveAfterHours, timestamp })
       };
 
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, { parameters: options, createdBy });
       return report;
     } catch (error) {
       logger.error('Failed to generate summary report:', error);
@@ -447,39 +1117,161 @@ class ReportsService {
     }
   }
 
-  static async generateCustomReport(options = {}) {
-    logger.info('Generating custom report', options);
+  /**
+   * Reading counts, sensors reporting, quality metrics and per reading type
+   * count/avg/min/max for the readings of one period
+   */
+  static summarizePeriod(records) {
+    const byReadingType = {};
+    for (const [readingType, group] of this.groupRecords(records, r => r.reading_type || 'unknown')) {
+      const values = StatsUtils.numericValues(group.map(r => r.value));
+      const { min, max } = StatsUtils.minMax(values);
+      byReadingType[readingType] = {
+        count: group.length,
+        avg: StatsUtils.round(StatsUtils.mean(values), 4),
+        min,
+        max
+      };
+    }
+
+    return {
+      data_points: records.length,
+      reporting_sensors: new Set(records.map(r => r.sensor_id).filter(Boolean)).size,
+      anomalous_readings: records.filter(r => r.is_anomalous).length,
+      quality: this.computeQualityMetrics(records),
+      by_reading_type: byReadingType
+    };
+  }
+
+  /**
+   * Inventory sensors matching the filters, marked active when their last
+   * reading at or before `asOf` is within `inactiveAfterHours`. For sensors
+   * whose last reading is after `asOf`, the latest reading in the period is used.
+   */
+  static sensorStatuses(inventory, periodRecords, filters, { asOf, inactiveAfterHours }) {
+    const latestInPeriod = new Map();
+    for (const record of periodRecords) {
+      const time = new Date(record.timestamp).getTime();
+      if (!record.sensor_id || Number.isNaN(time)) continue;
+      if (!latestInPeriod.has(record.sensor_id) || time > latestInPeriod.get(record.sensor_id)) {
+        latestInPeriod.set(record.sensor_id, time);
+      }
+    }
+
+    return inventory
+      .filter(sensor => (!filters.sensor_id || sensor.sensor_id === filters.sensor_id) &&
+        (!filters.reading_type || sensor.reading_types.includes(filters.reading_type)) &&
+        (!filters.field || sensor.fields.includes(filters.field)))
+      .map(sensor => {
+        const lastSeen = new Date(sensor.last_seen).getTime();
+        const seen = lastSeen <= asOf.getTime() ? lastSeen : latestInPeriod.get(sensor.sensor_id) ?? null;
+        const hours = seen === null ? null : StatsUtils.round((asOf.getTime() - seen) / 3600000, 1);
+
+        return {
+          ...sensor,
+          last_seen: seen === null ? null : new Date(seen).toISOString(),
+          hours_since_last_seen: hours,
+          status: hours !== null && hours <= inactiveAfterHours ? 'active' : 'inactive'
+        };
+      });
+  }
+
+  /**
+   * Current vs previous value with the absolute and percentage change
+   */
+  static compareValues(current, previous) {
+    const change = current !== null && previous !== null ? current - previous : null;
+    return {
+      current,
+      previous,
+      change: StatsUtils.round(change, 4),
+      change_percentage: change !== null && previous ? StatsUtils.round((change / Math.abs(previous)) * 100, 1) : null
+    };
+  }
+
+  /**
+   * getStats byType as { reading_type: count } (DuckDB/SQLite return rows, the fallback an object)
+   */
+  static countsByType(byType) {
+    if (!Array.isArray(byType)) return { ...(byType || {}) };
+    return Object.fromEntries(byType.map(row => [row.reading_type, Number(row.count)]));
+  }
+
+  static buildSummaryAlerts({ current, previous, inactive, issues, inactiveAfterHours, timestamp }) {
+    const levels = { high: 'critical', medium: 'warning', low: 'info' };
+    const alerts = [];
+    const push = (severity, type, message, extra = {}) => {
+      alerts.push({ level: levels[severity], severity, type, message, timestamp, ...extra });
+    };
+
+    if (current.data_points === 0) {
+      push('high', 'no_data', 'No readings were recorded in the period');
+    }
+
+    if (inactive.length > 0) {
+      push('medium', 'inactive_sensors',
+        `${inactive.length} sensor(s) have not reported for more than ${inactiveAfterHours} hours`,
+        { sensors: inactive.map(sensor => sensor.sensor_id) });
+    }
+
+    if (previous && previous.data_points > 0 && current.data_points < previous.data_points * 0.5) {
+      push('medium', 'data_volume_drop',
+        `Readings fell from ${previous.data_points} to ${current.data_points} compared with the previous period`);
+    }
+
+    for (const issue of issues.filter(i => i.severity === 'high')) {
+      push('high', 'data_quality', issue.message, { sensor_id: issue.sensor_id, issue_type: issue.type });
+    }
+
+    if (alerts.length === 0) {
+      push('low', 'status', 'All sensors operating normally');
+    }
+
+    const rank = { high: 3, medium: 2, low: 1 };
+    return alerts.sort((a, b) => rank[b.severity] - rank[a.severity]);
+  }
+
+  /**
+   * Run a custom report definition (see CustomReportService) and save the
+   * result. With `save: true` the definition is also stored under its name.
+   */
+  static async generateCustomReport(definition = {}, { now = new Date(), createdBy } = {}) {
+    logger.info('Generating custom report', { name: definition.name });
 
     const reportId = `custom_${Date.now()}`;
 
     try {
+      CustomReportService.validate(definition);
+
+      const duckDBService = new DuckDBService(config);
+      await duckDBService.initialize();
+      const { filters, sections, source } = await CustomReportService.run(definition, duckDBService, now);
+
+      if (definition.save) {
+        await CustomReportService.saveDefinition(definition);
+      }
+
       const report = {
         report_id: reportId,
         generated_at: DateUtils.nowIST().toISOString(),
         metadata: {
-          source: 'duckdb',
+          source,
           report_id: reportId,
           generated_at: DateUtils.nowIST().toISOString(),
-          custom_parameters: options,
-          report_type: options.report_type || 'custom_sensor_analysis'
-        },
-        parameters: options,
-        results: {
-          custom_analysis: 'Custom analysis results',
-          computed_metrics: ['metric1', 'metric2', 'metric3']
+          report_type: 'custom',
+          name: definition.name || null,
+          title: definition.title || null
         },
-        data: {
-          custom_analysis: 'Custom analysis results',
-          metrics: ['metric1', 'metric2', 'metric3']
-        }
+        parameters: definition,
+        filters,
+        results: sections
       };
 
-      // Validate parameters - throw error for invalid ones in tests
-      if (options.report_type === 'unknown_type' && options.invalid_field) {
-        throw new Error('Invalid custom report parameters');
-      }
-
-      await this.saveReport(reportId, report);
+      await this.saveReport(reportId, report, {
+        parameters: definition,
+        period: { start: filters.startDate || null, end: filters.endDate || null },
+        createdBy
+      });
       return report;
     } catch (error) {
       logger.error('Failed to generate custom report:', error);
@@ -487,28 +1279,35 @@ class ReportsService {
     }
   }
 
-  static async listGeneratedReports() {
-    try {
-      const reportsDir = config.paths?.reports || 'data/reports';
-      const files = await FileUtils.listFiles(reportsDir, '*.json');
-      
-      const reports = [];
-      for (const filePath of files) {
-        try {
-          const report = await FileUtils.readJSON(filePath);
-          reports.push({
-            report_id: report.report_id,
-            type: this.getReportType(report.report_id),
-            generated_at: report.generated_at,
-            file_path: filePath,
-            file_size: await FileUtils.getFileSizeMB(filePath)
-          });
-        } catch (error) {
-          logger.warn(`Failed to read report file ${filePath}:`, error);
-        }
-      }
+  /**
+   * Run a saved definition again, optionally over another date range.
+   * Returns null if no definition has that name.
+   */
+  static async runSavedReport(name, overrides = {}, { createdBy } = {}) {
+    const definition = await CustomReportService.getDefinition(name);
+    if (!definition) {
+      return null;
+    }
+
+    const stored = { ...definition };
+    delete stored.created_at;
+    delete stored.updated_at;
+    const filters = { ...stored.filters };
+    if (overrides.startDate || overrides.endDate) {
+      delete filters.date_range;
+      filters.startDate = overrides.startDate;
+      filters.endDate = overrides.endDate;
+    }
+
+    return this.generateCustomReport({ ...stored, filters, save: false }, { createdBy });
+  }
 
-      return reports.sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at));
+  /**
+   * Page of the report catalogue, filtered by type, creator and generation date
+   */
+  static async listGeneratedReports(filters = {}) {
+    try {
+      return await ReportCatalogService.list(filters);
     } catch (error) {
       logger.error('Failed to list reports:', error);
       throw error;
@@ -516,7 +1315,18 @@ class ReportsService {
   }
 
   static async listReports() {
-    return this.listGeneratedReports();
+    return ReportCatalogService.load();
+  }
+
+  /**
+   * Delete a report and its catalogue entry. Returns false if it does not exist.
+   */
+  static async deleteReport(reportId) {
+    const deleted = await ReportCatalogService.remove(reportId);
+    if (deleted) {
+      logger.info(`Report deleted: ${reportId}`);
+    }
+    return deleted;
   }
 
   static async getReport(reportId) {
@@ -539,6 +1349,10 @@ class ReportsService {
           return JSON.stringify(report, null, 2);
         case 'csv':
           return this.convertReportToCSV(report);
+        case 'html':
+          return this.convertReportToHTML(report);
+        case 'pdf':
+          return this.convertReportToPDF(report);
         default:
           throw new Error(`Unsupported export format: ${format}`);
       }
@@ -568,26 +1382,97 @@ class ReportsService {
   }
 
   static async getReportPath(reportId) {
-    const reportsDir = config.paths?.reports || 'data/reports';
-    return path.join(reportsDir, `${reportId}.json`);
+    return ReportCatalogService.getReportPath(reportId);
   }
 
   static async convertReportToCSV(report) {
-    if (report.metrics) {
-      // Quality report CSV
-      const lines = ['metric,reading_type,sensor_id,value,timestamp'];
-      for (const metric of report.metrics) {
-        lines.push(`${metric.metric},${metric.reading_type},${metric.sensor_id},${metric.value},${metric.timestamp}`);
+    // Branch on the report type: processing reports also carry statistics and trends
+    switch (ReportTemplates.templateFor(report.report_id)) {
+      case 'quality':
+        if (report.metrics) {
+          const lines = ['metric,reading_type,sensor_id,value,timestamp'];
+          for (const metric of report.metrics) {
+            lines.push(`${metric.metric},${metric.reading_type},${metric.sensor_id},${metric.value},${metric.timestamp}`);
+          }
+          return lines.join('\n');
+        }
+        break;
+
+      case 'processing':
+        // One row per pipeline stage
+        return toCSV(
+          ['stage', 'executions', 'failures', 'total_duration_seconds', 'average_duration_seconds',
+            'records_in', 'records_out', 'rejected', 'errors'],
+          Object.entries(report.stages || {}).map(([stage, totals]) => [stage, totals.executions, totals.failures,
+            totals.total_duration_seconds, totals.average_duration_seconds,
+            totals.records_in, totals.records_out, totals.rejected, totals.errors])
+        );
+
+      case 'analytics':
+        // One row per reading type
+        return toCSV(
+          ['reading_type', 'count', 'mean', 'median', 'p25', 'p75', 'min', 'max', 'std_dev',
+            'trend_direction', 'trend_strength', 'slope_per_day', 'r_squared', 'p_value', 'significant',
+            'daily_cycle_strength', 'peak_hour', 'trough_hour'],
+          Object.entries(report.statistics?.by_reading_type || {}).map(([readingType, stats]) => {
+            const trend = report.trends?.by_reading_type?.[readingType] || {};
+            const cycle = report.seasonality?.by_reading_type?.[readingType] || {};
+            return [readingType, stats.count, stats.mean, stats.median, stats.p25, stats.p75, stats.min, stats.max, stats.std_dev,
+              trend.direction, trend.strength, trend.slope, trend.r_squared, trend.p_value, trend.significant,
+              cycle.strength, cycle.peak_hour, cycle.trough_hour];
+          })
+        );
+
+      case 'summary':
+        // One row per reading type, with the previous period when compared
+        return toCSV(
+          ['reading_type', 'count', 'avg', 'min', 'max', 'previous_count', 'previous_avg', 'avg_change', 'avg_change_percentage'],
+          Object.entries(report.key_metrics?.by_reading_type || {}).map(([readingType, metrics]) => {
+            const comparison = report.comparison?.by_reading_type[readingType];
+            return [readingType, metrics.count, metrics.avg, metrics.min, metrics.max,
+              comparison?.count.previous, comparison?.avg.previous, comparison?.avg.change, comparison?.avg.change_percentage];
+          })
+        );
+
+      case 'custom': {
+        // The first table section, else the summary values
+        const table = (report.results || []).find(section => section.type === 'table');
+        if (table) {
+          return toCSV(table.columns, table.rows.map(row => table.columns.map(column => row[column])));
+        }
+        const summary = (report.results || []).find(section => section.type === 'summary');
+        if (summary) {
+          return toCSV(['metric', 'value'], Object.entries(summary.values));
+        }
+        break;
       }
-      return lines.join('\n');
     }
-    
+
     // Generic JSON to CSV conversion
     return 'report_id,generated_at,type\n' + 
            `${report.report_id},${report.generated_at},${this.getReportType(report.report_id)}`;
   }
 
-  static async saveReport(reportId, report) {
+  /**
+   * Printable HTML page with tables, inline SVG charts and lists, from the
+   * report type's template (see ReportTemplates)
+   */
+  static async convertReportToHTML(report) {
+    return HtmlRenderer.render(ReportTemplates.build(report));
+  }
+
+  /**
+   * PDF (as a Buffer) laid out from the same template as the HTML page
+   */
+  static async convertReportToPDF(report) {
+    return PdfRenderer.render(ReportTemplates.build(report));
+  }
+
+  /**
+   * Write the report file and add it to the catalogue with the requested
+   * parameters, period and creator (see ReportCatalogService.record)
+   */
+  static async saveReport(reportId, report, catalog = {}) {
     try {
       const reportsDir = config.paths?.reports || 'data/reports';
       await FileUtils.ensureDir(reportsDir);
@@ -598,6 +1483,13 @@ class ReportsService {
       logger.error(`Failed to save report ${reportId}:`, error);
       throw error;
     }
+
+    // The file is already written, so a catalogue failure does not fail the report
+    try {
+      await ReportCatalogService.record(reportId, report, catalog);
+    } catch (error) {
+      logger.error(`Failed to add report ${reportId} to the catalogue:`, error);
+    }
   }
 
   static getReportType(reportId) {
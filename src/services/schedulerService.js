@@ -0,0 +1,321 @@
+const cron = require('node-cron');
+const moment = require('moment-timezone');
+const FileUtils = require('../utils/fileUtils');
+const DateUtils = require('../utils/dateUtils');
+const logger = require('../utils/logger');
+const config = require('../config/config');
+
+const DATE_RANGE_STRATEGIES = ['all', 'today', 'yesterday', 'last_n_days'];
+const MINUTE_MS = 60 * 1000;
+const PREVIEW_HORIZON_DAYS = 366;
+
+// [min, max, names] of each field of a six-field cron expression
+const CRON_FIELDS = [
+  [0, 59],
+  [0, 59],
+  [0, 23],
+  [1, 31],
+  [1, 12, ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec']],
+  [0, 7, ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']]
+];
+
+/**
+ * Values a cron field matches. Follows node-cron's reading of the syntax:
+ * names are matched on their first three letters, a step keeps the values
+ * of the range divisible by it, and weekday 7 is Sunday.
+ */
+function expandCronField(text, [min, max, names = []]) {
+  const toNumber = (token) => {
+    const index = names.indexOf(token.slice(0, 3).toLowerCase());
+    return index === -1 ? parseInt(token, 10) : index + min;
+  };
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, step] = part.split('/');
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(toNumber);
+    if (to === undefined) to = from;
+    if (from > to) [from, to] = [to, from];
+    const divisor = step === undefined ? 1 : parseInt(step, 10);
+
+    for (let value = from; value <= to; value++) {
+      if (value % divisor === 0) values.add(max === 7 && value === 7 ? 0 : value);
+    }
+  }
+
+  return values;
+}
+
+function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+  if (fields.length === 5) fields.unshift('0');
+  return fields.map((field, i) => expandCronField(field, CRON_FIELDS[i]));
+}
+
+/**
+ * Named cron schedules that submit full pipeline runs to the job queue.
+ * Schedules are stored as JSON files; each enabled schedule gets a node-cron
+ * task once start() is called.
+ */
+class SchedulerService {
+  constructor(jobQueue) {
+    this.jobQueue = jobQueue;
+    this.tasks = new Map();
+    this.started = false;
+  }
+
+  static getSchedulesDir() {
+    return config.paths?.schedules || 'data/schedules';
+  }
+
+  static getSchedulePath(name) {
+    return FileUtils.pathInside(this.getSchedulesDir(), `${name}.json`, 'name');
+  }
+
+  static getDefaultTimezone() {
+    return config.scheduler?.timezone || 'Asia/Kolkata';
+  }
+
+  /**
+   * Translate a date-range strategy into the startDate/endDate passed to the
+   * pipeline, relative to `now` in the schedule's timezone. `last_n_days`
+   * covers the N complete days before today.
+   */
+  static resolveDateRange(dateRange = {}, now = new Date(), timezone = this.getDefaultTimezone()) {
+    const today = moment(now).tz(timezone).startOf('day');
+
+    switch (dateRange.strategy || 'yesterday') {
+      case 'all':
+        return {};
+      case 'today':
+        return { startDate: today.format('YYYY-MM-DD'), endDate: today.format('YYYY-MM-DD') };
+      case 'yesterday': {
+        const yesterday = today.clone().subtract(1, 'day').format('YYYY-MM-DD');
+        return { startDate: yesterday, endDate: yesterday };
+      }
+      case 'last_n_days': {
+        const days = Math.max(1, parseInt(dateRange.days, 10) || 1);
+        return {
+          startDate: today.clone().subtract(days, 'days').format('YYYY-MM-DD'),
+          endDate: today.clone().subtract(1, 'day').format('YYYY-MM-DD')
+        };
+      }
+      default:
+        throw new Error(`Unsupported date range strategy: ${dateRange.strategy}`);
+    }
+  }
+
+  /**
+   * Next times the expression fires after `from`, in the schedule's timezone
+   */
+  static previewRuns(expression, { timezone = this.getDefaultTimezone(), count = 5, from = new Date() } = {}) {
+    if (!cron.validate(expression)) {
+      throw new Error(`Invalid cron expression: ${expression}`);
+    }
+    const [seconds, minutes, hours, days, months, weekDays] = parseCron(expression);
+    const runs = [];
+
+    let time = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS;
+    const horizon = time + PREVIEW_HORIZON_DAYS * 24 * 60 * MINUTE_MS;
+
+    while (runs.length < count && time <= horizon) {
+      const local = moment(time).tz(timezone);
+      const dayMatches = days.has(local.date()) &&
+        months.has(local.month() + 1) &&
+        weekDays.has(local.day());
+
+      if (!dayMatches || !hours.has(local.hour())) {
+        // Nothing can fire before the next local hour
+        time += (60 - local.minute()) * MINUTE_MS;
+        continue;
+      }
+
+      if (minutes.has(local.minute())) {
+        for (const second of [...seconds].sort((a, b) => a - b)) {
+          const run = time + second * 1000;
+          if (run > from.getTime() && runs.length < count) {
+            runs.push(new Date(run).toISOString());
+          }
+        }
+      }
+      time += MINUTE_MS;
+    }
+
+    return runs;
+  }
+
+  static async listSchedules() {
+    const files = await FileUtils.listFiles(this.getSchedulesDir(), '*.json');
+    const schedules = [];
+
+    for (const filePath of files) {
+      try {
+        schedules.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read schedule ${filePath}:`, error);
+      }
+    }
+
+    return schedules.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  static async getSchedule(name) {
+    const filePath = this.getSchedulePath(name);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  static async saveSchedule(schedule) {
+    await FileUtils.ensureDir(this.getSchedulesDir());
+    await FileUtils.writeJSON(this.getSchedulePath(schedule.name), schedule);
+    return schedule;
+  }
+
+  /**
+   * Schedule with its next run time filled in
+   */
+  static describe(schedule) {
+    const [nextRun] = schedule.enabled
+      ? this.previewRuns(schedule.cron, { timezone: schedule.timezone, count: 1 })
+      : [];
+    return { ...schedule, next_run_at: nextRun || null };
+  }
+
+  /**
+   * Load stored schedules and register a cron task for each enabled one
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    const schedules = await SchedulerService.listSchedules();
+    for (const schedule of schedules) {
+      this.register(schedule);
+    }
+
+    logger.info(`Scheduler started with ${this.tasks.size} active schedules`);
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.started = false;
+  }
+
+  register(schedule) {
+    this.unregister(schedule.name);
+    if (!this.started || !schedule.enabled) return;
+
+    const task = cron.schedule(schedule.cron, () => {
+      this.runSchedule(schedule.name).catch(error => {
+        logger.error(`Scheduled run ${schedule.name} failed:`, error);
+      });
+    }, { timezone: schedule.timezone, name: `schedule_${schedule.name}` });
+
+    this.tasks.set(schedule.name, task);
+  }
+
+  unregister(name) {
+    const task = this.tasks.get(name);
+    if (task) {
+      task.stop();
+      this.tasks.delete(name);
+    }
+  }
+
+  async createSchedule(definition) {
+    const now = DateUtils.nowIST().toISOString();
+    const schedule = {
+      name: definition.name,
+      cron: definition.cron,
+      timezone: definition.timezone || SchedulerService.getDefaultTimezone(),
+      date_range: definition.date_range || { strategy: 'yesterday' },
+      force_reprocess: Boolean(definition.force_reprocess),
+      enabled: definition.enabled !== false,
+      description: definition.description || null,
+      created_at: now,
+      updated_at: now,
+      last_run_at: null,
+      last_run_status: null,
+      last_job_id: null,
+      last_error: null
+    };
+
+    await SchedulerService.saveSchedule(schedule);
+    this.register(schedule);
+    logger.info(`Created schedule ${schedule.name}`, { cron: schedule.cron, timezone: schedule.timezone });
+
+    return SchedulerService.describe(schedule);
+  }
+
+  async updateSchedule(name, changes) {
+    const schedule = await SchedulerService.getSchedule(name);
+    if (!schedule) return null;
+
+    for (const key of ['cron', 'timezone', 'date_range', 'force_reprocess', 'enabled', 'description']) {
+      if (changes[key] !== undefined) schedule[key] = changes[key];
+    }
+    schedule.updated_at = DateUtils.nowIST().toISOString();
+
+    await SchedulerService.saveSchedule(schedule);
+    this.register(schedule);
+
+    return SchedulerService.describe(schedule);
+  }
+
+  async deleteSchedule(name) {
+    const filePath = SchedulerService.getSchedulePath(name);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return false;
+    }
+
+    this.unregister(name);
+    await FileUtils.deleteFile(filePath);
+    return true;
+  }
+
+  /**
+   * Queue a schedule's pipeline run now. A tick that arrives while earlier
+   * jobs are still running or queued is skipped and recorded on the schedule.
+   */
+  async runSchedule(name, now = new Date()) {
+    const schedule = await SchedulerService.getSchedule(name);
+    if (!schedule) {
+      logger.warn(`Schedule ${name} no longer exists, skipping tick`);
+      return { skipped: true, reason: 'not_found' };
+    }
+
+    schedule.last_run_at = DateUtils.toISOString(now);
+
+    if (await this.jobQueue.isBusy()) {
+      logger.warn(`Skipping scheduled run ${name}: pipeline jobs are already running or queued`);
+      schedule.last_run_status = 'skipped';
+      await SchedulerService.saveSchedule(schedule);
+      return { skipped: true, reason: 'already_running' };
+    }
+
+    const range = SchedulerService.resolveDateRange(schedule.date_range, now, schedule.timezone);
+    logger.info(`Queueing scheduled pipeline run ${name}`, { ...range, forceReprocess: schedule.force_reprocess });
+
+    try {
+      const job = await this.jobQueue.enqueue({ ...range, forceReprocess: schedule.force_reprocess }, { source: `schedule:${name}` });
+      schedule.last_run_status = job.status;
+      schedule.last_job_id = job.job_id;
+      schedule.last_error = null;
+    } catch (error) {
+      schedule.last_run_status = 'failed';
+      schedule.last_error = error.message;
+    }
+
+    await SchedulerService.saveSchedule(schedule);
+    return { skipped: false, status: schedule.last_run_status, job_id: schedule.last_job_id, ...range };
+  }
+}
+
+SchedulerService.DATE_RANGE_STRATEGIES = DATE_RANGE_STRATEGIES;
+
+module.exports = SchedulerService;
@@ -0,0 +1,338 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+const { createReadStream } = require('fs');
+const parquet = require('@dsnp/parquetjs');
+const logger = require('../../utils/logger');
+const DateUtils = require('../../utils/dateUtils');
+const config = require('../../config/config');
+const FieldService = require('../fieldService');
+
+const PARTITION_FILE = 'part-00000.parquet';
+
+// Column layout of processed Parquet files; partition columns are stripped
+// from the files and restored from the directory names on read.
+const COLUMNS = {
+  sensor_id: { type: 'UTF8' },
+  timestamp: { type: 'TIMESTAMP_MILLIS' },
+  reading_type: { type: 'UTF8', optional: true },
+  value: { type: 'DOUBLE', optional: true },
+  calibrated_value: { type: 'DOUBLE', optional: true },
+  calibration_id: { type: 'UTF8', optional: true },
+  unit: { type: 'UTF8', optional: true },
+  field: { type: 'UTF8', optional: true },
+  latitude: { type: 'DOUBLE', optional: true },
+  longitude: { type: 'DOUBLE', optional: true },
+  battery_level: { type: 'DOUBLE', optional: true },
+  signal_strength: { type: 'DOUBLE', optional: true },
+  data_quality: { type: 'UTF8', optional: true },
+  quality_score: { type: 'DOUBLE', optional: true },
+  is_anomalous: { type: 'BOOLEAN', optional: true },
+  anomaly_type: { type: 'UTF8', optional: true },
+  anomaly_score: { type: 'DOUBLE', optional: true },
+  anomaly_reason: { type: 'UTF8', optional: true },
+  processed_timestamp: { type: 'TIMESTAMP_MILLIS', optional: true }
+};
+
+/**
+ * Hive-style partitioned Parquet store for processed data, laid out as
+ * <processed_path>/date=YYYY-MM-DD[/sensor_id=...]/part-00000.parquet
+ */
+class PartitionStore {
+  static getRoot() {
+    return config.paths?.processedData || config.storage?.processed_path || 'data/processed';
+  }
+
+  static getPartitionCols() {
+    const cols = config.storage?.partition_cols;
+    return Array.isArray(cols) && cols.length > 0 ? cols : ['date'];
+  }
+
+  static getCompression() {
+    const compression = String(config.storage?.compression || 'snappy').toUpperCase();
+    return compression === 'NONE' ? 'UNCOMPRESSED' : compression;
+  }
+
+  static getSchema(partitionCols = this.getPartitionCols()) {
+    const compression = this.getCompression();
+    const fields = {};
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      if (!partitionCols.includes(name)) {
+        fields[name] = { ...definition, compression };
+      }
+    }
+    return new parquet.ParquetSchema(fields);
+  }
+
+  static partitionValue(record, col) {
+    if (col === 'date') {
+      const time = new Date(record.timestamp);
+      return Number.isNaN(time.getTime()) ? null : time.toISOString().split('T')[0];
+    }
+    const value = col === 'field' ? (record.location?.field || record.field) : record[col];
+    return value === undefined || value === null || value === '' ? null : String(value);
+  }
+
+  /**
+   * Group records by their partition values. Records that cannot be placed
+   * (no parseable timestamp or missing partition value) are returned separately.
+   */
+  static groupByPartition(records, partitionCols = this.getPartitionCols()) {
+    const partitions = new Map();
+    const unpartitioned = [];
+
+    for (const record of records) {
+      const values = {};
+      let placeable = true;
+      for (const col of partitionCols) {
+        values[col] = this.partitionValue(record, col);
+        if (values[col] === null) placeable = false;
+      }
+
+      if (!placeable) {
+        unpartitioned.push(record);
+        continue;
+      }
+
+      const relativePath = partitionCols.map(col => `${col}=${encodeURIComponent(values[col])}`).join('/');
+      if (!partitions.has(relativePath)) {
+        partitions.set(relativePath, { path: relativePath, values, records: [] });
+      }
+      partitions.get(relativePath).records.push(record);
+    }
+
+    return { partitions: [...partitions.values()], unpartitioned };
+  }
+
+  static toRow(record) {
+    const row = {
+      ...record,
+      field: record.location?.field || record.field,
+      latitude: record.location?.latitude ?? record.latitude,
+      longitude: record.location?.longitude ?? record.longitude,
+      timestamp: new Date(record.timestamp),
+      processed_timestamp: record.processed_timestamp ? new Date(record.processed_timestamp) : undefined
+    };
+
+    for (const [name, definition] of Object.entries(COLUMNS)) {
+      const value = row[name];
+      if (value === null || value === undefined || (definition.type === 'DOUBLE' && !Number.isFinite(Number(value)))) {
+        row[name] = undefined;
+      } else if (definition.type === 'DOUBLE') {
+        row[name] = Number(value);
+      } else if (definition.type === 'UTF8') {
+        row[name] = String(value);
+      } else if (definition.type === 'BOOLEAN') {
+        row[name] = Boolean(value);
+      }
+    }
+
+    return row;
+  }
+
+  /**
+   * Write the records' partitions. Each touched partition is replaced as a
+   * whole (written to a temp file, then renamed over the old one); partitions
+   * not present in `records` are left untouched.
+   */
+  static async writePartitions(records) {
+    return this.writePartitionBatches([records]);
+  }
+
+  /**
+   * Same as writePartitions for records arriving in batches (an array or
+   * async iterable of record arrays). Batches are spooled to one JSON Lines
+   * file per partition, so memory holds one batch or one partition at a time.
+   */
+  static async writePartitionBatches(batches) {
+    const partitionCols = this.getPartitionCols();
+    const schema = this.getSchema(partitionCols);
+    const spoolDir = await fs.mkdtemp(path.join(os.tmpdir(), 'partitions-'));
+    const spooled = new Map();
+    const written = [];
+    let skipped = 0;
+
+    try {
+      for await (const batch of batches) {
+        const { partitions, unpartitioned } = this.groupByPartition(batch, partitionCols);
+        skipped += unpartitioned.length;
+
+        for (const partition of partitions) {
+          if (!spooled.has(partition.path)) {
+            spooled.set(partition.path, {
+              path: partition.path,
+              values: partition.values,
+              spoolFile: path.join(spoolDir, `${spooled.size}.jsonl`)
+            });
+          }
+          const lines = partition.records.map(record => JSON.stringify(record)).join('\n') + '\n';
+          await fs.appendFile(spooled.get(partition.path).spoolFile, lines);
+        }
+      }
+
+      if (skipped > 0) {
+        logger.warn(`${skipped} records have no value for partition columns and were not written`, { partitionCols });
+      }
+
+      for (const partition of spooled.values()) {
+        written.push(await this.writePartitionFile(schema, partition));
+      }
+    } finally {
+      await fs.rm(spoolDir, { recursive: true, force: true });
+    }
+
+    logger.info(`Wrote ${written.length} Parquet partitions`, {
+      root: this.getRoot(),
+      compression: this.getCompression(),
+      records: written.reduce((sum, p) => sum + p.records, 0)
+    });
+
+    return { partitions: written, skipped };
+  }
+
+  /**
+   * Replace one partition's data file with the rows of its spool file
+   */
+  static async writePartitionFile(schema, partition) {
+    const dir = path.join(this.getRoot(), partition.path);
+    const target = path.join(dir, PARTITION_FILE);
+    const temp = `${target}.${process.pid}.tmp`;
+
+    await fs.mkdir(dir, { recursive: true });
+
+    const rows = [];
+    const lines = readline.createInterface({ input: createReadStream(partition.spoolFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line) rows.push(this.toRow(JSON.parse(line)));
+    }
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+
+    const writer = await parquet.ParquetWriter.openFile(schema, temp);
+    for (const row of rows) {
+      await writer.appendRow(row);
+    }
+    await writer.close();
+
+    // Drop any other data files left in the partition by earlier layouts
+    for (const file of await fs.readdir(dir)) {
+      if (file.endsWith('.parquet') && file !== PARTITION_FILE) {
+        await fs.unlink(path.join(dir, file));
+      }
+    }
+    await fs.rename(temp, target);
+
+    return { partition: partition.path, values: partition.values, file: target, records: rows.length };
+  }
+
+  /**
+   * Partition directories under the root with their column values
+   */
+  static async listPartitions() {
+    const partitionCols = this.getPartitionCols();
+    const partitions = [];
+
+    const walk = async (dir, depth, values) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        return;
+      }
+
+      if (depth === partitionCols.length) {
+        const files = entries.filter(e => e.isFile() && e.name.endsWith('.parquet')).map(e => path.join(dir, e.name));
+        if (files.length > 0) {
+          partitions.push({ partition: path.relative(this.getRoot(), dir).split(path.sep).join('/'), values, files });
+        }
+        return;
+      }
+
+      const prefix = `${partitionCols[depth]}=`;
+      for (const entry of entries) {
+        if (entry.isDirectory() && entry.name.startsWith(prefix)) {
+          const value = decodeURIComponent(entry.name.slice(prefix.length));
+          await walk(path.join(dir, entry.name), depth + 1, { ...values, [partitionCols[depth]]: value });
+        }
+      }
+    };
+
+    await walk(this.getRoot(), 0, {});
+    partitions.sort((a, b) => a.partition.localeCompare(b.partition));
+    return partitions;
+  }
+
+  /**
+   * Partitions that can hold rows matching the filters, pruned on date and
+   * any other partition column that has an equality filter
+   */
+  static async findPartitions(filters = {}) {
+    const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+    const startDay = range.start ? range.start.split('T')[0] : null;
+    const endDay = range.end ? range.end.split('T')[0] : null;
+
+    return (await this.listPartitions()).filter(({ values }) => {
+      if (values.date && startDay && values.date < startDay) return false;
+      if (values.date && endDay && values.date > endDay) return false;
+      for (const col of ['sensor_id', 'reading_type', 'field']) {
+        if (values[col] !== undefined && filters[col] && values[col] !== filters[col]) return false;
+      }
+      return true;
+    });
+  }
+
+  static fromRow(row, values) {
+    const record = {};
+    for (const [key, value] of Object.entries(row)) {
+      record[key] = value instanceof Date ? value.toISOString() : value;
+    }
+    for (const [col, value] of Object.entries(values)) {
+      if (col !== 'date') record[col] = value;
+    }
+    return record;
+  }
+
+  /**
+   * Read matching rows with the Parquet reader, newest first (same order as
+   * DuckDBService.queryData). Used when DuckDB is not available.
+   */
+  static async readPartitions(filters = {}) {
+    const range = DateUtils.normalizeDateRange(filters.startDate, filters.endDate);
+    const start = range.start ? new Date(range.start).getTime() : null;
+    const end = range.end ? new Date(range.end).getTime() : null;
+    const partitions = await this.findPartitions(filters);
+    const records = [];
+
+    for (const { files, values } of partitions) {
+      for (const file of files) {
+        const reader = await parquet.ParquetReader.openFile(file);
+        try {
+          const cursor = reader.getCursor();
+          let row = null;
+          while ((row = await cursor.next())) {
+            const record = this.fromRow(row, values);
+            const time = new Date(record.timestamp).getTime();
+            if (start !== null && time < start) continue;
+            if (end !== null && time > end) continue;
+            if (filters.sensor_id && record.sensor_id !== filters.sensor_id) continue;
+            if (filters.reading_type && record.reading_type !== filters.reading_type) continue;
+            if (!FieldService.matchesLocation(record, filters)) continue;
+            if (filters.anomalous !== undefined && Boolean(record.is_anomalous) !== Boolean(filters.anomalous)) continue;
+            if (filters.anomaly_type && record.anomaly_type !== filters.anomaly_type) continue;
+            records.push(record);
+          }
+        } finally {
+          await reader.close();
+        }
+      }
+    }
+
+    records.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return filters.limit ? records.slice(0, filters.limit) : records;
+  }
+}
+
+PartitionStore.COLUMNS = COLUMNS;
+PartitionStore.PARTITION_FILE = PARTITION_FILE;
+
+module.exports = PartitionStore;
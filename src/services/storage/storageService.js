@@ -3,8 +3,10 @@ const path = require('path');
 const logger = require('../../utils/logger');
 const FileUtils = require('../../utils/fileUtils');
 const DateUtils = require('../../utils/dateUtils');
+const parquet = require('@dsnp/parquetjs');
 const DuckDBService = require('../duckDBService');
 const duckDBSingleton = require('../duckDBSingleton');
+const PartitionStore = require('./partitionStore');
 
 class StorageService {
   constructor(config) {
@@ -37,160 +39,109 @@ class StorageService {
     }
   }
 
-  // Use DuckDB for efficient data storage
+  /**
+   * Write processed records as date-partitioned Parquet. Without `data`, the
+   * transformation output is streamed one file at a time; only partitions
+   * present in it are rewritten.
+   */
   async storeData(data = null) {
-    logger.info('Starting data storage process with DuckDB');
+    logger.info('Starting data storage process', {
+      partitionCols: PartitionStore.getPartitionCols(),
+      compression: PartitionStore.getCompression()
+    });
     
     const statistics = {
       filesWritten: 0,
       recordsStored: 0,
-      databaseRecords: 0,
+      partitionsWritten: [],
+      recordsSkipped: 0,
       errors: 0
     };
 
     try {
-      // Load data if not provided
-      if (!data) {
-        data = await this.loadValidatedData();
-      }
+      const batches = data ? [Array.isArray(data) ? data : [data]] : this.readTransformedBatches(statistics);
+      const result = await PartitionStore.writePartitionBatches(batches);
 
-      if (!data || data.length === 0) {
+      if (result.partitions.length === 0 && result.skipped === 0) {
         logger.warn('No data available for storage');
         return statistics;
       }
 
-      // Store in DuckDB
-      try {
-        const insertResult = await this.duckDBService.insertData(data);
-        statistics.databaseRecords = insertResult.recordCount || 0;
-        logger.info('Data stored in DuckDB successfully', { 
-          records: statistics.databaseRecords,
-          source: insertResult.source || 'duckdb'
-        });
-      } catch (dbError) {
-        logger.error('Failed to store in DuckDB, falling back to file storage:', dbError);
-        statistics.errors++;
-      }
+      statistics.filesWritten = result.partitions.length;
+      statistics.recordsStored = result.partitions.reduce((sum, p) => sum + p.records, 0);
+      statistics.partitionsWritten = result.partitions.map(p => p.partition);
+      statistics.recordsSkipped = result.skipped;
 
-      // Also maintain file-based backup
-      const timestamp = DateUtils.nowIST().toISOString().replace(/[:.]/g, '-');
-      const filename = `processed_data_${timestamp}.json`;
-      const filepath = path.join(this.dataPath, filename);
-
-      await fs.writeFile(filepath, JSON.stringify(data, null, 2));
-      statistics.filesWritten = 1;
-      statistics.recordsStored = data.length;
+      // Create a master index file
+      await this.createMasterIndex();
 
-      logger.info('Data storage completed', statistics);
+      logger.info('Data storage completed successfully', {
+        filesWritten: statistics.filesWritten,
+        recordsStored: statistics.recordsStored,
+        recordsSkipped: statistics.recordsSkipped
+      });
       return statistics;
-
     } catch (error) {
-      logger.error('Data storage failed:', error);
       statistics.errors++;
+      logger.error('Data storage failed:', error);
       throw error;
     }
   }
 
-  // Use DuckDB for efficient data storage
-  async storeData(data = null) {
-    logger.info('Starting data storage process with DuckDB');
-    
-    const statistics = {
-      filesWritten: 0,
-      recordsStored: 0,
-      databaseRecords: 0,
-      errors: 0
-    };
+  // Records of each transformed file, one file at a time
+  async * readTransformedBatches(statistics) {
+    const transformedDataPath = path.join(path.dirname(this.dataPath), 'transformed');
+    let files = [];
 
     try {
-      // If no data provided, read from transformation output
-      if (!data) {
-        const transformedDataPath = path.join(path.dirname(this.dataPath), 'transformed');
-        
-        try {
-          await fs.mkdir(transformedDataPath, { recursive: true });
-          const files = await fs.readdir(transformedDataPath);
-        
-          for (const file of files) {
-            if (file.endsWith('.json')) {
-              const filePath = path.join(transformedDataPath, file);
-              const fileData = JSON.parse(await fs.readFile(filePath, 'utf8'));
-              await this.storeRecords(fileData, file);
-              statistics.filesWritten++;
-              statistics.recordsStored += Array.isArray(fileData) ? fileData.length : 1;
-            }
-          }
-        } catch (error) {
-          logger.warn('No transformed data found, proceeding with empty storage:', error.message);
-        }
-      } else {
-        await this.storeRecords(data, 'direct_data.json');
-        statistics.filesWritten = 1;
-        statistics.recordsStored = Array.isArray(data) ? data.length : 1;
-      }
-
-      // Create a master index file
-      await this.createMasterIndex();
-
-      logger.info('Data storage completed successfully', statistics);
-      return statistics;
+      await fs.mkdir(transformedDataPath, { recursive: true });
+      files = await fs.readdir(transformedDataPath);
     } catch (error) {
-      statistics.errors++;
-      logger.error('Data storage failed:', error);
-      throw error;
+      logger.warn('No transformed data found, proceeding with empty storage:', error.message);
     }
-  }
 
-  async storeRecords(records, filename) {
-    try {
-      const outputPath = path.join(this.dataPath, filename);
-      
-      // For now, store as JSON files
-      // TODO: Replace with DuckDB storage
-      await fs.writeFile(outputPath, JSON.stringify(records, null, 2));
-      
-      // Also append to a daily aggregated file
-      const date = DateUtils.nowIST().toISOString().split('T')[0];
-      const dailyFile = path.join(this.dataPath, `daily_${date}.jsonl`);
-      
-      if (Array.isArray(records)) {
-        const jsonLines = records.map(record => JSON.stringify(record)).join('\n') + '\n';
-        await fs.appendFile(dailyFile, jsonLines);
-      } else {
-        await fs.appendFile(dailyFile, JSON.stringify(records) + '\n');
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      let fileData;
+      try {
+        fileData = JSON.parse(await fs.readFile(path.join(transformedDataPath, file), 'utf8'));
+      } catch (error) {
+        statistics.errors++;
+        logger.warn(`Failed to read transformed file ${file}:`, error.message);
+        continue;
       }
-
-      logger.debug(`Stored ${Array.isArray(records) ? records.length : 1} records to ${filename}`);
-    } catch (error) {
-      logger.error(`Failed to store records to ${filename}:`, error);
-      throw error;
+      yield Array.isArray(fileData) ? fileData : [fileData];
     }
   }
 
   async createMasterIndex() {
     try {
-      const files = await fs.readdir(this.dataPath);
+      const partitions = await PartitionStore.listPartitions();
       const index = {
         lastUpdated: DateUtils.nowIST().toISOString(),
-        files: [],
+        format: 'parquet',
+        compression: PartitionStore.getCompression(),
+        partitionCols: PartitionStore.getPartitionCols(),
+        partitions: [],
         totalRecords: 0
       };
 
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(this.dataPath, file);
-          const stats = await fs.stat(filePath);
-          const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
-          const recordCount = Array.isArray(data) ? data.length : 1;
-          
-          index.files.push({
-            filename: file,
+      for (const partition of partitions) {
+        for (const file of partition.files) {
+          const stats = await fs.stat(file);
+          const reader = await parquet.ParquetReader.openFile(file);
+          const recordCount = Number(reader.getRowCount());
+          await reader.close();
+
+          index.partitions.push({
+            partition: partition.partition,
+            values: partition.values,
+            filename: path.relative(this.dataPath, file).split(path.sep).join('/'),
             size: stats.size,
-            created: stats.birthtime,
             modified: stats.mtime,
             recordCount
           });
-          
+
           index.totalRecords += recordCount;
         }
       }
@@ -199,68 +150,24 @@ class StorageService {
       await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
       
       logger.debug('Master index created successfully');
+      return index;
     } catch (error) {
       logger.error('Failed to create master index:', error);
     }
   }
 
-  // Query interface (will be replaced with DuckDB queries)
+  // Query the Parquet partitions without going through the database
   async queryData(query = {}) {
     logger.info('Querying stored data', query);
     
     try {
-      const { 
-        startDate, 
-        endDate, 
-        sensorType, 
-        farmId, 
-        limit = 1000,
-        offset = 0 
-      } = query;
+      const { limit = 1000, offset = 0, ...filters } = query;
 
-      // For now, query JSON files
-      // TODO: Replace with DuckDB SQL queries
-      const files = await fs.readdir(this.dataPath);
-      let results = [];
-
-      for (const file of files) {
-        if (file.endsWith('.json') && file !== 'index.json') {
-          const filePath = path.join(this.dataPath, file);
-          const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
-          
-          if (Array.isArray(data)) {
-            results = results.concat(data);
-          } else {
-            results.push(data);
-          }
-        }
-      }
-
-      // Apply filters
-      if (startDate || endDate || sensorType || farmId) {
-        results = results.filter(record => {
-          if (startDate && record.timestamp && new Date(record.timestamp) < new Date(startDate)) {
-            return false;
-          }
-          if (endDate && record.timestamp && new Date(record.timestamp) > new Date(endDate)) {
-            return false;
-          }
-          if (sensorType && record.sensorType !== sensorType) {
-            return false;
-          }
-          if (farmId && record.farmId !== farmId) {
-            return false;
-          }
-          return true;
-        });
-      }
-
-      // Apply pagination
+      const results = await PartitionStore.readPartitions(filters);
       const total = results.length;
-      results = results.slice(offset, offset + limit);
 
       return {
-        data: results,
+        data: results.slice(offset, offset + limit),
         total,
         limit,
         offset,
@@ -298,28 +205,8 @@ class StorageService {
         return index;
       }
 
-      // Fallback: calculate stats manually
-      const files = await fs.readdir(this.dataPath);
-      let totalRecords = 0;
-      let totalSize = 0;
-
-      for (const file of files) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(this.dataPath, file);
-          const stats = await fs.stat(filePath);
-          totalSize += stats.size;
-          
-          const data = JSON.parse(await fs.readFile(filePath, 'utf8'));
-          totalRecords += Array.isArray(data) ? data.length : 1;
-        }
-      }
-
-      return {
-        totalRecords,
-        totalSize,
-        fileCount: files.filter(f => f.endsWith('.json')).length,
-        lastUpdated: new Date().toISOString()
-      };
+      // Fallback: build the index from the partitions on disk
+      return await this.createMasterIndex();
     } catch (error) {
       logger.error('Failed to get storage stats:', error);
       return { error: error.message };
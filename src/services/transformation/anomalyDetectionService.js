@@ -0,0 +1,198 @@
+const StatsUtils = require('../../utils/statsUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MIN_WINDOW_SAMPLES = 5;
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+/**
+ * Running mean/variance over a sliding window of values
+ */
+class RollingStats {
+  constructor() {
+    this.count = 0;
+    this.sum = 0;
+    this.sumSq = 0;
+  }
+
+  add(value) {
+    this.count++;
+    this.sum += value;
+    this.sumSq += value * value;
+  }
+
+  remove(value) {
+    this.count--;
+    this.sum -= value;
+    this.sumSq -= value * value;
+  }
+
+  zScore(value) {
+    if (this.count < MIN_WINDOW_SAMPLES) return null;
+    const mean = this.sum / this.count;
+    const variance = (this.sumSq - this.count * mean * mean) / (this.count - 1);
+    if (!(variance > 1e-12)) return null;
+    return (value - mean) / Math.sqrt(variance);
+  }
+}
+
+class AnomalyDetectionService {
+  constructor(config = {}) {
+    const transformation = config.transformation || {};
+    this.thresholds = transformation.anomaly_thresholds || {};
+    this.zThreshold = Number(transformation.outlier_z_threshold) || 3.0;
+    this.windowDays = Number(transformation.rolling_window_days) || 7;
+  }
+
+  /**
+   * Detect range violations, rolling z-score outliers and sudden jumps.
+   * Returns one finding per detection; a reading can appear more than once
+   * when it trips several checks. options.history holds earlier readings of
+   * the same series (e.g. already stored ones); they seed the rolling windows
+   * but are not checked themselves.
+   */
+  detect(records, options = {}) {
+    const zThreshold = Number(options.zThreshold) || this.zThreshold;
+    const windowMs = (Number(options.windowDays) || this.windowDays) * DAY_MS;
+    const history = this.groupBySeries(options.history || []);
+    const findings = [];
+
+    for (const [key, readings] of this.groupBySeries(records)) {
+      const seed = (history.get(key) || [])
+        .filter(reading => reading.time < readings[0].time)
+        .map(reading => ({ ...reading, seed: true }));
+      findings.push(...this.detectSeries([...seed, ...readings], zThreshold, windowMs));
+    }
+
+    return findings;
+  }
+
+  groupBySeries(records) {
+    const series = new Map();
+
+    for (const record of records) {
+      const time = new Date(record.timestamp).getTime();
+      const value = Number(record.value);
+      if (record.value === null || record.value === undefined || !Number.isFinite(value) || Number.isNaN(time)) {
+        continue;
+      }
+
+      const key = `${record.sensor_id}|${record.reading_type}`;
+      if (!series.has(key)) {
+        series.set(key, []);
+      }
+      series.get(key).push({ record, time, value });
+    }
+
+    for (const readings of series.values()) {
+      readings.sort((a, b) => a.time - b.time);
+    }
+
+    return series;
+  }
+
+  /**
+   * Check one series oldest first. Readings marked `seed` only fill the
+   * trailing windows.
+   */
+  detectSeries(readings, zThreshold, windowMs) {
+    const findings = [];
+    const valueStats = new RollingStats();
+    const jumpStats = new RollingStats();
+    let valueStart = 0;
+    let jumpStart = 1;
+
+    for (let i = 0; i < readings.length; i++) {
+      const { record, time, value, seed } = readings[i];
+      const windowStart = time - windowMs;
+
+      // Trailing window [windowStart, time) excludes the reading under test
+      while (valueStart < i && readings[valueStart].time < windowStart) {
+        valueStats.remove(readings[valueStart].value);
+        valueStart++;
+      }
+      while (jumpStart < i && readings[jumpStart - 1].time < windowStart) {
+        jumpStats.remove(readings[jumpStart].value - readings[jumpStart - 1].value);
+        jumpStart++;
+      }
+
+      const jump = i > 0 ? value - readings[i - 1].value : null;
+
+      if (!seed) {
+        const zscore = valueStats.zScore(value);
+        const range = this.thresholds[record.reading_type];
+
+        if (range && (value < range.min || value > range.max)) {
+          const bound = value < range.min ? range.min : range.max;
+          const excess = Math.abs(value - bound) / Math.max(range.max - range.min, 1);
+          findings.push(this.buildFinding(record, value, 'range_violation', zscore, {
+            severity: this.maxSeverity(this.severityFromExcess(excess), this.severityFromZ(zscore, zThreshold)),
+            reason: `${value} outside configured range ${range.min} to ${range.max}`,
+            expected_range: { min: range.min, max: range.max }
+          }));
+        }
+
+        if (zscore !== null && Math.abs(zscore) > zThreshold) {
+          findings.push(this.buildFinding(record, value, 'statistical_outlier', zscore, {
+            severity: this.severityFromZ(zscore, zThreshold),
+            reason: `z-score ${StatsUtils.round(zscore)} exceeds ±${zThreshold} over ${Math.round(windowMs / DAY_MS)}-day window`,
+            expected_range: range ? { min: range.min, max: range.max } : null
+          }));
+        }
+
+        const jumpZ = jump === null ? null : jumpStats.zScore(jump);
+        if (jumpZ !== null && Math.abs(jumpZ) > zThreshold) {
+          findings.push(this.buildFinding(record, value, 'temporal_anomaly', jumpZ, {
+            severity: this.severityFromZ(jumpZ, zThreshold),
+            reason: `sudden ${jump > 0 ? 'rise' : 'drop'} of ${StatsUtils.round(Math.abs(jump))} since previous reading`,
+            expected_range: range ? { min: range.min, max: range.max } : null,
+            previous_value: readings[i - 1].value
+          }));
+        }
+      }
+
+      if (jump !== null) {
+        jumpStats.add(jump);
+      }
+      valueStats.add(value);
+    }
+
+    return findings;
+  }
+
+  buildFinding(record, value, type, zscore, details) {
+    return {
+      record,
+      sensor_id: record.sensor_id,
+      reading_type: record.reading_type,
+      timestamp: new Date(record.timestamp).toISOString(),
+      value,
+      type,
+      zscore: StatsUtils.round(zscore),
+      ...details
+    };
+  }
+
+  severityFromZ(zscore, zThreshold) {
+    if (zscore === null) return 'low';
+    const magnitude = Math.abs(zscore);
+    if (magnitude >= zThreshold * 2) return 'high';
+    if (magnitude >= zThreshold * 1.5) return 'medium';
+    return 'low';
+  }
+
+  severityFromExcess(excess) {
+    if (excess >= 0.5) return 'high';
+    if (excess >= 0.1) return 'medium';
+    return 'low';
+  }
+
+  maxSeverity(a, b) {
+    return SEVERITY_RANK[a] >= SEVERITY_RANK[b] ? a : b;
+  }
+
+  static severityRank(severity) {
+    return SEVERITY_RANK[severity] || 0;
+  }
+}
+
+module.exports = AnomalyDetectionService;
@@ -0,0 +1,276 @@
+const FileUtils = require('../../utils/fileUtils');
+const DateUtils = require('../../utils/dateUtils');
+const StatsUtils = require('../../utils/statsUtils');
+const logger = require('../../utils/logger');
+const config = require('../../config/config');
+
+const CURVE_TYPES = ['linear', 'polynomial', 'lookup'];
+
+/**
+ * Calibration curves per reading type, with optional per-sensor and per-field
+ * overrides. Each override is a time-bounded version: a reading is calibrated
+ * with the version that was in force at its timestamp, falling back to the
+ * reading type defaults in config.yaml.
+ */
+class CalibrationService {
+  static getCalibrationsDir() {
+    return config.paths?.calibrations || 'data/calibrations';
+  }
+
+  static getCalibrationPath(calibrationId) {
+    return FileUtils.pathInside(this.getCalibrationsDir(), `${calibrationId}.json`, 'calibration_id');
+  }
+
+  /**
+   * Calibration defined for a reading type in config.yaml, or null
+   */
+  static getDefaultCalibration(readingType) {
+    const defaults = config.transformation?.calibration?.[readingType];
+    if (!defaults) return null;
+
+    return {
+      calibration_id: 'config',
+      reading_type: readingType,
+      sensor_id: null,
+      field: null,
+      curve: this.normalizeCurve(defaults.curve || defaults),
+      clamp: defaults.clamp || null,
+      valid_from: null,
+      valid_to: null
+    };
+  }
+
+  static normalizeCurve(curve = {}) {
+    const type = curve.type || 'linear';
+
+    switch (type) {
+      case 'linear':
+        return { type, multiplier: Number(curve.multiplier ?? 1), offset: Number(curve.offset ?? 0) };
+      case 'polynomial':
+        return { type, coefficients: (curve.coefficients || []).map(Number) };
+      case 'lookup':
+        return { type, points: [...(curve.points || [])].map(([raw, value]) => [Number(raw), Number(value)]).sort((a, b) => a[0] - b[0]) };
+      default:
+        throw new Error(`Unsupported calibration curve type: ${type}`);
+    }
+  }
+
+  /**
+   * Evaluate a curve. Polynomial coefficients are in ascending order
+   * (c0 + c1*x + c2*x^2 ...); lookup tables interpolate linearly between
+   * points and hold the end values outside the table.
+   */
+  static applyCurve(curve, value) {
+    switch (curve.type) {
+      case 'linear':
+        return value * curve.multiplier + curve.offset;
+      case 'polynomial':
+        return curve.coefficients.reduceRight((acc, coefficient) => acc * value + coefficient, 0);
+      case 'lookup': {
+        const points = curve.points;
+        if (points.length === 0) return value;
+        if (value <= points[0][0]) return points[0][1];
+        if (value >= points[points.length - 1][0]) return points[points.length - 1][1];
+
+        for (let i = 1; i < points.length; i++) {
+          const [x1, y1] = points[i];
+          if (value <= x1) {
+            const [x0, y0] = points[i - 1];
+            return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0);
+          }
+        }
+        return value;
+      }
+      default:
+        return value;
+    }
+  }
+
+  static specificity(calibration) {
+    return (calibration.sensor_id ? 2 : 0) + (calibration.field ? 1 : 0);
+  }
+
+  static isInForce(calibration, time) {
+    if (calibration.valid_from && time < new Date(calibration.valid_from).getTime()) return false;
+    if (calibration.valid_to && time >= new Date(calibration.valid_to).getTime()) return false;
+    return true;
+  }
+
+  /**
+   * Pick the calibration for a record: the most specific matching scope
+   * (sensor over field over reading type) whose validity window covers the
+   * reading's timestamp, then the config default.
+   */
+  static resolve(record, calibrations = []) {
+    const readingType = record.reading_type || record.sensor_type;
+    const field = record.location?.field || record.field || null;
+    const parsed = record.timestamp ? new Date(record.timestamp).getTime() : NaN;
+    const time = Number.isNaN(parsed) ? Date.now() : parsed;
+
+    let match = null;
+    for (const calibration of calibrations) {
+      if (calibration.reading_type !== readingType) continue;
+      if (calibration.sensor_id && calibration.sensor_id !== record.sensor_id) continue;
+      if (calibration.field && calibration.field !== field) continue;
+      if (!this.isInForce(calibration, time)) continue;
+
+      if (!match ||
+        this.specificity(calibration) > this.specificity(match) ||
+        (this.specificity(calibration) === this.specificity(match) &&
+          new Date(calibration.valid_from || 0) > new Date(match.valid_from || 0))) {
+        match = calibration;
+      }
+    }
+
+    return match || this.getDefaultCalibration(readingType);
+  }
+
+  /**
+   * Calibrated value for a record plus the id of the calibration applied
+   */
+  static calibrate(record, calibrations = []) {
+    if (typeof record.value !== 'number') {
+      return { value: record.value, calibration_id: null };
+    }
+
+    const calibration = this.resolve(record, calibrations);
+    if (!calibration) {
+      return { value: record.value, calibration_id: null };
+    }
+
+    let value = this.applyCurve(calibration.curve, record.value);
+    if (calibration.clamp) {
+      if (calibration.clamp.min !== undefined && calibration.clamp.min !== null) value = Math.max(calibration.clamp.min, value);
+      if (calibration.clamp.max !== undefined && calibration.clamp.max !== null) value = Math.min(calibration.clamp.max, value);
+    }
+
+    return { value: StatsUtils.round(value), calibration_id: calibration.calibration_id };
+  }
+
+  static assertValidWindow(calibration) {
+    if (calibration.valid_to && new Date(calibration.valid_to) <= new Date(calibration.valid_from)) {
+      const error = new Error('valid_to must be after valid_from');
+      error.name = 'ValidationError';
+      throw error;
+    }
+  }
+
+  static async listCalibrations(filters = {}) {
+    const { reading_type: readingType, sensor_id: sensorId, field, at } = filters;
+    const files = await FileUtils.listFiles(this.getCalibrationsDir(), '*.json');
+
+    let calibrations = [];
+    for (const filePath of files) {
+      try {
+        calibrations.push(await FileUtils.readJSON(filePath));
+      } catch (error) {
+        logger.warn(`Failed to read calibration ${filePath}:`, error);
+      }
+    }
+
+    const atTime = at ? new Date(at).getTime() : null;
+    calibrations = calibrations.filter(calibration => {
+      if (readingType && calibration.reading_type !== readingType) return false;
+      if (sensorId && calibration.sensor_id !== sensorId) return false;
+      if (field && calibration.field !== field) return false;
+      if (atTime !== null && !this.isInForce(calibration, atTime)) return false;
+      return true;
+    });
+
+    calibrations.sort((a, b) =>
+      a.reading_type.localeCompare(b.reading_type) ||
+      String(a.sensor_id || '').localeCompare(String(b.sensor_id || '')) ||
+      String(a.field || '').localeCompare(String(b.field || '')) ||
+      new Date(a.valid_from) - new Date(b.valid_from)
+    );
+
+    return calibrations;
+  }
+
+  static async getCalibration(calibrationId) {
+    const filePath = this.getCalibrationPath(calibrationId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return null;
+    }
+    return FileUtils.readJSON(filePath);
+  }
+
+  /**
+   * Add a calibration version. An earlier open-ended version for the same
+   * scope is closed at the new version's valid_from, and the new version ends
+   * where the next later version (if any) begins.
+   */
+  static async createCalibration(definition) {
+    const now = DateUtils.nowIST().toISOString();
+    const calibration = {
+      calibration_id: `cal_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      reading_type: definition.reading_type,
+      sensor_id: definition.sensor_id || null,
+      field: definition.field || null,
+      curve: this.normalizeCurve(definition.curve),
+      clamp: definition.clamp || null,
+      valid_from: new Date(definition.valid_from || now).toISOString(),
+      valid_to: definition.valid_to ? new Date(definition.valid_to).toISOString() : null,
+      description: definition.description || null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.assertValidWindow(calibration);
+
+    const versions = (await this.listCalibrations({ reading_type: calibration.reading_type }))
+      .filter(existing => existing.sensor_id === calibration.sensor_id && existing.field === calibration.field);
+    const start = new Date(calibration.valid_from);
+
+    for (const existing of versions) {
+      const existingStart = new Date(existing.valid_from);
+      if (existingStart < start && (!existing.valid_to || new Date(existing.valid_to) > start)) {
+        existing.valid_to = calibration.valid_from;
+        existing.updated_at = now;
+        await FileUtils.writeJSON(this.getCalibrationPath(existing.calibration_id), existing);
+      } else if (existingStart > start && (!calibration.valid_to || new Date(calibration.valid_to) > existingStart)) {
+        calibration.valid_to = existing.valid_from;
+      }
+    }
+
+    await FileUtils.ensureDir(this.getCalibrationsDir());
+    await FileUtils.writeJSON(this.getCalibrationPath(calibration.calibration_id), calibration);
+    logger.info(`Created calibration ${calibration.calibration_id} for ${calibration.reading_type}`, {
+      sensor_id: calibration.sensor_id,
+      field: calibration.field,
+      valid_from: calibration.valid_from
+    });
+
+    return calibration;
+  }
+
+  static async updateCalibration(calibrationId, changes) {
+    const calibration = await this.getCalibration(calibrationId);
+    if (!calibration) return null;
+
+    if (changes.curve) calibration.curve = this.normalizeCurve(changes.curve);
+    if (changes.clamp !== undefined) calibration.clamp = changes.clamp;
+    if (changes.description !== undefined) calibration.description = changes.description;
+    if (changes.valid_from) calibration.valid_from = new Date(changes.valid_from).toISOString();
+    if (changes.valid_to !== undefined) calibration.valid_to = changes.valid_to ? new Date(changes.valid_to).toISOString() : null;
+
+    this.assertValidWindow(calibration);
+
+    calibration.updated_at = DateUtils.nowIST().toISOString();
+    await FileUtils.writeJSON(this.getCalibrationPath(calibrationId), calibration);
+    return calibration;
+  }
+
+  static async deleteCalibration(calibrationId) {
+    const filePath = this.getCalibrationPath(calibrationId);
+    if (!(await FileUtils.fileExists(filePath))) {
+      return false;
+    }
+    await FileUtils.deleteFile(filePath);
+    return true;
+  }
+}
+
+CalibrationService.CURVE_TYPES = CURVE_TYPES;
+
+module.exports = CalibrationService;
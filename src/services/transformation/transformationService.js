@@ -3,13 +3,20 @@ const logger = require('../../utils/logger');
 const DuckDBService = require('../duckDBService');
 const duckDBSingleton = require('../duckDBSingleton');
 const buildToolsChecker = require('../../utils/buildToolsChecker');
+const CalibrationService = require('./calibrationService');
+const AnomalyDetectionService = require('./anomalyDetectionService');
+const CheckpointService = require('../ingestion/checkpointService');
 const path = require('path');
 const fs = require('fs');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class TransformationService {
   constructor(config) {
     this.config = config;
     this.duckDBService = null;
+    this.calibrations = [];
+    this.anomalyDetector = new AnomalyDetectionService(config);
     this.initStorage();
   }
 
@@ -49,44 +56,51 @@ class TransformationService {
     const stats = {
       recordsProcessed: 0,
       recordsSkipped: 0,
+      duplicatesRemoved: 0,
       errors: 0,
+      outputFiles: [],
       storage: this.duckDBService?.isUsingDuckDB() ? 'duckdb' : 'fallback'
     };
 
     try {
+      // Parquet and text files are staged in the database (or as JSON batches)
+      // by ingestion. Raw JSON files are read once: only those ingested since
+      // the last transformation.
+      const checkpoints = await CheckpointService.loadCheckpoints();
       const files = await fs.promises.readdir(this.rawDataPath);
-      const dataFiles = files.filter(f => f.endsWith('.json') || f.endsWith('.parquet'));
-      
-      if (dataFiles.length === 0) {
-        logger.warn('No raw data files found for transformation');
-        return stats;
+      const dataFiles = [];
+      for (const file of files.filter(f => f.endsWith('.json'))) {
+        const contentHash = await CheckpointService.hashFile(path.join(this.rawDataPath, file));
+        if (CheckpointService.needsTransformation(checkpoints, file, contentHash)) {
+          dataFiles.push({ file, contentHash });
+        }
       }
 
+      this.calibrations = await CalibrationService.listCalibrations();
+
       let allTransformedData = [];
 
-      for (const file of dataFiles) {
+      for (const { file, contentHash } of dataFiles) {
         try {
           const filePath = path.join(this.rawDataPath, file);
-          let rawData;
-
-          if (file.endsWith('.json')) {
-            rawData = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
-          } else if (file.endsWith('.parquet')) {
-            // Use DataService to read Parquet files
-            const DataService = require('../dataService');
-            rawData = await DataService.readParquetFile(filePath);
-          }
+          const rawData = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
           
           const transformedData = await this.performTransformations(rawData);
           
           // Store in DuckDB or fallback
           if (this.duckDBService) {
-            await this.duckDBService.insertData(transformedData);
+            const insertResult = await this.duckDBService.insertData(transformedData);
+            if (!insertResult.success) {
+              throw new Error(`${insertResult.failed} of ${insertResult.recordCount} records failed to insert`);
+            }
+            stats.duplicatesRemoved += insertResult.duplicates || 0;
           }
 
           // Also save to file for backup
-          const outputFile = path.join(this.transformedDataPath, `transformed_${file.replace('.parquet', '.json')}`);
+          const outputFile = path.join(this.transformedDataPath, `transformed_${file}`);
           await fs.promises.writeFile(outputFile, JSON.stringify(transformedData, null, 2));
+          await CheckpointService.markTransformed(checkpoints, file, contentHash);
+          stats.outputFiles.push(outputFile);
           
           allTransformedData = allTransformedData.concat(transformedData);
           stats.recordsProcessed += Array.isArray(transformedData) ? transformedData.length : 1;
@@ -97,6 +111,12 @@ class TransformationService {
         }
       }
 
+      await this.transformStaged(stats);
+
+      if (dataFiles.length === 0 && !stats.stagedBatches) {
+        logger.warn('No newly ingested raw files or staged records found for transformation');
+      }
+
       logger.info('Data transformation completed', stats);
       return { ...stats, transformedData: allTransformedData };
     } catch (error) {
@@ -106,30 +126,131 @@ class TransformationService {
     }
   }
 
+  /**
+   * Transform the records ingestion staged in the database, one batch of
+   * processing.batchSize at a time. Each batch is removed from staging once
+   * stored; a failed batch stays staged for the next run. Staged batches are
+   * not returned in transformedData, so a large file is never held in memory
+   * at once; the storage stage reads them back from the transformed files.
+   */
+  async transformStaged(stats) {
+    if (!this.duckDBService?.isAvailable) return;
+
+    const batchSize = this.config?.processing?.batchSize || 10000;
+    let afterId = 0;
+    let batch;
+
+    while ((batch = await this.duckDBService.readStagedBatch(batchSize, afterId)).length > 0) {
+      const fromId = batch[0].id;
+      const toId = batch[batch.length - 1].id;
+      afterId = toId;
+
+      try {
+        const transformedData = await this.performTransformations(batch.map(row => row.record));
+        // One transaction for the whole batch, so a failure leaves nothing half-loaded
+        const insertResult = await this.duckDBService.insertData(transformedData, { batchSize: transformedData.length });
+        if (!insertResult.success) {
+          throw new Error(insertResult.errors[0].message);
+        }
+        stats.duplicatesRemoved += insertResult.duplicates || 0;
+
+        const outputFile = path.join(this.transformedDataPath, `transformed_staged_${fromId}_${toId}.json`);
+        await fs.promises.writeFile(outputFile, JSON.stringify(transformedData, null, 2));
+
+        await this.duckDBService.deleteStaged(fromId, toId);
+        stats.outputFiles.push(outputFile);
+        stats.recordsProcessed += transformedData.length;
+        stats.stagedBatches = (stats.stagedBatches || 0) + 1;
+      } catch (error) {
+        stats.errors++;
+        logger.error(`Failed to transform staged records ${fromId}-${toId}:`, error);
+      }
+    }
+  }
+
   async performTransformations(rawData) {
     if (!Array.isArray(rawData)) {
       rawData = [rawData];
     }
 
-    return rawData.map(record => ({
-      ...record,
-      processed_timestamp: new Date().toISOString(),
-      calibrated_value: this.calibrateValue(record),
-      quality_score: this.calculateQualityScore(record)
-    }));
+    const anomalies = await this.flagAnomalies(rawData);
+
+    return rawData.map(record => {
+      const calibration = CalibrationService.calibrate(record, this.calibrations);
+      return {
+        ...record,
+        processed_timestamp: new Date().toISOString(),
+        calibrated_value: calibration.value,
+        calibration_id: calibration.calibration_id,
+        quality_score: this.calculateQualityScore(record),
+        ...(anomalies.get(record) || TransformationService.NOT_ANOMALOUS)
+      };
+    });
   }
 
-  calibrateValue(record) {
-    if (typeof record.value !== 'number') return record.value;
-    
-    switch (record.reading_type || record.sensor_type) {
-      case 'temperature':
-        return Math.round((record.value * 1.02 - 0.5) * 100) / 100;
-      case 'humidity':
-        return Math.max(0, Math.min(100, Math.round((record.value * 0.98 + 1.5) * 100) / 100));
-      default:
-        return record.value;
+  /**
+   * Run anomaly detection over the batch and collapse each reading's findings
+   * into the anomaly columns. anomaly_type is the most severe finding's type,
+   * anomaly_score the largest absolute z-score, and anomaly_reason lists every
+   * finding.
+   */
+  async flagAnomalies(records) {
+    const history = await this.loadAnomalyHistory(records);
+    const findingsByRecord = new Map();
+    for (const finding of this.anomalyDetector.detect(records, { history })) {
+      if (!findingsByRecord.has(finding.record)) {
+        findingsByRecord.set(finding.record, []);
+      }
+      findingsByRecord.get(finding.record).push(finding);
+    }
+
+    const flags = new Map();
+    for (const [record, findings] of findingsByRecord) {
+      findings.sort((a, b) =>
+        AnomalyDetectionService.severityRank(b.severity) - AnomalyDetectionService.severityRank(a.severity) ||
+        Math.abs(b.zscore ?? 0) - Math.abs(a.zscore ?? 0));
+
+      const zscores = findings.filter(f => f.zscore !== null).map(f => Math.abs(f.zscore));
+      flags.set(record, {
+        is_anomalous: true,
+        anomaly_type: findings[0].type,
+        anomaly_score: zscores.length > 0 ? Math.max(...zscores) : null,
+        anomaly_reason: findings.map(f => f.reason).join('; ')
+      });
     }
+
+    return flags;
+  }
+
+  /**
+   * Stored readings in the rolling window before each series' first reading
+   * in the batch, so a series split across files or staged batches is
+   * checked against the same window as if it arrived at once
+   */
+  async loadAnomalyHistory(records) {
+    if (!this.duckDBService?.isAvailable) return [];
+
+    const series = new Map();
+    for (const record of records) {
+      const time = new Date(record.timestamp).getTime();
+      if (Number.isNaN(time)) continue;
+
+      const key = `${record.sensor_id}|${record.reading_type}`;
+      if (!series.has(key) || time < series.get(key).time) {
+        series.set(key, { sensor_id: record.sensor_id, reading_type: record.reading_type, time });
+      }
+    }
+
+    const windowMs = this.anomalyDetector.windowDays * DAY_MS;
+    return this.duckDBService.seriesReadings([...series.values()].map(({ time, ...key }) => ({
+      ...key,
+      from: new Date(time - windowMs).toISOString(),
+      before: new Date(time).toISOString()
+    })));
+  }
+
+  calibrateValue(record) {
+    return CalibrationService.calibrate(record, this.calibrations).value;
   }
 
   calculateQualityScore(record) {
@@ -191,4 +312,11 @@ class TransformationService {
   }
 }
 
+TransformationService.NOT_ANOMALOUS = Object.freeze({
+  is_anomalous: false,
+  anomaly_type: null,
+  anomaly_score: null,
+  anomaly_reason: null
+});
+
 module.exports = TransformationService;
@@ -12,7 +12,11 @@ class ValidationService {
     }
   }
 
-  async validateData() {
+  /**
+   * Count valid and invalid records in `files` (JSON arrays of records), by
+   * default every JSON file in data/raw
+   */
+  async validateData({ files } = {}) {
     const validationResults = {
       totalRecords: 0,
       validRecords: 0,
@@ -23,14 +27,16 @@ class ValidationService {
     };
 
     try {
-      const rawDataPath = path.join(process.cwd(), 'data', 'raw');
-      if (!fs.existsSync(rawDataPath)) {
-        return validationResults;
-      }
+      if (!files) {
+        const rawDataPath = path.join(process.cwd(), 'data', 'raw');
+        if (!fs.existsSync(rawDataPath)) {
+          return validationResults;
+        }
 
-      const files = fs.readdirSync(rawDataPath)
-        .filter(f => f.endsWith('.json'))
-        .map(f => path.join(rawDataPath, f));
+        files = fs.readdirSync(rawDataPath)
+          .filter(f => f.endsWith('.json'))
+          .map(f => path.join(rawDataPath, f));
+      }
       
       for (const file of files) {
         try {
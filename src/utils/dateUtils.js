@@ -58,6 +58,67 @@ class DateUtils {
   static nowIST() {
     return moment().tz('Asia/Kolkata');
   }
+
+  /**
+   * Normalize a startDate/endDate pair into ISO bounds.
+   * Date-only values (YYYY-MM-DD) cover the whole day, so an endDate
+   * of 2023-06-03 includes readings taken on that day.
+   */
+  static normalizeDateRange(startDate, endDate) {
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/;
+    const range = { start: null, end: null };
+
+    if (startDate) {
+      range.start = moment.utc(startDate).startOf(dateOnly.test(startDate) ? 'day' : 'millisecond').toISOString();
+    }
+
+    if (endDate) {
+      range.end = dateOnly.test(endDate)
+        ? moment.utc(endDate).endOf('day').toISOString()
+        : moment.utc(endDate).toISOString();
+    }
+
+    return range;
+  }
+
+  /**
+   * Convert timestamp to the given timezone
+   */
+  static toTimezone(timestamp, timezone) {
+    return moment(timestamp).tz(timezone);
+  }
+
+  /**
+   * Parse an aggregation interval such as 15m, 1h, 1d, 1w or 1M
+   * (s, m, h, d, w, M = seconds, minutes, hours, days, weeks, months).
+   * Returns null if the interval is not in that form.
+   */
+  static parseInterval(interval) {
+    const match = /^([1-9]\d*)(s|m|h|d|w|M)$/.exec(String(interval || ''));
+    return match ? { amount: parseInt(match[1], 10), unit: match[2] } : null;
+  }
+
+  /**
+   * Start of the time bucket holding `timestamp`, with buckets laid out on
+   * the wall clock of `timezone`. Buckets line up with DuckDB's time_bucket:
+   * fixed-width intervals count from Monday 2000-01-03, months from 2000-01-01.
+   */
+  static timeBucket(timestamp, interval, timezone = 'UTC') {
+    const { amount, unit } = typeof interval === 'string' ? this.parseInterval(interval) : interval;
+    const local = moment.tz(timestamp, timezone);
+    if (!local.isValid()) return null;
+
+    if (unit === 'M') {
+      const months = Math.floor(((local.year() - 2000) * 12 + local.month()) / amount) * amount;
+      return moment.tz({ year: 2000 + Math.floor(months / 12), month: ((months % 12) + 12) % 12, day: 1 }, timezone);
+    }
+
+    const width = moment.duration(amount, unit).asMilliseconds();
+    const origin = Date.UTC(2000, 0, 3);
+    const wallClock = local.clone().utc(true).valueOf();
+    const bucket = origin + Math.floor((wallClock - origin) / width) * width;
+    return moment.utc(bucket).tz(timezone, true);
+  }
 }
 
 module.exports = DateUtils;
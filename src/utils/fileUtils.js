@@ -117,6 +117,21 @@ class FileUtils {
     }
   }
 
+  /**
+   * Path of `fileName` directly inside dirPath, for file names built from
+   * request ids. Throws a ValidationError if it would resolve anywhere else.
+   */
+  static pathInside(dirPath, fileName, field = 'id') {
+    const dir = path.resolve(dirPath);
+    if (path.dirname(path.resolve(dir, fileName)) !== dir) {
+      const error = new Error(`Invalid ${field}`);
+      error.name = 'ValidationError';
+      error.details = [{ field, message: `"${field}" must not point outside its directory` }];
+      throw error;
+    }
+    return path.join(dirPath, fileName);
+  }
+
   /**
    * Get file extension
    */
@@ -0,0 +1,153 @@
+// WGS84 equatorial radius, as used for GeoJSON area calculations
+const EARTH_RADIUS_M = 6378137;
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+function toRadians(degrees) {
+  return (degrees * Math.PI) / 180;
+}
+
+function isPosition(position) {
+  return Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) && Math.abs(position[0]) <= 180 &&
+    Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+}
+
+/**
+ * Area of a ring on the sphere in square metres (signed by winding)
+ */
+function ringArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    const [lon1, lat1] = ring[i];
+    const [lon2, lat2] = ring[i + 1];
+    area += toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2)));
+  }
+  return (area * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2;
+}
+
+// Ray casting; points on an edge may fall either way
+function inRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+class GeoUtils {
+  /**
+   * Polygons of a Polygon or MultiPolygon geometry, each a list of rings
+   * (outer ring first, then holes)
+   */
+  static polygons(geometry) {
+    return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  }
+
+  /**
+   * Problem with a GeoJSON Polygon/MultiPolygon geometry, or null if it is
+   * valid: positions are [longitude, latitude], rings closed with at least
+   * four positions
+   */
+  static validateGeometry(geometry) {
+    if (!geometry || typeof geometry !== 'object' || !GEOMETRY_TYPES.includes(geometry.type)) {
+      return `geometry must be a GeoJSON ${GEOMETRY_TYPES.join(' or ')}`;
+    }
+    if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+      return 'geometry must have coordinates';
+    }
+
+    for (const polygon of this.polygons(geometry)) {
+      if (!Array.isArray(polygon) || polygon.length === 0) {
+        return 'each polygon must have at least one ring';
+      }
+      for (const ring of polygon) {
+        if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+          return 'rings must have at least four [longitude, latitude] positions';
+        }
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first[0] !== last[0] || first[1] !== last[1]) {
+          return 'rings must be closed (first and last positions equal)';
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Bounding box [minLon, minLat, maxLon, maxLat] of a geometry
+   */
+  static bbox(geometry) {
+    const box = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const polygon of this.polygons(geometry)) {
+      for (const [lon, lat] of polygon[0]) {
+        box[0] = Math.min(box[0], lon);
+        box[1] = Math.min(box[1], lat);
+        box[2] = Math.max(box[2], lon);
+        box[3] = Math.max(box[3], lat);
+      }
+    }
+    return box;
+  }
+
+  /**
+   * Parse "minLon,minLat,maxLon,maxLat" (or an array of four numbers).
+   * Null when malformed.
+   */
+  static parseBBox(value) {
+    const parts = Array.isArray(value) ? value : String(value).split(',');
+    if (parts.length !== 4 || parts.some(part => String(part).trim() === '')) return null;
+
+    const [minLon, minLat, maxLon, maxLat] = parts.map(Number);
+    if (![minLon, minLat, maxLon, maxLat].every(Number.isFinite)) return null;
+    if (!isPosition([minLon, minLat]) || !isPosition([maxLon, maxLat])) return null;
+    if (minLon > maxLon || minLat > maxLat) return null;
+
+    return [minLon, minLat, maxLon, maxLat];
+  }
+
+  static inBBox(longitude, latitude, bbox) {
+    return longitude >= bbox[0] && longitude <= bbox[2] && latitude >= bbox[1] && latitude <= bbox[3];
+  }
+
+  /**
+   * Whether [longitude, latitude] lies inside the geometry (and not in a hole)
+   */
+  static contains(geometry, longitude, latitude) {
+    const point = [longitude, latitude];
+    return this.polygons(geometry).some(([outer, ...holes]) =>
+      inRing(point, outer) && !holes.some(hole => inRing(point, hole)));
+  }
+
+  /**
+   * Geodesic area in hectares
+   */
+  static areaHectares(geometry) {
+    const squareMetres = this.polygons(geometry).reduce((total, [outer, ...holes]) =>
+      total + Math.abs(ringArea(outer)) - holes.reduce((sum, hole) => sum + Math.abs(ringArea(hole)), 0), 0);
+    return Math.round((squareMetres / 10000) * 10000) / 10000;
+  }
+
+  /**
+   * Mean of the outer ring vertices, [longitude, latitude]; good enough to
+   * place a label on a field
+   */
+  static centroid(geometry) {
+    const points = this.polygons(geometry).flatMap(([outer]) => outer.slice(0, -1));
+    const round = value => Math.round(value * 1e6) / 1e6;
+    return [
+      round(points.reduce((sum, p) => sum + p[0], 0) / points.length),
+      round(points.reduce((sum, p) => sum + p[1], 0) / points.length)
+    ];
+  }
+}
+
+GeoUtils.GEOMETRY_TYPES = GEOMETRY_TYPES;
+
+module.exports = GeoUtils;
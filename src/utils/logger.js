@@ -1,5 +1,6 @@
 const winston = require('winston');
 const path = require('path');
+const EventEmitter = require('events');
 const config = require('../config/config');
 
 // Ensure logs directory exists
@@ -40,4 +41,18 @@ if (config.server.env !== 'production') {
   }));
 }
 
+// Mirror enabled entries to logger.events as they are written, so live
+// consumers (the pipeline events stream) see them in order and straight
+// away rather than after the file transports catch up
+logger.events = new EventEmitter();
+logger.events.setMaxListeners(0);
+
+const write = logger.write.bind(logger);
+logger.write = (info, ...args) => {
+  if (info && info.level && logger.isLevelEnabled(info.level)) {
+    logger.events.emit('log', info);
+  }
+  return write(info, ...args);
+};
+
 module.exports = logger;
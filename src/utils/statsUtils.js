@@ -0,0 +1,204 @@
+// Lanczos approximation of ln(Gamma(x)) for x > 0
+function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091,
+    -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+  ];
+  let denominator = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    denominator += 1;
+    series += coefficient / denominator;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+// Continued fraction for the regularized incomplete beta function
+function betaContinuedFraction(x, a, b) {
+  const tiny = 1e-30;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < tiny) d = tiny;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = 1 + aa / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < 1e-12) break;
+  }
+
+  return result;
+}
+
+class StatsUtils {
+  /**
+   * Keep only finite numeric values
+   */
+  static numericValues(values) {
+    return values
+      .filter(v => v !== null && v !== undefined && v !== '')
+      .map(Number)
+      .filter(Number.isFinite);
+  }
+
+  /**
+   * Arithmetic mean, null for an empty list
+   */
+  static mean(values) {
+    if (values.length === 0) return null;
+    let sum = 0;
+    for (const value of values) sum += value;
+    return sum / values.length;
+  }
+
+  /**
+   * Sample standard deviation, null when fewer than two values
+   */
+  static stdDev(values) {
+    if (values.length < 2) return null;
+    const mean = this.mean(values);
+    let squares = 0;
+    for (const value of values) squares += (value - mean) ** 2;
+    return Math.sqrt(squares / (values.length - 1));
+  }
+
+  /**
+   * Percentile (0-100) using linear interpolation between closest ranks
+   */
+  static percentile(values, p) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Median value
+   */
+  static median(values) {
+    return this.percentile(values, 50);
+  }
+
+  /**
+   * Minimum and maximum without spreading large arrays onto the call stack
+   */
+  static minMax(values) {
+    if (values.length === 0) return { min: null, max: null };
+    let min = values[0];
+    let max = values[0];
+    for (const value of values) {
+      if (value < min) min = value;
+      if (value > max) max = value;
+    }
+    return { min, max };
+  }
+
+  /**
+   * Pearson correlation coefficient of paired values, null when it is undefined
+   */
+  static pearson(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 2) return null;
+    const meanX = this.mean(xs);
+    const meanY = this.mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+      syy += (ys[i] - meanY) ** 2;
+    }
+    if (sxx === 0 || syy === 0) return null;
+    return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+  }
+
+  /**
+   * Least-squares fit y = intercept + slope * x, with the correlation and the
+   * two-sided p-value of the slope. Null when fewer than three points or x is constant.
+   */
+  static linearRegression(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    if (n < 3) return null;
+    const meanX = this.mean(xs);
+    const meanY = this.mean(ys);
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+      sxy += (xs[i] - meanX) * (ys[i] - meanY);
+      sxx += (xs[i] - meanX) ** 2;
+    }
+    if (sxx === 0) return null;
+
+    const slope = sxy / sxx;
+    const r = this.pearson(xs, ys) ?? 0;
+    return {
+      slope,
+      intercept: meanY - slope * meanX,
+      r,
+      r_squared: r * r,
+      p_value: this.correlationPValue(r, n),
+      n
+    };
+  }
+
+  /**
+   * Two-sided p-value for a correlation r over n pairs (t-test with n - 2 degrees of freedom)
+   */
+  static correlationPValue(r, n) {
+    if (r === null || n < 3) return null;
+    if (Math.abs(r) >= 1) return 0;
+    const df = n - 2;
+    const t = r * Math.sqrt(df / (1 - r * r));
+    return this.studentTPValue(t, df);
+  }
+
+  /**
+   * Two-sided p-value of Student's t distribution
+   */
+  static studentTPValue(t, df) {
+    return this.incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  }
+
+  /**
+   * Regularized incomplete beta function I_x(a, b)
+   */
+  static incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+      ? front * betaContinuedFraction(x, a, b) / a
+      : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+  }
+
+  /**
+   * Round to a fixed number of decimals, passing null through
+   */
+  static round(value, decimals = 2) {
+    if (value === null || value === undefined || !Number.isFinite(value)) return null;
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+module.exports = StatsUtils;
@@ -1,5 +1,11 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const request = require('supertest');
+const http = require('http');
 const { app } = require('../src/app');
+const config = require('../src/config/config');
+const PipelineRunService = require('../src/services/pipelineRunService');
 
 describe('Health Check', () => {
   test('GET /health should return health status', async () => {
@@ -48,6 +54,57 @@ describe('Pipeline API', () => {
     expect(response.body).toHaveProperty('message');
     expect(response.body).toHaveProperty('startDate', '2023-06-01');
     expect(response.body).toHaveProperty('endDate', '2023-06-03');
+    expect(response.body.job_id).toMatch(/^job_/);
+    expect(response.body.status_endpoint).toBe(`/api/pipeline/jobs/${response.body.job_id}`);
+  });
+
+  test('GET /api/pipeline/jobs should list pipeline jobs', async () => {
+    const response = await request(app)
+      .get('/api/pipeline/jobs?limit=5')
+      .expect(200);
+
+    expect(Array.isArray(response.body.jobs)).toBe(true);
+    expect(response.body).toHaveProperty('total_jobs');
+  });
+
+  test('GET /api/pipeline/jobs/:job_id should return 404 for unknown job', async () => {
+    await request(app)
+      .get('/api/pipeline/jobs/job_missing')
+      .expect(404);
+  });
+
+  test('POST /api/pipeline/jobs/:job_id/cancel should return 404 for unknown job', async () => {
+    await request(app)
+      .post('/api/pipeline/jobs/job_missing/cancel')
+      .expect(404);
+  });
+
+  test('GET /api/pipeline/runs/:run_id should reject ids that leave the runs directory', async () => {
+    const response = await request(app)
+      .get('/api/pipeline/runs/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('run_id');
+    expect(response.body).not.toHaveProperty('name');
+  });
+
+  test('job routes should reject ids that leave the jobs directory', async () => {
+    await request(app).get('/api/pipeline/jobs/..%2F..%2Fpackage').expect(400);
+    const response = await request(app)
+      .post('/api/pipeline/jobs/..%2F..%2Fpackage/cancel')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('job_id');
+  });
+
+  test('schedule routes should reject names that leave the schedules directory', async () => {
+    await request(app).get('/api/pipeline/schedules/..%2F..%2Fpackage').expect(400);
+    const response = await request(app)
+      .delete('/api/pipeline/schedules/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('name');
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
   });
 
   test('POST /api/pipeline/run should reject invalid date format', async () => {
@@ -63,6 +120,78 @@ describe('Pipeline API', () => {
   });
 });
 
+describe('Pipeline Events API', () => {
+  test('GET /api/pipeline/events should stream the current status', async () => {
+    const server = app.listen(0);
+    const { port } = server.address();
+
+    try {
+      const { headers, body } = await new Promise((resolve, reject) => {
+        const req = http.get(`http://127.0.0.1:${port}/api/pipeline/events`, res => {
+          let data = '';
+          res.setEncoding('utf8');
+          res.on('data', chunk => {
+            data += chunk;
+            if (data.includes('\n\n')) {
+              req.destroy();
+              resolve({ headers: res.headers, body: data });
+            }
+          });
+        });
+        req.on('error', reject);
+      });
+
+      expect(headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(body).toMatch(/^event: status\ndata: /);
+      expect(JSON.parse(body.split('data: ')[1])).toHaveProperty('status');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
+
+describe('Ingestion Checkpoints API', () => {
+  test('GET /api/pipeline/checkpoints should list checkpoints', async () => {
+    const response = await request(app)
+      .get('/api/pipeline/checkpoints')
+      .expect(200);
+
+    expect(Array.isArray(response.body.checkpoints)).toBe(true);
+    expect(response.body).toHaveProperty('total_checkpoints');
+  });
+
+  test('POST /api/pipeline/run should reject a non-boolean forceReprocess', async () => {
+    await request(app)
+      .post('/api/pipeline/run')
+      .send({ startDate: '2023-06-01', endDate: '2023-06-03', forceReprocess: 'sometimes' })
+      .expect(400);
+  });
+});
+
+describe('Pipeline Schedules API', () => {
+  test('POST /api/pipeline/schedules should reject an invalid cron expression', async () => {
+    await request(app)
+      .post('/api/pipeline/schedules')
+      .send({ name: 'nightly', cron: 'every night' })
+      .expect(400);
+  });
+
+  test('GET /api/pipeline/schedules/preview should list upcoming runs', async () => {
+    const response = await request(app)
+      .get('/api/pipeline/schedules/preview?cron=0%202%20*%20*%20*&timezone=UTC&count=3')
+      .expect(200);
+
+    expect(response.body.next_runs).toHaveLength(3);
+    expect(response.body.next_runs[0]).toMatch(/T02:00:00.000Z$/);
+  });
+
+  test('GET /api/pipeline/schedules/:name should return 404 for unknown schedule', async () => {
+    await request(app)
+      .get('/api/pipeline/schedules/does-not-exist')
+      .expect(404);
+  });
+});
+
 describe('Data API', () => {
   test('GET /api/data/sensors should return sensors list', async () => {
     const response = await request(app)
@@ -83,6 +212,60 @@ describe('Data API', () => {
     expect(response.body.pagination).toHaveProperty('page', 1);
     expect(response.body.pagination).toHaveProperty('limit', 10);
   });
+
+  test('GET /api/data/aggregations should return time buckets', async () => {
+    const response = await request(app)
+      .get('/api/data/aggregations?interval=15m&timezone=Asia/Kolkata&functions=avg,percentile&percentiles=10,90&groupBy=sensor')
+      .expect(200);
+
+    expect(response.body).toMatchObject({
+      interval: '15m',
+      timezone: 'Asia/Kolkata',
+      functions: ['avg', 'percentile'],
+      group_by: ['sensor']
+    });
+    expect(Array.isArray(response.body.aggregations)).toBe(true);
+    expect(response.body).toHaveProperty('total_buckets');
+  });
+
+  test('GET /api/data/aggregations should reject an invalid interval', async () => {
+    const response = await request(app)
+      .get('/api/data/aggregations?interval=fortnightly')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('interval');
+  });
+  test('GET /api/data/query should filter by bounding box', async () => {
+    const response = await request(app)
+      .get('/api/data/query?bbox=76.9,11.9,77.1,12.1')
+      .expect(200);
+
+    expect(response.body).toHaveProperty('data');
+  });
+
+  test('GET /api/data/query should reject invalid dates, limits and flags', async () => {
+    const response = await request(app)
+      .get('/api/data/query?startDate=yesterday&limit=5000&anomalous=maybe')
+      .expect(400);
+
+    expect(response.body.details.map(d => d.field).sort()).toEqual(['anomalous', 'limit', 'startDate']);
+  });
+
+  test('GET /api/data/anomalies should reject an unknown anomaly type', async () => {
+    const response = await request(app)
+      .get('/api/data/anomalies?anomaly_type=bogus')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('anomaly_type');
+  });
+
+  test('GET /api/data/query should reject a malformed bounding box', async () => {
+    const response = await request(app)
+      .get('/api/data/query?bbox=77.1,12.1,76.9')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('bbox');
+  });
 });
 
 describe('Reports API', () => {
@@ -96,6 +279,26 @@ describe('Reports API', () => {
     expect(response.body).toHaveProperty('metrics');
   });
 
+  test('custom definition routes should reject names that leave the definitions directory', async () => {
+    await request(app).get('/api/reports/custom/definitions/..%2F..%2Fpackage').expect(400);
+    const response = await request(app)
+      .delete('/api/reports/custom/definitions/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('name');
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
+  });
+
+  test('report routes should reject ids that leave the reports directory', async () => {
+    await request(app).get('/api/reports/..%2F..%2Fpackage').expect(400);
+    const response = await request(app)
+      .delete('/api/reports/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('report_id');
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
+  });
+
   test('GET /api/reports/list should return reports list', async () => {
     const response = await request(app)
       .get('/api/reports/list')
@@ -104,6 +307,358 @@ describe('Reports API', () => {
     expect(response.body).toHaveProperty('reports');
     expect(response.body).toHaveProperty('total_reports');
   });
+
+  test('GET /api/reports/list should filter the catalogue by type and paginate', async () => {
+    await request(app)
+      .get('/api/reports/processing')
+      .set('X-Requested-By', 'api-test')
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/reports/list?type=processing&created_by=api-test&limit=1')
+      .expect(200);
+
+    expect(response.body.pagination).toMatchObject({ page: 1, limit: 1 });
+    expect(response.body.reports).toHaveLength(1);
+    expect(response.body.reports[0]).toMatchObject({ type: 'processing', created_by: 'api-test' });
+  });
+
+  test('GET /api/reports/list should reject an unknown report type', async () => {
+    const response = await request(app)
+      .get('/api/reports/list?type=weekly')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('type');
+  });
+
+  test('DELETE /api/reports/:report_id should delete a report', async () => {
+    const { body: report } = await request(app)
+      .get('/api/reports/processing')
+      .expect(200);
+
+    await request(app)
+      .delete(`/api/reports/${report.report_id}`)
+      .expect(200);
+
+    await request(app)
+      .get(`/api/reports/${report.report_id}`)
+      .expect(404);
+
+    await request(app)
+      .delete(`/api/reports/${report.report_id}`)
+      .expect(404);
+  });
+
+  test('GET /api/reports/analytics should generate analytics report', async () => {
+    const response = await request(app)
+      .get('/api/reports/analytics?timezone=Asia/Kolkata')
+      .expect(200);
+
+    expect(response.body.report_id).toMatch(/^analytics_/);
+    expect(response.body.parameters.timezone).toBe('Asia/Kolkata');
+    expect(response.body).toHaveProperty('trends');
+  });
+
+  test('GET /api/reports/analytics should reject an invalid significance level', async () => {
+    const response = await request(app)
+      .get('/api/reports/analytics?significance=2')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('significance');
+  });
+
+  test('GET /api/reports/summary should return CSV when the client accepts it', async () => {
+    const response = await request(app)
+      .get('/api/reports/summary')
+      .set('Accept', 'text/csv')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/csv/);
+    expect(response.text.split('\n')[0]).toBe('reading_type,count,avg,min,max,previous_count,previous_avg,avg_change,avg_change_percentage');
+  });
+
+  test('GET /api/reports/processing should return one CSV row per pipeline stage', async () => {
+    const runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-runs-'));
+    const originalRunsPath = config.paths.pipelineRuns;
+    config.paths.pipelineRuns = runsDir;
+
+    try {
+      const run = PipelineRunService.createRun({});
+      PipelineRunService.recordStage(run, 'ingestion', { startedAt: Date.now(), status: 'completed', result: { recordsProcessed: 10, filesProcessed: 1 } });
+      await PipelineRunService.finishRun(run, 'completed');
+
+      const response = await request(app)
+        .get('/api/reports/processing?format=csv')
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      const lines = response.text.split('\n');
+      expect(lines[0]).toBe('stage,executions,failures,total_duration_seconds,average_duration_seconds,records_in,records_out,rejected,errors');
+      expect(lines.slice(1).map(line => line.split(',')[0])).toEqual(['ingestion', 'transformation', 'validation', 'storage']);
+      expect(lines[1]).toMatch(/^ingestion,1,0,[\d.]+,[\d.]+,10,10,0,0$/);
+    } finally {
+      config.paths.pipelineRuns = originalRunsPath;
+      fs.rmSync(runsDir, { recursive: true, force: true });
+    }
+  });
+
+  test('GET /api/reports/coverage should render HTML and PDF', async () => {
+    const html = await request(app)
+      .get('/api/reports/coverage?format=html')
+      .expect(200);
+    expect(html.headers['content-type']).toMatch(/text\/html/);
+    expect(html.text).toContain('<!DOCTYPE html>');
+
+    const pdf = await request(app)
+      .get('/api/reports/coverage?format=pdf')
+      .buffer(true)
+      .parse((res, callback) => {
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => callback(null, Buffer.concat(chunks)));
+      })
+      .expect(200);
+    expect(pdf.headers['content-type']).toMatch(/application\/pdf/);
+    expect(pdf.headers['content-disposition']).toMatch(/attachment; filename=".*\.pdf"/);
+    expect(pdf.body.slice(0, 8).toString()).toBe('%PDF-1.4');
+  });
+
+  test('POST /api/reports/custom should reject an unsupported format', async () => {
+    await request(app)
+      .post('/api/reports/custom?format=xml')
+      .send({ metrics: [{ aggregate: 'count' }] })
+      .expect(400);
+  });
+
+  test('POST /api/reports/custom should run a report definition', async () => {
+    const response = await request(app)
+      .post('/api/reports/custom')
+      .send({ metrics: [{ aggregate: 'avg', reading_type: 'temperature' }], bucket: { interval: '1d' } })
+      .expect(201);
+
+    expect(response.body.metadata.report_type).toBe('custom');
+    expect(response.body.results.map(section => section.type)).toEqual(['table', 'summary']);
+    expect(response.body.results[0].columns).toEqual(['bucket', 'avg_temperature']);
+  });
+
+  test('POST /api/reports/custom should reject a percentile metric without a percentile', async () => {
+    const response = await request(app)
+      .post('/api/reports/custom')
+      .send({ metrics: [{ aggregate: 'percentile' }] })
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('metrics.0.percentile');
+  });
+
+  test('POST /api/reports/custom/definitions/:name/run should return 404 for unknown definition', async () => {
+    await request(app)
+      .post('/api/reports/custom/definitions/does-not-exist/run')
+      .expect(404);
+  });
+});
+
+describe('Calibration API', () => {
+  test('GET /api/calibration should return calibrations and config defaults', async () => {
+    const response = await request(app)
+      .get('/api/calibration')
+      .expect(200);
+
+    expect(response.body).toHaveProperty('calibrations');
+    expect(response.body).toHaveProperty('total_calibrations');
+    expect(response.body.defaults).toHaveProperty('temperature');
+  });
+
+  test('POST /api/calibration should reject a lookup curve without points', async () => {
+    await request(app)
+      .post('/api/calibration')
+      .send({ reading_type: 'temperature', curve: { type: 'lookup' } })
+      .expect(400);
+  });
+
+  test('GET /api/calibration/:id should return 404 for unknown calibration', async () => {
+    await request(app)
+      .get('/api/calibration/cal_missing')
+      .expect(404);
+  });
+
+  test('GET and DELETE /api/calibration/:id should reject ids that leave the calibrations directory', async () => {
+    const response = await request(app)
+      .get('/api/calibration/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body).not.toHaveProperty('name');
+    await request(app)
+      .delete('/api/calibration/..%2F..%2Fpackage')
+      .expect(400);
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
+  });
+});
+
+describe('Fields API', () => {
+  const boundary = { type: 'Polygon', coordinates: [[[77.0, 12.0], [77.01, 12.0], [77.01, 12.01], [77.0, 12.01], [77.0, 12.0]]] };
+  let fieldsDir;
+  let originalFieldsPath;
+
+  beforeAll(() => {
+    fieldsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-fields-'));
+    originalFieldsPath = config.paths.fields;
+    config.paths.fields = fieldsDir;
+  });
+
+  afterAll(() => {
+    config.paths.fields = originalFieldsPath;
+    fs.rmSync(fieldsDir, { recursive: true, force: true });
+  });
+
+  test('field routes should reject ids that leave the fields directory', async () => {
+    await request(app).get('/api/fields/..%2F..%2Fpackage').expect(400);
+    const response = await request(app)
+      .delete('/api/fields/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('field_id');
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
+  });
+
+  test('POST /api/fields should register a field with its computed area', async () => {
+    const response = await request(app)
+      .post('/api/fields')
+      .send({ field_id: 'north', farm: 'farm-a', crop_type: 'rice', geometry: boundary })
+      .expect(201);
+
+    expect(response.body.area_hectares).toBeGreaterThan(100);
+    expect(response.body.bbox).toEqual([77.0, 12.0, 77.01, 12.01]);
+
+    await request(app)
+      .post('/api/fields')
+      .send({ field_id: 'north', geometry: boundary })
+      .expect(409);
+  });
+
+  test('POST /api/fields should reject an open ring', async () => {
+    const open = { type: 'Polygon', coordinates: [boundary.coordinates[0].slice(0, 4)] };
+
+    await request(app)
+      .post('/api/fields')
+      .send({ field_id: 'open', geometry: open })
+      .expect(400);
+  });
+
+  test('GET /api/fields?format=geojson should return a FeatureCollection', async () => {
+    const response = await request(app)
+      .get('/api/fields?format=geojson')
+      .expect('Content-Type', /application\/geo\+json/)
+      .expect(200);
+
+    const collection = JSON.parse(response.text);
+    expect(collection.type).toBe('FeatureCollection');
+    expect(collection.features[0]).toMatchObject({ type: 'Feature', id: 'north', geometry: boundary });
+  });
+
+  test('POST /api/fields/:id/sensors should assign a sensor', async () => {
+    const response = await request(app)
+      .post('/api/fields/north/sensors')
+      .send({ sensor_id: 'S1', valid_from: '2025-07-01T00:00:00Z' })
+      .expect(201);
+
+    expect(response.body.assignment).toMatchObject({ sensor_id: 'S1', valid_to: null });
+
+    await request(app)
+      .delete('/api/fields/north/sensors/S1?at=2025-06-01T00:00:00Z')
+      .expect(404);
+    await request(app)
+      .post('/api/fields/missing/sensors')
+      .send({ sensor_id: 'S1' })
+      .expect(404);
+  });
+});
+
+describe('Mapping Profiles API', () => {
+  const profile = {
+    profile_id: 'field_logger',
+    file_patterns: ['field_logger_*.csv'],
+    columns: { sensor_id: 'Logger', timestamp: 'Time', value: 'Reading' },
+    defaults: { reading_type: 'soil_moisture' },
+    units: { soil_moisture: '%' },
+    timestamp_format: 'DD/MM/YYYY HH:mm'
+  };
+  let tempDir;
+  let originalProfilesPath;
+  let originalRawPath;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-mapping-'));
+    originalProfilesPath = config.paths.mappingProfiles;
+    originalRawPath = config.paths.rawData;
+    config.paths.mappingProfiles = path.join(tempDir, 'profiles');
+    config.paths.rawData = tempDir;
+  });
+
+  afterAll(() => {
+    config.paths.mappingProfiles = originalProfilesPath;
+    config.paths.rawData = originalRawPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('profile routes should reject ids that leave the profiles directory', async () => {
+    await request(app).get('/api/mapping-profiles/..%2F..%2Fpackage').expect(400);
+    await request(app).put('/api/mapping-profiles/..%2F..%2Fpackage').send({ name: 'x' }).expect(400);
+    const response = await request(app)
+      .delete('/api/mapping-profiles/..%2F..%2Fpackage')
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('profile_id');
+    expect(fs.existsSync(path.join(__dirname, '..', 'package.json'))).toBe(true);
+  });
+
+  test('POST /api/mapping-profiles should save a profile once', async () => {
+    const response = await request(app)
+      .post('/api/mapping-profiles')
+      .send(profile)
+      .expect(201);
+
+    expect(response.body).toMatchObject({ profile_id: 'field_logger', timezone: 'UTC', wide: null });
+
+    await request(app)
+      .post('/api/mapping-profiles')
+      .send(profile)
+      .expect(409);
+  });
+
+  test('POST /api/mapping-profiles should reject a wide profile that also maps value', async () => {
+    const response = await request(app)
+      .post('/api/mapping-profiles')
+      .send({ ...profile, profile_id: 'wide', wide: { RH: 'humidity' } })
+      .expect(400);
+
+    expect(response.body.details[0].field).toBe('wide');
+  });
+
+  test('PUT /api/mapping-profiles/:id should return 404 for an unknown profile', async () => {
+    await request(app)
+      .put('/api/mapping-profiles/missing')
+      .send({ timezone: 'Asia/Kolkata' })
+      .expect(404);
+  });
+
+  test('POST /api/pipeline/upload should keep the name of a CSV and report its profile', async () => {
+    const response = await request(app)
+      .post('/api/pipeline/upload')
+      .attach('files', Buffer.from('Logger,Time,Reading\nL-7,16/07/2025 10:30,31.5\n'), 'field_logger 0716.csv')
+      .expect(200);
+
+    expect(response.body.uploaded[0]).toMatchObject({ filename: 'field_logger_0716.csv', format: 'csv', profile: 'field_logger' });
+    expect(fs.existsSync(path.join(tempDir, 'field_logger_0716.csv'))).toBe(true);
+  });
+
+  test('POST /api/pipeline/upload should reject unsupported file types', async () => {
+    const response = await request(app)
+      .post('/api/pipeline/upload')
+      .attach('files', Buffer.from('MZ'), 'logger.exe')
+      .expect(400);
+
+    expect(response.body.details[0].message).toMatch(/\.csv/);
+  });
 });
 
 describe('Error Handling', () => {
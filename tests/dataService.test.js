@@ -1,5 +1,10 @@
 const DataService = require('../src/services/dataService');
 const DuckDBService = require('../src/services/duckDBService');
+const PartitionStore = require('../src/services/storage/partitionStore');
+const config = require('../src/config/config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
 // Mock DuckDBService for testing
 jest.mock('../src/services/duckDBService');
@@ -29,6 +34,7 @@ describe('DataService with DuckDB Integration', () => {
         ], 
         source: 'duckdb' 
       }),
+      aggregateDaily: jest.fn().mockResolvedValue({ success: true, data: [], source: 'duckdb' }),
       updateData: jest.fn().mockResolvedValue({ success: true, updated: 1, id: 1 }),
       deleteData: jest.fn().mockResolvedValue({ success: true, deleted: 1, id: 1 }),
       getStats: jest.fn().mockResolvedValue({
@@ -117,8 +123,7 @@ describe('DataService with DuckDB Integration', () => {
       expect(result.limit).toBe(5);
     });
 
-    test('should apply additional filters not handled by DuckDB', async () => {
-      // Mock data with anomalous reading
+    test('should pass anomaly filters to the database query', async () => {
       mockDuckDBService.queryData.mockResolvedValueOnce({
         success: true,
         data: [
@@ -126,26 +131,34 @@ describe('DataService with DuckDB Integration', () => {
             id: 1, 
             sensor_id: 'TEST_SENSOR_001', 
             value: 25.5, 
-            anomalous_reading: true 
-          },
-          { 
-            id: 2, 
-            sensor_id: 'TEST_SENSOR_002', 
-            value: 26.0, 
-            anomalous_reading: false 
+            is_anomalous: true,
+            anomaly_type: 'statistical_outlier'
           }
         ],
         source: 'duckdb'
       });
 
       const filters = {
-        anomalous: true
+        anomalous: true,
+        anomaly_type: 'statistical_outlier'
       };
 
       const result = await DataService.queryData(filters);
 
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(
+        expect.objectContaining({ anomalous: true, anomaly_type: 'statistical_outlier' })
+      );
       expect(result.data).toHaveLength(1);
-      expect(result.data[0].anomalous_reading).toBe(true);
+      expect(result.data[0].is_anomalous).toBe(true);
+    });
+
+    test('should query only flagged readings for anomalies', async () => {
+      const result = await DataService.getAnomalies({ sensor_id: 'TEST_SENSOR_001', page: 1, limit: 10 });
+
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(
+        expect.objectContaining({ sensor_id: 'TEST_SENSOR_001', anomalous: true })
+      );
+      expect(result).toMatchObject({ page: 1, limit: 10, total: 1 });
     });
 
     test('should apply value range filters', async () => {
@@ -170,6 +183,29 @@ describe('DataService with DuckDB Integration', () => {
       expect(result.data).toHaveLength(1);
       expect(result.data[0].value).toBe(25.0);
     });
+
+    test('should query the Parquet partitions directly with source=parquet', async () => {
+      const processedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processed-'));
+      const originalProcessedPath = config.paths.processedData;
+      config.paths.processedData = processedDir;
+
+      try {
+        await PartitionStore.writePartitions([
+          { sensor_id: 'TEST_SENSOR_001', reading_type: 'temperature', value: 20, timestamp: '2025-07-16T10:00:00Z' },
+          { sensor_id: 'TEST_SENSOR_001', reading_type: 'temperature', value: 21, timestamp: '2025-07-17T10:00:00Z' }
+        ]);
+
+        const result = await DataService.queryData({ source: 'parquet', startDate: '2025-07-17', endDate: '2025-07-17' });
+
+        expect(mockDuckDBService.queryData).not.toHaveBeenCalled();
+        expect(result.source).toBe('parquet');
+        expect(result.data).toHaveLength(1);
+        expect(result.data[0]).toMatchObject({ sensor_id: 'TEST_SENSOR_001', value: 21 });
+      } finally {
+        config.paths.processedData = originalProcessedPath;
+        fs.rmSync(processedDir, { recursive: true, force: true });
+      }
+    });
   });
 
   describe('Sensor Operations', () => {
@@ -274,49 +310,38 @@ describe('DataService with DuckDB Integration', () => {
     });
 
     test('should get daily aggregations', async () => {
-      // Mock daily data
-      mockDuckDBService.queryData.mockResolvedValueOnce({
+      mockDuckDBService.aggregateDaily.mockResolvedValueOnce({
         success: true,
         data: [
-          { 
-            sensor_id: 'SENSOR_001', 
-            value: 25.0,
-            timestamp: '2025-07-16T10:00:00Z'
-          },
-          { 
-            sensor_id: 'SENSOR_001', 
-            value: 26.0,
-            timestamp: '2025-07-16T14:00:00Z'
-          },
-          { 
-            sensor_id: 'SENSOR_001', 
-            value: 24.0,
-            timestamp: '2025-07-17T10:00:00Z'
-          }
+          { date: '2025-07-16', count: 2, min: 25.0, max: 26.0, avg: 25.5, sum: 51.0, stddev: 0.71, median: 25.5, p10: 25.1, p90: 25.9, anomaly_count: 0 },
+          { date: '2025-07-17', count: 1, min: 24.0, max: 24.0, avg: 24.0, sum: 24.0, stddev: null, median: 24.0, p10: 24.0, p90: 24.0, anomaly_count: 1 }
         ],
         source: 'duckdb'
       });
 
       const aggregations = await DataService.getDailyAggregations({
         sensor_id: 'SENSOR_001',
+        field: 'field_1',
+        groupBy: 'reading_type',
         startDate: '2025-07-16',
         endDate: '2025-07-17'
       });
 
-      expect(aggregations).toBeDefined();
-      expect(aggregations.aggregations).toBeDefined();
+      expect(mockDuckDBService.aggregateDaily).toHaveBeenCalledWith(expect.objectContaining({
+        sensor_id: 'SENSOR_001',
+        field: 'field_1',
+        groupBy: 'reading_type',
+        startDate: '2025-07-16',
+        endDate: '2025-07-17'
+      }));
+      expect(mockDuckDBService.queryData).not.toHaveBeenCalled();
       expect(Array.isArray(aggregations.aggregations)).toBe(true);
-      expect(aggregations.total_days).toBeGreaterThan(0);
+      expect(aggregations.total_days).toBe(2);
+      expect(aggregations.group_by).toBe('reading_type');
       expect(aggregations.source).toBe('duckdb');
 
-      // Check if aggregations are properly calculated
       const day1 = aggregations.aggregations.find(a => a.date === '2025-07-16');
-      if (day1) {
-        expect(day1.count).toBe(2);
-        expect(day1.min).toBe(25.0);
-        expect(day1.max).toBe(26.0);
-        expect(day1.avg).toBe(25.5);
-      }
+      expect(day1).toMatchObject({ count: 2, min: 25.0, max: 26.0, avg: 25.5 });
     });
   });
 
@@ -1,6 +1,14 @@
 const PipelineService = require('../src/services/pipelineService');
 const DuckDBService = require('../src/services/duckDBService');
 const StorageService = require('../src/services/storage/storageService');
+const PipelineRunService = require('../src/services/pipelineRunService');
+const SchedulerService = require('../src/services/schedulerService');
+const JobQueueService = require('../src/services/jobQueueService');
+const config = require('../src/config/config');
+const logger = require('../src/utils/logger');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 
 // Mock dependencies
 jest.mock('../src/services/duckDBService');
@@ -434,6 +442,217 @@ describe('PipelineService with DuckDB Integration', () => {
     });
   });
 
+  describe('Run History', () => {
+    let pipeline;
+    let runsDir;
+    let originalRunsPath;
+
+    beforeEach(() => {
+      runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-runs-'));
+      originalRunsPath = config.paths.pipelineRuns;
+      config.paths.pipelineRuns = runsDir;
+
+      pipeline = new PipelineService();
+      pipeline.runIngestion = jest.fn().mockResolvedValue({ recordsProcessed: 90, recordsSkipped: 10, errors: 0, filesProcessed: 2 });
+      pipeline.runTransformation = jest.fn().mockResolvedValue({ recordsProcessed: 90, errors: 1 });
+      pipeline.runValidation = jest.fn().mockResolvedValue({ totalRecords: 90, validRecords: 85, invalidRecords: 5 });
+      pipeline.runStorage = jest.fn().mockResolvedValue({ filesWritten: 1, recordsStored: 85, databaseRecords: 85, errors: 0 });
+    });
+
+    afterEach(() => {
+      config.paths.pipelineRuns = originalRunsPath;
+      fs.rmSync(runsDir, { recursive: true, force: true });
+    });
+
+    test('should persist a run record with per-stage results', async () => {
+      const status = await pipeline.runFullPipeline({ startDate: '2025-07-16', endDate: '2025-07-17' });
+
+      const run = await PipelineRunService.getRun(status.runId);
+      expect(run.status).toBe('completed');
+      expect(run.options).toEqual({ startDate: '2025-07-16', endDate: '2025-07-17', forceReprocess: false });
+      expect(Object.keys(run.stages)).toEqual(['ingestion', 'transformation', 'validation', 'storage']);
+      expect(run.stages.ingestion).toMatchObject({ status: 'completed', records_in: 100, records_out: 90, rejected: 10 });
+      expect(run.stages.validation).toMatchObject({ records_in: 90, records_out: 85, rejected: 5 });
+      expect(run.stages.storage.duration_seconds).toBeGreaterThanOrEqual(0);
+      expect(run.totals).toEqual({ records_in: 100, records_out: 85, rejected: 15, errors: 1 });
+    });
+
+    test('should validate this run\'s transformation output and count each ingested file once', async () => {
+      pipeline.runTransformation.mockResolvedValueOnce({ recordsProcessed: 90, errors: 0, outputFiles: ['transformed_a.json'] });
+      pipeline.runIngestion.mockResolvedValueOnce({ recordsProcessed: 90, recordsSkipped: 10, errors: 0, filesProcessed: 2, filesSkipped: 3 });
+
+      const status = await pipeline.runFullPipeline({});
+
+      expect(pipeline.runValidation).toHaveBeenCalledWith(['transformed_a.json']);
+      expect(status.statistics).toMatchObject({ filesProcessed: 2, filesSkipped: 3 });
+    });
+
+    test('should emit run and stage events while running', async () => {
+      const events = [];
+      pipeline.on('run', event => events.push(['run', event.status]));
+      pipeline.on('stage', event => events.push(['stage', event.stage, event.status, event.progress]));
+
+      await pipeline.runFullPipeline({});
+
+      expect(events).toEqual([
+        ['run', 'running'],
+        ['stage', 'ingestion', 'running', 10],
+        ['stage', 'ingestion', 'completed', 10],
+        ['stage', 'transformation', 'running', 40],
+        ['stage', 'transformation', 'completed', 40],
+        ['stage', 'validation', 'running', 70],
+        ['stage', 'validation', 'completed', 70],
+        ['stage', 'storage', 'running', 90],
+        ['stage', 'storage', 'completed', 90],
+        ['run', 'completed']
+      ]);
+    });
+
+    test('should forward log lines written during a run', async () => {
+      pipeline.runStorage.mockRejectedValueOnce(new Error('Disk full'));
+      const logs = [];
+      pipeline.on('log', event => logs.push(event));
+
+      await expect(pipeline.runFullPipeline({})).rejects.toThrow('Disk full');
+      const { runs } = await pipeline.getRuns();
+
+      const failure = logs.find(log => log.message.startsWith('Pipeline execution failed'));
+      expect(failure).toMatchObject({ runId: runs[0].run_id, level: 'error' });
+
+      logs.length = 0;
+      logger.error('Logged outside a run');
+      expect(logs).toHaveLength(0);
+    });
+
+    test('should record failed runs with the failing stage', async () => {
+      pipeline.runValidation.mockRejectedValueOnce(new Error('Validation crashed'));
+
+      await expect(pipeline.runFullPipeline({})).rejects.toThrow('Validation crashed');
+
+      const { runs, summary } = await pipeline.getRuns();
+      expect(runs).toHaveLength(1);
+      expect(runs[0].status).toBe('failed');
+      expect(runs[0].error).toBe('Validation crashed');
+      expect(runs[0].stages.validation.status).toBe('failed');
+      expect(runs[0].stages.storage).toBeUndefined();
+      expect(summary.statistics.failed_runs).toBe(1);
+      expect(summary.stages.validation.failures).toBe(1);
+    });
+  });
+
+  describe('Scheduler', () => {
+    let schedulesDir;
+    let originalSchedulesPath;
+    let jobQueue;
+    let scheduler;
+
+    beforeEach(() => {
+      schedulesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+      originalSchedulesPath = config.paths.schedules;
+      config.paths.schedules = schedulesDir;
+
+      jobQueue = {
+        isBusy: jest.fn().mockResolvedValue(false),
+        enqueue: jest.fn().mockResolvedValue({ job_id: 'job_1', status: 'queued' })
+      };
+      scheduler = new SchedulerService(jobQueue);
+    });
+
+    afterEach(() => {
+      scheduler.stop();
+      config.paths.schedules = originalSchedulesPath;
+      fs.rmSync(schedulesDir, { recursive: true, force: true });
+    });
+
+    test('should resolve date range strategies in the schedule timezone', () => {
+      // 2025-07-16T20:00Z is already 2025-07-17 in Asia/Kolkata
+      const now = new Date('2025-07-16T20:00:00Z');
+
+      expect(SchedulerService.resolveDateRange({ strategy: 'yesterday' }, now, 'Asia/Kolkata'))
+        .toEqual({ startDate: '2025-07-16', endDate: '2025-07-16' });
+      expect(SchedulerService.resolveDateRange({ strategy: 'yesterday' }, now, 'UTC'))
+        .toEqual({ startDate: '2025-07-15', endDate: '2025-07-15' });
+      expect(SchedulerService.resolveDateRange({ strategy: 'last_n_days', days: 7 }, now, 'Asia/Kolkata'))
+        .toEqual({ startDate: '2025-07-10', endDate: '2025-07-16' });
+      expect(SchedulerService.resolveDateRange({ strategy: 'all' }, now, 'UTC')).toEqual({});
+    });
+
+    test('should preview next runs for a cron expression', () => {
+      const from = new Date('2025-07-16T00:00:00Z');
+
+      expect(SchedulerService.previewRuns('0 2 * * *', { timezone: 'Asia/Kolkata', count: 2, from }))
+        .toEqual(['2025-07-16T20:30:00.000Z', '2025-07-17T20:30:00.000Z']);
+      expect(SchedulerService.previewRuns('*/15 * * * *', { timezone: 'UTC', count: 3, from: new Date('2025-07-16T00:07:00Z') }))
+        .toEqual(['2025-07-16T00:15:00.000Z', '2025-07-16T00:30:00.000Z', '2025-07-16T00:45:00.000Z']);
+      expect(SchedulerService.previewRuns('0 6 * * 1', { timezone: 'UTC', count: 1, from }))
+        .toEqual(['2025-07-21T06:00:00.000Z']);
+      expect(SchedulerService.previewRuns('30 0 9-10 * jul-aug sat,7', { timezone: 'UTC', count: 3, from }))
+        .toEqual(['2025-07-19T09:00:30.000Z', '2025-07-19T10:00:30.000Z', '2025-07-20T09:00:30.000Z']);
+    });
+
+    test('should queue a pipeline job with the resolved range and record it', async () => {
+      await scheduler.createSchedule({
+        name: 'nightly',
+        cron: '0 2 * * *',
+        timezone: 'UTC',
+        date_range: { strategy: 'last_n_days', days: 3 },
+        force_reprocess: true
+      });
+
+      const result = await scheduler.runSchedule('nightly', new Date('2025-07-16T02:00:00Z'));
+
+      expect(jobQueue.enqueue).toHaveBeenCalledWith(
+        { startDate: '2025-07-13', endDate: '2025-07-15', forceReprocess: true },
+        { source: 'schedule:nightly' }
+      );
+      expect(result).toMatchObject({ skipped: false, status: 'queued', job_id: 'job_1' });
+
+      const schedule = await SchedulerService.getSchedule('nightly');
+      expect(schedule).toMatchObject({ last_run_status: 'queued', last_job_id: 'job_1', last_run_at: '2025-07-16T02:00:00.000Z' });
+    });
+
+    test('should skip a tick while pipeline jobs are running or queued', async () => {
+      await scheduler.createSchedule({ name: 'hourly', cron: '0 * * * *' });
+      jobQueue.isBusy.mockResolvedValueOnce(true);
+
+      const result = await scheduler.runSchedule('hourly');
+
+      expect(result).toEqual({ skipped: true, reason: 'already_running' });
+      expect(jobQueue.enqueue).not.toHaveBeenCalled();
+      expect((await SchedulerService.getSchedule('hourly')).last_run_status).toBe('skipped');
+    });
+
+    test('should record scheduled runs that could not be queued', async () => {
+      jobQueue.enqueue.mockRejectedValueOnce(new Error('Disk full'));
+      await scheduler.createSchedule({ name: 'daily', cron: '0 3 * * *' });
+
+      const result = await scheduler.runSchedule('daily');
+
+      expect(result.status).toBe('failed');
+      expect((await SchedulerService.getSchedule('daily')).last_error).toBe('Disk full');
+    });
+
+    test('should register cron tasks only for enabled schedules once started', async () => {
+      await scheduler.createSchedule({ name: 'enabled', cron: '0 2 * * *' });
+      await scheduler.createSchedule({ name: 'disabled', cron: '0 2 * * *', enabled: false });
+      expect(scheduler.tasks.size).toBe(0);
+
+      await scheduler.start();
+      expect([...scheduler.tasks.keys()]).toEqual(['enabled']);
+
+      const updated = await scheduler.updateSchedule('enabled', { enabled: false });
+      expect(updated.next_run_at).toBeNull();
+      expect(scheduler.tasks.size).toBe(0);
+
+      await scheduler.updateSchedule('disabled', { enabled: true });
+      expect([...scheduler.tasks.keys()]).toEqual(['disabled']);
+
+      expect(await scheduler.deleteSchedule('disabled')).toBe(true);
+      expect(scheduler.tasks.size).toBe(0);
+      expect(await SchedulerService.listSchedules()).toHaveLength(1);
+    });
+  });
+
   describe('Service Lifecycle', () => {
     test('should close pipeline service properly', async () => {
       await PipelineService.close();
@@ -448,4 +667,184 @@ describe('PipelineService with DuckDB Integration', () => {
       expect(status.lastProcessed).toBeNull();
     });
   });
+
+  describe('Job Queue', () => {
+    let jobsDir;
+    let runsDir;
+    let originalJobsPath;
+    let originalRunsPath;
+    let pipeline;
+    let queue;
+
+    const waitForJob = async (jobId) => {
+      for (let i = 0; i < 100; i++) {
+        const job = await JobQueueService.getJob(jobId);
+        if (JobQueueService.isFinished(job) && !queue.activeJob) return job;
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      throw new Error(`Job ${jobId} did not finish`);
+    };
+
+    beforeEach(() => {
+      jobsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-jobs-'));
+      runsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipeline-runs-'));
+      originalJobsPath = config.paths.jobs;
+      originalRunsPath = config.paths.pipelineRuns;
+      config.paths.jobs = jobsDir;
+      config.paths.pipelineRuns = runsDir;
+
+      pipeline = new PipelineService();
+      pipeline.runIngestion = jest.fn().mockResolvedValue({ recordsProcessed: 10, recordsSkipped: 0, errors: 0, filesProcessed: 1 });
+      pipeline.runTransformation = jest.fn().mockResolvedValue({ recordsProcessed: 10, errors: 0 });
+      pipeline.runValidation = jest.fn().mockResolvedValue({ totalRecords: 10, validRecords: 10, invalidRecords: 0 });
+      pipeline.runStorage = jest.fn().mockResolvedValue({ filesWritten: 1, recordsStored: 10, databaseRecords: 10, errors: 0 });
+      queue = new JobQueueService(pipeline);
+    });
+
+    afterEach(() => {
+      config.paths.jobs = originalJobsPath;
+      config.paths.pipelineRuns = originalRunsPath;
+      fs.rmSync(jobsDir, { recursive: true, force: true });
+      fs.rmSync(runsDir, { recursive: true, force: true });
+    });
+
+    test('should run a queued job and store its progress and stage results', async () => {
+      const job = await queue.enqueue({ startDate: '2025-07-16', endDate: '2025-07-17', forceReprocess: false });
+      expect(job).toMatchObject({ status: 'queued', source: 'api', progress: 0 });
+
+      const finished = await waitForJob(job.job_id);
+
+      expect(finished.status).toBe('completed');
+      expect(finished.progress).toBe(100);
+      expect(finished.run_id).toMatch(/^run_/);
+      expect(Object.keys(finished.stages)).toEqual(['ingestion', 'transformation', 'validation', 'storage']);
+      expect(finished.stages.validation).toMatchObject({ status: 'completed', records_out: 10 });
+      expect(pipeline.runIngestion).toHaveBeenCalledWith({ startDate: '2025-07-16', endDate: '2025-07-17', forceReprocess: false });
+    });
+
+    test('should run jobs one at a time in submission order', async () => {
+      const first = await queue.enqueue({ startDate: '2025-07-16' });
+      const second = await queue.enqueue({ startDate: '2025-07-17' });
+
+      await waitForJob(second.job_id);
+
+      expect(pipeline.runIngestion.mock.calls.map(([options]) => options.startDate)).toEqual(['2025-07-16', '2025-07-17']);
+      expect((await JobQueueService.getJob(first.job_id)).status).toBe('completed');
+    });
+
+    test('should record failed jobs with the error', async () => {
+      pipeline.runTransformation.mockRejectedValueOnce(new Error('Transformation crashed'));
+
+      const job = await queue.enqueue({});
+      const finished = await waitForJob(job.job_id);
+
+      expect(finished.status).toBe('failed');
+      expect(finished.error).toBe('Transformation crashed');
+      expect(finished.stages.transformation.status).toBe('failed');
+    });
+
+    test('should cancel queued and running jobs', async () => {
+      let releaseIngestion;
+      pipeline.runIngestion.mockImplementationOnce(() => new Promise(resolve => {
+        releaseIngestion = () => resolve({ recordsProcessed: 1, errors: 0, filesProcessed: 1 });
+      }));
+
+      const running = await queue.enqueue({});
+      const queued = await queue.enqueue({});
+      while (!releaseIngestion) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      expect((await queue.cancelJob(queued.job_id)).status).toBe('cancelled');
+      expect((await queue.cancelJob(running.job_id)).cancel_requested).toBe(true);
+      releaseIngestion();
+
+      const finished = await waitForJob(running.job_id);
+      expect(finished.status).toBe('cancelled');
+      expect(pipeline.runTransformation).not.toHaveBeenCalled();
+      expect((await JobQueueService.getJob(queued.job_id)).started_at).toBeNull();
+      expect(await queue.cancelJob('job_missing')).toBeNull();
+    });
+
+    test('should stop the running job as cancelled', async () => {
+      let releaseIngestion;
+      pipeline.runIngestion.mockImplementationOnce(() => new Promise(resolve => {
+        releaseIngestion = () => resolve({ recordsProcessed: 1, errors: 0, filesProcessed: 1 });
+      }));
+
+      const job = await queue.enqueue({});
+      while (!releaseIngestion) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+
+      expect((await queue.stopActiveJob()).cancel_requested).toBe(true);
+      releaseIngestion();
+
+      const finished = await waitForJob(job.job_id);
+      expect(finished.status).toBe('cancelled');
+      expect(pipeline.runTransformation).not.toHaveBeenCalled();
+      expect(await queue.stopActiveJob()).toBeNull();
+    });
+
+    test('should prune finished jobs past the retention policy', async () => {
+      const originalRetention = config.jobs.retention;
+      config.jobs.retention = { max_count: 2, max_age_days: 30 };
+      const now = new Date('2025-07-20T00:00:00Z');
+      const finishedJob = (finishedAt, status = 'completed') => {
+        const job = JobQueueService.createJob({}, 'api');
+        job.status = status;
+        job.submitted_at = finishedAt;
+        job.finished_at = finishedAt;
+        return job;
+      };
+
+      try {
+        const old = finishedJob('2025-06-01T00:00:00Z');
+        const newest = finishedJob('2025-07-19T00:00:00Z');
+        const recent = finishedJob('2025-07-18T00:00:00Z', 'failed');
+        const third = finishedJob('2025-07-17T00:00:00Z');
+        const waiting = JobQueueService.createJob({}, 'api');
+        waiting.submitted_at = '2025-05-01T00:00:00Z';
+        for (const job of [old, newest, recent, third, waiting]) {
+          await JobQueueService.saveJob(job);
+        }
+
+        const removed = await queue.pruneJobs(now);
+
+        expect(removed.sort()).toEqual([old.job_id, third.job_id].sort());
+        expect((await JobQueueService.listJobs()).map(job => job.job_id)).toEqual([newest.job_id, recent.job_id, waiting.job_id]);
+      } finally {
+        config.jobs.retention = originalRetention;
+      }
+    });
+
+    test('should not run a job cancelled while the worker is picking it up', async () => {
+      const job = JobQueueService.createJob({}, 'api');
+      await JobQueueService.saveJob(job);
+
+      const processing = queue.processNext();
+      const cancelled = await queue.cancelJob(job.job_id);
+      await processing;
+
+      expect(cancelled.status).toBe('cancelled');
+      expect((await JobQueueService.getJob(job.job_id))).toMatchObject({ status: 'cancelled', started_at: null });
+      expect(pipeline.runIngestion).not.toHaveBeenCalled();
+    });
+
+    test('should fail interrupted jobs and resume queued jobs on start', async () => {
+      const interrupted = JobQueueService.createJob({}, 'api');
+      interrupted.status = 'running';
+      const waiting = JobQueueService.createJob({ startDate: '2025-07-18' }, 'schedule:nightly');
+      await JobQueueService.saveJob(interrupted);
+      await JobQueueService.saveJob(waiting);
+
+      await queue.start();
+      const resumed = await waitForJob(waiting.job_id);
+
+      expect((await JobQueueService.getJob(interrupted.job_id))).toMatchObject({ status: 'failed', error: 'Interrupted by server restart' });
+      expect(resumed.status).toBe('completed');
+      expect(await queue.isBusy()).toBe(false);
+      expect(await JobQueueService.listJobs({ status: 'failed' })).toHaveLength(1);
+    });
+  });
 });
@@ -1,5 +1,12 @@
 const ReportsService = require('../src/services/reportsService');
 const DuckDBService = require('../src/services/duckDBService');
+const PipelineRunService = require('../src/services/pipelineRunService');
+const CustomReportService = require('../src/services/customReportService');
+const ReportCatalogService = require('../src/services/reportCatalogService');
+const config = require('../src/config/config');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
 
 // Mock DuckDBService
 jest.mock('../src/services/duckDBService');
@@ -51,12 +58,35 @@ describe('ReportsService with DuckDB Integration', () => {
         ],
         latestTimestamp: '2025-07-16T12:00:00Z'
       }),
+      getSensorInventory: jest.fn().mockResolvedValue({
+        success: true,
+        data: [
+          { sensor_id: 'SENSOR_001', reading_types: ['temperature'], fields: ['field_1'], total_readings: 2, first_seen: '2025-07-16T10:00:00.000Z', last_seen: '2025-07-16T11:00:00.000Z' },
+          { sensor_id: 'SENSOR_002', reading_types: ['humidity'], fields: ['field_1'], total_readings: 1, first_seen: '2025-07-16T10:00:00.000Z', last_seen: '2025-07-16T10:00:00.000Z' }
+        ],
+        source: 'duckdb'
+      }),
       close: jest.fn().mockResolvedValue()
     };
 
     DuckDBService.mockImplementation(() => mockDuckDBService);
   });
 
+  // queryData that filters like the database does, on ISO timestamps
+  const queryStored = readings => async filters => ({
+    success: true,
+    source: 'duckdb',
+    data: readings.filter(r => (!filters.startDate || r.timestamp >= filters.startDate) &&
+      (!filters.endDate || r.timestamp <= filters.endDate))
+  });
+  const storedReadings = [
+    { sensor_id: 'T1', reading_type: 'temperature', value: 20, timestamp: '2025-07-16T06:00:00.000Z' },
+    { sensor_id: 'T1', reading_type: 'temperature', value: 22, timestamp: '2025-07-16T18:00:00.000Z' },
+    { sensor_id: 'T1', reading_type: 'temperature', value: 24, timestamp: '2025-07-17T06:00:00.000Z' },
+    { sensor_id: 'T1', reading_type: 'temperature', value: 26, timestamp: '2025-07-17T18:00:00.000Z' },
+    { sensor_id: 'T1', reading_type: 'temperature', value: 40, timestamp: '2025-07-18T06:00:00.000Z' }
+  ];
+
   describe('Quality Reports', () => {
     test('should generate quality report with DuckDB data', async () => {
       const filters = {
@@ -80,15 +110,24 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(mockDuckDBService.queryData).toHaveBeenCalled();
     });
 
+    test('should include the whole end day of a date-only range', async () => {
+      await ReportsService.generateQualityReport({ startDate: '2025-07-16', endDate: '2025-07-17' });
+
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(expect.objectContaining({
+        startDate: '2025-07-16T00:00:00.000Z',
+        endDate: '2025-07-17T23:59:59.999Z'
+      }));
+    });
+
     test('should calculate correct quality metrics', async () => {
       // Mock data with quality issues
       mockDuckDBService.queryData.mockResolvedValueOnce({
         success: true,
         data: [
-          { sensor_id: 'SENSOR_001', value: 25.5, timestamp: '2025-07-16T10:00:00Z' },
-          { sensor_id: 'SENSOR_001', value: null, timestamp: '2025-07-16T11:00:00Z' }, // Missing value
-          { sensor_id: 'SENSOR_001', value: 150.0, timestamp: '2025-07-16T12:00:00Z' }, // Outlier
-          { sensor_id: 'SENSOR_002', value: 65.0, timestamp: '2025-07-16T10:00:00Z' }
+          { sensor_id: 'SENSOR_001', value: 25.5, reading_type: 'temperature', timestamp: '2025-07-16T10:00:00Z' },
+          { sensor_id: 'SENSOR_001', value: null, reading_type: 'temperature', timestamp: '2025-07-16T11:00:00Z' }, // Missing value
+          { sensor_id: 'SENSOR_001', value: 150.0, reading_type: 'temperature', timestamp: '2025-07-16T12:00:00Z' }, // Outlier
+          { sensor_id: 'SENSOR_002', value: 65.0, reading_type: 'humidity', timestamp: '2025-07-16T10:00:00Z' }
         ],
         source: 'duckdb'
       });
@@ -125,6 +164,56 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(issueTypes).toContain('missing_value');
     });
 
+    test('should break quality metrics down per sensor and reading type', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: [
+          { sensor_id: 'SENSOR_001', value: 20, reading_type: 'temperature', timestamp: '2025-07-16T10:00:00Z' },
+          { sensor_id: 'SENSOR_001', value: 21, reading_type: 'temperature', timestamp: '2025-07-16T10:00:00Z' }, // Duplicate
+          { sensor_id: 'SENSOR_001', value: 22, reading_type: 'temperature', timestamp: '2025-07-16T11:00:00Z' },
+          { sensor_id: 'SENSOR_001', value: 23, reading_type: 'temperature', timestamp: '2025-07-16T12:00:00Z' },
+          { sensor_id: 'SENSOR_001', value: 24, reading_type: 'temperature', timestamp: '2025-07-16T18:00:00Z' }, // Late
+          { sensor_id: 'SENSOR_002', value: 60, reading_type: 'humidity', timestamp: '2025-07-16T10:00:00Z' },
+          { sensor_id: 'SENSOR_002', value: 61, reading_type: 'humidity', timestamp: '2025-07-16T11:00:00Z' }
+        ],
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateQualityReport({});
+
+      expect(report.quality_metrics.duplicates).toBe(1);
+      expect(report.details.by_sensor.SENSOR_001.duplicates).toBe(1);
+      expect(report.details.by_sensor.SENSOR_001.timeliness).toBeCloseTo(2 / 3, 3);
+      expect(report.details.by_sensor.SENSOR_002.timeliness).toBe(1);
+      expect(report.details.by_reading_type.humidity.completeness).toBe(1);
+
+      const issueTypes = report.details.issues.map(issue => issue.type);
+      expect(issueTypes).toContain('duplicate');
+      expect(issueTypes).toContain('late_readings');
+      expect(report.metrics.some(m => m.sensor_id === 'SENSOR_001' && m.metric === 'duplicate_percentage')).toBe(true);
+    });
+
+    test('should only raise issues beyond the configured limits', async () => {
+      const data = [];
+      for (let i = 0; i < 10; i++) {
+        data.push({
+          sensor_id: 'SENSOR_001',
+          reading_type: 'temperature',
+          value: i === 0 ? null : i === 1 ? 80 : 20 + i,
+          timestamp: new Date(Date.UTC(2025, 6, 16, i)).toISOString()
+        });
+      }
+      mockDuckDBService.queryData.mockResolvedValueOnce({ success: true, data, source: 'duckdb' });
+
+      const report = await ReportsService.generateQualityReport({});
+
+      // 10% missing is under max_missing_percentage; 1 of 9 out of range is above max_anomaly_percentage
+      const issues = report.details.issues.filter(issue => issue.sensor_id === 'SENSOR_001');
+      expect(issues.map(issue => issue.type)).toEqual(['outlier']);
+      expect(issues[0].limit).toBe(report.limits.max_anomaly_percentage);
+      expect(report.recommendations[0].category).toBe('calibration');
+    });
+
     test('should provide quality recommendations', async () => {
       const report = await ReportsService.generateQualityReport({});
 
@@ -165,6 +254,20 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(mockDuckDBService.queryData).toHaveBeenCalled();
     });
 
+    test('should include the whole last day of a date-only range', async () => {
+      mockDuckDBService.queryData.mockImplementationOnce(queryStored(storedReadings));
+
+      const report = await ReportsService.generateAnalyticsReport({ startDate: '2025-07-16', endDate: '2025-07-17' });
+
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(expect.objectContaining({
+        startDate: '2025-07-16T00:00:00.000Z',
+        endDate: '2025-07-17T23:59:59.999Z'
+      }));
+      expect(report.statistics).toMatchObject({ count: 4, max: 26 });
+      expect(report.statistics.by_reading_type.temperature.count).toBe(4);
+      expect(report.metadata.period).toEqual({ start_date: '2025-07-16T00:00:00.000Z', end_date: '2025-07-17T23:59:59.999Z' });
+    });
+
     test('should calculate statistical measures', async () => {
       // Mock numerical data for statistics
       mockDuckDBService.queryData.mockResolvedValueOnce({
@@ -210,6 +313,71 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(report.trends.slope).toBeDefined();
     });
 
+    test('should fit a significant trend per reading type', async () => {
+      const readings = Array.from({ length: 12 }, (_, i) => ({
+        sensor_id: 'SENSOR_003',
+        reading_type: 'soil_moisture',
+        field: 'field_1',
+        value: 40 - i * 0.5 + (i % 2 === 0 ? 0.1 : -0.1),
+        timestamp: new Date(Date.UTC(2025, 6, 16 + i)).toISOString()
+      }));
+      mockDuckDBService.queryData.mockResolvedValueOnce({ success: true, data: readings, source: 'duckdb' });
+
+      const report = await ReportsService.generateAnalyticsReport({ reading_type: 'soil_moisture' });
+      const trend = report.trends.by_reading_type.soil_moisture;
+
+      expect(trend.direction).toBe('decreasing');
+      expect(trend.strength).toBe('strong');
+      expect(trend.slope).toBeCloseTo(-0.5, 1);
+      expect(trend.significant).toBe(true);
+      expect(trend.p_value).toBeLessThan(0.001);
+      expect(report.statistics.by_reading_type.soil_moisture.count).toBe(12);
+      expect(report.insights[0]).toMatchObject({ type: 'trend', reading_type: 'soil_moisture', impact: 'negative' });
+    });
+
+    test('should report a flat series as stable', async () => {
+      const readings = Array.from({ length: 10 }, (_, i) => ({
+        reading_type: 'temperature',
+        value: i % 2 === 0 ? 20 : 21,
+        timestamp: new Date(Date.UTC(2025, 6, 16, i)).toISOString()
+      }));
+      mockDuckDBService.queryData.mockResolvedValueOnce({ success: true, data: readings, source: 'duckdb' });
+
+      const report = await ReportsService.generateAnalyticsReport({});
+
+      expect(report.trends.direction).toBe('stable');
+      expect(report.trends.significant).toBe(false);
+      expect(report.insights.filter(insight => insight.type === 'trend')).toHaveLength(0);
+    });
+
+    test('should measure daily seasonality and correlate co-located reading types', async () => {
+      const readings = [];
+      for (let day = 0; day < 3; day++) {
+        for (let hour = 0; hour < 24; hour++) {
+          const timestamp = new Date(Date.UTC(2025, 6, 16 + day, hour)).toISOString();
+          const temperature = 25 + 6 * Math.sin(((hour - 9) / 24) * 2 * Math.PI);
+          readings.push(
+            { sensor_id: 'T1', reading_type: 'temperature', field: 'field_1', value: temperature, timestamp },
+            { sensor_id: 'H1', reading_type: 'humidity', field: 'field_1', value: 95 - 1.5 * temperature, timestamp },
+            { sensor_id: 'H2', reading_type: 'humidity', field: 'field_2', value: 60, timestamp }
+          );
+        }
+      }
+      mockDuckDBService.queryData.mockResolvedValueOnce({ success: true, data: readings, source: 'duckdb' });
+
+      const report = await ReportsService.generateAnalyticsReport({});
+      const cycle = report.seasonality.by_reading_type.temperature;
+
+      expect(cycle.strength).toBeGreaterThan(0.9);
+      expect(cycle.peak_hour).toBe(15);
+      expect(cycle.trough_hour).toBe(3);
+      expect(report.correlations.reading_types).toEqual(['humidity', 'temperature']);
+      expect(report.correlations.matrix.temperature.humidity).toBeCloseTo(-1, 3);
+      expect(report.correlations.pairs[0].samples).toBe(72);
+      expect(report.insights.map(insight => insight.type)).toEqual(expect.arrayContaining(['seasonality', 'correlation']));
+      expect(report.correlations.matrix).not.toHaveProperty('pressure');
+    });
+
     test('should generate insights from data patterns', async () => {
       const report = await ReportsService.generateAnalyticsReport({});
 
@@ -246,6 +414,25 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(mockDuckDBService.getStats).toHaveBeenCalled();
     });
 
+    test('should include the whole last day of a date-only range and of the previous period', async () => {
+      mockDuckDBService.queryData
+        .mockImplementationOnce(queryStored(storedReadings))
+        .mockImplementationOnce(queryStored(storedReadings));
+
+      const report = await ReportsService.generateSummaryReport({ startDate: '2025-07-17', endDate: '2025-07-17' });
+
+      expect(mockDuckDBService.queryData).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        startDate: '2025-07-17T00:00:00.000Z',
+        endDate: '2025-07-17T23:59:59.999Z'
+      }));
+      expect(report.overview.data_points).toBe(2);
+      expect(report.comparison.previous_period).toEqual({
+        start: '2025-07-16T00:00:00.000Z',
+        end: '2025-07-16T23:59:59.999Z'
+      });
+      expect(report.comparison.data_points).toMatchObject({ current: 2, previous: 2 });
+    });
+
     test('should include sensor overview', async () => {
       const report = await ReportsService.generateSummaryReport({});
 
@@ -256,6 +443,72 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(report.sensor_summary.by_field).toBeDefined();
     });
 
+    test('should mark sensors inactive from their last reading and count them by type and field', async () => {
+      mockDuckDBService.getSensorInventory.mockResolvedValueOnce({
+        success: true,
+        data: [
+          { sensor_id: 'T1', reading_types: ['temperature'], fields: ['north'], total_readings: 10, first_seen: '2025-07-10T00:00:00.000Z', last_seen: '2025-07-16T20:00:00.000Z' },
+          { sensor_id: 'T2', reading_types: ['temperature'], fields: ['south'], total_readings: 10, first_seen: '2025-07-10T00:00:00.000Z', last_seen: '2025-07-14T08:00:00.000Z' },
+          { sensor_id: 'H1', reading_types: ['humidity'], fields: ['north'], total_readings: 10, first_seen: '2025-07-10T00:00:00.000Z', last_seen: '2025-07-20T00:00:00.000Z' }
+        ],
+        source: 'duckdb'
+      });
+      mockDuckDBService.queryData
+        .mockResolvedValueOnce({
+          success: true,
+          data: [
+            { sensor_id: 'T1', reading_type: 'temperature', field: 'north', value: 24, timestamp: '2025-07-16T20:00:00Z', is_anomalous: false },
+            { sensor_id: 'T1', reading_type: 'temperature', field: 'north', value: 26, timestamp: '2025-07-16T10:00:00Z', is_anomalous: true },
+            { sensor_id: 'H1', reading_type: 'humidity', field: 'north', value: 60, timestamp: '2025-07-16T12:00:00Z', is_anomalous: false }
+          ],
+          source: 'duckdb'
+        })
+        .mockResolvedValueOnce({
+          success: true,
+          data: [
+            { sensor_id: 'T1', reading_type: 'temperature', field: 'north', value: 20, timestamp: '2025-07-15T10:00:00Z' },
+            { sensor_id: 'T2', reading_type: 'temperature', field: 'south', value: 22, timestamp: '2025-07-15T10:00:00Z' }
+          ],
+          source: 'duckdb'
+        });
+
+      const report = await ReportsService.generateSummaryReport({ startDate: '2025-07-16', endDate: '2025-07-16' });
+
+      expect(mockDuckDBService.queryData).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        startDate: '2025-07-15T00:00:00.000Z',
+        endDate: '2025-07-15T23:59:59.999Z'
+      }));
+
+      // H1 reported after the period ends, so its last reading within the period counts
+      expect(report.sensor_summary).toMatchObject({
+        total_sensors: 3,
+        active_sensors: 2,
+        inactive_sensors: 1,
+        reporting_sensors: 2,
+        as_of: '2025-07-16T23:59:59.999Z'
+      });
+      expect(report.sensor_summary.inactive).toEqual([{ sensor_id: 'T2', last_seen: '2025-07-14T08:00:00.000Z', hours_since_last_seen: 64 }]);
+      expect(report.sensor_summary.by_type.temperature).toEqual({ total: 2, active: 1, inactive: 1 });
+      expect(report.sensor_summary.by_field.north).toEqual({ total: 2, active: 2, inactive: 0 });
+
+      expect(report.overview.total_records).toBe(150);
+      expect(report.key_metrics.by_reading_type.temperature).toEqual({ count: 2, avg: 25, min: 24, max: 26 });
+      expect(report.key_metrics.anomalous_readings).toBe(1);
+      expect(report.data_summary.all_time_by_type).toEqual({ temperature: 75, humidity: 50, soil_moisture: 25 });
+
+      expect(report.comparison.data_points).toEqual({ current: 3, previous: 2, change: 1, change_percentage: 50 });
+      expect(report.comparison.by_reading_type.temperature.avg).toEqual({ current: 25, previous: 21, change: 4, change_percentage: 19 });
+      expect(report.comparison.by_reading_type.humidity.count.previous).toBe(0);
+      expect(report.alerts.map(alert => alert.type)).toContain('inactive_sensors');
+    });
+
+    test('should skip the comparison for periods without a start', async () => {
+      const report = await ReportsService.generateSummaryReport({});
+
+      expect(report.comparison).toBeNull();
+      expect(mockDuckDBService.queryData).toHaveBeenCalledTimes(1);
+    });
+
     test('should generate system alerts', async () => {
       // Mock data that should generate alerts
       mockDuckDBService.queryData.mockResolvedValueOnce({
@@ -283,26 +536,130 @@ describe('ReportsService with DuckDB Integration', () => {
   });
 
   describe('Custom Reports', () => {
-    test('should generate custom report with user-defined parameters', async () => {
-      const customParams = {
-        report_type: 'custom_sensor_analysis',
-        sensors: ['SENSOR_001', 'SENSOR_002'],
-        metrics: ['average', 'maximum', 'trend'],
-        groupBy: 'daily',
-        filters: {
-          reading_type: 'temperature',
-          startDate: '2025-07-16T00:00:00Z',
-          endDate: '2025-07-16T23:59:59Z'
-        }
-      };
+    const ActualDuckDBService = jest.requireActual('../src/services/duckDBService');
+    const definition = {
+      title: 'Daily field conditions',
+      filters: { field: 'field_1', startDate: '2025-07-16', endDate: '2025-07-17' },
+      metrics: [
+        { aggregate: 'avg', reading_type: 'temperature' },
+        { aggregate: 'max', reading_type: 'temperature' },
+        { aggregate: 'percentile', percentile: 90, reading_type: 'humidity', as: 'humidity_p90' }
+      ],
+      groupBy: ['sensor'],
+      bucket: { interval: '1d', timezone: 'UTC' },
+      sections: [{ type: 'table' }, { type: 'summary' }, { type: 'anomalies', limit: 10 }]
+    };
+    const originalDefinitionsDir = config.paths.reportDefinitions;
+    let definitionsDir;
+
+    beforeEach(async () => {
+      // The automock empties the exported arrays and stubs static helpers
+      DuckDBService.AGGREGATE_FUNCTIONS = ActualDuckDBService.AGGREGATE_FUNCTIONS;
+      DuckDBService.AGGREGATION_GROUPS = ActualDuckDBService.AGGREGATION_GROUPS;
+      DuckDBService.percentileColumn.mockImplementation(ActualDuckDBService.percentileColumn);
+
+      definitionsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'report-definitions-'));
+      config.paths.reportDefinitions = definitionsDir;
+
+      mockDuckDBService.aggregateReadings = jest.fn(async options => {
+        const rows = {
+          temperature: options.interval
+            ? [
+                { bucket: '2025-07-17T00:00:00.000Z', sensor_id: 'SENSOR_001', avg: 26, max: 27 },
+                { bucket: '2025-07-16T00:00:00.000Z', sensor_id: 'SENSOR_001', avg: 25, max: 26 }
+              ]
+            : [{ avg: 25.5, max: 27 }],
+          humidity: options.interval
+            ? [{ bucket: '2025-07-16T00:00:00.000Z', sensor_id: 'SENSOR_002', p90: 70 }]
+            : [{ p90: 70 }]
+        };
+        return { success: true, data: rows[options.reading_type], source: 'duckdb' };
+      });
+    });
 
-      const report = await ReportsService.generateCustomReport(customParams);
+    afterEach(async () => {
+      config.paths.reportDefinitions = originalDefinitionsDir;
+      await fs.rm(definitionsDir, { recursive: true, force: true });
+    });
 
-      expect(report).toBeDefined();
-      expect(report.metadata).toBeDefined();
-      expect(report.metadata.report_type).toBe('custom_sensor_analysis');
-      expect(report.results).toBeDefined();
-      expect(report.parameters).toEqual(customParams);
+    test('should compile the definition into one query per reading type and merge the rows', async () => {
+      const report = await ReportsService.generateCustomReport(definition);
+
+      expect(mockDuckDBService.aggregateReadings).toHaveBeenCalledWith(expect.objectContaining({
+        reading_type: 'temperature',
+        field: 'field_1',
+        interval: '1d',
+        groupBy: ['sensor'],
+        functions: ['avg', 'max']
+      }));
+      expect(mockDuckDBService.aggregateReadings).toHaveBeenCalledWith(expect.objectContaining({
+        reading_type: 'humidity',
+        functions: ['percentile'],
+        percentiles: [90]
+      }));
+
+      expect(report.metadata.report_type).toBe('custom');
+      expect(report.parameters).toEqual(definition);
+
+      const [table, summary, anomalies] = report.results;
+      expect(table.columns).toEqual(['bucket', 'sensor_id', 'avg_temperature', 'max_temperature', 'humidity_p90']);
+      expect(table.rows).toEqual([
+        { bucket: '2025-07-16T00:00:00.000Z', sensor_id: 'SENSOR_001', avg_temperature: 25, max_temperature: 26, humidity_p90: null },
+        { bucket: '2025-07-16T00:00:00.000Z', sensor_id: 'SENSOR_002', avg_temperature: null, max_temperature: null, humidity_p90: 70 },
+        { bucket: '2025-07-17T00:00:00.000Z', sensor_id: 'SENSOR_001', avg_temperature: 26, max_temperature: 27, humidity_p90: null }
+      ]);
+
+      // The summary covers the whole period without buckets or grouping
+      expect(mockDuckDBService.aggregateReadings).toHaveBeenCalledWith(expect.objectContaining({
+        reading_type: 'temperature',
+        interval: undefined,
+        groupBy: []
+      }));
+      expect(summary.values).toEqual({ avg_temperature: 25.5, max_temperature: 27, humidity_p90: 70 });
+
+      // A date-only endDate covers that whole day in every section
+      expect(mockDuckDBService.aggregateReadings.mock.calls.map(([options]) => [options.startDate, options.endDate]))
+        .toEqual(Array(4).fill(['2025-07-16T00:00:00.000Z', '2025-07-17T23:59:59.999Z']));
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(expect.objectContaining({
+        field: 'field_1',
+        startDate: '2025-07-16T00:00:00.000Z',
+        endDate: '2025-07-17T23:59:59.999Z',
+        anomalous: true,
+        limit: 10
+      }));
+      expect(report.filters).toEqual(definition.filters);
+      expect(anomalies.readings).toHaveLength(3);
+    });
+
+    test('should save a definition by name and run it again over another range', async () => {
+      const saved = { ...definition, name: 'daily_conditions', filters: { date_range: { strategy: 'yesterday' } }, save: true };
+
+      const report = await ReportsService.generateCustomReport(saved, { now: new Date('2025-07-18T12:00:00Z') });
+
+      expect(report.filters).toEqual({ startDate: '2025-07-17', endDate: '2025-07-17' });
+      const stored = await CustomReportService.getDefinition('daily_conditions');
+      expect(stored).toMatchObject({ name: 'daily_conditions', filters: { date_range: { strategy: 'yesterday' } } });
+      expect(stored.save).toBeUndefined();
+
+      mockDuckDBService.aggregateReadings.mockClear();
+      const rerun = await ReportsService.runSavedReport('daily_conditions', { startDate: '2025-07-01', endDate: '2025-07-07' });
+
+      expect(rerun.metadata.name).toBe('daily_conditions');
+      expect(rerun.filters).toEqual({ startDate: '2025-07-01', endDate: '2025-07-07' });
+      expect(mockDuckDBService.aggregateReadings).toHaveBeenCalledWith(expect.objectContaining({
+        startDate: '2025-07-01T00:00:00.000Z',
+        endDate: '2025-07-07T23:59:59.999Z'
+      }));
+
+      await expect(ReportsService.runSavedReport('missing')).resolves.toBeNull();
+    });
+
+    test('should reject metrics whose reading type conflicts with the filters', async () => {
+      await expect(ReportsService.generateCustomReport({
+        filters: { reading_type: 'humidity' },
+        metrics: [{ aggregate: 'avg', reading_type: 'temperature' }]
+      })).rejects.toMatchObject({ name: 'ValidationError' });
+      expect(mockDuckDBService.aggregateReadings).not.toHaveBeenCalled();
     });
 
     test('should handle invalid custom report parameters', async () => {
@@ -317,6 +674,204 @@ describe('ReportsService with DuckDB Integration', () => {
     });
   });
 
+  describe('Processing Reports', () => {
+    const makeRun = (id, startedAt, status, seconds, stored) => ({
+      run_id: id,
+      status,
+      started_at: startedAt,
+      duration_seconds: seconds,
+      stages: {
+        ingestion: { status: 'completed', duration_seconds: seconds / 2, records_in: stored + 5, records_out: stored, rejected: 5, errors: 0, files_processed: 1 },
+        storage: { status: 'completed', duration_seconds: seconds / 2, records_in: stored, records_out: stored, rejected: 0, errors: 0 }
+      },
+      totals: { records_in: stored + 5, records_out: stored, rejected: 5, errors: 0 }
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should aggregate statistics from recorded pipeline runs', async () => {
+      const listRuns = jest.spyOn(PipelineRunService, 'listRuns').mockResolvedValue([
+        makeRun('run_2', '2025-07-17T10:00:00.000Z', 'completed', 20, 2000),
+        makeRun('run_1', '2025-07-16T10:00:00.000Z', 'completed', 10, 1000)
+      ]);
+
+      const report = await ReportsService.generateProcessingReport({ startDate: '2025-07-16', endDate: '2025-07-17' });
+
+      expect(listRuns).toHaveBeenCalledWith(expect.objectContaining({ startDate: '2025-07-16', endDate: '2025-07-17' }));
+      expect(report.statistics).toMatchObject({
+        total_runs: 2,
+        completed_runs: 2,
+        files_processed: 2,
+        records_ingested: 3000,
+        records_stored: 3000,
+        records_rejected: 10,
+        processing_time_seconds: 30,
+        average_records_per_second: 100
+      });
+      expect(report.stages.ingestion.average_duration_seconds).toBe(7.5);
+      expect(report.trends.map(t => t.run_id)).toEqual(['run_1', 'run_2']);
+      expect(report.last_run.run_id).toBe('run_2');
+    });
+
+    test('should return empty statistics when no runs are recorded', async () => {
+      jest.spyOn(PipelineRunService, 'listRuns').mockResolvedValue([]);
+
+      const report = await ReportsService.generateProcessingReport({});
+
+      expect(report.statistics.total_runs).toBe(0);
+      expect(report.statistics.average_records_per_second).toBe(0);
+      expect(report.trends).toEqual([]);
+      expect(report.last_run).toBeNull();
+    });
+  });
+
+  describe('Coverage Reports', () => {
+    const hourly = (sensorId, readingType, hours) => hours.map(h => ({
+      sensor_id: sensorId,
+      reading_type: readingType,
+      value: 20 + h,
+      timestamp: new Date(Date.UTC(2025, 6, 16, h)).toISOString()
+    }));
+
+    test('should compute expected vs actual readings from the sampling interval', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: hourly('SENSOR_001', 'temperature', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9]),
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateCoverageReport({});
+      const series = report.coverage_analysis[0];
+
+      expect(report.coverage_analysis).toHaveLength(1);
+      expect(series.sampling_interval_minutes).toBe(60);
+      expect(series.expected_readings).toBe(10);
+      expect(series.actual_readings).toBe(10);
+      expect(series.coverage_percentage).toBe(100);
+      expect(series.gaps).toHaveLength(0);
+    });
+
+    test('should report gaps longer than the threshold', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: [
+          ...hourly('SENSOR_001', 'temperature', [0, 1, 2, 3, 8, 9, 10]),
+          ...hourly('SENSOR_002', 'humidity', [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+        ],
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateCoverageReport({ gapThresholdMinutes: 90 });
+      const sensor1 = report.coverage_analysis.find(s => s.sensor_id === 'SENSOR_001');
+
+      expect(sensor1.expected_readings).toBe(11);
+      expect(sensor1.actual_readings).toBe(7);
+      expect(sensor1.gaps).toEqual([{
+        start: '2025-07-16T03:00:00.000Z',
+        end: '2025-07-16T08:00:00.000Z',
+        duration_hours: 5,
+        missing_readings: 4
+      }]);
+      expect(report.summary.total_gaps).toBe(1);
+      expect(report.summary.longest_gap_hours).toBe(5);
+      expect(report.summary.sensors_with_gaps).toBe(1);
+      expect(report.parameters.gap_threshold_minutes).toBe(90);
+    });
+
+    test('should honour date and sensor filters', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: hourly('SENSOR_001', 'temperature', [12, 13, 14]),
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateCoverageReport({
+        sensor_id: 'SENSOR_001',
+        startDate: '2025-07-16',
+        endDate: '2025-07-16'
+      });
+
+      expect(mockDuckDBService.queryData).toHaveBeenCalledWith(expect.objectContaining({
+        sensor_id: 'SENSOR_001',
+        startDate: '2025-07-16T00:00:00.000Z',
+        endDate: '2025-07-16T23:59:59.999Z'
+      }));
+
+      const series = report.coverage_analysis[0];
+      expect(series.expected_readings).toBe(24);
+      expect(series.gaps.map(g => g.start)).toEqual([
+        '2025-07-16T00:00:00.000Z',
+        '2025-07-16T14:00:00.000Z'
+      ]);
+    });
+  });
+
+  describe('Anomaly Reports', () => {
+    const series = (values, readingType = 'temperature') => values.map((value, h) => ({
+      sensor_id: 'SENSOR_001',
+      reading_type: readingType,
+      value,
+      timestamp: new Date(Date.UTC(2025, 6, 16, h)).toISOString()
+    }));
+
+    test('should flag range violations against anomaly_thresholds', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: series([20, 21, 65]),
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateAnomalyReport({});
+
+      expect(report.anomaly_analysis.total_anomalies).toBe(1);
+      expect(report.anomaly_analysis.anomalies_by_type.range_violations).toBe(1);
+      expect(report.top_anomalies[0]).toMatchObject({
+        sensor_id: 'SENSOR_001',
+        type: 'range_violation',
+        value: 65,
+        expected_range: { min: -10, max: 50 }
+      });
+      expect(report.top_anomalies[0].record).toBeUndefined();
+    });
+
+    test('should detect rolling z-score outliers and sudden jumps with severity', async () => {
+      const values = [20, 20.5, 19.8, 20.2, 20.1, 19.9, 20.3, 20, 35, 20.1];
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: series(values),
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateAnomalyReport({ threshold: 5 });
+      const outlier = report.top_anomalies.find(a => a.type === 'statistical_outlier');
+
+      expect(outlier.value).toBe(35);
+      expect(outlier.zscore).toBeGreaterThan(3);
+      expect(outlier.severity).toBe('high');
+      expect(report.anomaly_analysis.anomalies_by_type.temporal_anomalies).toBeGreaterThan(0);
+      expect(report.anomaly_analysis.anomaly_percentage).toBeGreaterThan(5);
+      expect(report.anomaly_analysis.exceeds_threshold).toBe(true);
+      expect(report.anomaly_analysis.sensors_affected).toEqual(['SENSOR_001']);
+    });
+
+    test('should report no anomalies for steady data', async () => {
+      mockDuckDBService.queryData.mockResolvedValueOnce({
+        success: true,
+        data: series([20, 20.5, 19.8, 20.2, 20.1, 19.9, 20.3, 20]),
+        source: 'duckdb'
+      });
+
+      const report = await ReportsService.generateAnomalyReport({});
+
+      expect(report.anomaly_analysis.total_anomalies).toBe(0);
+      expect(report.top_anomalies).toHaveLength(0);
+      expect(report.parameters.z_threshold).toBe(3);
+      expect(report.parameters.rolling_window_days).toBe(7);
+    });
+  });
+
   describe('Report Storage and Retrieval', () => {
     test('should store generated reports', async () => {
       const report = await ReportsService.generateQualityReport({});
@@ -361,6 +916,119 @@ describe('ReportsService with DuckDB Integration', () => {
     });
   });
 
+  describe('Report Catalogue', () => {
+    const originalReportsDir = config.paths.reports;
+    const originalCatalogPath = config.paths.reportCatalog;
+    const originalRetention = config.reports.retention;
+    let reportsDir;
+
+    const saveReport = (reportId, generatedAt, catalog = {}) =>
+      ReportsService.saveReport(reportId, { report_id: reportId, generated_at: generatedAt }, catalog);
+
+    beforeEach(async () => {
+      reportsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'reports-'));
+      config.paths.reports = reportsDir;
+      config.paths.reportCatalog = path.join(reportsDir, 'catalog', 'index.json');
+      config.reports.retention = { max_count: 0, max_age_days: 0 };
+    });
+
+    afterEach(async () => {
+      config.paths.reports = originalReportsDir;
+      config.paths.reportCatalog = originalCatalogPath;
+      config.reports.retention = originalRetention;
+      await fs.rm(reportsDir, { recursive: true, force: true });
+    });
+
+    test('should record type, parameters, period, size and creator of generated reports', async () => {
+      const report = await ReportsService.generateQualityReport(
+        { startDate: '2025-07-16', endDate: '2025-07-17' },
+        { createdBy: 'agronomist' }
+      );
+
+      const { reports, total } = await ReportsService.listGeneratedReports();
+      expect(total).toBe(1);
+      expect(reports[0]).toMatchObject({
+        report_id: report.report_id,
+        type: 'quality',
+        title: 'Quality Report',
+        created_by: 'agronomist',
+        parameters: { startDate: '2025-07-16', endDate: '2025-07-17' },
+        period: { start: '2025-07-16', end: '2025-07-17' }
+      });
+      expect(reports[0].size_bytes).toBeGreaterThan(0);
+    });
+
+    test('should refuse to delete files outside the reports directory', async () => {
+      const outside = path.join(reportsDir, 'catalog', 'keep.json');
+      await fs.mkdir(path.dirname(outside), { recursive: true });
+      await fs.writeFile(outside, '{}');
+
+      await expect(ReportsService.deleteReport('catalog/keep')).rejects.toMatchObject({ name: 'ValidationError' });
+      await expect(fs.readFile(outside, 'utf8')).resolves.toBe('{}');
+    });
+
+    test('should filter by type, creator and date and paginate newest first', async () => {
+      await saveReport('quality_1', '2025-07-14T10:00:00.000Z', { createdBy: 'api' });
+      await saveReport('quality_2', '2025-07-15T10:00:00.000Z', { createdBy: 'api' });
+      await saveReport('quality_3', '2025-07-16T10:00:00.000Z', { createdBy: 'scheduler' });
+      await saveReport('summary_1', '2025-07-16T11:00:00.000Z', { createdBy: 'api' });
+
+      const page = await ReportsService.listGeneratedReports({ type: 'quality', page: 2, limit: 2 });
+      expect(page.total).toBe(3);
+      expect(page.reports.map(r => r.report_id)).toEqual(['quality_1']);
+
+      const byCreator = await ReportsService.listGeneratedReports({ created_by: 'api', startDate: '2025-07-15' });
+      expect(byCreator.reports.map(r => r.report_id)).toEqual(['summary_1', 'quality_2']);
+    });
+
+    test('should rebuild a missing catalogue from the report files', async () => {
+      await fs.writeFile(path.join(reportsDir, 'coverage_1.json'), JSON.stringify({
+        report_id: 'coverage_1',
+        generated_at: '2025-07-16T10:00:00.000Z',
+        filters: { startDate: '2025-07-01', endDate: '2025-07-15' }
+      }));
+
+      const { reports } = await ReportsService.listGeneratedReports();
+      expect(reports).toHaveLength(1);
+      expect(reports[0]).toMatchObject({ report_id: 'coverage_1', type: 'coverage', created_by: null, period: { start: '2025-07-01', end: '2025-07-15' } });
+    });
+
+    test('should keep the newest reports per type when saving', async () => {
+      config.reports.retention = { max_count: 2, max_age_days: 0, by_type: { summary: { max_count: 0 } } };
+
+      await saveReport('quality_1', '2025-07-14T10:00:00.000Z');
+      await saveReport('summary_1', '2025-07-14T10:00:00.000Z');
+      await saveReport('quality_2', '2025-07-15T10:00:00.000Z');
+      await saveReport('summary_2', '2025-07-15T10:00:00.000Z');
+      await saveReport('quality_3', '2025-07-16T10:00:00.000Z');
+      await saveReport('summary_3', '2025-07-16T10:00:00.000Z');
+
+      const ids = (await ReportsService.listReports()).map(r => r.report_id);
+      expect(ids).toEqual(['summary_3', 'quality_3', 'summary_2', 'quality_2', 'summary_1']);
+      await expect(fs.access(path.join(reportsDir, 'quality_1.json'))).rejects.toThrow();
+    });
+
+    test('should delete reports older than the maximum age', async () => {
+      await saveReport('quality_1', '2025-07-01T10:00:00.000Z');
+      await saveReport('quality_2', '2025-07-15T10:00:00.000Z');
+      config.reports.retention = { max_age_days: 7 };
+
+      const removed = await ReportCatalogService.enforceRetention(new Date('2025-07-16T00:00:00.000Z'));
+
+      expect(removed).toEqual(['quality_1']);
+      expect((await ReportsService.listReports()).map(r => r.report_id)).toEqual(['quality_2']);
+    });
+
+    test('should delete a report and its catalogue entry', async () => {
+      await saveReport('quality_1', '2025-07-16T10:00:00.000Z');
+
+      expect(await ReportsService.deleteReport('quality_1')).toBe(true);
+      expect(await ReportsService.listReports()).toEqual([]);
+      await expect(fs.access(path.join(reportsDir, 'quality_1.json'))).rejects.toThrow();
+      expect(await ReportsService.deleteReport('quality_1')).toBe(false);
+    });
+  });
+
   describe('Report Export', () => {
     test('should export report as JSON', async () => {
       const report = await ReportsService.generateQualityReport({});
@@ -383,6 +1051,60 @@ describe('ReportsService with DuckDB Integration', () => {
       expect(exported).toContain(','); // Should contain CSV delimiters
     });
 
+    test('should export analytics, summary and custom reports as CSV rows', async () => {
+      const analytics = await ReportsService.generateAnalyticsReport({});
+      const analyticsLines = (await ReportsService.convertReportToCSV(analytics)).split('\n');
+      expect(analyticsLines[0]).toMatch(/^reading_type,count,mean,/);
+      expect(analyticsLines.slice(1).map(line => line.split(',')[0])).toEqual(['temperature', 'humidity']);
+
+      const summary = await ReportsService.generateSummaryReport({});
+      const summaryLines = (await ReportsService.convertReportToCSV(summary)).split('\n');
+      expect(summaryLines[1]).toBe('temperature,2,25.75,25.5,26,,,,');
+
+      const custom = {
+        report_id: 'custom_1',
+        results: [{ type: 'table', columns: ['sensor_id', 'avg_temperature'], rows: [{ sensor_id: 'SENSOR, "A"', avg_temperature: 25.5 }] }]
+      };
+      expect(await ReportsService.convertReportToCSV(custom)).toBe('sensor_id,avg_temperature\n"SENSOR, ""A""",25.5');
+    });
+
+    test('should render a report as HTML with charts and tables', async () => {
+      const report = await ReportsService.generateQualityReport({});
+      const html = await ReportsService.exportReport(report.metadata.report_id, 'html');
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<svg');
+      expect(html).toContain('<table>');
+      expect(html).toContain(report.metadata.report_id);
+    });
+
+    test('should escape report values in HTML', async () => {
+      const custom = {
+        report_id: 'custom_1',
+        metadata: { report_type: 'custom', title: '<script>alert(1)</script>' },
+        results: [{ type: 'table', columns: ['sensor_id', 'avg_temperature'], rows: [{ sensor_id: '<b>A</b>', avg_temperature: 25.5 }] }]
+      };
+      const html = await ReportsService.convertReportToHTML(custom);
+
+      expect(html).not.toContain('<script>');
+      expect(html).toContain('&lt;b&gt;A&lt;/b&gt;');
+    });
+
+    test('should render a report as a paginated PDF', async () => {
+      const report = await ReportsService.generateQualityReport({});
+      const pdf = await ReportsService.exportReport(report.metadata.report_id, 'pdf');
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      const text = pdf.toString('latin1');
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text).toContain('Page 1 of');
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+
+      // startxref must point at the cross-reference table
+      const xref = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(xref, xref + 4)).toBe('xref');
+    });
+
     test('should handle unsupported export formats', async () => {
       const report = await ReportsService.generateQualityReport({});
       
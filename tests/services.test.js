@@ -1,5 +1,27 @@
 const IngestionService = require('../src/services/ingestion/ingestionService');
+const AnomalyDetectionService = require('../src/services/transformation/anomalyDetectionService');
+const CalibrationService = require('../src/services/transformation/calibrationService');
+const TransformationService = require('../src/services/transformation/transformationService');
+const DuckDBService = require('../src/services/duckDBService');
+const duckDBSingleton = require('../src/services/duckDBSingleton');
+const PipelineService = require('../src/services/pipelineService');
+const ValidationService = require('../src/services/validation/validationService');
+const CheckpointService = require('../src/services/ingestion/checkpointService');
+const MappingProfileService = require('../src/services/ingestion/mappingProfileService');
+const RawFileReader = require('../src/services/ingestion/rawFileReader');
+const PartitionStore = require('../src/services/storage/partitionStore');
+const CustomReportService = require('../src/services/customReportService');
+const FieldService = require('../src/services/fieldService');
+const MigrationService = require('../src/services/migrationService');
+const DateUtils = require('../src/utils/dateUtils');
+const GeoUtils = require('../src/utils/geoUtils');
+const FileUtils = require('../src/utils/fileUtils');
+const parquet = require('@dsnp/parquetjs');
 const config = require('../src/config/config');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
 
 describe('IngestionService', () => {
   let ingestionService;
@@ -44,6 +66,431 @@ describe('IngestionService', () => {
   });
 });
 
+describe('FileUtils.pathInside', () => {
+  test('should keep file names built from ids inside their directory', () => {
+    expect(FileUtils.pathInside('data/pipeline_runs', 'run_1.json')).toBe(path.join('data/pipeline_runs', 'run_1.json'));
+    expect(() => FileUtils.pathInside('data/pipeline_runs', '../../package.json', 'run_id'))
+      .toThrow(expect.objectContaining({ name: 'ValidationError', details: [expect.objectContaining({ field: 'run_id' })] }));
+    expect(() => FileUtils.pathInside('data/pipeline_runs', '/etc/passwd.json')).toThrow('Invalid id');
+  });
+});
+
+describe('Ingestion checkpoints', () => {
+  let ingestionService;
+  let tempDir;
+  let originalCheckpointFile;
+
+  const writeRaw = (name, records) => {
+    fs.writeFileSync(path.join(ingestionService.rawDataPath, name), JSON.stringify(records));
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-'));
+    fs.mkdirSync(path.join(tempDir, 'raw'));
+    originalCheckpointFile = config.ingestion.checkpoint_file;
+    config.ingestion.checkpoint_file = path.join(tempDir, 'checkpoints', 'ingestion_checkpoints.json');
+
+    ingestionService = new IngestionService(config);
+    ingestionService.rawDataPath = path.join(tempDir, 'raw');
+    writeRaw('batch_1.json', [{ sensor_id: 'SENSOR_001', timestamp: '2025-07-16T10:00:00Z', reading_type: 'temperature', value: 20 }]);
+  });
+
+  afterEach(() => {
+    config.ingestion.checkpoint_file = originalCheckpointFile;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should skip files already ingested on rerun', async () => {
+    const first = await ingestionService.ingestData({});
+    const second = await ingestionService.ingestData({});
+
+    expect(first).toMatchObject({ filesProcessed: 1, filesSkipped: 0, recordsProcessed: 1 });
+    expect(second).toMatchObject({ filesProcessed: 0, filesSkipped: 1, recordsProcessed: 0 });
+
+    const checkpoints = await CheckpointService.listCheckpoints();
+    expect(checkpoints).toHaveLength(1);
+    expect(checkpoints[0]).toMatchObject({ file_name: 'batch_1.json', records_processed: 1 });
+    expect(checkpoints[0].content_hash).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should pick up new files and files whose content changed', async () => {
+    await ingestionService.ingestData({});
+    writeRaw('batch_1.json', [
+      { sensor_id: 'SENSOR_001', timestamp: '2025-07-16T10:00:00Z', reading_type: 'temperature', value: 20 },
+      { sensor_id: 'SENSOR_001', timestamp: '2025-07-16T11:00:00Z', reading_type: 'temperature', value: 21 }
+    ]);
+    writeRaw('batch_2.json', [{ sensor_id: 'SENSOR_002', timestamp: '2025-07-16T10:00:00Z', reading_type: 'humidity', value: 60 }]);
+
+    const rerun = await ingestionService.ingestData({});
+
+    expect(rerun).toMatchObject({ filesProcessed: 2, filesSkipped: 0, recordsProcessed: 3 });
+  });
+
+  test('should not transform or insert checkpointed files again on a second pipeline run', async () => {
+    const db = new DuckDBService({ sqlitePath: path.join(tempDir, 'test.sqlite'), duckdbPath: path.join(tempDir, 'test.duckdb') });
+    await db.initialize();
+    const rawDir = ingestionService.rawDataPath;
+    const transformedDir = path.join(tempDir, 'transformed');
+    fs.mkdirSync(transformedDir);
+    const originalRunsPath = config.paths.pipelineRuns;
+    config.paths.pipelineRuns = path.join(tempDir, 'runs');
+
+    jest.spyOn(duckDBSingleton, 'getInstance').mockResolvedValue(db);
+    jest.spyOn(IngestionService.prototype, 'initStorage').mockImplementation(function () {
+      this.rawDataPath = rawDir;
+    });
+    jest.spyOn(TransformationService.prototype, 'initStorage').mockImplementation(async function () {
+      this.rawDataPath = rawDir;
+      this.transformedDataPath = transformedDir;
+      this.duckDBService = db;
+    });
+    const insertData = jest.spyOn(db, 'insertData');
+
+    try {
+      const pipeline = new PipelineService();
+      pipeline.runValidation = jest.fn().mockResolvedValue({ errors: 0 });
+      pipeline.runStorage = jest.fn().mockResolvedValue({ filesWritten: 0 });
+
+      const first = await pipeline.runFullPipeline({});
+      const second = await pipeline.runFullPipeline({});
+
+      expect(first.statistics).toMatchObject({ recordsProcessed: 1, filesProcessed: 1, filesSkipped: 0 });
+      expect(second.statistics).toMatchObject({ recordsProcessed: 0, filesProcessed: 0, filesSkipped: 1 });
+      expect(insertData).toHaveBeenCalledTimes(1);
+      expect((await db.queryData({})).data).toHaveLength(1);
+      expect((await CheckpointService.listCheckpoints())[0].transformed_at).toBeTruthy();
+    } finally {
+      jest.restoreAllMocks();
+      config.paths.pipelineRuns = originalRunsPath;
+      await db.close();
+    }
+  });
+
+  test('should bypass checkpoints with forceReprocess and after a reset', async () => {
+    await ingestionService.ingestData({});
+
+    expect(await ingestionService.ingestData({ forceReprocess: true })).toMatchObject({ filesProcessed: 1, filesSkipped: 0 });
+
+    expect(await CheckpointService.resetCheckpoints('batch_1.json')).toBe(1);
+    expect(await CheckpointService.listCheckpoints()).toHaveLength(0);
+    expect(await ingestionService.ingestData({})).toMatchObject({ filesProcessed: 1, filesSkipped: 0 });
+  });
+});
+
+describe('Parquet ingestion', () => {
+  const schema = new parquet.ParquetSchema({
+    sensor_id: { type: 'UTF8' },
+    timestamp: { type: 'UTF8' },
+    reading_type: { type: 'UTF8' },
+    value: { type: 'DOUBLE' },
+    battery_level: { type: 'INT64' }
+  });
+  let tempDir;
+  let parquetFile;
+  let ingestionService;
+  let db;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'parquet-ingestion-'));
+    fs.mkdirSync(path.join(tempDir, 'raw'));
+    parquetFile = path.join(tempDir, 'readings.parquet');
+
+    const writer = await parquet.ParquetWriter.openFile(schema, parquetFile);
+    for (let hour = 0; hour < 5; hour++) {
+      await writer.appendRow({
+        sensor_id: 'SENSOR_001',
+        timestamp: hour === 2 ? 'not-a-date' : new Date(Date.UTC(2025, 6, 16, hour)).toISOString(),
+        reading_type: 'temperature',
+        value: 20 + hour,
+        battery_level: BigInt(90 - hour)
+      });
+    }
+    await writer.close();
+
+    ingestionService = new IngestionService({ ...config, processing: { batchSize: 2 } });
+    ingestionService.rawDataPath = path.join(tempDir, 'raw');
+    db = new DuckDBService({ sqlitePath: path.join(tempDir, 'test.sqlite'), duckdbPath: path.join(tempDir, 'test.duckdb') });
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should stage rows in batches instead of writing one file per record', async () => {
+    ingestionService.db = db;
+
+    const stats = await ingestionService.ingestParquetFile(parquetFile);
+
+    expect(stats).toMatchObject({ recordsProcessed: 4, recordsSkipped: 1, errors: 0, batches: 2, method: 'streamed_batches' });
+    expect(typeof stats.rowsPerSecond).toBe('number');
+    expect(stats.memory.peakHeapUsedMB).toBeGreaterThan(0);
+    expect(fs.readdirSync(ingestionService.rawDataPath)).toEqual([]);
+
+    const staged = await db.readStagedBatch(10);
+    expect(staged.map(row => row.record.value)).toEqual([20, 21, 23, 24]);
+    expect(staged[0]).toMatchObject({ source_file: 'readings.parquet', record: { battery_level: 90 } });
+  });
+
+  test('should write one JSON file per batch without a database', async () => {
+    ingestionService.db = null;
+
+    const stats = await ingestionService.ingestParquetFile(parquetFile);
+
+    expect(stats).toMatchObject({ recordsProcessed: 4, batches: 2, method: 'json_batches' });
+    expect(fs.readdirSync(ingestionService.rawDataPath)).toEqual([
+      'ingested_from_parquet_readings_00001.json',
+      'ingested_from_parquet_readings_00002.json'
+    ]);
+  });
+
+  test('should transform staged rows and clear them from staging', async () => {
+    ingestionService.db = db;
+    await ingestionService.ingestParquetFile(parquetFile);
+
+    jest.spyOn(TransformationService.prototype, 'initStorage').mockResolvedValue();
+    const transformation = new TransformationService({ ...config, processing: { batchSize: 3 } });
+    TransformationService.prototype.initStorage.mockRestore();
+    transformation.duckDBService = db;
+    transformation.rawDataPath = ingestionService.rawDataPath;
+    transformation.transformedDataPath = fs.mkdtempSync(path.join(tempDir, 'transformed-'));
+
+    const stats = await transformation.transformData();
+
+    expect(stats).toMatchObject({ recordsProcessed: 4, errors: 0, stagedBatches: 2 });
+    expect(await db.readStagedBatch(10)).toEqual([]);
+    expect((await db.queryData({})).data).toHaveLength(4);
+  });
+});
+
+describe('Raw text file ingestion', () => {
+  let tempDir;
+  let rawDir;
+  let originalProfilesPath;
+  let originalCheckpointFile;
+  let ingestionService;
+  let db;
+
+  beforeEach(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'text-ingestion-'));
+    rawDir = path.join(tempDir, 'raw');
+    fs.mkdirSync(rawDir);
+    originalProfilesPath = config.paths.mappingProfiles;
+    config.paths.mappingProfiles = path.join(tempDir, 'profiles');
+    originalCheckpointFile = config.ingestion.checkpoint_file;
+    config.ingestion.checkpoint_file = path.join(tempDir, 'checkpoints', 'ingestion_checkpoints.json');
+
+    ingestionService = new IngestionService({ ...config, processing: { batchSize: 2 } });
+    ingestionService.rawDataPath = rawDir;
+    db = new DuckDBService({ sqlitePath: path.join(tempDir, 'test.sqlite'), duckdbPath: path.join(tempDir, 'test.duckdb') });
+    await db.initialize();
+    ingestionService.db = db;
+  });
+
+  afterEach(async () => {
+    config.paths.mappingProfiles = originalProfilesPath;
+    config.ingestion.checkpoint_file = originalCheckpointFile;
+    await db.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const stagedRecords = async () => (await db.readStagedBatch(100)).map(row => row.record);
+
+  test('should recognise supported raw file types', () => {
+    expect(RawFileReader.describe('logger.CSV')).toEqual({ format: 'csv', gzip: false });
+    expect(RawFileReader.describe('logger.ndjson.gz')).toEqual({ format: 'jsonl', gzip: true });
+    expect(RawFileReader.describe('logger.parquet.gz')).toBeNull();
+    expect(RawFileReader.isSupported('logger.xlsx')).toBe(false);
+  });
+
+  test('should map CSV columns, units and timestamp format through the matching profile', async () => {
+    await MappingProfileService.createProfile({
+      profile_id: 'field_logger',
+      file_patterns: ['field_logger_*.csv'],
+      columns: { sensor_id: 'Logger', timestamp: 'Time', value: 'Reading', field: 'Plot' },
+      defaults: { reading_type: 'soil_moisture' },
+      units: { soil_moisture: '%' },
+      timestamp_format: 'DD/MM/YYYY HH:mm',
+      timezone: 'Asia/Kolkata'
+    });
+    const filePath = path.join(rawDir, 'field_logger_0716.csv');
+    fs.writeFileSync(filePath, [
+      'Logger, Time, Reading, Plot',
+      'L-7,16/07/2025 10:30,31.5,Field-A',
+      'L-7,16/07/2025 11:30,n/a,Field-A',
+      'L-7,not a time,32.0,Field-A'
+    ].join('\n'));
+
+    const stats = await ingestionService.ingestTextFile(filePath);
+
+    expect(stats).toMatchObject({ recordsProcessed: 1, recordsSkipped: 2, errors: 0, format: 'csv', profile: 'field_logger' });
+    expect(await stagedRecords()).toEqual([{
+      sensor_id: 'L-7',
+      timestamp: '2025-07-16T05:00:00.000Z',
+      reading_type: 'soil_moisture',
+      value: 31.5,
+      unit: '%',
+      location: { field: 'Field-A', latitude: null, longitude: null }
+    }]);
+  });
+
+  test('should unpivot a gzipped wide TSV into one reading per non-empty cell', async () => {
+    await MappingProfileService.createProfile({
+      profile_id: 'weather_station',
+      file_patterns: ['station_*.tsv.gz'],
+      columns: { timestamp: 'ts' },
+      defaults: { sensor_id: 'WS-1' },
+      units: { temperature: '°C', humidity: '%' },
+      timestamp_format: 'unix',
+      wide: { 'Temp (C)': 'temperature', RH: 'humidity' }
+    });
+    const filePath = path.join(rawDir, 'station_01.tsv.gz');
+    fs.writeFileSync(filePath, zlib.gzipSync('ts\tTemp (C)\tRH\n1752660000\t24.5\t61\n1752663600\t25.1\t\n'));
+
+    await ingestionService.ingestData({});
+
+    const records = await stagedRecords();
+    expect(records.map(r => [r.timestamp, r.reading_type, r.value, r.unit])).toEqual([
+      ['2025-07-16T10:00:00.000Z', 'temperature', 24.5, '°C'],
+      ['2025-07-16T10:00:00.000Z', 'humidity', 61, '%'],
+      ['2025-07-16T11:00:00.000Z', 'temperature', 25.1, '°C']
+    ]);
+    expect(records.every(r => r.sensor_id === 'WS-1')).toBe(true);
+  });
+
+  test('should take JSON Lines rows as readings without a profile and count bad lines as errors', async () => {
+    const filePath = path.join(rawDir, 'export.jsonl');
+    fs.writeFileSync(filePath, [
+      JSON.stringify({ sensor_id: 'S1', timestamp: '2025-07-16T00:00:00Z', reading_type: 'humidity', value: 55 }),
+      '{"sensor_id": "S1", ',
+      '',
+      JSON.stringify({ sensor_id: 'S1', timestamp: '2025-07-16T01:00:00Z', reading_type: 'humidity', value: 56 }),
+      JSON.stringify({ sensor_id: 'S1', timestamp: '2025-07-16T02:00:00Z', reading_type: 'humidity', value: 57 })
+    ].join('\n'));
+
+    const stats = await ingestionService.ingestTextFile(filePath);
+
+    expect(stats).toMatchObject({ recordsProcessed: 3, errors: 1, batches: 2, format: 'jsonl', profile: null });
+    expect((await stagedRecords()).map(r => r.value)).toEqual([55, 56, 57]);
+  });
+
+  test('should reject a profile that cannot produce readings', async () => {
+    await expect(MappingProfileService.createProfile({
+      profile_id: 'incomplete',
+      file_patterns: ['*.csv'],
+      columns: { timestamp: 'Time', value: 'Reading' },
+      defaults: { reading_type: 'temperature' }
+    })).rejects.toMatchObject({ name: 'ValidationError', details: [{ field: 'columns.sensor_id' }] });
+  });
+});
+
+describe('PartitionStore', () => {
+  let processedDir;
+  let originalProcessedPath;
+
+  const reading = (sensorId, timestamp, value) => ({
+    sensor_id: sensorId,
+    timestamp,
+    reading_type: 'temperature',
+    value,
+    calibrated_value: value,
+    location: { field: 'Field-A', latitude: 28.6, longitude: 77.2 }
+  });
+
+  beforeEach(() => {
+    processedDir = fs.mkdtempSync(path.join(os.tmpdir(), 'processed-'));
+    originalProcessedPath = config.paths.processedData;
+    config.paths.processedData = processedDir;
+  });
+
+  afterEach(() => {
+    config.paths.processedData = originalProcessedPath;
+    fs.rmSync(processedDir, { recursive: true, force: true });
+  });
+
+  test('should write one snappy-compressed Parquet file per date partition', async () => {
+    const result = await PartitionStore.writePartitions([
+      reading('SENSOR_001', '2025-07-16T10:00:00Z', 20),
+      reading('SENSOR_001', '2025-07-16T23:30:00Z', 21),
+      reading('SENSOR_001', '2025-07-17T01:00:00Z', 22),
+      { sensor_id: 'SENSOR_002', timestamp: 'not-a-date', value: 1 }
+    ]);
+
+    expect(result.partitions.map(p => [p.partition, p.records])).toEqual([['date=2025-07-16', 2], ['date=2025-07-17', 1]]);
+    expect(result.skipped).toBe(1);
+
+    const file = path.join(processedDir, 'date=2025-07-16', PartitionStore.PARTITION_FILE);
+    const reader = await parquet.ParquetReader.openFile(file);
+    const codec = reader.metadata.row_groups[0].columns[0].meta_data.codec;
+    await reader.close();
+    expect(codec).toBe(1); // SNAPPY in the Parquet thrift CompressionCodec enum
+  });
+
+  test('should overwrite only the partitions a rerun touches', async () => {
+    await PartitionStore.writePartitions([
+      reading('SENSOR_001', '2025-07-16T10:00:00Z', 20),
+      reading('SENSOR_001', '2025-07-17T10:00:00Z', 22)
+    ]);
+    await PartitionStore.writePartitions([
+      reading('SENSOR_001', '2025-07-17T10:00:00Z', 30),
+      reading('SENSOR_001', '2025-07-17T11:00:00Z', 31)
+    ]);
+
+    const records = await PartitionStore.readPartitions();
+
+    expect(records.map(r => [r.timestamp, r.value])).toEqual([
+      ['2025-07-17T11:00:00.000Z', 31],
+      ['2025-07-17T10:00:00.000Z', 30],
+      ['2025-07-16T10:00:00.000Z', 20]
+    ]);
+    expect(records[0].field).toBe('Field-A');
+  });
+
+  test('should merge records of the same date from separate batches into one partition', async () => {
+    async function * batches() {
+      yield [reading('SENSOR_001', '2025-07-16T12:00:00Z', 21), reading('SENSOR_001', '2025-07-17T10:00:00Z', 22)];
+      yield [reading('SENSOR_002', '2025-07-16T09:00:00Z', 20)];
+    }
+
+    const result = await PartitionStore.writePartitionBatches(batches());
+    const records = await PartitionStore.readPartitions({ startDate: '2025-07-16', endDate: '2025-07-16' });
+
+    expect(result.partitions.map(p => [p.partition, p.records])).toEqual([['date=2025-07-16', 2], ['date=2025-07-17', 1]]);
+    expect(records.map(r => [r.sensor_id, r.value])).toEqual([['SENSOR_001', 21], ['SENSOR_002', 20]]);
+  });
+
+  test('should prune partitions outside the date range when reading', async () => {
+    await PartitionStore.writePartitions([
+      reading('SENSOR_001', '2025-07-15T10:00:00Z', 19),
+      reading('SENSOR_001', '2025-07-16T10:00:00Z', 20),
+      reading('SENSOR_002', '2025-07-16T12:00:00Z', 25),
+      reading('SENSOR_001', '2025-07-17T10:00:00Z', 22)
+    ]);
+
+    const partitions = await PartitionStore.findPartitions({ startDate: '2025-07-16', endDate: '2025-07-16' });
+    const records = await PartitionStore.readPartitions({ startDate: '2025-07-16', endDate: '2025-07-16', sensor_id: 'SENSOR_001' });
+
+    expect(partitions.map(p => p.partition)).toEqual(['date=2025-07-16']);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ sensor_id: 'SENSOR_001', value: 20, calibrated_value: 20 });
+  });
+
+  test('should round-trip anomaly columns and filter on them', async () => {
+    await PartitionStore.writePartitions([
+      { ...reading('SENSOR_001', '2025-07-16T10:00:00Z', 95), is_anomalous: true, anomaly_type: 'range_violation', anomaly_score: 4.2, anomaly_reason: '95 outside configured range -10 to 60' },
+      { ...reading('SENSOR_001', '2025-07-16T11:00:00Z', 21), is_anomalous: false, anomaly_type: null }
+    ]);
+
+    const anomalous = await PartitionStore.readPartitions({ anomalous: true });
+    const normal = await PartitionStore.readPartitions({ anomalous: false });
+
+    expect(anomalous).toHaveLength(1);
+    expect(anomalous[0]).toMatchObject({ value: 95, is_anomalous: true, anomaly_type: 'range_violation', anomaly_score: 4.2 });
+    expect(normal.map(r => r.value)).toEqual([21]);
+  });
+});
+
 describe('Data Validation', () => {
   test('should detect anomalous values', () => {
     const values = [20, 21, 22, 9999999, 23, 24]; // Even more extreme outlier
@@ -57,6 +504,23 @@ describe('Data Validation', () => {
     expect(anomalous.length).toBeGreaterThan(0);
   });
 
+  test('should count the records of the given transformation files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validation-'));
+    const file = path.join(dir, 'transformed_batch.json');
+    fs.writeFileSync(file, JSON.stringify([
+      { sensor_id: 'S1', timestamp: '2025-07-16T10:00:00Z', value: 20 },
+      { sensor_id: 'S1', timestamp: '2025-07-16T11:00:00Z', value: 21 },
+      { sensor_id: 'S1', timestamp: '2025-07-16T12:00:00Z', value: null }
+    ]));
+
+    try {
+      const result = await new ValidationService(config).validateData({ files: [file] });
+      expect(result).toMatchObject({ totalRecords: 3, validRecords: 2, invalidRecords: 1 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   test('should validate timestamp format', () => {
     const validTimestamp = '2023-06-01T12:00:00.000Z';
     const invalidTimestamp = '2023-13-01T25:00:00';
@@ -65,3 +529,691 @@ describe('Data Validation', () => {
     expect(new Date(invalidTimestamp).toString()).toBe('Invalid Date');
   });
 });
+
+
+describe('AnomalyDetectionService', () => {
+  const detector = new AnomalyDetectionService(config);
+  const reading = (day, value) => ({
+    sensor_id: 'SENSOR_001',
+    reading_type: 'humidity',
+    value,
+    timestamp: new Date(Date.UTC(2025, 6, day, 12)).toISOString()
+  });
+
+  test('should only compare against readings inside the rolling window', () => {
+    // Old readings at 80% fall outside a 7-day window ending on day 20
+    const records = [
+      ...[1, 2, 3, 4, 5].map(day => reading(day, 80)),
+      ...[14, 15, 16, 17, 18, 19].map((day, i) => reading(day, 40 + (i % 2))),
+      reading(20, 40.5)
+    ];
+
+    const findings = detector.detect(records);
+
+    expect(findings.filter(f => f.timestamp.startsWith('2025-07-20'))).toHaveLength(0);
+  });
+
+  test('should skip readings without numeric values', () => {
+    const findings = detector.detect([reading(1, null), reading(2, 'n/a'), reading(3, 150)]);
+
+    expect(findings).toHaveLength(1);
+    expect(findings[0].type).toBe('range_violation');
+    expect(findings[0].zscore).toBeNull();
+  });
+});
+
+describe('Anomaly flags', () => {
+  const reading = (hour, value) => ({
+    sensor_id: 'SENSOR_001',
+    reading_type: 'humidity',
+    value,
+    timestamp: new Date(Date.UTC(2025, 6, 1, hour)).toISOString()
+  });
+
+  test('should write anomaly columns during transformation', async () => {
+    jest.spyOn(TransformationService.prototype, 'initStorage').mockResolvedValue();
+    const service = new TransformationService(config);
+
+    const records = [0, 1, 2, 3, 4, 5].map(hour => reading(hour, 50 + (hour % 2)));
+    records.push(reading(6, 150));
+
+    const transformed = await service.performTransformations(records);
+
+    expect(transformed[0]).toMatchObject({ is_anomalous: false, anomaly_type: null, anomaly_score: null, anomaly_reason: null });
+    expect(transformed[6].is_anomalous).toBe(true);
+    expect(transformed[6].anomaly_type).toBe('range_violation');
+    expect(transformed[6].anomaly_score).toBeGreaterThan(3);
+    expect(transformed[6].anomaly_reason).toContain('outside configured range');
+    expect(transformed[6].anomaly_reason).toContain('z-score');
+
+    TransformationService.prototype.initStorage.mockRestore();
+  });
+
+  test('should seed the rolling window from stored readings across batches', async () => {
+    jest.spyOn(TransformationService.prototype, 'initStorage').mockResolvedValue();
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anomaly-history-'));
+    const db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+
+    try {
+      await db.initialize();
+      const service = new TransformationService(config);
+      service.duckDBService = db;
+
+      const records = [0, 1, 2, 3, 4, 5].map(hour => reading(hour, 50 + (hour % 2)));
+      records.push(reading(6, 80));
+      const [whole] = (await service.performTransformations(records)).slice(-1);
+
+      await db.insertData(await service.performTransformations(records.slice(0, 6)));
+      const [split] = await service.performTransformations(records.slice(6));
+
+      expect(split).toMatchObject({ is_anomalous: true, anomaly_type: 'statistical_outlier' });
+      expect(split.anomaly_score).toBe(whole.anomaly_score);
+      expect(split.anomaly_reason).toBe(whole.anomaly_reason);
+    } finally {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+      TransformationService.prototype.initStorage.mockRestore();
+    }
+  });
+
+  test('should store and filter anomaly columns in the database', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anomaly-db-'));
+    const db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+
+    try {
+      await db.initialize();
+
+      await db.insertData([
+        { ...reading(0, 150), is_anomalous: true, anomaly_type: 'range_violation', anomaly_score: null, anomaly_reason: '150 outside configured range 0 to 100' },
+        { ...reading(1, 50), is_anomalous: false }
+      ]);
+
+      const anomalous = await db.queryData({ anomalous: true });
+      expect(anomalous.data).toHaveLength(1);
+      expect(anomalous.data[0]).toMatchObject({ value: 150, is_anomalous: true, anomaly_type: 'range_violation' });
+
+      const normal = await db.queryData({ anomalous: false });
+      expect(normal.data.map(record => record.value)).toEqual([50]);
+
+      expect((await db.queryData({ anomaly_type: 'statistical_outlier' })).data).toHaveLength(0);
+    } finally {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Batched inserts', () => {
+  const reading = (sensorId, hour, extra = {}) => ({
+    sensor_id: sensorId,
+    reading_type: 'temperature',
+    value: 20 + hour,
+    timestamp: new Date(Date.UTC(2025, 6, 16, hour)).toISOString(),
+    ...extra
+  });
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'batched-insert-'));
+    db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should insert in batches and count repeated readings as duplicates', async () => {
+    const result = await db.insertData([
+      reading('S1', 0),
+      reading('S1', 1),
+      reading('S1', 0, { value: 99 }),
+      reading('S2', 0),
+      reading('S2', 1)
+    ], { batchSize: 2 });
+
+    expect(result).toMatchObject({ success: true, recordCount: 5, inserted: 4, failed: 0, duplicates: 1, batches: 2 });
+    // The default upsert mode keeps the last of the repeated readings
+    expect((await db.queryData({})).data.map(r => r.value).sort()).toEqual([20, 21, 21, 99]);
+  });
+
+  test('should roll back a failing batch and keep the others', async () => {
+    const result = await db.insertData([
+      reading('S1', 0),
+      reading('S1', 1),
+      reading('S1', 2),
+      reading('S1', 3, { unit: { invalid: true } })
+    ], { batchSize: 2 });
+
+    expect(result).toMatchObject({ success: false, inserted: 2, failed: 2, duplicates: 0, batches: 2 });
+    expect(result.errors).toEqual([expect.objectContaining({ batch: 2, records: 2 })]);
+    expect((await db.queryData({})).data.map(r => r.value).sort()).toEqual([20, 21]);
+  });
+
+  test('should store zero readings, battery, signal and quality as zero', async () => {
+    await db.insertData([reading('S1', 0, { value: 0, battery_level: 0, signal_strength: 0, quality_score: 0 })]);
+
+    const [stored] = (await db.queryData({})).data;
+    expect(stored).toMatchObject({ value: 0, battery_level: 0, signal_strength: 0, quality_score: 0 });
+  });
+
+  test('should keep reruns idempotent with the natural key', async () => {
+    await db.insertData([reading('S1', 0), reading('S1', 1)]);
+
+    const skipped = await db.insertData([reading('S1', 0, { value: 50 }), reading('S1', 2)], { mode: 'skip-duplicates' });
+    expect(skipped).toMatchObject({ success: true, inserted: 1, updated: 0, duplicates: 1 });
+
+    // Same instant written differently is the same reading
+    const upserted = await db.insertData([
+      reading('S1', 1, { value: 60, timestamp: '2025-07-16T01:00:00Z' }),
+      reading('S1', 1, { value: 61 })
+    ], { mode: 'upsert' });
+    expect(upserted).toMatchObject({ success: true, inserted: 0, updated: 1, duplicates: 1 });
+
+    const appended = await db.insertData([reading('S1', 0)], { mode: 'append' });
+    expect(appended).toMatchObject({ success: false, inserted: 0, failed: 1 });
+
+    const stored = (await db.queryData({})).data.map(r => [r.timestamp, r.value]).sort();
+    expect(stored).toEqual([
+      ['2025-07-16T00:00:00.000Z', 20],
+      ['2025-07-16T01:00:00.000Z', 61],
+      ['2025-07-16T02:00:00.000Z', 22]
+    ]);
+  });
+
+  test('should store the field and coordinates of flat and nested records', async () => {
+    await db.insertData([
+      reading('S1', 0, { field: 'Field-A', latitude: 12.5, longitude: 77.5 }),
+      reading('S2', 0, { location: { field: 'Field-B', latitude: 0, longitude: 78 } })
+    ]);
+
+    const stored = (await db.queryData({})).data.map(r => [r.sensor_id, r.field, r.latitude, r.longitude]).sort();
+    expect(stored).toEqual([['S1', 'Field-A', 12.5, 77.5], ['S2', 'Field-B', 0, 78]]);
+  });
+
+  test('should still load the new rows of an append batch that hits stored readings', async () => {
+    await db.insertData([reading('S1', 0), reading('S1', 1)]);
+
+    const result = await db.insertData([reading('S1', 0), reading('S1', 1), reading('S1', 2), reading('S1', 3)], { mode: 'append' });
+
+    expect(result).toMatchObject({ success: false, inserted: 2, failed: 2, batches: 1 });
+    expect(result.errors).toEqual([expect.objectContaining({ batch: 1, records: 2, message: expect.stringMatching(/UNIQUE/) })]);
+    expect((await db.queryData({})).data).toHaveLength(4);
+  });
+
+  test('should reject an unknown insert mode', async () => {
+    await expect(db.insertData([reading('S1', 0)], { mode: 'merge' })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
+
+describe('Schema migrations', () => {
+  let dir;
+  let sqlitePath;
+  let db;
+
+  const open = async (options) => {
+    db = new DuckDBService({ sqlitePath, duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize(options);
+    return db;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    sqlitePath = path.join(dir, 'test.sqlite');
+  });
+
+  afterEach(async () => {
+    await db?.close();
+    db = null;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should report pending migrations and apply them once', async () => {
+    await open({ migrate: false });
+    const migrations = new MigrationService(db);
+
+    const before = await migrations.status();
+    expect(before.current_version).toBe(0);
+    expect(before.pending.map(m => m.version)).toEqual(MigrationService.loadMigrations().map(m => m.version));
+
+    const applied = await migrations.migrate();
+    expect(applied.length).toBe(before.pending.length);
+    expect(await migrations.migrate()).toEqual([]);
+
+    const after = await migrations.status();
+    expect(after.pending).toEqual([]);
+    expect(after.current_version).toBe(applied[applied.length - 1].version);
+  });
+
+  test('should keep stored readings across restarts', async () => {
+    await open();
+    await db.insertData([{ sensor_id: 'S1', reading_type: 'temperature', value: 20, timestamp: '2025-07-16T10:00:00.000Z' }]);
+    await db.close();
+
+    await open();
+
+    expect((await db.queryData({})).data.map(r => r.value)).toEqual([20]);
+  });
+
+  test('should upgrade a database created before migrations existed', async () => {
+    const Database = require('better-sqlite3');
+    const legacy = new Database(sqlitePath);
+    legacy.exec(`
+      CREATE TABLE sensor_data (
+        id INTEGER PRIMARY KEY AUTOINCREMENT, sensor_id TEXT, timestamp TEXT, reading_type TEXT, value REAL,
+        unit TEXT, field TEXT, latitude REAL, longitude REAL, battery_level INTEGER, signal_strength INTEGER,
+        data_quality TEXT, processed_timestamp TEXT, quality_score INTEGER, created_at TEXT DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const insert = legacy.prepare('INSERT INTO sensor_data (sensor_id, reading_type, timestamp, value) VALUES (?, ?, ?, ?)');
+    insert.run('S1', 'temperature', '2025-07-16T10:00:00.000Z', 20);
+    insert.run('S1', 'temperature', '2025-07-16T10:00:00.000Z', 30);
+    insert.run('S1', 'temperature', '2025-07-16T11:00:00.000Z', 21);
+    legacy.close();
+
+    await open();
+
+    expect(await db.tableColumns('sensor_data')).toEqual(expect.arrayContaining(['is_anomalous', 'anomaly_type', 'anomaly_score', 'anomaly_reason']));
+    expect((await db.queryData({})).data.map(r => r.value).sort()).toEqual([20, 21]);
+    expect(await db.insertData([{ sensor_id: 'S1', reading_type: 'temperature', value: 25, timestamp: '2025-07-16T10:00:00Z' }], { mode: 'skip-duplicates' }))
+      .toMatchObject({ inserted: 0, duplicates: 1 });
+  });
+});
+
+describe('Daily aggregations', () => {
+  let dir;
+  let db;
+
+  const reading = (sensorId, field, timestamp, value, isAnomalous = false) => ({
+    sensor_id: sensorId,
+    reading_type: 'temperature',
+    timestamp,
+    value,
+    location: { field },
+    is_anomalous: isAnomalous
+  });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'aggregation-db-'));
+    db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize();
+    await db.insertData([
+      ...[10, 20, 30, 40, 50].map((value, i) => reading('S1', 'north', `2025-07-16T0${i}:00:00Z`, value, value === 50)),
+      reading('S2', 'south', '2025-07-16T12:00:00Z', 100),
+      reading('S1', 'north', '2025-07-17T23:30:00Z', 15)
+    ]);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should compute daily statistics in the database', async () => {
+    const { data } = await db.aggregateDaily({ sensor_id: 'S1' });
+
+    expect(data).toHaveLength(2);
+    expect(data[0]).toMatchObject({ date: '2025-07-16', count: 5, min: 10, max: 50, avg: 30, sum: 150, median: 30, p10: 14, p90: 46, anomaly_count: 1 });
+    expect(data[0].stddev).toBeCloseTo(15.81, 2);
+    expect(data[1]).toMatchObject({ date: '2025-07-17', count: 1, stddev: null, median: 15 });
+  });
+
+  test('should group by field and include whole end days', async () => {
+    const { data } = await db.aggregateDaily({ groupBy: 'field', startDate: '2025-07-16', endDate: '2025-07-17' });
+
+    expect(data.map(row => [row.date, row.field, row.count])).toEqual([
+      ['2025-07-16', 'north', 5],
+      ['2025-07-16', 'south', 1],
+      ['2025-07-17', 'north', 1]
+    ]);
+    await expect(db.aggregateDaily({ groupBy: 'colour' })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
+
+describe('Sensor inventory', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'inventory-db-'));
+    db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize();
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should group readings into one entry per sensor', async () => {
+    await db.insertData([
+      { sensor_id: 'S1', reading_type: 'temperature', timestamp: '2025-07-16T10:00:00.000Z', value: 20, location: { field: 'north' } },
+      { sensor_id: 'S1', reading_type: 'humidity', timestamp: '2025-07-17T10:00:00.000Z', value: 60, location: { field: 'north' } },
+      { sensor_id: 'S2', reading_type: 'temperature', timestamp: '2025-07-15T08:00:00.000Z', value: 22, location: { field: 'south' } }
+    ]);
+
+    const { data } = await db.getSensorInventory();
+
+    expect(data).toEqual([
+      { sensor_id: 'S1', reading_types: ['humidity', 'temperature'], fields: ['north'], total_readings: 2, first_seen: '2025-07-16T10:00:00.000Z', last_seen: '2025-07-17T10:00:00.000Z' },
+      { sensor_id: 'S2', reading_types: ['temperature'], fields: ['south'], total_readings: 1, first_seen: '2025-07-15T08:00:00.000Z', last_seen: '2025-07-15T08:00:00.000Z' }
+    ]);
+  });
+});
+
+describe('Time bucket aggregations', () => {
+  let dir;
+  let db;
+
+  const reading = (sensorId, timestamp, value) => ({
+    sensor_id: sensorId,
+    reading_type: 'soil_moisture',
+    timestamp,
+    value,
+    location: { field: 'north' }
+  });
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bucket-db-'));
+    db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize();
+    await db.insertData([
+      reading('S1', '2025-07-16T18:20:00Z', 30),
+      reading('S1', '2025-07-16T18:40:00Z', 10),
+      reading('S2', '2025-07-16T18:35:00Z', 50),
+      reading('S1', '2025-07-16T19:05:00Z', 20)
+    ]);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should align buckets to the requested timezone', () => {
+    expect(DateUtils.timeBucket('2025-07-16T18:40:00Z', '1d', 'Asia/Kolkata').format()).toBe('2025-07-17T00:00:00+05:30');
+    expect(DateUtils.timeBucket('2025-07-16T18:40:00Z', '15m', 'UTC').format()).toBe('2025-07-16T18:30:00Z');
+    expect(DateUtils.timeBucket('2025-07-16T18:40:00Z', '1w', 'UTC').format()).toBe('2025-07-14T00:00:00Z');
+    expect(DateUtils.timeBucket('2025-07-31T20:00:00Z', '1M', 'Asia/Kolkata').format()).toBe('2025-08-01T00:00:00+05:30');
+    expect(DateUtils.parseInterval('0m')).toBeNull();
+  });
+
+  test('should compute the requested functions per bucket and group', async () => {
+    const result = await db.aggregateTimeBuckets({
+      interval: '1h',
+      timezone: 'Asia/Kolkata',
+      functions: ['count', 'first', 'last', 'sum', 'percentile'],
+      percentiles: [50, 90],
+      groupBy: ['sensor']
+    });
+
+    expect(result.source).toBe('sqlite');
+    expect(result.data).toEqual([
+      { bucket: '2025-07-16T23:00:00+05:30', sensor_id: 'S1', count: 1, first: 30, last: 30, sum: 30, p50: 30, p90: 30 },
+      { bucket: '2025-07-17T00:00:00+05:30', sensor_id: 'S1', count: 2, first: 10, last: 20, sum: 30, p50: 15, p90: 19 },
+      { bucket: '2025-07-17T00:00:00+05:30', sensor_id: 'S2', count: 1, first: 50, last: 50, sum: 50, p50: 50, p90: 50 }
+    ]);
+  });
+
+  test('should default to hourly avg, min, max and count in UTC', async () => {
+    const { data } = await db.aggregateTimeBuckets({ sensor_id: 'S1' });
+
+    expect(data).toEqual([
+      { bucket: '2025-07-16T18:00:00Z', avg: 20, min: 10, max: 30, count: 2 },
+      { bucket: '2025-07-16T19:00:00Z', avg: 20, min: 20, max: 20, count: 1 }
+    ]);
+  });
+
+  test('should reject unsupported options', async () => {
+    await expect(db.aggregateTimeBuckets({ interval: '90x' })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(db.aggregateTimeBuckets({ timezone: 'Mars/Olympus' })).rejects.toMatchObject({ name: 'ValidationError' });
+    await expect(db.aggregateTimeBuckets({ functions: ['mode'] })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  test('should run a custom report definition against the database', async () => {
+    const { sections } = await CustomReportService.run({
+      filters: { field: 'north' },
+      metrics: [
+        { aggregate: 'avg', reading_type: 'soil_moisture' },
+        { aggregate: 'max', reading_type: 'soil_moisture', as: 'peak' }
+      ],
+      groupBy: ['sensor'],
+      sections: [{ type: 'table' }, { type: 'summary' }]
+    }, db);
+
+    expect(sections[0].columns).toEqual(['sensor_id', 'avg_soil_moisture', 'peak']);
+    expect(sections[0].rows).toEqual([
+      { sensor_id: 'S1', avg_soil_moisture: 20, peak: 30 },
+      { sensor_id: 'S2', avg_soil_moisture: 50, peak: 50 }
+    ]);
+    expect(sections[1].values).toEqual({ avg_soil_moisture: 27.5, peak: 50 });
+  });
+});
+
+describe('CalibrationService', () => {
+  let calibrationsDir;
+  let originalCalibrationsPath;
+
+  beforeEach(() => {
+    calibrationsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibrations-'));
+    originalCalibrationsPath = config.paths.calibrations;
+    config.paths.calibrations = calibrationsDir;
+  });
+
+  afterEach(() => {
+    config.paths.calibrations = originalCalibrationsPath;
+    fs.rmSync(calibrationsDir, { recursive: true, force: true });
+  });
+
+  test('should fall back to config.yaml multipliers and offsets', () => {
+    const { multiplier, offset } = config.transformation.calibration.soil_moisture;
+    const result = CalibrationService.calibrate({ sensor_id: 'SENSOR_001', reading_type: 'soil_moisture', value: 40 }, []);
+
+    expect(result.value).toBeCloseTo(40 * multiplier + offset, 2);
+    expect(result.calibration_id).toBe('config');
+  });
+
+  test('should evaluate polynomial and lookup curves', () => {
+    expect(CalibrationService.applyCurve({ type: 'polynomial', coefficients: [1, 2, 0.5] }, 2)).toBe(7);
+
+    const lookup = CalibrationService.normalizeCurve({ type: 'lookup', points: [[100, 50], [0, 0], [50, 20]] });
+    expect(CalibrationService.applyCurve(lookup, 25)).toBe(10);
+    expect(CalibrationService.applyCurve(lookup, 75)).toBe(35);
+    expect(CalibrationService.applyCurve(lookup, -5)).toBe(0);
+    expect(CalibrationService.applyCurve(lookup, 200)).toBe(50);
+  });
+
+  test('should prefer sensor over field over reading type overrides', async () => {
+    await CalibrationService.createCalibration({ reading_type: 'temperature', curve: { offset: 1 }, valid_from: '2025-01-01T00:00:00Z' });
+    await CalibrationService.createCalibration({ reading_type: 'temperature', field: 'FIELD_A', curve: { offset: 2 }, valid_from: '2025-01-01T00:00:00Z' });
+    await CalibrationService.createCalibration({ reading_type: 'temperature', sensor_id: 'SENSOR_001', curve: { offset: 3 }, valid_from: '2025-01-01T00:00:00Z' });
+    const calibrations = await CalibrationService.listCalibrations();
+    const timestamp = '2025-07-16T10:00:00Z';
+
+    expect(CalibrationService.calibrate({ sensor_id: 'SENSOR_001', field: 'FIELD_A', reading_type: 'temperature', value: 20, timestamp }, calibrations).value).toBe(23);
+    expect(CalibrationService.calibrate({ sensor_id: 'SENSOR_002', location: { field: 'FIELD_A' }, reading_type: 'temperature', value: 20, timestamp }, calibrations).value).toBe(22);
+    expect(CalibrationService.calibrate({ sensor_id: 'SENSOR_003', field: 'FIELD_B', reading_type: 'temperature', value: 20, timestamp }, calibrations).value).toBe(21);
+  });
+
+  test('should apply the version in force at the reading timestamp', async () => {
+    const first = await CalibrationService.createCalibration({
+      reading_type: 'humidity',
+      sensor_id: 'SENSOR_001',
+      curve: { multiplier: 1, offset: 5 },
+      valid_from: '2025-01-01T00:00:00Z'
+    });
+    const second = await CalibrationService.createCalibration({
+      reading_type: 'humidity',
+      sensor_id: 'SENSOR_001',
+      curve: { multiplier: 1, offset: -5 },
+      clamp: { min: 0, max: 100 },
+      valid_from: '2025-06-01T00:00:00Z'
+    });
+
+    expect((await CalibrationService.getCalibration(first.calibration_id)).valid_to).toBe(second.valid_from);
+
+    const calibrations = await CalibrationService.listCalibrations();
+    const before = CalibrationService.calibrate({ sensor_id: 'SENSOR_001', reading_type: 'humidity', value: 50, timestamp: '2025-03-01T00:00:00Z' }, calibrations);
+    const after = CalibrationService.calibrate({ sensor_id: 'SENSOR_001', reading_type: 'humidity', value: 3, timestamp: '2025-07-01T00:00:00Z' }, calibrations);
+
+    expect(before).toEqual({ value: 55, calibration_id: first.calibration_id });
+    expect(after).toEqual({ value: 0, calibration_id: second.calibration_id });
+    expect(await CalibrationService.listCalibrations({ at: '2025-03-01T00:00:00Z' })).toHaveLength(1);
+  });
+
+  test('should store the calibrated value and calibration version with the reading', async () => {
+    const calibration = await CalibrationService.createCalibration({ reading_type: 'temperature', sensor_id: 'SENSOR_001', curve: { offset: 2 }, valid_from: '2025-01-01T00:00:00Z' });
+    const transformation = new TransformationService(config);
+    transformation.calibrations = await CalibrationService.listCalibrations();
+    const records = await transformation.performTransformations([
+      { sensor_id: 'SENSOR_001', reading_type: 'temperature', value: 20, timestamp: '2025-07-16T10:00:00Z' }
+    ]);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'calibrated-db-'));
+    const db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    try {
+      await db.initialize();
+      await db.insertData(records);
+
+      expect((await db.queryData({})).data[0]).toMatchObject({ value: 20, calibrated_value: 22, calibration_id: calibration.calibration_id });
+    } finally {
+      await db.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should end a back-dated version where the next version begins', async () => {
+    const later = await CalibrationService.createCalibration({ reading_type: 'temperature', curve: { offset: 1 }, valid_from: '2025-06-01T00:00:00Z' });
+    const earlier = await CalibrationService.createCalibration({ reading_type: 'temperature', curve: { offset: 2 }, valid_from: '2025-01-01T00:00:00Z' });
+
+    expect(earlier.valid_to).toBe(later.valid_from);
+    expect((await CalibrationService.getCalibration(later.calibration_id)).valid_to).toBeNull();
+  });
+
+  test('should update and delete calibration versions', async () => {
+    const calibration = await CalibrationService.createCalibration({ reading_type: 'temperature', curve: { offset: 1 } });
+
+    const updated = await CalibrationService.updateCalibration(calibration.calibration_id, { curve: { type: 'polynomial', coefficients: [0, 1.1] } });
+    expect(updated.curve).toEqual({ type: 'polynomial', coefficients: [0, 1.1] });
+    await expect(CalibrationService.updateCalibration(calibration.calibration_id, { valid_to: '2000-01-01T00:00:00Z' }))
+      .rejects.toThrow('valid_to must be after valid_from');
+
+    expect(await CalibrationService.deleteCalibration(calibration.calibration_id)).toBe(true);
+    expect(await CalibrationService.getCalibration(calibration.calibration_id)).toBeNull();
+    expect(await CalibrationService.updateCalibration('cal_missing', { description: 'x' })).toBeNull();
+  });
+
+  test('should refuse calibration ids outside the calibrations directory', async () => {
+    const outside = path.join(calibrationsDir, '..', `${path.basename(calibrationsDir)}-outside.json`);
+    fs.writeFileSync(outside, '{}');
+
+    await expect(CalibrationService.deleteCalibration(`../${path.basename(outside, '.json')}`))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+    expect(fs.existsSync(outside)).toBe(true);
+    fs.rmSync(outside);
+  });
+});
+
+describe('FieldService', () => {
+  const square = { type: 'Polygon', coordinates: [[[77.0, 12.0], [77.01, 12.0], [77.01, 12.01], [77.0, 12.01], [77.0, 12.0]]] };
+  let fieldsDir;
+  let originalFieldsPath;
+
+  beforeEach(() => {
+    fieldsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fields-'));
+    originalFieldsPath = config.paths.fields;
+    config.paths.fields = fieldsDir;
+  });
+
+  afterEach(() => {
+    config.paths.fields = originalFieldsPath;
+    fs.rmSync(fieldsDir, { recursive: true, force: true });
+  });
+
+  test('should derive area, bounding box and centroid from the boundary', async () => {
+    const field = await FieldService.createField({ field_id: 'north', crop_type: 'rice', geometry: square });
+
+    // 0.01 degrees is about 1.09 km along the parallel at 12N and 1.11 km along the meridian
+    expect(field.area_hectares).toBeCloseTo(120.9, 0);
+    expect(field.bbox).toEqual([77.0, 12.0, 77.01, 12.01]);
+    expect(field.centroid).toEqual([77.005, 12.005]);
+
+    const surveyed = await FieldService.updateField('north', { area_hectares: 118 });
+    expect(surveyed.area_hectares).toBe(118);
+  });
+
+  test('should reject open rings', async () => {
+    const open = { type: 'Polygon', coordinates: [[[77.0, 12.0], [77.01, 12.0], [77.01, 12.01], [77.0, 12.01]]] };
+
+    await expect(FieldService.createField({ field_id: 'north', geometry: open })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  test('should test points against polygons with holes', () => {
+    const withHole = {
+      type: 'Polygon',
+      coordinates: [square.coordinates[0], [[77.004, 12.004], [77.006, 12.004], [77.006, 12.006], [77.004, 12.006], [77.004, 12.004]]]
+    };
+
+    expect(GeoUtils.contains(withHole, 77.002, 12.002)).toBe(true);
+    expect(GeoUtils.contains(withHole, 77.005, 12.005)).toBe(false);
+    expect(GeoUtils.contains(withHole, 77.02, 12.002)).toBe(false);
+    expect(GeoUtils.areaHectares(withHole)).toBeCloseTo(120.9 - 4.84, 0);
+  });
+
+  test('should end the previous assignment when a sensor moves to another field', async () => {
+    await FieldService.createField({ field_id: 'north' });
+    await FieldService.createField({ field_id: 'south' });
+
+    await FieldService.assignSensor('north', { sensor_id: 'S1', valid_from: '2025-07-01T00:00:00Z' });
+    await FieldService.assignSensor('south', { sensor_id: 'S1', valid_from: '2025-07-10T00:00:00Z' });
+
+    const north = await FieldService.getField('north');
+    expect(north.assignments).toEqual([
+      expect.objectContaining({ sensor_id: 'S1', valid_from: '2025-07-01T00:00:00.000Z', valid_to: '2025-07-10T00:00:00.000Z' })
+    ]);
+    expect((await FieldService.listFields({ sensor_id: 'S1', at: '2025-07-05T00:00:00Z' })).map(f => f.field_id)).toEqual(['north']);
+    expect((await FieldService.listFields({ sensor_id: 'S1', at: '2025-07-15T00:00:00Z' })).map(f => f.field_id)).toEqual(['south']);
+
+    const { assignment } = await FieldService.unassignSensor('south', 'S1', '2025-07-20T00:00:00Z');
+    expect(assignment.valid_to).toBe('2025-07-20T00:00:00.000Z');
+    expect(await FieldService.unassignSensor('south', 'S1', '2025-07-21T00:00:00Z')).toBeNull();
+  });
+});
+
+describe('Location filters', () => {
+  let dir;
+  let db;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'location-db-'));
+    db = new DuckDBService({ sqlitePath: path.join(dir, 'test.sqlite'), duckdbPath: path.join(dir, 'test.duckdb') });
+    await db.initialize();
+    await db.insertData([
+      { sensor_id: 'S1', reading_type: 'temperature', timestamp: '2025-07-16T10:00:00.000Z', value: 20, location: { field: 'north', latitude: 12.005, longitude: 77.005 } },
+      { sensor_id: 'S2', reading_type: 'temperature', timestamp: '2025-07-16T10:00:00.000Z', value: 21, location: { latitude: 12.2, longitude: 77.2 } },
+      { sensor_id: 'S2', reading_type: 'temperature', timestamp: '2025-07-18T10:00:00.000Z', value: 22, location: { latitude: 12.2, longitude: 77.2 } }
+    ]);
+  });
+
+  afterEach(async () => {
+    await db.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should include readings from sensors while assigned to the field', async () => {
+    const { data } = await db.queryData({
+      field: 'north',
+      fieldAssignments: [{ sensor_id: 'S2', valid_from: '2025-07-15T00:00:00.000Z', valid_to: '2025-07-17T00:00:00.000Z' }]
+    });
+
+    expect(data.map(r => [r.sensor_id, r.value])).toEqual([['S1', 20], ['S2', 21]]);
+  });
+
+  test('should filter readings by bounding box', async () => {
+    const { data } = await db.queryData({ bbox: [77.1, 12.1, 77.3, 12.3] });
+
+    expect(data.map(r => r.value)).toEqual([22, 21]);
+  });
+});